@@ -0,0 +1,63 @@
+from datetime import date, datetime, time, timedelta, timezone
+from itertools import count
+from typing import List, Optional
+
+# In-memory audit trail, oldest first; like users_db it is lost on restart
+audit_log = []
+MAX_AUDIT_EVENTS = 10000
+
+_event_ids = count(1)
+
+def record_event(username: Optional[str], action: str, target_type: str, target_id, summary: str,
+                 target_name: Optional[str] = None, before: Optional[dict] = None,
+                 after: Optional[dict] = None) -> dict:
+    # before/after hold the target's audited fields around the change, None where it did not exist
+    event = {
+        "id": next(_event_ids),
+        "timestamp": datetime.now(timezone.utc),
+        "username": username,
+        "action": action,
+        "target_type": target_type,
+        "target_id": str(target_id),
+        "target_name": target_name,
+        "summary": summary,
+        "before": before,
+        "after": after,
+    }
+    audit_log.append(event)
+    if len(audit_log) > MAX_AUDIT_EVENTS:
+        del audit_log[0]
+    return event
+
+def get_event(event_id: int) -> Optional[dict]:
+    return next((event for event in audit_log if event["id"] == event_id), None)
+
+def find_events(username: Optional[str] = None, action: Optional[str] = None,
+                target_type: Optional[str] = None, target_id: Optional[str] = None,
+                target: Optional[str] = None, start_date: Optional[date] = None,
+                end_date: Optional[date] = None, limit: int = 100) -> List[dict]:
+    # Newest first. action matches by prefix so "user" finds every user.* event; target matches
+    # the target's ID exactly or part of its name; dates are inclusive UTC days
+    since = datetime.combine(start_date, time.min, tzinfo=timezone.utc) if start_date else None
+    until = datetime.combine(end_date + timedelta(days=1), time.min, tzinfo=timezone.utc) if end_date else None
+    term = target.strip().lower() if target else None
+    events = []
+    for event in reversed(audit_log):
+        if username and event["username"] != username:
+            continue
+        if action and not event["action"].startswith(action):
+            continue
+        if target_type and event["target_type"] != target_type:
+            continue
+        if target_id is not None and event["target_id"] != str(target_id):
+            continue
+        if term and event["target_id"] != term and term not in (event["target_name"] or "").lower():
+            continue
+        if until and event["timestamp"] >= until:
+            continue
+        if since and event["timestamp"] < since:
+            break
+        events.append(event)
+        if len(events) >= limit:
+            break
+    return events
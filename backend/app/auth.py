@@ -1,5 +1,6 @@
 from datetime import datetime, timedelta
 from typing import Optional
+import secrets
 from jose import JWTError, jwt
 from passlib.context import CryptContext
 from fastapi import Depends, HTTPException, status
@@ -16,6 +17,8 @@ load_dotenv()
 SECRET_KEY = os.getenv("SECRET_KEY", "09d25e094faa6ca2556c818166b7a9563b93f7099f6f0f4caa6cf63b88e8d3e7")
 ALGORITHM = "HS256"
 ACCESS_TOKEN_EXPIRE_MINUTES = 30
+# Event stream tickets only have to last until the browser opens the stream
+STREAM_TICKET_EXPIRE_SECONDS = 30
 
 # Password hashing
 pwd_context = CryptContext(schemes=["bcrypt"], deprecated="auto")
@@ -23,15 +26,44 @@ pwd_context = CryptContext(schemes=["bcrypt"], deprecated="auto")
 # OAuth2 scheme
 oauth2_scheme = OAuth2PasswordBearer(tokenUrl="token")
 
+# Permissions granted by each role
+ROLE_PERMISSIONS = {
+    "viewer": ["catalog:read"],
+    "editor": ["catalog:read", "catalog:write"],
+    "admin": ["catalog:read", "catalog:write", "catalog:delete", "admin:access", "orders:manage"],
+}
+DEFAULT_ROLE = "viewer"
+
 # Mock user database for demo purposes
 users_db = {}
 
+# One-time tickets that open an event stream, so the access token stays out of URLs:
+# ticket -> {"username", "expires_at", "session_expires_at"}
+stream_tickets = {}
+
 def verify_password(plain_password, hashed_password):
     return pwd_context.verify(plain_password, hashed_password)
 
 def get_password_hash(password):
     return pwd_context.hash(password)
 
+def get_permissions(roles):
+    permissions = []
+    for role in roles:
+        for permission in ROLE_PERMISSIONS.get(role, []):
+            if permission not in permissions:
+                permissions.append(permission)
+    return permissions
+
+def to_user_response(user: dict) -> UserResponse:
+    return UserResponse(
+        username=user["username"],
+        email=user["email"],
+        disabled=user["disabled"],
+        roles=user["roles"],
+        permissions=get_permissions(user["roles"])
+    )
+
 def create_access_token(data: dict, expires_delta: Optional[timedelta] = None):
     to_encode = data.copy()
     if expires_delta:
@@ -60,9 +92,63 @@ async def get_current_user(token: str = Depends(oauth2_scheme)):
     user = users_db.get(token_data.username)
     if user is None:
         raise credentials_exception
+    # Disabling an account revokes the tokens it already holds
+    if user["disabled"]:
+        raise HTTPException(
+            status_code=status.HTTP_401_UNAUTHORIZED,
+            detail="This account has been disabled",
+            headers={"WWW-Authenticate": "Bearer"},
+        )
     
-    return UserResponse(
-        username=user["username"],
-        email=user["email"],
-        disabled=user["disabled"]
-    )
+    return to_user_response(user)
+
+def token_expiry(token: str) -> datetime:
+    # Only called for tokens get_current_user has already accepted
+    payload = jwt.decode(token, SECRET_KEY, algorithms=[ALGORITHM])
+    return datetime.utcfromtimestamp(payload["exp"])
+
+def issue_stream_ticket(username: str, session_expires_at: datetime) -> str:
+    now = datetime.utcnow()
+    for unused in [ticket for ticket, entry in stream_tickets.items() if entry["expires_at"] <= now]:
+        del stream_tickets[unused]
+    ticket = secrets.token_urlsafe(32)
+    stream_tickets[ticket] = {
+        "username": username,
+        "expires_at": now + timedelta(seconds=STREAM_TICKET_EXPIRE_SECONDS),
+        "session_expires_at": session_expires_at,
+    }
+    return ticket
+
+def redeem_stream_ticket(ticket: str) -> dict:
+    entry = stream_tickets.pop(ticket, None)
+    if entry is None or entry["expires_at"] <= datetime.utcnow():
+        raise HTTPException(status_code=status.HTTP_401_UNAUTHORIZED, detail="Invalid or expired stream ticket")
+    return entry
+
+def session_allows(username: str, session_expires_at: datetime, permission: str) -> bool:
+    # Rechecked while a stream is open: the token it was opened with may expire,
+    # and the account may be disabled or lose the permission in the meantime
+    user = users_db.get(username)
+    return (user is not None and not user["disabled"]
+            and datetime.utcnow() < session_expires_at
+            and permission in get_permissions(user["roles"]))
+
+def require_permission(permission: str):
+    # Dependency factory: rejects users whose roles do not grant the permission
+    async def permission_checker(current_user: UserResponse = Depends(get_current_user)):
+        if permission not in current_user.permissions:
+            raise HTTPException(
+                status_code=status.HTTP_403_FORBIDDEN,
+                detail=f"Missing permission: {permission}"
+            )
+        return current_user
+    return permission_checker
+
+# Seed the demo account documented in the README
+users_db["demo"] = {
+    "username": "demo",
+    "email": "demo@enterprise-demo.com",
+    "hashed_password": get_password_hash("password"),
+    "disabled": False,
+    "roles": ["admin"]
+}
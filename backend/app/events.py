@@ -0,0 +1,66 @@
+import asyncio
+import json
+from datetime import datetime, timezone
+from itertools import count
+from typing import Callable, Optional
+
+# Live catalog events for open clients. Every stream has its own queue on the event loop
+# that serves it; publish() is called from the threadpool that runs the sync endpoints
+_subscribers = set()
+MAX_QUEUED_EVENTS = 100
+# Comment lines sent while idle so proxies do not close the stream
+HEARTBEAT_SECONDS = 15
+
+_event_ids = count(1)
+# Queued in place of the events a client could not keep up with; it ends that stream
+_OVERFLOWED = None
+
+def _enqueue(queue: asyncio.Queue, event: dict):
+    # A client that cannot keep up loses its stream instead of missing events silently;
+    # EventSource then reconnects and the client refetches what it shows
+    try:
+        queue.put_nowait(event)
+    except asyncio.QueueFull:
+        while not queue.empty():
+            queue.get_nowait()
+        queue.put_nowait(_OVERFLOWED)
+
+def publish(event_type: str, data: dict, username: Optional[str] = None) -> dict:
+    event = {
+        "id": next(_event_ids),
+        "type": event_type,
+        "timestamp": datetime.now(timezone.utc).isoformat(),
+        "username": username,
+        "data": data,
+    }
+    for loop, queue in list(_subscribers):
+        loop.call_soon_threadsafe(_enqueue, queue, event)
+    return event
+
+def subscriber_count() -> int:
+    return len(_subscribers)
+
+def _format(event: dict) -> str:
+    payload = json.dumps(event, default=str)
+    return f"id: {event['id']}\nevent: {event['type']}\ndata: {payload}\n\n"
+
+async def event_stream(still_allowed: Callable[[], bool]):
+    # Server-Sent Events body; ends when the client disconnects and the response cancels it,
+    # or once still_allowed() turns false, which is checked between heartbeats and before every event
+    subscriber = (asyncio.get_running_loop(), asyncio.Queue(maxsize=MAX_QUEUED_EVENTS))
+    _subscribers.add(subscriber)
+    try:
+        yield ": connected\n\n"
+        while True:
+            if not still_allowed():
+                return
+            try:
+                event = await asyncio.wait_for(subscriber[1].get(), HEARTBEAT_SECONDS)
+            except asyncio.TimeoutError:
+                yield ": heartbeat\n\n"
+                continue
+            if event is _OVERFLOWED or not still_allowed():
+                return
+            yield _format(event)
+    finally:
+        _subscribers.discard(subscriber)
@@ -1,12 +1,30 @@
-from fastapi import FastAPI, Depends, HTTPException, status
+from fastapi import FastAPI, Depends, File, HTTPException, Query, UploadFile, status
 from fastapi.middleware.cors import CORSMiddleware
-from typing import List, Optional
+from fastapi.responses import FileResponse, StreamingResponse
+from datetime import date, datetime, timedelta, timezone
+from typing import List, Optional, Tuple
 import requests
 import os
+import time
 from dotenv import load_dotenv
 
-from app.models import ProductCreate, ProductResponse, ProductUpdate, UserCreate, UserResponse, Token
-from app.auth import create_access_token, get_current_user, get_password_hash, verify_password
+from app.models import (
+    MAX_BATCH_SIZE, MAX_STATS_DAYS, Cart, CategoryCreate, CategoryMerge, CategoryReorderDefaults, CategoryResponse, OrderCancel, OrderCreate, OrderResponse,
+    OrderStatusUpdate, ProductBatchItemResult, ProductBatchRequest,
+    ProductBatchResult, ProductBounds, ProductCreate, ProductFilterCriteria, ProductImage, ProductImportItemResult,
+    ProductImportRequest, ProductImportResult, ProductResponse, ProductPage, ProductStats, ProductUpdate, StockAdjustment,
+    TrashedProductResponse,
+    StockMovementResponse, UserCreate, UserRolesUpdate, UserStatusUpdate, PasswordReset, AuditEvent,
+    UserResponse, Token, LoginRequest, StreamTicket
+)
+from app.auth import (
+    DEFAULT_ROLE, STREAM_TICKET_EXPIRE_SECONDS, create_access_token, get_current_user, get_password_hash,
+    issue_stream_ticket, oauth2_scheme, redeem_stream_ticket, require_permission, session_allows,
+    to_user_response, token_expiry, users_db, verify_password
+)
+from app.audit import find_events, get_event, record_event
+from app.events import event_stream, publish, subscriber_count
+from app.storage import MAX_IMAGE_BYTES, delete_image, image_path, save_image
 
 # Load environment variables
 load_dotenv()
@@ -29,96 +47,833 @@ app.add_middleware(
 # Data service URL
 DATA_SERVICE_URL = os.getenv("DATA_SERVICE_URL", "http://localhost:8081/api")
 
-# Mock user database for demo purposes
-users_db = {}
+# Sortable product fields mapped to the data service's entity properties
+PRODUCT_SORT_FIELDS = {
+    "name": "name",
+    "price": "price",
+    "stock_quantity": "stockQuantity",
+    "category": "category",
+    "updated_at": "updatedAt",
+}
+MAX_PAGE_SIZE = 100
+
+# Permission needed for each batch action
+BATCH_ACTION_PERMISSIONS = {
+    "delete": "catalog:delete",
+    "set_category": "catalog:write",
+    "adjust_price": "catalog:write",
+    "set_stock": "catalog:write",
+}
+MAX_PRICE = 1000000
+MAX_HISTORY_EVENTS = 200
+
+# Saved carts by username; in-memory like users_db
+carts_db = {}
+
+def acting_user(user: UserResponse) -> dict:
+    # Headers naming the user behind a change, so the data service can record it in the stock ledger
+    return {"X-Username": user.username}
+
+# Product fields kept in audit snapshots. Restoring a version brings back all but the stock,
+# which follows the physical inventory and is changed through the stock ledger instead;
+# restored variants keep their current stock for the same reason
+AUDITED_PRODUCT_FIELDS = ["name", "description", "price", "stock_quantity", "category",
+                          "reorder_point", "reorder_quantity", "images", "options", "variants"]
+RESTORABLE_PRODUCT_FIELDS = [field for field in AUDITED_PRODUCT_FIELDS if field != "stock_quantity"]
+
+def product_snapshot(product: Optional[dict]) -> Optional[dict]:
+    return {field: product.get(field) for field in AUDITED_PRODUCT_FIELDS} if product else None
+
+def with_current_variant_stock(variants: List[dict], current_variants: List[dict]) -> List[dict]:
+    # Variants that no longer exist come back as new ones without stock
+    stock = {variant["id"]: variant["stock_quantity"] for variant in current_variants}
+    return [{**variant, "stock_quantity": stock.get(variant.get("id"), 0)} for variant in variants]
+
+def publish_product_change(username: Optional[str], before: Optional[dict], after: Optional[dict],
+                           changed: Optional[List[str]] = None):
+    # Pushes product.created, product.updated, product.stock_changed or product.deleted to
+    # live clients, with the whole product so they can patch it in place
+    if before and after:
+        event_type = "product.stock_changed" if changed == ["stock_quantity"] else "product.updated"
+    else:
+        event_type = "product.created" if after else "product.deleted"
+    publish(event_type, {"product": after or before, "changed": changed or []}, username=username)
+
+def audit_product_change(current_user: UserResponse, before: Optional[dict], after: Optional[dict],
+                         action: Optional[str] = None, summary: Optional[str] = None):
+    # Records product.created, product.updated or product.deleted (unless action says otherwise)
+    # from the product as it was before and after the change, and publishes it to live
+    # clients; updates that leave every audited field as it was are skipped
+    before_snapshot, after_snapshot = product_snapshot(before), product_snapshot(after)
+    product = after or before
+    changed = None
+    if before and after:
+        changed = [field for field in AUDITED_PRODUCT_FIELDS if before_snapshot[field] != after_snapshot[field]]
+        if not changed:
+            return
+        action = action or "updated"
+        summary = summary or f"Changed {', '.join(field.replace('_', ' ') for field in changed)}"
+    elif after:
+        action = action or "created"
+        summary = summary or f'Created "{after["name"]}"'
+    else:
+        action = action or "deleted"
+        summary = summary or f'Moved "{before["name"]}" to the trash'
+    record_event(current_user.username, f"product.{action}", "product", product["id"], summary,
+                 target_name=product["name"], before=before_snapshot, after=after_snapshot)
+    publish_product_change(current_user.username, before, after, changed)
+
+def publish_order_stock_changes(order: dict, current_user: UserResponse):
+    # Placing or cancelling an order moves stock in the data service without going through
+    # the product endpoints. The order itself has succeeded, so a product that cannot be
+    # looked up is skipped; clients pick up its stock on their next fetch
+    for product_id in {item["product_id"] for item in order["items"]}:
+        try:
+            product = fetch_product(product_id)
+        except (requests.RequestException, HTTPException):
+            continue
+        publish_product_change(current_user.username, product, product, ["stock_quantity"])
+
+def fetch_product(product_id: int) -> dict:
+    # Raises requests.RequestException like the calls around it, so callers map it to 503
+    response = requests.get(f"{DATA_SERVICE_URL}/products/{product_id}")
+    if response.status_code == 404:
+        raise HTTPException(status_code=status.HTTP_404_NOT_FOUND, 
+                           detail=f"Product with ID {product_id} not found")
+    response.raise_for_status()
+    return response.json()
+
+def data_service_error_detail(response, default: str) -> str:
+    # The data service reports the reason of 4xx errors in a "message" field
+    try:
+        return response.json().get("message") or default
+    except ValueError:
+        return default
+
+def to_search_params(criteria: ProductFilterCriteria) -> dict:
+    # Filter criteria in the data service's /products/search parameter names
+    return {
+        "q": criteria.q,
+        "category": criteria.category,
+        "minPrice": criteria.min_price,
+        "maxPrice": criteria.max_price,
+        "minStock": criteria.min_stock,
+        "maxStock": criteria.max_stock,
+        "inStock": "true" if criteria.in_stock else None,
+    }
 
 @app.get("/")
 def read_root():
     return {"message": "Welcome to Enterprise Demo Backend API"}
 
-@app.get("/health")
-def health_check():
+def check_health() -> dict:
+    checked_at = datetime.now(timezone.utc)
+    started = time.monotonic()
     try:
         # Check if data service is available
-        response = requests.get(f"{DATA_SERVICE_URL}/products")
+        response = requests.get(f"{DATA_SERVICE_URL}/products/bounds", timeout=5)
+        latency_ms = round((time.monotonic() - started) * 1000)
         if response.status_code == 200:
-            return {"status": "healthy", "data_service": "connected"}
-        return {"status": "degraded", "data_service": "unavailable"}
+            return {"status": "healthy", "data_service": "connected",
+                    "data_service_latency_ms": latency_ms, "checked_at": checked_at}
+        return {"status": "degraded", "data_service": "unavailable",
+                "error": f"Data service returned HTTP {response.status_code}",
+                "data_service_latency_ms": latency_ms, "checked_at": checked_at}
     except Exception as e:
-        return {"status": "degraded", "error": str(e)}
+        return {"status": "degraded", "data_service": "unavailable", "error": str(e), "checked_at": checked_at}
+
+@app.get("/health")
+def health_check():
+    # Public, for load balancers and uptime checks; the details are on /admin/health
+    health = check_health()
+    return {field: health[field] for field in ("status", "data_service", "checked_at")}
+
+# Live updates
+@app.post("/events/ticket", response_model=StreamTicket)
+async def create_stream_ticket(token: str = Depends(oauth2_scheme),
+                               current_user: UserResponse = Depends(require_permission("catalog:read"))):
+    # EventSource cannot send headers, and a token in the URL would end up in access logs,
+    # so streams are opened with a one-time ticket that lasts as long as the session
+    ticket = issue_stream_ticket(current_user.username, token_expiry(token))
+    return {"ticket": ticket, "expires_in": STREAM_TICKET_EXPIRE_SECONDS}
+
+@app.get("/events")
+async def stream_events(ticket: str = Query(...)):
+    # Server-Sent Events of catalog changes. The stream closes once the session it was
+    # opened with expires or the account is disabled; the client then needs a new ticket
+    session = redeem_stream_ticket(ticket)
+
+    def still_allowed() -> bool:
+        return session_allows(session["username"], session["session_expires_at"], "catalog:read")
+
+    if not still_allowed():
+        raise HTTPException(status_code=status.HTTP_401_UNAUTHORIZED, detail="Could not validate credentials")
+    return StreamingResponse(event_stream(still_allowed), media_type="text/event-stream",
+                             headers={"Cache-Control": "no-cache", "X-Accel-Buffering": "no"})
 
 # Product endpoints
-@app.get("/products", response_model=List[ProductResponse])
-def get_products(category: Optional[str] = None, max_price: Optional[float] = None):
+@app.get("/products", response_model=ProductPage)
+def get_products(
+    q: Optional[str] = None,
+    category: Optional[List[str]] = Query(None),
+    min_price: Optional[float] = Query(None, ge=0),
+    max_price: Optional[float] = Query(None, ge=0),
+    min_stock: Optional[int] = Query(None, ge=0),
+    max_stock: Optional[int] = Query(None, ge=0),
+    in_stock: bool = False,
+    page: int = Query(1, ge=1),
+    size: Optional[int] = Query(None, ge=1, le=MAX_PAGE_SIZE),
+    sort: str = "name",
+    order: str = Query("asc", pattern="^(asc|desc)$"),
+):
+    if sort not in PRODUCT_SORT_FIELDS:
+        raise HTTPException(status_code=status.HTTP_400_BAD_REQUEST,
+                           detail=f"Cannot sort by '{sort}'")
+    if min_price is not None and max_price is not None and min_price > max_price:
+        raise HTTPException(status_code=status.HTTP_400_BAD_REQUEST,
+                           detail="min_price cannot be greater than max_price")
+    if min_stock is not None and max_stock is not None and min_stock > max_stock:
+        raise HTTPException(status_code=status.HTTP_400_BAD_REQUEST,
+                           detail="min_stock cannot be greater than max_stock")
+    
+    # All criteria are combined by the data service
+    criteria = ProductFilterCriteria(
+        q=q, category=category, min_price=min_price, max_price=max_price,
+        min_stock=min_stock, max_stock=max_stock, in_stock=in_stock
+    )
+    params = {
+        **to_search_params(criteria),
+        "page": page - 1,
+        "size": size,
+        "sort": PRODUCT_SORT_FIELDS[sort],
+        "direction": order,
+    }
     try:
-        if category:
-            response = requests.get(f"{DATA_SERVICE_URL}/products/category/{category}")
-        elif max_price:
-            response = requests.get(f"{DATA_SERVICE_URL}/products/price/{max_price}")
-        else:
-            response = requests.get(f"{DATA_SERVICE_URL}/products")
+        response = requests.get(f"{DATA_SERVICE_URL}/products/search", params=params)
+        response.raise_for_status()
+        result = response.json()
+    except requests.RequestException as e:
+        raise HTTPException(status_code=status.HTTP_503_SERVICE_UNAVAILABLE, 
+                           detail=f"Data service unavailable: {str(e)}")
+    
+    # Without a page size the whole matching set comes back as one page
+    total = result["total_elements"]
+    page_size = size or max(total, 1)
+    return {
+        "items": result["content"],
+        "total": total,
+        "page": page,
+        "size": page_size,
+        "pages": (total + page_size - 1) // page_size,
+    }
+
+@app.get("/products/bounds", response_model=ProductBounds)
+def get_product_bounds():
+    try:
+        response = requests.get(f"{DATA_SERVICE_URL}/products/bounds")
+        response.raise_for_status()
+        return response.json()
+    except requests.RequestException as e:
+        raise HTTPException(status_code=status.HTTP_503_SERVICE_UNAVAILABLE, 
+                           detail=f"Data service unavailable: {str(e)}")
+
+@app.get("/products/stats", response_model=ProductStats)
+def get_product_stats(
+    start_date: Optional[date] = None,
+    end_date: Optional[date] = None,
+):
+    # Aggregates for the analytics dashboard; the range (UTC days, inclusive) only
+    # affects the stock trend and defaults to the last 30 days
+    end_date = end_date or date.today()
+    start_date = start_date or end_date - timedelta(days=29)
+    if start_date > end_date:
+        raise HTTPException(status_code=status.HTTP_400_BAD_REQUEST,
+                           detail="start_date cannot be after end_date")
+    if (end_date - start_date).days >= MAX_STATS_DAYS:
+        raise HTTPException(status_code=status.HTTP_400_BAD_REQUEST,
+                           detail=f"The date range cannot be longer than {MAX_STATS_DAYS} days")
+    try:
+        response = requests.get(f"{DATA_SERVICE_URL}/products/stats",
+                                params={"from": start_date.isoformat(), "to": end_date.isoformat()})
+        response.raise_for_status()
+        return {**response.json(), "start_date": start_date, "end_date": end_date}
+    except requests.RequestException as e:
+        raise HTTPException(status_code=status.HTTP_503_SERVICE_UNAVAILABLE, 
+                           detail=f"Data service unavailable: {str(e)}")
+
+# Trash endpoints; deleted products wait here until restored or purged
+def fetch_trashed_product(product_id: int) -> dict:
+    response = requests.get(f"{DATA_SERVICE_URL}/products/trash")
+    response.raise_for_status()
+    product = next((product for product in response.json() if product["id"] == product_id), None)
+    if product is None:
+        raise HTTPException(status_code=status.HTTP_404_NOT_FOUND,
+                           detail=f"No product with ID {product_id} in the trash")
+    return product
+
+@app.get("/products/trash", response_model=List[TrashedProductResponse])
+def get_trashed_products(current_user: UserResponse = Depends(require_permission("catalog:delete"))):
+    # Most recently deleted first
+    try:
+        response = requests.get(f"{DATA_SERVICE_URL}/products/trash")
+        response.raise_for_status()
+        return response.json()
+    except requests.RequestException as e:
+        raise HTTPException(status_code=status.HTTP_503_SERVICE_UNAVAILABLE, 
+                           detail=f"Data service unavailable: {str(e)}")
+
+@app.post("/products/trash/{product_id}/restore", response_model=ProductResponse)
+def restore_trashed_product(product_id: int, current_user: UserResponse = Depends(require_permission("catalog:delete"))):
+    try:
+        response = requests.post(f"{DATA_SERVICE_URL}/products/trash/{product_id}/restore")
+        if response.status_code == 404:
+            raise HTTPException(status_code=status.HTTP_404_NOT_FOUND,
+                               detail=f"No product with ID {product_id} in the trash")
+        if response.status_code == 409:
+            raise HTTPException(status_code=status.HTTP_409_CONFLICT,
+                               detail=data_service_error_detail(response, "The product cannot be restored"))
+        response.raise_for_status()
+        restored = response.json()
+        audit_product_change(current_user, None, restored, action="recovered",
+                             summary=f'Restored "{restored["name"]}" from the trash')
+        return restored
+    except requests.RequestException as e:
+        raise HTTPException(status_code=status.HTTP_503_SERVICE_UNAVAILABLE, 
+                           detail=f"Data service unavailable: {str(e)}")
+
+def image_urls_in_use(excluding_id: int) -> set:
+    # Image URLs of the other live and trashed products. Any uploaded URL is accepted, so
+    # two products can share a file
+    urls = set()
+    for path in ("/products", "/products/trash"):
+        response = requests.get(f"{DATA_SERVICE_URL}{path}")
+        response.raise_for_status()
+        for product in response.json():
+            if product["id"] != excluding_id:
+                urls.update(url for image in product.get("images") or []
+                            for url in (image["url"], image["thumbnail_url"]))
+    return urls
+
+@app.delete("/products/trash/{product_id}", status_code=status.HTTP_204_NO_CONTENT)
+def purge_trashed_product(product_id: int, current_user: UserResponse = Depends(require_permission("catalog:delete"))):
+    # Permanent; the audit trail keeps the last known field values
+    try:
+        trashed = fetch_trashed_product(product_id)
+        in_use = image_urls_in_use(product_id)
+        response = requests.delete(f"{DATA_SERVICE_URL}/products/trash/{product_id}")
+        if response.status_code == 404:
+            raise HTTPException(status_code=status.HTTP_404_NOT_FOUND,
+                               detail=f"No product with ID {product_id} in the trash")
+        response.raise_for_status()
+        audit_product_change(current_user, trashed, None, action="purged",
+                             summary=f'Permanently deleted "{trashed["name"]}"')
+        # Files are only removed here, never on edit, so earlier versions keep their images
+        for image in trashed.get("images") or []:
+            for url in (image["url"], image["thumbnail_url"]):
+                if url not in in_use:
+                    delete_image(url)
+        return None
+    except requests.RequestException as e:
+        raise HTTPException(status_code=status.HTTP_503_SERVICE_UNAVAILABLE, 
+                           detail=f"Data service unavailable: {str(e)}")
+
+def adjusted_price(batch: ProductBatchRequest, price: float) -> float:
+    if batch.price_mode == "percent":
+        price = round(price * (1 + batch.price_change / 100), 2)
+    else:
+        price = round(price + batch.price_change, 2)
+    if price <= 0:
+        raise ValueError(f"New price {price:.2f} must be greater than 0")
+    if price > MAX_PRICE:
+        raise ValueError(f"New price {price:.2f} exceeds the maximum of {MAX_PRICE}")
+    return price
+
+def batch_changes(batch: ProductBatchRequest, product: dict) -> dict:
+    # Raises ValueError with a user-facing reason when the change cannot be applied
+    if batch.action == "set_category":
+        return {"category": batch.category}
+    if batch.action == "set_stock":
+        if product.get("variants"):
+            raise ValueError("Stock is kept per variant; set it on the product form")
+        return {"stock_quantity": batch.stock_quantity}
+    
+    # Every variant's price changes; the product's follows as the lowest of them
+    if product.get("variants"):
+        return {"variants": [{**variant, "price": adjusted_price(batch, variant["price"])}
+                             for variant in product["variants"]]}
+    return {"price": adjusted_price(batch, product["price"])}
+
+def apply_batch_action(batch: ProductBatchRequest, product_id: int, product: Optional[dict],
+                       current_user: UserResponse) -> ProductBatchItemResult:
+    name = product["name"] if product else None
+    try:
+        if product is None:
+            response = requests.get(f"{DATA_SERVICE_URL}/products/{product_id}")
+            if response.status_code == 404:
+                return ProductBatchItemResult(id=product_id, success=False, error="Product not found")
+            response.raise_for_status()
+            product = response.json()
+            name = product["name"]
         
+        if batch.action == "delete":
+            response = requests.delete(f"{DATA_SERVICE_URL}/products/{product_id}",
+                                       headers=acting_user(current_user))
+        else:
+            # The version read above, so an edit saved since (filter mode reads every product
+            # up front) fails this item rather than being overwritten
+            updated = {field: product[field] for field in ProductCreate.model_fields}
+            updated.update(batch_changes(batch, product))
+            updated["version"] = product.get("version")
+            response = requests.put(f"{DATA_SERVICE_URL}/products/{product_id}", json=updated,
+                                    headers=acting_user(current_user))
+            if response.status_code == 409:
+                return ProductBatchItemResult(id=product_id, name=name, success=False,
+                                              error="Changed by someone else; try again")
+        response.raise_for_status()
+        audit_product_change(current_user, product, None if batch.action == "delete" else response.json())
+        return ProductBatchItemResult(id=product_id, name=name, success=True)
+    except ValueError as e:
+        return ProductBatchItemResult(id=product_id, name=name, success=False, error=str(e))
+    except requests.RequestException as e:
+        return ProductBatchItemResult(id=product_id, name=name, success=False,
+                                      error=f"Data service error: {str(e)}")
+
+@app.post("/products/batch", response_model=ProductBatchResult)
+def batch_update_products(batch: ProductBatchRequest, current_user: UserResponse = Depends(get_current_user)):
+    # Each product is processed on its own, so one failure does not stop the rest
+    permission = BATCH_ACTION_PERMISSIONS[batch.action]
+    if permission not in current_user.permissions:
+        raise HTTPException(status_code=status.HTTP_403_FORBIDDEN,
+                           detail=f"Missing permission: {permission}")
+    
+    if batch.filter is not None:
+        try:
+            response = requests.get(f"{DATA_SERVICE_URL}/products/search", params=to_search_params(batch.filter))
+            response.raise_for_status()
+            products = response.json()["content"]
+        except requests.RequestException as e:
+            raise HTTPException(status_code=status.HTTP_503_SERVICE_UNAVAILABLE, 
+                               detail=f"Data service unavailable: {str(e)}")
+        if len(products) > MAX_BATCH_SIZE:
+            raise HTTPException(status_code=status.HTTP_400_BAD_REQUEST,
+                               detail=f"{len(products)} products match; narrow the filter to at most {MAX_BATCH_SIZE}")
+        targets = [(product["id"], product) for product in products]
+    else:
+        targets = [(product_id, None) for product_id in dict.fromkeys(batch.ids)]
+    
+    results = [apply_batch_action(batch, product_id, product, current_user) for product_id, product in targets]
+    succeeded = sum(1 for result in results if result.success)
+    return {
+        "action": batch.action,
+        "succeeded": succeeded,
+        "failed": len(results) - succeeded,
+        "results": results,
+    }
+
+def import_product(product: ProductCreate, existing: Optional[dict], index: int,
+                   current_user: UserResponse) -> Tuple[ProductImportItemResult, Optional[dict]]:
+    # Also returns the product as saved, or None when the row failed
+    try:
+        if existing:
+            # Reorder settings are kept unless the file sets them
+            updated = {**existing, **product.dict(exclude_unset=True)}
+            response = requests.put(f"{DATA_SERVICE_URL}/products/{existing['id']}", json=updated,
+                                    headers=acting_user(current_user))
+        else:
+            response = requests.post(f"{DATA_SERVICE_URL}/products", json=product.dict(),
+                                     headers=acting_user(current_user))
+        response.raise_for_status()
+        saved = response.json()
+        audit_product_change(current_user, existing, saved)
+        return ProductImportItemResult(index=index, success=True, action="updated" if existing else "created",
+                                       id=saved["id"]), saved
+    except requests.RequestException as e:
+        return ProductImportItemResult(index=index, success=False, error=f"Data service error: {str(e)}"), None
+
+@app.post("/products/import", response_model=ProductImportResult)
+def import_products(request: ProductImportRequest, current_user: UserResponse = Depends(require_permission("catalog:write"))):
+    # Clients send large files in chunks; results are indexed within the chunk
+    try:
+        response = requests.get(f"{DATA_SERVICE_URL}/products")
+        response.raise_for_status()
+        products_by_name = {product["name"].strip().lower(): product for product in response.json()}
+    except requests.RequestException as e:
+        raise HTTPException(status_code=status.HTTP_503_SERVICE_UNAVAILABLE, 
+                           detail=f"Data service unavailable: {str(e)}")
+    
+    results = []
+    for index, product in enumerate(request.products):
+        key = product.name.strip().lower()
+        existing = products_by_name.get(key)
+        if existing and request.mode == "create":
+            results.append(ProductImportItemResult(index=index, success=False,
+                                                   error=f"A product named '{existing['name']}' already exists"))
+            continue
+        result, saved = import_product(product, existing, index, current_user)
+        if saved:
+            # A later row with the same name updates this product, so keep it as saved,
+            # with the version the data service now expects
+            products_by_name[key] = saved
+        results.append(result)
+    
+    return {
+        "created": sum(1 for result in results if result.action == "created"),
+        "updated": sum(1 for result in results if result.action == "updated"),
+        "failed": sum(1 for result in results if not result.success),
+        "results": results,
+    }
+
+# Category endpoints
+@app.get("/categories", response_model=List[CategoryResponse])
+def get_categories():
+    try:
+        response = requests.get(f"{DATA_SERVICE_URL}/categories")
         response.raise_for_status()
         return response.json()
     except requests.RequestException as e:
         raise HTTPException(status_code=status.HTTP_503_SERVICE_UNAVAILABLE, 
                            detail=f"Data service unavailable: {str(e)}")
 
-@app.get("/products/{product_id}", response_model=ProductResponse)
-def get_product(product_id: int):
+@app.post("/categories", response_model=CategoryResponse, status_code=status.HTTP_201_CREATED)
+def create_category(category: CategoryCreate, current_user: UserResponse = Depends(require_permission("catalog:write"))):
+    try:
+        response = requests.post(f"{DATA_SERVICE_URL}/categories", json=category.dict())
+        if response.status_code == 409:
+            raise HTTPException(status_code=status.HTTP_409_CONFLICT,
+                               detail=data_service_error_detail(response, "Category already exists"))
+        response.raise_for_status()
+        return response.json()
+    except requests.RequestException as e:
+        raise HTTPException(status_code=status.HTTP_503_SERVICE_UNAVAILABLE, 
+                           detail=f"Data service unavailable: {str(e)}")
+
+@app.put("/categories/{category_id}", response_model=CategoryResponse)
+def rename_category(category_id: int, category: CategoryCreate, current_user: UserResponse = Depends(require_permission("catalog:write"))):
+    # Renaming also moves every product in the category to the new name
     try:
-        response = requests.get(f"{DATA_SERVICE_URL}/products/{product_id}")
+        response = requests.put(f"{DATA_SERVICE_URL}/categories/{category_id}", json=category.dict())
         if response.status_code == 404:
             raise HTTPException(status_code=status.HTTP_404_NOT_FOUND, 
-                               detail=f"Product with ID {product_id} not found")
+                               detail=f"Category with ID {category_id} not found")
+        if response.status_code == 409:
+            raise HTTPException(status_code=status.HTTP_409_CONFLICT,
+                               detail=data_service_error_detail(response, "Category already exists"))
         response.raise_for_status()
         return response.json()
     except requests.RequestException as e:
         raise HTTPException(status_code=status.HTTP_503_SERVICE_UNAVAILABLE, 
                            detail=f"Data service unavailable: {str(e)}")
 
+@app.put("/categories/{category_id}/reorder-defaults", response_model=CategoryResponse)
+def update_category_reorder_defaults(category_id: int, defaults: CategoryReorderDefaults, current_user: UserResponse = Depends(require_permission("catalog:write"))):
+    try:
+        response = requests.put(f"{DATA_SERVICE_URL}/categories/{category_id}/reorder-defaults", json=defaults.dict())
+        if response.status_code == 404:
+            raise HTTPException(status_code=status.HTTP_404_NOT_FOUND, 
+                               detail=f"Category with ID {category_id} not found")
+        response.raise_for_status()
+        return response.json()
+    except requests.RequestException as e:
+        raise HTTPException(status_code=status.HTTP_503_SERVICE_UNAVAILABLE, 
+                           detail=f"Data service unavailable: {str(e)}")
+
+@app.post("/categories/merge", response_model=CategoryResponse)
+def merge_categories(merge: CategoryMerge, current_user: UserResponse = Depends(require_permission("catalog:write"))):
+    try:
+        response = requests.post(f"{DATA_SERVICE_URL}/categories/merge", json=merge.dict())
+        if response.status_code in (400, 404):
+            raise HTTPException(status_code=response.status_code,
+                               detail=data_service_error_detail(response, "Categories could not be merged"))
+        response.raise_for_status()
+        return response.json()
+    except requests.RequestException as e:
+        raise HTTPException(status_code=status.HTTP_503_SERVICE_UNAVAILABLE, 
+                           detail=f"Data service unavailable: {str(e)}")
+
+@app.get("/products/{product_id}", response_model=ProductResponse)
+def get_product(product_id: int):
+    try:
+        return fetch_product(product_id)
+    except requests.RequestException as e:
+        raise HTTPException(status_code=status.HTTP_503_SERVICE_UNAVAILABLE, 
+                           detail=f"Data service unavailable: {str(e)}")
+
 @app.post("/products", response_model=ProductResponse, status_code=status.HTTP_201_CREATED)
-def create_product(product: ProductCreate, current_user: UserResponse = Depends(get_current_user)):
+def create_product(product: ProductCreate, current_user: UserResponse = Depends(require_permission("catalog:write"))):
     try:
         response = requests.post(
             f"{DATA_SERVICE_URL}/products",
-            json=product.dict()
+            json=product.dict(),
+            headers=acting_user(current_user)
         )
+        if response.status_code == 400:
+            raise HTTPException(status_code=status.HTTP_400_BAD_REQUEST,
+                               detail=data_service_error_detail(response, "The product could not be created"))
         response.raise_for_status()
-        return response.json()
+        created = response.json()
+        audit_product_change(current_user, None, created)
+        return created
     except requests.RequestException as e:
         raise HTTPException(status_code=status.HTTP_503_SERVICE_UNAVAILABLE, 
                            detail=f"Data service unavailable: {str(e)}")
 
 @app.put("/products/{product_id}", response_model=ProductResponse)
-def update_product(product_id: int, product: ProductUpdate, current_user: UserResponse = Depends(get_current_user)):
+def update_product(product_id: int, product: ProductUpdate, current_user: UserResponse = Depends(require_permission("catalog:write"))):
     try:
+        existing = fetch_product(product_id)
         response = requests.put(
             f"{DATA_SERVICE_URL}/products/{product_id}",
-            json=product.dict(exclude_unset=True)
+            json={**product_snapshot(existing), **product.dict(exclude_unset=True)},
+            headers=acting_user(current_user)
         )
         if response.status_code == 404:
             raise HTTPException(status_code=status.HTTP_404_NOT_FOUND, 
                                detail=f"Product with ID {product_id} not found")
+        if response.status_code == 400:
+            raise HTTPException(status_code=status.HTTP_400_BAD_REQUEST,
+                               detail=data_service_error_detail(response, "The product could not be saved"))
+        if response.status_code == 409:
+            # Hand back the stored product so the client can merge its edits into it
+            raise HTTPException(status_code=status.HTTP_409_CONFLICT, detail={
+                "message": data_service_error_detail(response, "The product was changed by someone else"),
+                "current": fetch_product(product_id)
+            })
         response.raise_for_status()
-        return response.json()
+        updated = response.json()
+        audit_product_change(current_user, existing, updated)
+        return updated
     except requests.RequestException as e:
         raise HTTPException(status_code=status.HTTP_503_SERVICE_UNAVAILABLE, 
                            detail=f"Data service unavailable: {str(e)}")
 
 @app.delete("/products/{product_id}", status_code=status.HTTP_204_NO_CONTENT)
-def delete_product(product_id: int, current_user: UserResponse = Depends(get_current_user)):
+def delete_product(product_id: int, current_user: UserResponse = Depends(require_permission("catalog:delete"))):
     try:
-        response = requests.delete(f"{DATA_SERVICE_URL}/products/{product_id}")
+        existing = fetch_product(product_id)
+        response = requests.delete(f"{DATA_SERVICE_URL}/products/{product_id}",
+                                   headers=acting_user(current_user))
         if response.status_code == 404:
             raise HTTPException(status_code=status.HTTP_404_NOT_FOUND, 
                                detail=f"Product with ID {product_id} not found")
         response.raise_for_status()
+        audit_product_change(current_user, existing, None)
         return None
     except requests.RequestException as e:
         raise HTTPException(status_code=status.HTTP_503_SERVICE_UNAVAILABLE, 
                            detail=f"Data service unavailable: {str(e)}")
 
+# Image endpoints
+@app.post("/images", response_model=ProductImage, status_code=status.HTTP_201_CREATED)
+def upload_image(file: UploadFile = File(...), thumbnail: UploadFile = File(...),
+                 current_user: UserResponse = Depends(require_permission("catalog:write"))):
+    # Clients resize and crop images before uploading and send the thumbnail along. The
+    # image is not attached to a product until a product is saved with its URLs
+    try:
+        return save_image(file.file.read(MAX_IMAGE_BYTES + 1), thumbnail.file.read(MAX_IMAGE_BYTES + 1))
+    except ValueError as e:
+        raise HTTPException(status_code=status.HTTP_400_BAD_REQUEST, detail=str(e))
+
+@app.get("/images/{name}")
+def get_image(name: str):
+    # Public like the catalog's <img> tags, which cannot send a token
+    path = image_path(name)
+    if path is None:
+        raise HTTPException(status_code=status.HTTP_404_NOT_FOUND, detail="Image not found")
+    # Names are never reused, so browsers may keep the file for good
+    return FileResponse(path, headers={"Cache-Control": "public, max-age=31536000, immutable"})
+
+# Stock ledger endpoints
+@app.get("/products/{product_id}/stock-movements", response_model=List[StockMovementResponse])
+def get_stock_movements(product_id: int, current_user: UserResponse = Depends(require_permission("catalog:read"))):
+    # Oldest first, so clients can follow the running balance
+    try:
+        response = requests.get(f"{DATA_SERVICE_URL}/products/{product_id}/stock-movements")
+        if response.status_code == 404:
+            raise HTTPException(status_code=status.HTTP_404_NOT_FOUND, 
+                               detail=f"Product with ID {product_id} not found")
+        response.raise_for_status()
+        return response.json()
+    except requests.RequestException as e:
+        raise HTTPException(status_code=status.HTTP_503_SERVICE_UNAVAILABLE, 
+                           detail=f"Data service unavailable: {str(e)}")
+
+@app.post("/products/{product_id}/stock-movements", response_model=StockMovementResponse,
+          status_code=status.HTTP_201_CREATED)
+def adjust_stock(product_id: int, adjustment: StockAdjustment, current_user: UserResponse = Depends(require_permission("catalog:write"))):
+    try:
+        response = requests.post(
+            f"{DATA_SERVICE_URL}/products/{product_id}/stock-movements",
+            json={**adjustment.dict(), "username": current_user.username}
+        )
+        if response.status_code == 404:
+            raise HTTPException(status_code=status.HTTP_404_NOT_FOUND, 
+                               detail=f"Product with ID {product_id} not found")
+        if response.status_code in (400, 409):
+            raise HTTPException(status_code=response.status_code,
+                               detail=data_service_error_detail(response, "The stock could not be adjusted"))
+        response.raise_for_status()
+        movement = response.json()
+        after = fetch_product(product_id)
+        change = movement["quantity_change"]
+        before = {
+            **after,
+            "stock_quantity": movement["balance_after"] - change,
+            "variants": [{**variant, "stock_quantity": variant["stock_quantity"] - change}
+                         if variant["id"] == movement["variant_id"] else variant
+                         for variant in after.get("variants") or []],
+        }
+        variant_note = f" ({movement['sku']})" if movement["variant_id"] else ""
+        audit_product_change(current_user, before, {**after, "stock_quantity": movement["balance_after"]},
+                             summary=f"Stock {movement['reason']}{variant_note}: {change:+d}")
+        return movement
+    except requests.RequestException as e:
+        raise HTTPException(status_code=status.HTTP_503_SERVICE_UNAVAILABLE, 
+                           detail=f"Data service unavailable: {str(e)}")
+
+# Product history endpoints
+@app.get("/products/{product_id}/history", response_model=List[AuditEvent])
+def get_product_history(product_id: int, current_user: UserResponse = Depends(require_permission("catalog:write"))):
+    # Newest first; kept after the product is deleted so the trail stays readable
+    return find_events(target_type="product", target_id=str(product_id), limit=MAX_HISTORY_EVENTS)
+
+@app.post("/products/{product_id}/history/{event_id}/restore", response_model=ProductResponse)
+def restore_product_version(product_id: int, event_id: int, current_user: UserResponse = Depends(require_permission("catalog:write"))):
+    # Brings back the product as it was right after the event
+    event = get_event(event_id)
+    if (event is None or event["target_type"] != "product" or event["target_id"] != str(product_id)
+            or not event["after"]):
+        raise HTTPException(status_code=status.HTTP_404_NOT_FOUND, detail="Version not found")
+    try:
+        existing = fetch_product(product_id)
+        restored = {**product_snapshot(existing),
+                    **{field: event["after"][field] for field in RESTORABLE_PRODUCT_FIELDS if field in event["after"]}}
+        restored["variants"] = with_current_variant_stock(restored["variants"] or [], existing.get("variants") or [])
+        response = requests.put(f"{DATA_SERVICE_URL}/products/{product_id}", json=restored,
+                                headers=acting_user(current_user))
+        if response.status_code in (400, 404):
+            raise HTTPException(status_code=response.status_code,
+                               detail=data_service_error_detail(response, "The version could not be restored"))
+        response.raise_for_status()
+        updated = response.json()
+        audit_product_change(current_user, existing, updated, action="restored",
+                             summary=f"Restored the version from {event['timestamp']:%Y-%m-%d %H:%M} UTC")
+        return updated
+    except requests.RequestException as e:
+        raise HTTPException(status_code=status.HTTP_503_SERVICE_UNAVAILABLE, 
+                           detail=f"Data service unavailable: {str(e)}")
+
+# Cart endpoints
+@app.get("/cart", response_model=Cart)
+def get_cart(current_user: UserResponse = Depends(get_current_user)):
+    return {"items": carts_db.get(current_user.username, [])}
+
+@app.put("/cart", response_model=Cart)
+def replace_cart(cart: Cart, current_user: UserResponse = Depends(get_current_user)):
+    carts_db[current_user.username] = cart.items
+    return {"items": cart.items}
+
+@app.post("/cart/merge", response_model=Cart)
+def merge_cart(cart: Cart, current_user: UserResponse = Depends(get_current_user)):
+    # Adds a cart built before signing in to the saved one; quantities of the same
+    # product and variant are summed and the incoming snapshot, being newer, wins
+    merged = {(item.product_id, item.variant_id): item for item in carts_db.get(current_user.username, [])}
+    for item in cart.items:
+        key = (item.product_id, item.variant_id)
+        existing = merged.get(key)
+        quantity = item.quantity + (existing.quantity if existing else 0)
+        merged[key] = item.model_copy(update={"quantity": quantity})
+    carts_db[current_user.username] = list(merged.values())
+    return {"items": carts_db[current_user.username]}
+
+# Order endpoints
+ORDER_MANAGE_PERMISSION = "orders:manage"
+
+def fetch_order(order_id: int, current_user: UserResponse) -> dict:
+    # Customers only see their own orders; others' orders are reported as missing
+    try:
+        response = requests.get(f"{DATA_SERVICE_URL}/orders/{order_id}")
+        if response.status_code == 404:
+            raise HTTPException(status_code=status.HTTP_404_NOT_FOUND, 
+                               detail=f"Order with ID {order_id} not found")
+        response.raise_for_status()
+        order = response.json()
+    except requests.RequestException as e:
+        raise HTTPException(status_code=status.HTTP_503_SERVICE_UNAVAILABLE, 
+                           detail=f"Data service unavailable: {str(e)}")
+    
+    if order["username"] != current_user.username and ORDER_MANAGE_PERMISSION not in current_user.permissions:
+        raise HTTPException(status_code=status.HTTP_404_NOT_FOUND, 
+                           detail=f"Order with ID {order_id} not found")
+    return order
+
+def change_order_status(order_id: int, new_status: str, note: Optional[str], current_user: UserResponse) -> dict:
+    try:
+        response = requests.put(
+            f"{DATA_SERVICE_URL}/orders/{order_id}/status",
+            json={"status": new_status, "note": note, "changed_by": current_user.username}
+        )
+        if response.status_code in (400, 409):
+            raise HTTPException(status_code=response.status_code,
+                               detail=data_service_error_detail(response, "Order status could not be changed"))
+        response.raise_for_status()
+        order = response.json()
+    except requests.RequestException as e:
+        raise HTTPException(status_code=status.HTTP_503_SERVICE_UNAVAILABLE, 
+                           detail=f"Data service unavailable: {str(e)}")
+    # Cancelling puts the reserved stock back
+    if new_status == "cancelled":
+        publish_order_stock_changes(order, current_user)
+    return order
+
+@app.post("/orders", response_model=OrderResponse, status_code=status.HTTP_201_CREATED)
+def place_order(order: OrderCreate, current_user: UserResponse = Depends(get_current_user)):
+    # The data service reserves the stock; 409 means some of it ran out or a price changed
+    try:
+        response = requests.post(
+            f"{DATA_SERVICE_URL}/orders",
+            json={**order.dict(), "username": current_user.username}
+        )
+        if response.status_code in (400, 409):
+            raise HTTPException(status_code=response.status_code,
+                               detail=data_service_error_detail(response, "The order could not be placed"))
+        response.raise_for_status()
+        placed = response.json()
+    except requests.RequestException as e:
+        raise HTTPException(status_code=status.HTTP_503_SERVICE_UNAVAILABLE, 
+                           detail=f"Data service unavailable: {str(e)}")
+    publish_order_stock_changes(placed, current_user)
+    return placed
+
+@app.get("/orders", response_model=List[OrderResponse])
+def get_orders(
+    scope: str = Query("mine", pattern="^(mine|all)$"),
+    current_user: UserResponse = Depends(get_current_user),
+):
+    if scope == "all" and ORDER_MANAGE_PERMISSION not in current_user.permissions:
+        raise HTTPException(status_code=status.HTTP_403_FORBIDDEN,
+                           detail=f"Missing permission: {ORDER_MANAGE_PERMISSION}")
+    params = {} if scope == "all" else {"username": current_user.username}
+    try:
+        response = requests.get(f"{DATA_SERVICE_URL}/orders", params=params)
+        response.raise_for_status()
+        return response.json()
+    except requests.RequestException as e:
+        raise HTTPException(status_code=status.HTTP_503_SERVICE_UNAVAILABLE, 
+                           detail=f"Data service unavailable: {str(e)}")
+
+@app.get("/orders/{order_id}", response_model=OrderResponse)
+def get_order(order_id: int, current_user: UserResponse = Depends(get_current_user)):
+    return fetch_order(order_id, current_user)
+
+@app.post("/orders/{order_id}/cancel", response_model=OrderResponse)
+def cancel_order(order_id: int, cancel: OrderCancel, current_user: UserResponse = Depends(get_current_user)):
+    fetch_order(order_id, current_user)
+    return change_order_status(order_id, "cancelled", cancel.note, current_user)
+
+@app.put("/orders/{order_id}/status", response_model=OrderResponse)
+def update_order_status(order_id: int, update: OrderStatusUpdate, current_user: UserResponse = Depends(require_permission(ORDER_MANAGE_PERMISSION))):
+    return change_order_status(order_id, update.status, update.note, current_user)
+
 # User authentication endpoints
 @app.post("/users", response_model=UserResponse, status_code=status.HTTP_201_CREATED)
 def register_user(user: UserCreate):
@@ -133,28 +888,112 @@ def register_user(user: UserCreate):
         "username": user.username,
         "email": user.email,
         "hashed_password": hashed_password,
-        "disabled": False
+        "disabled": False,
+        "roles": [DEFAULT_ROLE]
     }
+    record_event(user.username, "user.registered", "user", user.username,
+                 f"Registered as {DEFAULT_ROLE}")
     
-    return {
-        "username": user.username,
-        "email": user.email,
-        "disabled": False
-    }
+    return to_user_response(users_db[user.username])
 
 @app.post("/token", response_model=Token)
-def login_for_access_token(username: str, password: str):
+def login_for_access_token(credentials: LoginRequest):
+    username = credentials.username
     user = users_db.get(username)
-    if not user or not verify_password(password, user["hashed_password"]):
+    if not user or not verify_password(credentials.password, user["hashed_password"]):
         raise HTTPException(
             status_code=status.HTTP_401_UNAUTHORIZED,
             detail="Incorrect username or password",
             headers={"WWW-Authenticate": "Bearer"},
         )
+    if user["disabled"]:
+        raise HTTPException(
+            status_code=status.HTTP_403_FORBIDDEN,
+            detail="This account has been disabled"
+        )
     
     access_token = create_access_token(data={"sub": username})
     return {"access_token": access_token, "token_type": "bearer"}
 
+@app.post("/token/refresh", response_model=Token)
+def refresh_access_token(current_user: UserResponse = Depends(get_current_user)):
+    # Issue a fresh token while the current one is still valid
+    access_token = create_access_token(data={"sub": current_user.username})
+    return {"access_token": access_token, "token_type": "bearer"}
+
 @app.get("/users/me", response_model=UserResponse)
 def read_users_me(current_user: UserResponse = Depends(get_current_user)):
     return current_user
+
+# Admin endpoints
+ADMIN_PERMISSION = "admin:access"
+
+def fetch_user(username: str) -> dict:
+    user = users_db.get(username)
+    if user is None:
+        raise HTTPException(status_code=status.HTTP_404_NOT_FOUND, detail="User not found")
+    return user
+
+@app.get("/admin/users", response_model=List[UserResponse])
+def get_users(current_user: UserResponse = Depends(require_permission(ADMIN_PERMISSION))):
+    return [to_user_response(user) for user in sorted(users_db.values(), key=lambda user: user["username"])]
+
+@app.put("/admin/users/{username}/status", response_model=UserResponse)
+def update_user_status(username: str, update: UserStatusUpdate,
+                       current_user: UserResponse = Depends(require_permission(ADMIN_PERMISSION))):
+    user = fetch_user(username)
+    if username == current_user.username and update.disabled:
+        raise HTTPException(status_code=status.HTTP_400_BAD_REQUEST,
+                           detail="You cannot disable your own account")
+    if user["disabled"] != update.disabled:
+        user["disabled"] = update.disabled
+        action = "disabled" if update.disabled else "enabled"
+        record_event(current_user.username, f"user.{action}", "user", username, f"Account {action}")
+    return to_user_response(user)
+
+@app.put("/admin/users/{username}/roles", response_model=UserResponse)
+def update_user_roles(username: str, update: UserRolesUpdate,
+                      current_user: UserResponse = Depends(require_permission(ADMIN_PERMISSION))):
+    user = fetch_user(username)
+    roles = list(dict.fromkeys(update.roles))
+    # Keeps at least one admin able to get back into the console
+    if username == current_user.username and "admin" not in roles:
+        raise HTTPException(status_code=status.HTTP_400_BAD_REQUEST,
+                           detail="You cannot remove the admin role from your own account")
+    if roles != user["roles"]:
+        previous = user["roles"]
+        user["roles"] = roles
+        record_event(current_user.username, "user.roles_changed", "user", username,
+                     f"Roles changed from {', '.join(previous)} to {', '.join(roles)}")
+    return to_user_response(user)
+
+@app.post("/admin/users/{username}/password", status_code=status.HTTP_204_NO_CONTENT)
+def reset_user_password(username: str, reset: PasswordReset,
+                        current_user: UserResponse = Depends(require_permission(ADMIN_PERMISSION))):
+    user = fetch_user(username)
+    user["hashed_password"] = get_password_hash(reset.password)
+    record_event(current_user.username, "user.password_reset", "user", username, "Password reset")
+    return None
+
+@app.get("/admin/health")
+def get_system_health(current_user: UserResponse = Depends(require_permission(ADMIN_PERMISSION))):
+    # Adds the data service's response time and errors and the number of open live-update streams
+    return {**check_health(), "live_clients": subscriber_count()}
+
+@app.get("/admin/audit", response_model=List[AuditEvent])
+def get_audit_events(
+    username: Optional[str] = None,
+    action: Optional[str] = None,
+    target_type: Optional[str] = None,
+    target: Optional[str] = None,
+    start_date: Optional[date] = None,
+    end_date: Optional[date] = None,
+    limit: int = Query(100, ge=1, le=1000),
+    current_user: UserResponse = Depends(require_permission(ADMIN_PERMISSION)),
+):
+    # target is an ID or part of a name, e.g. a product name
+    if start_date and end_date and start_date > end_date:
+        raise HTTPException(status_code=status.HTTP_400_BAD_REQUEST,
+                           detail="start_date cannot be after end_date")
+    return find_events(username=username, action=action, target_type=target_type, target=target,
+                       start_date=start_date, end_date=end_date, limit=limit)
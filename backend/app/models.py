@@ -1,30 +1,377 @@
-from pydantic import BaseModel, EmailStr, Field
-from typing import Optional
+from datetime import date, datetime
+from pydantic import BaseModel, EmailStr, Field, field_validator, model_validator
+from typing import Any, Dict, List, Literal, Optional
+
+from app.storage import is_image_url
 
 # Product models
+MAX_PRODUCT_IMAGES = 10
+MAX_PRODUCT_OPTIONS = 3
+MAX_OPTION_VALUES = 20
+MAX_PRODUCT_VARIANTS = 100
+
+class ProductImage(BaseModel):
+    # URLs issued by the image upload endpoint; links to other sites are refused
+    url: str = Field(min_length=1, max_length=500)
+    thumbnail_url: str = Field(min_length=1, max_length=500)
+
+    @model_validator(mode="after")
+    def check_urls(self):
+        if not is_image_url(self.url) or not is_image_url(self.thumbnail_url):
+            raise ValueError("Images must be uploaded through /images")
+        return self
+
+class ProductOption(BaseModel):
+    # An axis such as Size or Colour and the values it offers, in display order
+    name: str = Field(min_length=1, max_length=30)
+    values: List[str] = Field(min_length=1, max_length=MAX_OPTION_VALUES)
+
+    @model_validator(mode="after")
+    def check_values(self):
+        if any(not value.strip() or len(value) > 30 for value in self.values):
+            raise ValueError(f"Values of {self.name} must be 1 to 30 characters")
+        if len({value.strip().lower() for value in self.values}) < len(self.values):
+            raise ValueError(f"Values of {self.name} must be unique")
+        return self
+
+class ProductVariant(BaseModel):
+    # None for variants that have not been saved yet
+    id: Optional[int] = None
+    sku: str = Field(min_length=1, max_length=64)
+    # One value per option, in the order of the product's options
+    option_values: List[str]
+    price: float = Field(gt=0, le=1000000)
+    stock_quantity: int = Field(ge=0)
+
+    @field_validator("sku", mode="before")
+    @classmethod
+    def normalize_sku(cls, sku):
+        # Stored trimmed and in capitals like the data service does, so "abc" and "ABC" are one SKU
+        return sku.strip().upper() if isinstance(sku, str) else sku
+
+def check_variants(options: List[ProductOption], variants: List[ProductVariant]):
+    # Every variant is a distinct combination of the options' values with its own SKU.
+    # Not every combination needs a variant, so a shop can leave out ones it does not sell
+    if len({option.name.strip().lower() for option in options}) < len(options):
+        raise ValueError("Option names must be unique")
+    if bool(options) != bool(variants):
+        raise ValueError("Options and variants must be given together")
+    combinations, skus = set(), set()
+    for variant in variants:
+        if (len(variant.option_values) != len(options)
+                or any(value not in option.values for value, option in zip(variant.option_values, options))):
+            raise ValueError(f"Variant {variant.sku} does not match the product's options")
+        combination = tuple(variant.option_values)
+        if combination in combinations:
+            raise ValueError(f"More than one variant is {' / '.join(combination)}")
+        if variant.sku in skus:
+            raise ValueError(f"More than one variant has the SKU {variant.sku}")
+        combinations.add(combination)
+        skus.add(variant.sku)
+
 class ProductBase(BaseModel):
-    name: str
-    description: str
-    price: float = Field(gt=0)
+    name: str = Field(min_length=1, max_length=100)
+    description: str = Field(min_length=1, max_length=1000)
+    price: float = Field(gt=0, le=1000000)
     stock_quantity: int = Field(ge=0)
-    category: str
+    category: str = Field(min_length=1, max_length=50)
+    # Reorder settings; None falls back to the category's defaults
+    reorder_point: Optional[int] = Field(None, ge=0)
+    reorder_quantity: Optional[int] = Field(None, ge=1)
+    # In display order; the first is the primary image shown on cards
+    images: List[ProductImage] = Field(default_factory=list, max_length=MAX_PRODUCT_IMAGES)
+    # A product with variants is sold by variant; the data service then keeps its price at
+    # the lowest variant price and its stock at their total
+    options: List[ProductOption] = Field(default_factory=list, max_length=MAX_PRODUCT_OPTIONS)
+    variants: List[ProductVariant] = Field(default_factory=list, max_length=MAX_PRODUCT_VARIANTS)
+
+    @model_validator(mode="after")
+    def check_options_and_variants(self):
+        check_variants(self.options, self.variants)
+        return self
 
 class ProductCreate(ProductBase):
     pass
 
 class ProductUpdate(BaseModel):
-    name: Optional[str] = None
-    description: Optional[str] = None
-    price: Optional[float] = Field(None, gt=0)
+    name: Optional[str] = Field(None, min_length=1, max_length=100)
+    description: Optional[str] = Field(None, min_length=1, max_length=1000)
+    price: Optional[float] = Field(None, gt=0, le=1000000)
     stock_quantity: Optional[int] = Field(None, ge=0)
-    category: Optional[str] = None
+    category: Optional[str] = Field(None, min_length=1, max_length=50)
+    reorder_point: Optional[int] = Field(None, ge=0)
+    reorder_quantity: Optional[int] = Field(None, ge=1)
+    images: Optional[List[ProductImage]] = Field(None, max_length=MAX_PRODUCT_IMAGES)
+    options: Optional[List[ProductOption]] = Field(None, max_length=MAX_PRODUCT_OPTIONS)
+    variants: Optional[List[ProductVariant]] = Field(None, max_length=MAX_PRODUCT_VARIANTS)
+    # The version the client edited; when given, the update fails with 409 if the product changed since
+    version: Optional[int] = None
+
+    @model_validator(mode="after")
+    def check_options_and_variants(self):
+        if (self.options is None) != (self.variants is None):
+            raise ValueError("Options and variants must be updated together")
+        if self.options is not None:
+            check_variants(self.options, self.variants)
+        return self
 
 class ProductResponse(ProductBase):
     id: int
+    version: Optional[int] = None
+    created_at: Optional[datetime] = None
+    updated_at: Optional[datetime] = None
     
     class Config:
         from_attributes = True
 
+class TrashedProductResponse(ProductResponse):
+    deleted_at: datetime
+    deleted_by: Optional[str] = None
+
+class ProductBounds(BaseModel):
+    min_price: Optional[float] = None
+    max_price: Optional[float] = None
+    max_stock: Optional[int] = None
+
+class ProductPage(BaseModel):
+    items: List[ProductResponse]
+    total: int
+    page: int
+    size: int
+    pages: int
+
+# Analytics
+MAX_STATS_DAYS = 366
+
+class CatalogTotals(BaseModel):
+    products: int
+    average_price: Optional[float] = None
+    stock: Optional[int] = None
+    value: Optional[float] = None
+
+class CategoryTotals(BaseModel):
+    category: str
+    products: int
+    stock: int
+    value: float
+
+class PriceBucket(BaseModel):
+    min: float
+    max: float
+    count: int
+
+class StockTrendPoint(BaseModel):
+    date: date
+    stock: int
+
+class ProductStats(BaseModel):
+    start_date: date
+    end_date: date
+    totals: CatalogTotals
+    categories: List[CategoryTotals]
+    price_histogram: List[PriceBucket]
+    stock_trend: List[StockTrendPoint]
+    # Products at or below their reorder point, lowest stock first
+    low_stock: List[ProductResponse]
+    # Most recently created or updated first
+    recent_products: List[ProductResponse]
+
+# Batch operations
+MAX_BATCH_SIZE = 1000
+
+class ProductFilterCriteria(BaseModel):
+    # Same criteria as the GET /products query parameters
+    q: Optional[str] = None
+    category: Optional[List[str]] = None
+    min_price: Optional[float] = Field(None, ge=0)
+    max_price: Optional[float] = Field(None, ge=0)
+    min_stock: Optional[int] = Field(None, ge=0)
+    max_stock: Optional[int] = Field(None, ge=0)
+    in_stock: bool = False
+
+class ProductBatchRequest(BaseModel):
+    action: Literal["delete", "set_category", "adjust_price", "set_stock"]
+    # Products are selected either by id or by every product matching a filter
+    ids: Optional[List[int]] = Field(None, min_length=1, max_length=MAX_BATCH_SIZE)
+    filter: Optional[ProductFilterCriteria] = None
+    category: Optional[str] = Field(None, min_length=1, max_length=50)
+    price_mode: Literal["percent", "amount"] = "percent"
+    price_change: Optional[float] = None
+    stock_quantity: Optional[int] = Field(None, ge=0)
+
+    @model_validator(mode="after")
+    def check_selection_and_value(self):
+        if (self.ids is None) == (self.filter is None):
+            raise ValueError("Provide either ids or filter")
+        required_field = {
+            "set_category": "category",
+            "adjust_price": "price_change",
+            "set_stock": "stock_quantity",
+        }.get(self.action)
+        if required_field and getattr(self, required_field) is None:
+            raise ValueError(f"{required_field} is required for {self.action}")
+        return self
+
+class ProductBatchItemResult(BaseModel):
+    id: int
+    name: Optional[str] = None
+    success: bool
+    error: Optional[str] = None
+
+class ProductBatchResult(BaseModel):
+    action: str
+    succeeded: int
+    failed: int
+    results: List[ProductBatchItemResult]
+
+# Import
+MAX_IMPORT_CHUNK = 200
+
+class ProductImportRequest(BaseModel):
+    # "upsert" updates the product with the same name (case-insensitive) instead of
+    # creating it; "create" rejects rows whose name is already taken
+    mode: Literal["create", "upsert"] = "create"
+    products: List[ProductCreate] = Field(min_length=1, max_length=MAX_IMPORT_CHUNK)
+
+class ProductImportItemResult(BaseModel):
+    index: int
+    success: bool
+    action: Optional[Literal["created", "updated"]] = None
+    id: Optional[int] = None
+    error: Optional[str] = None
+
+class ProductImportResult(BaseModel):
+    created: int
+    updated: int
+    failed: int
+    results: List[ProductImportItemResult]
+
+# Category models
+class CategoryCreate(BaseModel):
+    name: str = Field(min_length=1, max_length=50)
+
+class CategoryMerge(BaseModel):
+    source_ids: List[int] = Field(min_length=1)
+    target_id: int
+
+class CategoryReorderDefaults(BaseModel):
+    reorder_point: Optional[int] = Field(None, ge=0)
+    reorder_quantity: Optional[int] = Field(None, ge=1)
+
+class CategoryResponse(BaseModel):
+    id: int
+    name: str
+    product_count: int = 0
+    reorder_point: Optional[int] = None
+    reorder_quantity: Optional[int] = None
+
+# Cart models
+class CartItem(BaseModel):
+    product_id: int
+    # Set for products with variants; sku and options describe the chosen one
+    variant_id: Optional[int] = None
+    sku: Optional[str] = None
+    option_values: Optional[List[str]] = None
+    # Name, price and stock as seen when the item was added, to detect later changes
+    name: str
+    price: float = Field(ge=0)
+    stock_quantity: Optional[int] = Field(None, ge=0)
+    quantity: int = Field(ge=1)
+
+class Cart(BaseModel):
+    items: List[CartItem] = []
+
+# Stock ledger models
+StockMovementReason = Literal["received", "damaged", "correction", "sold"]
+
+class StockAdjustment(BaseModel):
+    # Required for products with variants, whose stock is kept per variant
+    variant_id: Optional[int] = None
+    reason: StockMovementReason
+    # Units moved, or for a correction the counted stock
+    quantity: int = Field(ge=0)
+    note: Optional[str] = Field(None, max_length=500)
+
+    @model_validator(mode="after")
+    def check_quantity(self):
+        if self.reason != "correction" and self.quantity == 0:
+            raise ValueError("quantity must be at least 1")
+        return self
+
+class StockMovementResponse(BaseModel):
+    id: int
+    product_id: int
+    # The variant whose stock moved, with its SKU at the time; balance_after is the product's total
+    variant_id: Optional[int] = None
+    sku: Optional[str] = None
+    reason: StockMovementReason
+    quantity_change: int
+    balance_after: int
+    username: Optional[str] = None
+    note: Optional[str] = None
+    created_at: datetime
+
+# Order models
+OrderStatus = Literal["pending", "paid", "shipped", "cancelled"]
+
+class OrderLineCreate(BaseModel):
+    product_id: int
+    # Required for products with variants
+    variant_id: Optional[int] = None
+    quantity: int = Field(ge=1)
+    # Price shown to the customer; the order is refused if it no longer matches
+    unit_price: Optional[float] = None
+
+class OrderCreate(BaseModel):
+    customer_name: str = Field(min_length=1, max_length=100)
+    email: EmailStr
+    phone: Optional[str] = Field(None, max_length=30)
+    address_line1: str = Field(min_length=1, max_length=200)
+    address_line2: Optional[str] = Field(None, max_length=200)
+    city: str = Field(min_length=1, max_length=100)
+    postal_code: str = Field(min_length=1, max_length=20)
+    country: str = Field(min_length=1, max_length=100)
+    items: List[OrderLineCreate] = Field(min_length=1)
+
+class OrderItemResponse(BaseModel):
+    id: int
+    product_id: int
+    variant_id: Optional[int] = None
+    sku: Optional[str] = None
+    product_name: str
+    unit_price: float
+    quantity: int
+
+class OrderStatusChangeResponse(BaseModel):
+    status: OrderStatus
+    changed_at: datetime
+    changed_by: Optional[str] = None
+    note: Optional[str] = None
+
+class OrderResponse(BaseModel):
+    id: int
+    username: str
+    status: OrderStatus
+    customer_name: str
+    email: str
+    phone: Optional[str] = None
+    address_line1: str
+    address_line2: Optional[str] = None
+    city: str
+    postal_code: str
+    country: str
+    total: float
+    created_at: datetime
+    items: List[OrderItemResponse]
+    status_history: List[OrderStatusChangeResponse]
+
+class OrderStatusUpdate(BaseModel):
+    status: OrderStatus
+    note: Optional[str] = Field(None, max_length=500)
+
+class OrderCancel(BaseModel):
+    note: Optional[str] = Field(None, max_length=500)
+
 # User models
 class UserBase(BaseModel):
     username: str
@@ -35,11 +382,48 @@ class UserCreate(UserBase):
 
 class UserResponse(UserBase):
     disabled: bool = False
+    roles: List[str] = []
+    permissions: List[str] = []
+
+# Admin user management
+Role = Literal["viewer", "editor", "admin"]
+
+class UserStatusUpdate(BaseModel):
+    disabled: bool
+
+class UserRolesUpdate(BaseModel):
+    roles: List[Role] = Field(min_length=1)
+
+class PasswordReset(BaseModel):
+    password: str = Field(min_length=6)
+
+class AuditEvent(BaseModel):
+    id: int
+    timestamp: datetime
+    # None for events without a signed-in user, such as registration
+    username: Optional[str] = None
+    action: str
+    target_type: str
+    target_id: str
+    target_name: Optional[str] = None
+    summary: str
+    # Audited fields of the target before and after the change; None where it did not exist
+    before: Optional[Dict[str, Any]] = None
+    after: Optional[Dict[str, Any]] = None
+
+class LoginRequest(BaseModel):
+    username: str
+    password: str
 
 # Token models
 class Token(BaseModel):
     access_token: str
     token_type: str
 
+# Opens the event stream once, within expires_in seconds
+class StreamTicket(BaseModel):
+    ticket: str
+    expires_in: int
+
 class TokenData(BaseModel):
     username: Optional[str] = None
@@ -0,0 +1,62 @@
+import os
+import re
+import uuid
+from pathlib import Path
+from typing import Optional
+
+# Product images live in a local directory and are served by this API under /images.
+# It stands in for a cloud bucket: swapping it out means changing save_image, delete_image
+# and image_path; products only keep the URLs returned by save_image
+IMAGE_STORAGE_DIR = Path(os.getenv("IMAGE_STORAGE_DIR", Path(__file__).resolve().parent.parent / "uploads"))
+IMAGE_URL_PREFIX = "/images/"
+MAX_IMAGE_BYTES = 5 * 1024 * 1024
+
+# Leading bytes of the accepted formats; the declared content type is not trusted
+_SIGNATURES = {
+    "jpg": b"\xff\xd8\xff",
+    "png": b"\x89PNG\r\n\x1a\n",
+    "webp": b"RIFF",
+}
+_NAME_PATTERN = re.compile(r"^[0-9a-f]{32}(-thumb)?\.(jpg|png|webp)$")
+
+def detect_image_type(data: bytes) -> Optional[str]:
+    for extension, signature in _SIGNATURES.items():
+        if data.startswith(signature) and (extension != "webp" or data[8:12] == b"WEBP"):
+            return extension
+    return None
+
+def save_image(data: bytes, thumbnail: bytes) -> dict:
+    # Stores an image with its thumbnail under a fresh name and returns their URLs.
+    # Raises ValueError with a user-facing reason for files that are not accepted
+    extension = detect_image_type(data)
+    if extension is None or detect_image_type(thumbnail) is None:
+        raise ValueError("Only JPEG, PNG and WebP images can be uploaded")
+    if len(data) > MAX_IMAGE_BYTES or len(thumbnail) > MAX_IMAGE_BYTES:
+        raise ValueError(f"Images must be at most {MAX_IMAGE_BYTES // (1024 * 1024)} MB")
+
+    IMAGE_STORAGE_DIR.mkdir(parents=True, exist_ok=True)
+    key = uuid.uuid4().hex
+    name = f"{key}.{extension}"
+    thumbnail_name = f"{key}-thumb.{detect_image_type(thumbnail)}"
+    (IMAGE_STORAGE_DIR / name).write_bytes(data)
+    (IMAGE_STORAGE_DIR / thumbnail_name).write_bytes(thumbnail)
+    return {"url": IMAGE_URL_PREFIX + name, "thumbnail_url": IMAGE_URL_PREFIX + thumbnail_name}
+
+def image_path(name: str) -> Optional[Path]:
+    # The stored file for a name from an image URL, or None; other paths are never served
+    if not _NAME_PATTERN.match(name):
+        return None
+    path = IMAGE_STORAGE_DIR / name
+    return path if path.is_file() else None
+
+def is_image_url(url: str) -> bool:
+    # Whether the URL has the form of those save_image returns
+    return url.startswith(IMAGE_URL_PREFIX) and bool(_NAME_PATTERN.match(url[len(IMAGE_URL_PREFIX):]))
+
+def delete_image(url: Optional[str]):
+    # Removes a stored file by its URL; URLs this storage did not issue are left alone
+    if not url or not is_image_url(url):
+        return
+    path = image_path(url[len(IMAGE_URL_PREFIX):])
+    if path is not None:
+        path.unlink(missing_ok=True)
@@ -0,0 +1,50 @@
+package com.enterprise.demo.controller;
+
+import com.enterprise.demo.model.Category;
+import com.enterprise.demo.model.CategoryMergeRequest;
+import com.enterprise.demo.model.CategorySummary;
+import com.enterprise.demo.service.CategoryService;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.http.HttpStatus;
+import org.springframework.http.ResponseEntity;
+import org.springframework.web.bind.annotation.*;
+
+import java.util.List;
+
+@RestController
+@RequestMapping("/api/categories")
+public class CategoryController {
+    
+    private final CategoryService categoryService;
+    
+    @Autowired
+    public CategoryController(CategoryService categoryService) {
+        this.categoryService = categoryService;
+    }
+    
+    @GetMapping
+    public ResponseEntity<List<CategorySummary>> getCategories() {
+        return ResponseEntity.ok(categoryService.getCategories());
+    }
+    
+    @PostMapping
+    public ResponseEntity<CategorySummary> createCategory(@RequestBody Category category) {
+        return new ResponseEntity<>(categoryService.createCategory(category.getName()), HttpStatus.CREATED);
+    }
+    
+    @PutMapping("/{id}")
+    public ResponseEntity<CategorySummary> renameCategory(@PathVariable Long id, @RequestBody Category category) {
+        return ResponseEntity.ok(categoryService.renameCategory(id, category.getName()));
+    }
+    
+    @PutMapping("/{id}/reorder-defaults")
+    public ResponseEntity<CategorySummary> updateReorderDefaults(@PathVariable Long id, @RequestBody Category category) {
+        return ResponseEntity.ok(categoryService.updateReorderDefaults(
+                id, category.getReorderPoint(), category.getReorderQuantity()));
+    }
+    
+    @PostMapping("/merge")
+    public ResponseEntity<CategorySummary> mergeCategories(@RequestBody CategoryMergeRequest request) {
+        return ResponseEntity.ok(categoryService.mergeCategories(request.getSourceIds(), request.getTargetId()));
+    }
+}
@@ -0,0 +1,44 @@
+package com.enterprise.demo.controller;
+
+import com.enterprise.demo.model.Order;
+import com.enterprise.demo.model.OrderRequest;
+import com.enterprise.demo.model.OrderStatusUpdate;
+import com.enterprise.demo.service.OrderService;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.http.HttpStatus;
+import org.springframework.http.ResponseEntity;
+import org.springframework.web.bind.annotation.*;
+
+import java.util.List;
+
+@RestController
+@RequestMapping("/api/orders")
+public class OrderController {
+    
+    private final OrderService orderService;
+    
+    @Autowired
+    public OrderController(OrderService orderService) {
+        this.orderService = orderService;
+    }
+    
+    @GetMapping
+    public ResponseEntity<List<Order>> getOrders(@RequestParam(required = false) String username) {
+        return ResponseEntity.ok(orderService.getOrders(username));
+    }
+    
+    @GetMapping("/{id}")
+    public ResponseEntity<Order> getOrder(@PathVariable Long id) {
+        return ResponseEntity.ok(orderService.getOrder(id));
+    }
+    
+    @PostMapping
+    public ResponseEntity<Order> placeOrder(@RequestBody OrderRequest request) {
+        return new ResponseEntity<>(orderService.placeOrder(request), HttpStatus.CREATED);
+    }
+    
+    @PutMapping("/{id}/status")
+    public ResponseEntity<Order> updateStatus(@PathVariable Long id, @RequestBody OrderStatusUpdate update) {
+        return ResponseEntity.ok(orderService.updateStatus(id, update));
+    }
+}
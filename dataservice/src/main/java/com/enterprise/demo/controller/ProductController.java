@@ -1,23 +1,42 @@
 package com.enterprise.demo.controller;
 
 import com.enterprise.demo.model.Product;
+import com.enterprise.demo.model.ProductBounds;
+import com.enterprise.demo.model.ProductFilter;
+import com.enterprise.demo.model.ProductStats;
+import com.enterprise.demo.model.StockAdjustment;
+import com.enterprise.demo.model.StockMovement;
 import com.enterprise.demo.service.ProductService;
+import com.enterprise.demo.service.ProductStatsService;
+import com.enterprise.demo.service.StockService;
 import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.data.domain.Page;
+import org.springframework.data.domain.Sort;
+import org.springframework.format.annotation.DateTimeFormat;
 import org.springframework.http.HttpStatus;
 import org.springframework.http.ResponseEntity;
 import org.springframework.web.bind.annotation.*;
 
+import java.time.LocalDate;
 import java.util.List;
 
 @RestController
 @RequestMapping("/api/products")
 public class ProductController {
     
+    // The backend names the signed-in user so stock changes can be attributed
+    private static final String USERNAME_HEADER = "X-Username";
+    
     private final ProductService productService;
+    private final StockService stockService;
+    private final ProductStatsService productStatsService;
     
     @Autowired
-    public ProductController(ProductService productService) {
+    public ProductController(ProductService productService, StockService stockService,
+                             ProductStatsService productStatsService) {
         this.productService = productService;
+        this.stockService = stockService;
+        this.productStatsService = productStatsService;
     }
     
     @GetMapping
@@ -25,6 +44,29 @@ public class ProductController {
         return ResponseEntity.ok(productService.getAllProducts());
     }
     
+    @GetMapping("/search")
+    public ResponseEntity<Page<Product>> searchProducts(
+            ProductFilter filter,
+            @RequestParam(defaultValue = "0") int page,
+            @RequestParam(required = false) Integer size,
+            @RequestParam(defaultValue = "name") String sort,
+            @RequestParam(defaultValue = "asc") String direction) {
+        Sort order = Sort.by(Sort.Direction.fromString(direction), sort).and(Sort.by("id"));
+        return ResponseEntity.ok(productService.searchProducts(filter, page, size, order));
+    }
+    
+    @GetMapping("/bounds")
+    public ResponseEntity<ProductBounds> getBounds() {
+        return ResponseEntity.ok(productService.getBounds());
+    }
+    
+    @GetMapping("/stats")
+    public ResponseEntity<ProductStats> getStats(
+            @RequestParam @DateTimeFormat(iso = DateTimeFormat.ISO.DATE) LocalDate from,
+            @RequestParam @DateTimeFormat(iso = DateTimeFormat.ISO.DATE) LocalDate to) {
+        return ResponseEntity.ok(productStatsService.getStats(from, to));
+    }
+    
     @GetMapping("/{id}")
     public ResponseEntity<Product> getProductById(@PathVariable Long id) {
         return productService.getProductById(id)
@@ -43,18 +85,51 @@ public class ProductController {
     }
     
     @PostMapping
-    public ResponseEntity<Product> createProduct(@RequestBody Product product) {
-        return new ResponseEntity<>(productService.saveProduct(product), HttpStatus.CREATED);
+    public ResponseEntity<Product> createProduct(
+            @RequestBody Product product,
+            @RequestHeader(value = USERNAME_HEADER, required = false) String username) {
+        return new ResponseEntity<>(productService.saveProduct(product, username), HttpStatus.CREATED);
     }
     
     @PutMapping("/{id}")
-    public ResponseEntity<Product> updateProduct(@PathVariable Long id, @RequestBody Product product) {
-        return ResponseEntity.ok(productService.updateProduct(id, product));
+    public ResponseEntity<Product> updateProduct(
+            @PathVariable Long id,
+            @RequestBody Product product,
+            @RequestHeader(value = USERNAME_HEADER, required = false) String username) {
+        return ResponseEntity.ok(productService.updateProduct(id, product, username));
+    }
+    
+    @GetMapping("/{id}/stock-movements")
+    public ResponseEntity<List<StockMovement>> getStockMovements(@PathVariable Long id) {
+        return ResponseEntity.ok(stockService.getMovements(id));
+    }
+    
+    @PostMapping("/{id}/stock-movements")
+    public ResponseEntity<StockMovement> adjustStock(@PathVariable Long id, @RequestBody StockAdjustment adjustment) {
+        return new ResponseEntity<>(stockService.adjust(id, adjustment), HttpStatus.CREATED);
     }
     
     @DeleteMapping("/{id}")
-    public ResponseEntity<Void> deleteProduct(@PathVariable Long id) {
-        productService.deleteProduct(id);
+    public ResponseEntity<Void> deleteProduct(
+            @PathVariable Long id,
+            @RequestHeader(value = USERNAME_HEADER, required = false) String username) {
+        productService.deleteProduct(id, username);
+        return ResponseEntity.noContent().build();
+    }
+    
+    @GetMapping("/trash")
+    public ResponseEntity<List<Product>> getTrashedProducts() {
+        return ResponseEntity.ok(productService.getTrashedProducts());
+    }
+    
+    @PostMapping("/trash/{id}/restore")
+    public ResponseEntity<Product> restoreProduct(@PathVariable Long id) {
+        return ResponseEntity.ok(productService.restoreProduct(id));
+    }
+    
+    @DeleteMapping("/trash/{id}")
+    public ResponseEntity<Void> purgeProduct(@PathVariable Long id) {
+        productService.purgeProduct(id);
         return ResponseEntity.noContent().build();
     }
 }
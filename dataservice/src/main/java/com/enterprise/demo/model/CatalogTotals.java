@@ -0,0 +1,11 @@
+package com.enterprise.demo.model;
+
+/**
+ * Catalog-wide totals; value is the sum of price × stock.
+ */
+public interface CatalogTotals {
+    Long getProducts();
+    Double getAveragePrice();
+    Long getStock();
+    Double getValue();
+}
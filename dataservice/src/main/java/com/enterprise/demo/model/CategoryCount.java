@@ -0,0 +1,9 @@
+package com.enterprise.demo.model;
+
+/**
+ * Projection of the number of products per category name.
+ */
+public interface CategoryCount {
+    String getName();
+    Long getProductCount();
+}
@@ -0,0 +1,27 @@
+package com.enterprise.demo.model;
+
+import java.util.List;
+
+/**
+ * Moves every product of the source categories into the target and removes the sources.
+ */
+public class CategoryMergeRequest {
+    private List<Long> sourceIds;
+    private Long targetId;
+    
+    public List<Long> getSourceIds() {
+        return sourceIds;
+    }
+    
+    public void setSourceIds(List<Long> sourceIds) {
+        this.sourceIds = sourceIds;
+    }
+    
+    public Long getTargetId() {
+        return targetId;
+    }
+    
+    public void setTargetId(Long targetId) {
+        this.targetId = targetId;
+    }
+}
@@ -0,0 +1,40 @@
+package com.enterprise.demo.model;
+
+/**
+ * A category together with the number of products assigned to it and its reorder defaults.
+ */
+public class CategorySummary {
+    private final Long id;
+    private final String name;
+    private final long productCount;
+    private final Integer reorderPoint;
+    private final Integer reorderQuantity;
+    
+    public CategorySummary(Long id, String name, long productCount, Integer reorderPoint, Integer reorderQuantity) {
+        this.id = id;
+        this.name = name;
+        this.productCount = productCount;
+        this.reorderPoint = reorderPoint;
+        this.reorderQuantity = reorderQuantity;
+    }
+    
+    public Long getId() {
+        return id;
+    }
+    
+    public String getName() {
+        return name;
+    }
+    
+    public long getProductCount() {
+        return productCount;
+    }
+    
+    public Integer getReorderPoint() {
+        return reorderPoint;
+    }
+    
+    public Integer getReorderQuantity() {
+        return reorderQuantity;
+    }
+}
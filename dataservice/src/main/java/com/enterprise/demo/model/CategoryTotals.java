@@ -0,0 +1,11 @@
+package com.enterprise.demo.model;
+
+/**
+ * Product count, stock and inventory value (price × stock) of one category.
+ */
+public interface CategoryTotals {
+    String getCategory();
+    Long getProducts();
+    Long getStock();
+    Double getValue();
+}
@@ -0,0 +1,111 @@
+package com.enterprise.demo.model;
+
+import com.fasterxml.jackson.annotation.JsonIgnore;
+import jakarta.persistence.Entity;
+import jakarta.persistence.GeneratedValue;
+import jakarta.persistence.GenerationType;
+import jakarta.persistence.Id;
+import jakarta.persistence.ManyToOne;
+
+/**
+ * A product line of an order; name and price are copied so later product changes
+ * do not alter placed orders. For a variant the name includes its options, and the
+ * SKU is copied as well.
+ */
+@Entity
+public class OrderItem {
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+    
+    @JsonIgnore
+    @ManyToOne
+    private Order order;
+    
+    private Long productId;
+    private Long variantId;
+    private String sku;
+    private String productName;
+    private Double unitPrice;
+    private Integer quantity;
+    
+    public OrderItem() {
+    }
+    
+    public OrderItem(Long productId, String productName, Double unitPrice, Integer quantity) {
+        this.productId = productId;
+        this.productName = productName;
+        this.unitPrice = unitPrice;
+        this.quantity = quantity;
+    }
+    
+    public OrderItem(Product product, ProductVariant variant, Integer quantity) {
+        this(product.getId(), product.getName() + " (" + variant.label() + ")", variant.getPrice(), quantity);
+        this.variantId = variant.getId();
+        this.sku = variant.getSku();
+    }
+    
+    public Long getId() {
+        return id;
+    }
+    
+    public void setId(Long id) {
+        this.id = id;
+    }
+    
+    public Order getOrder() {
+        return order;
+    }
+    
+    public void setOrder(Order order) {
+        this.order = order;
+    }
+    
+    public Long getProductId() {
+        return productId;
+    }
+    
+    public void setProductId(Long productId) {
+        this.productId = productId;
+    }
+    
+    public Long getVariantId() {
+        return variantId;
+    }
+    
+    public void setVariantId(Long variantId) {
+        this.variantId = variantId;
+    }
+    
+    public String getSku() {
+        return sku;
+    }
+    
+    public void setSku(String sku) {
+        this.sku = sku;
+    }
+    
+    public String getProductName() {
+        return productName;
+    }
+    
+    public void setProductName(String productName) {
+        this.productName = productName;
+    }
+    
+    public Double getUnitPrice() {
+        return unitPrice;
+    }
+    
+    public void setUnitPrice(Double unitPrice) {
+        this.unitPrice = unitPrice;
+    }
+    
+    public Integer getQuantity() {
+        return quantity;
+    }
+    
+    public void setQuantity(Integer quantity) {
+        this.quantity = quantity;
+    }
+}
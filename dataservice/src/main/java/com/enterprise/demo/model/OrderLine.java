@@ -0,0 +1,45 @@
+package com.enterprise.demo.model;
+
+/**
+ * A requested product and quantity; unitPrice is the price the customer saw, so an
+ * order is refused rather than charged differently when the price changed meanwhile.
+ * Products with variants are ordered by variant.
+ */
+public class OrderLine {
+    private Long productId;
+    private Long variantId;
+    private Integer quantity;
+    private Double unitPrice;
+    
+    public Long getProductId() {
+        return productId;
+    }
+    
+    public void setProductId(Long productId) {
+        this.productId = productId;
+    }
+    
+    public Long getVariantId() {
+        return variantId;
+    }
+    
+    public void setVariantId(Long variantId) {
+        this.variantId = variantId;
+    }
+    
+    public Integer getQuantity() {
+        return quantity;
+    }
+    
+    public void setQuantity(Integer quantity) {
+        this.quantity = quantity;
+    }
+    
+    public Double getUnitPrice() {
+        return unitPrice;
+    }
+    
+    public void setUnitPrice(Double unitPrice) {
+        this.unitPrice = unitPrice;
+    }
+}
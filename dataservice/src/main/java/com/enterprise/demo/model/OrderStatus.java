@@ -0,0 +1,30 @@
+package com.enterprise.demo.model;
+
+import com.fasterxml.jackson.annotation.JsonProperty;
+
+import java.util.Set;
+
+/**
+ * Lifecycle of an order: pending until paid, then shipped; cancellable until shipped.
+ */
+public enum OrderStatus {
+    @JsonProperty("pending")
+    PENDING,
+    @JsonProperty("paid")
+    PAID,
+    @JsonProperty("shipped")
+    SHIPPED,
+    @JsonProperty("cancelled")
+    CANCELLED;
+    
+    public boolean canTransitionTo(OrderStatus next) {
+        switch (this) {
+            case PENDING:
+                return Set.of(PAID, CANCELLED).contains(next);
+            case PAID:
+                return Set.of(SHIPPED, CANCELLED).contains(next);
+            default:
+                return false;
+        }
+    }
+}
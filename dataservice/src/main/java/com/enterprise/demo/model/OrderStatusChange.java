@@ -0,0 +1,91 @@
+package com.enterprise.demo.model;
+
+import com.fasterxml.jackson.annotation.JsonIgnore;
+import jakarta.persistence.Entity;
+import jakarta.persistence.EnumType;
+import jakarta.persistence.Enumerated;
+import jakarta.persistence.GeneratedValue;
+import jakarta.persistence.GenerationType;
+import jakarta.persistence.Id;
+import jakarta.persistence.ManyToOne;
+
+import java.time.Instant;
+
+/**
+ * One entry in an order's status history.
+ */
+@Entity
+public class OrderStatusChange {
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+    
+    @JsonIgnore
+    @ManyToOne
+    private Order order;
+    
+    @Enumerated(EnumType.STRING)
+    private OrderStatus status;
+    
+    private Instant changedAt;
+    private String changedBy;
+    private String note;
+    
+    public OrderStatusChange() {
+    }
+    
+    public OrderStatusChange(OrderStatus status, String changedBy, String note) {
+        this.status = status;
+        this.changedBy = changedBy;
+        this.note = note;
+        this.changedAt = Instant.now();
+    }
+    
+    public Long getId() {
+        return id;
+    }
+    
+    public void setId(Long id) {
+        this.id = id;
+    }
+    
+    public Order getOrder() {
+        return order;
+    }
+    
+    public void setOrder(Order order) {
+        this.order = order;
+    }
+    
+    public OrderStatus getStatus() {
+        return status;
+    }
+    
+    public void setStatus(OrderStatus status) {
+        this.status = status;
+    }
+    
+    public Instant getChangedAt() {
+        return changedAt;
+    }
+    
+    public void setChangedAt(Instant changedAt) {
+        this.changedAt = changedAt;
+    }
+    
+    public String getChangedBy() {
+        return changedBy;
+    }
+    
+    public void setChangedBy(String changedBy) {
+        this.changedBy = changedBy;
+    }
+    
+    public String getNote() {
+        return note;
+    }
+    
+    public void setNote(String note) {
+        this.note = note;
+    }
+}
@@ -0,0 +1,34 @@
+package com.enterprise.demo.model;
+
+/**
+ * Moves an order to a new status, recorded in its history with who did it and why.
+ */
+public class OrderStatusUpdate {
+    private OrderStatus status;
+    private String changedBy;
+    private String note;
+    
+    public OrderStatus getStatus() {
+        return status;
+    }
+    
+    public void setStatus(OrderStatus status) {
+        this.status = status;
+    }
+    
+    public String getChangedBy() {
+        return changedBy;
+    }
+    
+    public void setChangedBy(String changedBy) {
+        this.changedBy = changedBy;
+    }
+    
+    public String getNote() {
+        return note;
+    }
+    
+    public void setNote(String note) {
+        this.note = note;
+    }
+}
@@ -0,0 +1,28 @@
+package com.enterprise.demo.model;
+
+/**
+ * One bar of the price histogram: products priced from min (inclusive) to max (exclusive).
+ */
+public class PriceBucket {
+    private final double min;
+    private final double max;
+    private final long count;
+    
+    public PriceBucket(double min, double max, long count) {
+        this.min = min;
+        this.max = max;
+        this.count = count;
+    }
+    
+    public double getMin() {
+        return min;
+    }
+    
+    public double getMax() {
+        return max;
+    }
+    
+    public long getCount() {
+        return count;
+    }
+}
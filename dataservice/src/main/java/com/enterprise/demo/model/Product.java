@@ -1,11 +1,32 @@
 package com.enterprise.demo.model;
 
+import jakarta.persistence.CascadeType;
+import jakarta.persistence.CollectionTable;
+import jakarta.persistence.Column;
+import jakarta.persistence.ElementCollection;
 import jakarta.persistence.Entity;
+import jakarta.persistence.FetchType;
 import jakarta.persistence.GeneratedValue;
 import jakarta.persistence.GenerationType;
 import jakarta.persistence.Id;
+import jakarta.persistence.JoinColumn;
+import jakarta.persistence.OneToMany;
+import jakarta.persistence.OrderColumn;
+import jakarta.persistence.PrePersist;
+import jakarta.persistence.PreUpdate;
+import jakarta.persistence.Version;
+import org.hibernate.annotations.Fetch;
+import org.hibernate.annotations.FetchMode;
+import org.hibernate.annotations.Where;
 
+import java.time.Instant;
+import java.util.ArrayList;
+import java.util.List;
+import java.util.Optional;
+
+// Deleted products stay in the table until purged, hidden from every JPA query
 @Entity
+@Where(clause = "deleted_at IS NULL")
 public class Product {
     @Id
     @GeneratedValue(strategy = GenerationType.IDENTITY)
@@ -17,6 +38,43 @@ public class Product {
     private Integer stockQuantity;
     private String category;
     
+    // Stock level at which to reorder and how much; null falls back to the category's defaults
+    private Integer reorderPoint;
+    private Integer reorderQuantity;
+    
+    // In display order; the first is the primary image
+    @ElementCollection(fetch = FetchType.EAGER)
+    @CollectionTable(name = "product_image", joinColumns = @JoinColumn(name = "product_id"))
+    @OrderColumn(name = "position")
+    private List<ProductImage> images = new ArrayList<>();
+    
+    // Option axes and the variants made from them. A product with variants is sold by
+    // variant: its price is the lowest variant price and its stock their total
+    @OneToMany(cascade = CascadeType.ALL, orphanRemoval = true, fetch = FetchType.EAGER)
+    @Fetch(FetchMode.SUBSELECT)
+    @JoinColumn(name = "product_id")
+    @OrderColumn(name = "position")
+    private List<ProductOption> options = new ArrayList<>();
+    
+    @OneToMany(cascade = CascadeType.ALL, orphanRemoval = true, fetch = FetchType.EAGER)
+    @Fetch(FetchMode.SUBSELECT)
+    @JoinColumn(name = "product_id")
+    @OrderColumn(name = "position")
+    private List<ProductVariant> variants = new ArrayList<>();
+    
+    // Maintained by the entity itself; values sent by clients are ignored
+    @Column(updatable = false)
+    private Instant createdAt;
+    private Instant updatedAt;
+    
+    // Set when the product is moved to the trash
+    private Instant deletedAt;
+    private String deletedBy;
+    
+    // Bumped on every change; clients send back the version they edited to detect lost updates
+    @Version
+    private Long version;
+    
     public Product() {
     }
     
@@ -76,4 +134,109 @@ public class Product {
     public void setCategory(String category) {
         this.category = category;
     }
+    
+    public Integer getReorderPoint() {
+        return reorderPoint;
+    }
+    
+    public void setReorderPoint(Integer reorderPoint) {
+        this.reorderPoint = reorderPoint;
+    }
+    
+    public Integer getReorderQuantity() {
+        return reorderQuantity;
+    }
+    
+    public void setReorderQuantity(Integer reorderQuantity) {
+        this.reorderQuantity = reorderQuantity;
+    }
+    
+    public List<ProductImage> getImages() {
+        return images;
+    }
+    
+    // Replaces the contents so Hibernate keeps tracking the same collection
+    public void setImages(List<ProductImage> images) {
+        this.images.clear();
+        if (images != null) {
+            this.images.addAll(images);
+        }
+    }
+    
+    public List<ProductOption> getOptions() {
+        return options;
+    }
+    
+    public void setOptions(List<ProductOption> options) {
+        this.options.clear();
+        if (options != null) {
+            this.options.addAll(options);
+        }
+    }
+    
+    public List<ProductVariant> getVariants() {
+        return variants;
+    }
+    
+    public void setVariants(List<ProductVariant> variants) {
+        this.variants.clear();
+        if (variants != null) {
+            this.variants.addAll(variants);
+        }
+    }
+    
+    public Optional<ProductVariant> findVariant(Long variantId) {
+        return variants.stream().filter(variant -> variantId != null && variantId.equals(variant.getId())).findFirst();
+    }
+    
+    public Instant getCreatedAt() {
+        return createdAt;
+    }
+    
+    public void setCreatedAt(Instant createdAt) {
+        this.createdAt = createdAt;
+    }
+    
+    public Instant getUpdatedAt() {
+        return updatedAt;
+    }
+    
+    public void setUpdatedAt(Instant updatedAt) {
+        this.updatedAt = updatedAt;
+    }
+    
+    public Instant getDeletedAt() {
+        return deletedAt;
+    }
+    
+    public void setDeletedAt(Instant deletedAt) {
+        this.deletedAt = deletedAt;
+    }
+    
+    public String getDeletedBy() {
+        return deletedBy;
+    }
+    
+    public void setDeletedBy(String deletedBy) {
+        this.deletedBy = deletedBy;
+    }
+    
+    public Long getVersion() {
+        return version;
+    }
+    
+    public void setVersion(Long version) {
+        this.version = version;
+    }
+    
+    @PrePersist
+    void onCreate() {
+        createdAt = Instant.now();
+        updatedAt = createdAt;
+    }
+    
+    @PreUpdate
+    void onUpdate() {
+        updatedAt = Instant.now();
+    }
 }
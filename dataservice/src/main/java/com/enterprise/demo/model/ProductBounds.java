@@ -0,0 +1,10 @@
+package com.enterprise.demo.model;
+
+/**
+ * Price and stock extremes across the catalog, used to size range filters.
+ */
+public interface ProductBounds {
+    Double getMinPrice();
+    Double getMaxPrice();
+    Integer getMaxStock();
+}
@@ -0,0 +1,72 @@
+package com.enterprise.demo.model;
+
+import java.util.List;
+
+/**
+ * Search criteria for products; all criteria that are set are combined with AND.
+ */
+public class ProductFilter {
+    private String q;
+    private List<String> category;
+    private Double minPrice;
+    private Double maxPrice;
+    private Integer minStock;
+    private Integer maxStock;
+    private boolean inStock;
+    
+    public String getQ() {
+        return q;
+    }
+    
+    public void setQ(String q) {
+        this.q = q;
+    }
+    
+    public List<String> getCategory() {
+        return category;
+    }
+    
+    public void setCategory(List<String> category) {
+        this.category = category;
+    }
+    
+    public Double getMinPrice() {
+        return minPrice;
+    }
+    
+    public void setMinPrice(Double minPrice) {
+        this.minPrice = minPrice;
+    }
+    
+    public Double getMaxPrice() {
+        return maxPrice;
+    }
+    
+    public void setMaxPrice(Double maxPrice) {
+        this.maxPrice = maxPrice;
+    }
+    
+    public Integer getMinStock() {
+        return minStock;
+    }
+    
+    public void setMinStock(Integer minStock) {
+        this.minStock = minStock;
+    }
+    
+    public Integer getMaxStock() {
+        return maxStock;
+    }
+    
+    public void setMaxStock(Integer maxStock) {
+        this.maxStock = maxStock;
+    }
+    
+    public boolean isInStock() {
+        return inStock;
+    }
+    
+    public void setInStock(boolean inStock) {
+        this.inStock = inStock;
+    }
+}
@@ -0,0 +1,41 @@
+package com.enterprise.demo.model;
+
+import jakarta.persistence.Column;
+import jakarta.persistence.Embeddable;
+
+/**
+ * An image of a product. The files live in the backend's image storage; only their
+ * URLs are kept here.
+ */
+@Embeddable
+public class ProductImage {
+    @Column(length = 500)
+    private String url;
+    
+    @Column(length = 500)
+    private String thumbnailUrl;
+    
+    public ProductImage() {
+    }
+    
+    public ProductImage(String url, String thumbnailUrl) {
+        this.url = url;
+        this.thumbnailUrl = thumbnailUrl;
+    }
+    
+    public String getUrl() {
+        return url;
+    }
+    
+    public void setUrl(String url) {
+        this.url = url;
+    }
+    
+    public String getThumbnailUrl() {
+        return thumbnailUrl;
+    }
+    
+    public void setThumbnailUrl(String thumbnailUrl) {
+        this.thumbnailUrl = thumbnailUrl;
+    }
+}
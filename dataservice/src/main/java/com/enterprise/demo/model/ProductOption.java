@@ -0,0 +1,69 @@
+package com.enterprise.demo.model;
+
+import com.fasterxml.jackson.annotation.JsonIgnore;
+import jakarta.persistence.CollectionTable;
+import jakarta.persistence.Column;
+import jakarta.persistence.ElementCollection;
+import jakarta.persistence.Entity;
+import jakarta.persistence.FetchType;
+import jakarta.persistence.GeneratedValue;
+import jakarta.persistence.GenerationType;
+import jakarta.persistence.Id;
+import jakarta.persistence.JoinColumn;
+import jakarta.persistence.OrderColumn;
+import org.hibernate.annotations.Fetch;
+import org.hibernate.annotations.FetchMode;
+
+import java.util.ArrayList;
+import java.util.List;
+
+/**
+ * An axis a product varies along, such as Size or Colour, with the values it offers
+ * in display order. Options are replaced as a whole when the product is saved.
+ */
+@Entity
+public class ProductOption {
+    @JsonIgnore
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+    
+    private String name;
+    
+    @ElementCollection(fetch = FetchType.EAGER)
+    @Fetch(FetchMode.SUBSELECT)
+    @CollectionTable(name = "product_option_value", joinColumns = @JoinColumn(name = "option_id"))
+    @OrderColumn(name = "position")
+    @Column(name = "option_value")
+    private List<String> values = new ArrayList<>();
+    
+    public ProductOption() {
+    }
+    
+    public Long getId() {
+        return id;
+    }
+    
+    public void setId(Long id) {
+        this.id = id;
+    }
+    
+    public String getName() {
+        return name;
+    }
+    
+    public void setName(String name) {
+        this.name = name;
+    }
+    
+    public List<String> getValues() {
+        return values;
+    }
+    
+    public void setValues(List<String> values) {
+        this.values.clear();
+        if (values != null) {
+            this.values.addAll(values);
+        }
+    }
+}
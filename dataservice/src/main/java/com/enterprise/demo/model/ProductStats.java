@@ -0,0 +1,49 @@
+package com.enterprise.demo.model;
+
+import java.util.List;
+
+/**
+ * Aggregated figures for the analytics dashboard, so clients need not load the whole catalog.
+ */
+public class ProductStats {
+    private final CatalogTotals totals;
+    private final List<CategoryTotals> categories;
+    private final List<PriceBucket> priceHistogram;
+    private final List<StockTrendPoint> stockTrend;
+    private final List<Product> lowStock;
+    private final List<Product> recentProducts;
+    
+    public ProductStats(CatalogTotals totals, List<CategoryTotals> categories, List<PriceBucket> priceHistogram,
+                        List<StockTrendPoint> stockTrend, List<Product> lowStock, List<Product> recentProducts) {
+        this.totals = totals;
+        this.categories = categories;
+        this.priceHistogram = priceHistogram;
+        this.stockTrend = stockTrend;
+        this.lowStock = lowStock;
+        this.recentProducts = recentProducts;
+    }
+    
+    public CatalogTotals getTotals() {
+        return totals;
+    }
+    
+    public List<CategoryTotals> getCategories() {
+        return categories;
+    }
+    
+    public List<PriceBucket> getPriceHistogram() {
+        return priceHistogram;
+    }
+    
+    public List<StockTrendPoint> getStockTrend() {
+        return stockTrend;
+    }
+    
+    public List<Product> getLowStock() {
+        return lowStock;
+    }
+    
+    public List<Product> getRecentProducts() {
+        return recentProducts;
+    }
+}
@@ -0,0 +1,93 @@
+package com.enterprise.demo.model;
+
+import jakarta.persistence.CollectionTable;
+import jakarta.persistence.Column;
+import jakarta.persistence.ElementCollection;
+import jakarta.persistence.Entity;
+import jakarta.persistence.FetchType;
+import jakarta.persistence.GeneratedValue;
+import jakarta.persistence.GenerationType;
+import jakarta.persistence.Id;
+import jakarta.persistence.JoinColumn;
+import jakarta.persistence.OrderColumn;
+import org.hibernate.annotations.Fetch;
+import org.hibernate.annotations.FetchMode;
+
+import java.util.ArrayList;
+import java.util.List;
+
+/**
+ * One combination of a product's option values, sold under its own SKU, price and stock.
+ * optionValues holds one value per option, in the order of the product's options.
+ * Like the product's, the stock is only changed through the stock ledger.
+ */
+@Entity
+public class ProductVariant {
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+    
+    @Column(length = 64, unique = true)
+    private String sku;
+    
+    private Double price;
+    private Integer stockQuantity;
+    
+    @ElementCollection(fetch = FetchType.EAGER)
+    @Fetch(FetchMode.SUBSELECT)
+    @CollectionTable(name = "product_variant_option", joinColumns = @JoinColumn(name = "variant_id"))
+    @OrderColumn(name = "position")
+    @Column(name = "option_value")
+    private List<String> optionValues = new ArrayList<>();
+    
+    public ProductVariant() {
+    }
+    
+    // "M / Red", for order lines and messages
+    public String label() {
+        return String.join(" / ", optionValues);
+    }
+    
+    public Long getId() {
+        return id;
+    }
+    
+    public void setId(Long id) {
+        this.id = id;
+    }
+    
+    public String getSku() {
+        return sku;
+    }
+    
+    public void setSku(String sku) {
+        this.sku = sku;
+    }
+    
+    public Double getPrice() {
+        return price;
+    }
+    
+    public void setPrice(Double price) {
+        this.price = price;
+    }
+    
+    public Integer getStockQuantity() {
+        return stockQuantity;
+    }
+    
+    public void setStockQuantity(Integer stockQuantity) {
+        this.stockQuantity = stockQuantity;
+    }
+    
+    public List<String> getOptionValues() {
+        return optionValues;
+    }
+    
+    public void setOptionValues(List<String> optionValues) {
+        this.optionValues.clear();
+        if (optionValues != null) {
+            this.optionValues.addAll(optionValues);
+        }
+    }
+}
@@ -0,0 +1,54 @@
+package com.enterprise.demo.model;
+
+/**
+ * A manual stock change. For a correction, quantity is the counted stock;
+ * for every other reason it is the number of units moved. Products with variants
+ * are adjusted one variant at a time.
+ */
+public class StockAdjustment {
+    private Long variantId;
+    private StockMovementReason reason;
+    private Integer quantity;
+    private String username;
+    private String note;
+    
+    public Long getVariantId() {
+        return variantId;
+    }
+    
+    public void setVariantId(Long variantId) {
+        this.variantId = variantId;
+    }
+    
+    public StockMovementReason getReason() {
+        return reason;
+    }
+    
+    public void setReason(StockMovementReason reason) {
+        this.reason = reason;
+    }
+    
+    public Integer getQuantity() {
+        return quantity;
+    }
+    
+    public void setQuantity(Integer quantity) {
+        this.quantity = quantity;
+    }
+    
+    public String getUsername() {
+        return username;
+    }
+    
+    public void setUsername(String username) {
+        this.username = username;
+    }
+    
+    public String getNote() {
+        return note;
+    }
+    
+    public void setNote(String note) {
+        this.note = note;
+    }
+}
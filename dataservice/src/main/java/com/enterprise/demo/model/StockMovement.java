@@ -0,0 +1,132 @@
+package com.enterprise.demo.model;
+
+import jakarta.persistence.Entity;
+import jakarta.persistence.EnumType;
+import jakarta.persistence.Enumerated;
+import jakarta.persistence.GeneratedValue;
+import jakarta.persistence.GenerationType;
+import jakarta.persistence.Id;
+import jakarta.persistence.Index;
+import jakarta.persistence.Table;
+
+import java.time.Instant;
+
+/**
+ * One entry in a product's stock ledger. Entries are never changed once written;
+ * balanceAfter is the product's stock right after the movement, so the ledger can be replayed.
+ * Movements of a variant's stock name it, with the SKU it had at the time.
+ */
+@Entity
+@Table(indexes = @Index(columnList = "productId"))
+public class StockMovement {
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+    
+    private Long productId;
+    private Long variantId;
+    private String sku;
+    
+    @Enumerated(EnumType.STRING)
+    private StockMovementReason reason;
+    
+    private Integer quantityChange;
+    private Integer balanceAfter;
+    private String username;
+    private String note;
+    private Instant createdAt;
+    
+    public StockMovement() {
+    }
+    
+    public StockMovement(Long productId, StockMovementReason reason, Integer quantityChange, Integer balanceAfter,
+                         String username, String note) {
+        this.productId = productId;
+        this.reason = reason;
+        this.quantityChange = quantityChange;
+        this.balanceAfter = balanceAfter;
+        this.username = username;
+        this.note = note;
+        this.createdAt = Instant.now();
+    }
+    
+    public Long getId() {
+        return id;
+    }
+    
+    public void setId(Long id) {
+        this.id = id;
+    }
+    
+    public Long getProductId() {
+        return productId;
+    }
+    
+    public void setProductId(Long productId) {
+        this.productId = productId;
+    }
+    
+    public Long getVariantId() {
+        return variantId;
+    }
+    
+    public void setVariantId(Long variantId) {
+        this.variantId = variantId;
+    }
+    
+    public String getSku() {
+        return sku;
+    }
+    
+    public void setSku(String sku) {
+        this.sku = sku;
+    }
+    
+    public StockMovementReason getReason() {
+        return reason;
+    }
+    
+    public void setReason(StockMovementReason reason) {
+        this.reason = reason;
+    }
+    
+    public Integer getQuantityChange() {
+        return quantityChange;
+    }
+    
+    public void setQuantityChange(Integer quantityChange) {
+        this.quantityChange = quantityChange;
+    }
+    
+    public Integer getBalanceAfter() {
+        return balanceAfter;
+    }
+    
+    public void setBalanceAfter(Integer balanceAfter) {
+        this.balanceAfter = balanceAfter;
+    }
+    
+    public String getUsername() {
+        return username;
+    }
+    
+    public void setUsername(String username) {
+        this.username = username;
+    }
+    
+    public String getNote() {
+        return note;
+    }
+    
+    public void setNote(String note) {
+        this.note = note;
+    }
+    
+    public Instant getCreatedAt() {
+        return createdAt;
+    }
+    
+    public void setCreatedAt(Instant createdAt) {
+        this.createdAt = createdAt;
+    }
+}
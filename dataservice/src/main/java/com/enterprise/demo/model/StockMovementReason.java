@@ -0,0 +1,18 @@
+package com.enterprise.demo.model;
+
+import com.fasterxml.jackson.annotation.JsonProperty;
+
+/**
+ * Why a product's stock changed. Received stock adds to the count, damaged and sold
+ * stock takes from it; a correction sets the count to what was actually found.
+ */
+public enum StockMovementReason {
+    @JsonProperty("received")
+    RECEIVED,
+    @JsonProperty("damaged")
+    DAMAGED,
+    @JsonProperty("correction")
+    CORRECTION,
+    @JsonProperty("sold")
+    SOLD
+}
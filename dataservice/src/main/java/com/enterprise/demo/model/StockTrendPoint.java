@@ -0,0 +1,24 @@
+package com.enterprise.demo.model;
+
+import java.time.LocalDate;
+
+/**
+ * Total units in stock across the catalog at the end of a day.
+ */
+public class StockTrendPoint {
+    private final LocalDate date;
+    private final long stock;
+    
+    public StockTrendPoint(LocalDate date, long stock) {
+        this.date = date;
+        this.stock = stock;
+    }
+    
+    public LocalDate getDate() {
+        return date;
+    }
+    
+    public long getStock() {
+        return stock;
+    }
+}
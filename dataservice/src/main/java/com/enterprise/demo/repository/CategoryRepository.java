@@ -0,0 +1,15 @@
+package com.enterprise.demo.repository;
+
+import com.enterprise.demo.model.Category;
+import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.stereotype.Repository;
+
+import java.util.List;
+import java.util.Optional;
+
+@Repository
+public interface CategoryRepository extends JpaRepository<Category, Long> {
+    Optional<Category> findByNameIgnoreCase(String name);
+    boolean existsByNameIgnoreCase(String name);
+    List<Category> findAllByOrderByNameAsc();
+}
@@ -0,0 +1,13 @@
+package com.enterprise.demo.repository;
+
+import com.enterprise.demo.model.Order;
+import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.stereotype.Repository;
+
+import java.util.List;
+
+@Repository
+public interface OrderRepository extends JpaRepository<Order, Long> {
+    List<Order> findByUsernameOrderByCreatedAtDesc(String username);
+    List<Order> findAllByOrderByCreatedAtDesc();
+}
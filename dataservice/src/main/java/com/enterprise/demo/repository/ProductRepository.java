@@ -1,13 +1,108 @@
 package com.enterprise.demo.repository;
 
+import com.enterprise.demo.model.CatalogTotals;
+import com.enterprise.demo.model.CategoryCount;
+import com.enterprise.demo.model.CategoryTotals;
 import com.enterprise.demo.model.Product;
+import com.enterprise.demo.model.ProductBounds;
+import jakarta.persistence.LockModeType;
 import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.data.jpa.repository.JpaSpecificationExecutor;
+import org.springframework.data.jpa.repository.Lock;
+import org.springframework.data.jpa.repository.Modifying;
+import org.springframework.data.jpa.repository.Query;
+import org.springframework.data.repository.query.Param;
 import org.springframework.stereotype.Repository;
 
 import java.util.List;
+import java.util.Optional;
 
 @Repository
-public interface ProductRepository extends JpaRepository<Product, Long> {
+public interface ProductRepository extends JpaRepository<Product, Long>, JpaSpecificationExecutor<Product> {
     List<Product> findByCategory(String category);
     List<Product> findByPriceLessThan(Double price);
+
+    @Query("SELECT p.category AS name, COUNT(p) AS productCount FROM Product p GROUP BY p.category")
+    List<CategoryCount> countByCategory();
+
+    @Query("SELECT COUNT(p) FROM Product p WHERE p.category = :category")
+    long countByCategoryName(@Param("category") String category);
+
+    // Bulk updates skip @Version, so the version is bumped by hand; an edit loaded before
+    // the rename is then refused instead of writing the old category back
+    @Modifying(flushAutomatically = true, clearAutomatically = true)
+    @Query("UPDATE Product p SET p.category = :newName, p.version = p.version + 1 WHERE p.category = :oldName")
+    int renameCategory(@Param("oldName") String oldName, @Param("newName") String newName);
+
+    @Query("SELECT MIN(p.price) AS minPrice, MAX(p.price) AS maxPrice, MAX(p.stockQuantity) AS maxStock FROM Product p")
+    ProductBounds findBounds();
+
+    @Query("SELECT COUNT(p) AS products, AVG(p.price) AS averagePrice, SUM(p.stockQuantity) AS stock, "
+            + "SUM(p.price * p.stockQuantity) AS value FROM Product p")
+    CatalogTotals findTotals();
+
+    @Query("SELECT p.category AS category, COUNT(p) AS products, SUM(p.stockQuantity) AS stock, "
+            + "SUM(p.price * p.stockQuantity) AS value FROM Product p GROUP BY p.category ORDER BY p.category")
+    List<CategoryTotals> findCategoryTotals();
+
+    @Query("SELECT p.price FROM Product p")
+    List<Double> findAllPrices();
+
+    // Products at or below their reorder point: their own, else the category's, else the default
+    @Query("SELECT p FROM Product p LEFT JOIN Category c ON c.name = p.category "
+            + "WHERE p.stockQuantity <= COALESCE(p.reorderPoint, c.reorderPoint, :defaultReorderPoint) "
+            + "ORDER BY p.stockQuantity ASC, p.name ASC")
+    List<Product> findAtOrBelowReorderPoint(@Param("defaultReorderPoint") int defaultReorderPoint);
+
+    List<Product> findTop8ByOrderByUpdatedAtDescIdDesc();
+
+    // Trashed products are hidden from JPQL by the entity's @Where, so these use native SQL
+    @Query(value = "SELECT * FROM product WHERE deleted_at IS NOT NULL ORDER BY deleted_at DESC, id DESC",
+            nativeQuery = true)
+    List<Product> findTrashed();
+
+    @Modifying(flushAutomatically = true, clearAutomatically = true)
+    @Query(value = "UPDATE product SET deleted_at = NULL, deleted_by = NULL WHERE id = :id AND deleted_at IS NOT NULL",
+            nativeQuery = true)
+    int restoreTrashed(@Param("id") Long id);
+
+    @Modifying(flushAutomatically = true, clearAutomatically = true)
+    @Query(value = "DELETE FROM product_image WHERE product_id = :id "
+            + "AND product_id IN (SELECT id FROM product WHERE deleted_at IS NOT NULL)", nativeQuery = true)
+    int purgeTrashedImages(@Param("id") Long id);
+
+    @Modifying(flushAutomatically = true, clearAutomatically = true)
+    @Query(value = "DELETE FROM product_variant_option WHERE variant_id IN (SELECT v.id FROM product_variant v "
+            + "JOIN product p ON p.id = v.product_id WHERE p.id = :id AND p.deleted_at IS NOT NULL)", nativeQuery = true)
+    int purgeTrashedVariantOptions(@Param("id") Long id);
+
+    @Modifying(flushAutomatically = true, clearAutomatically = true)
+    @Query(value = "DELETE FROM product_variant WHERE product_id = :id "
+            + "AND product_id IN (SELECT id FROM product WHERE deleted_at IS NOT NULL)", nativeQuery = true)
+    int purgeTrashedVariants(@Param("id") Long id);
+
+    @Modifying(flushAutomatically = true, clearAutomatically = true)
+    @Query(value = "DELETE FROM product_option_value WHERE option_id IN (SELECT o.id FROM product_option o "
+            + "JOIN product p ON p.id = o.product_id WHERE p.id = :id AND p.deleted_at IS NOT NULL)", nativeQuery = true)
+    int purgeTrashedOptionValues(@Param("id") Long id);
+
+    @Modifying(flushAutomatically = true, clearAutomatically = true)
+    @Query(value = "DELETE FROM product_option WHERE product_id = :id "
+            + "AND product_id IN (SELECT id FROM product WHERE deleted_at IS NOT NULL)", nativeQuery = true)
+    int purgeTrashedOptions(@Param("id") Long id);
+
+    @Modifying(flushAutomatically = true, clearAutomatically = true)
+    @Query(value = "DELETE FROM product WHERE id = :id AND deleted_at IS NOT NULL", nativeQuery = true)
+    int purgeTrashed(@Param("id") Long id);
+
+    // SKUs among the given ones that other products' variants already use, trashed products
+    // included since they can be restored; pass 0 as productId for a new product
+    @Query(value = "SELECT sku FROM product_variant WHERE sku IN (:skus) AND product_id <> :productId",
+            nativeQuery = true)
+    List<String> findSkusInUse(@Param("skus") List<String> skus, @Param("productId") Long productId);
+
+    // Locks the row so concurrent orders cannot sell the same stock twice
+    @Lock(LockModeType.PESSIMISTIC_WRITE)
+    @Query("SELECT p FROM Product p WHERE p.id = :id")
+    Optional<Product> findByIdForUpdate(@Param("id") Long id);
 }
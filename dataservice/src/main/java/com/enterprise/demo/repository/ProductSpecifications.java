@@ -0,0 +1,72 @@
+package com.enterprise.demo.repository;
+
+import com.enterprise.demo.model.Product;
+import com.enterprise.demo.model.ProductFilter;
+import org.springframework.data.jpa.domain.Specification;
+
+import java.util.List;
+
+public final class ProductSpecifications {
+
+    private ProductSpecifications() {
+    }
+
+    public static Specification<Product> fromFilter(ProductFilter filter) {
+        return Specification.where(matchesQuery(filter.getQ()))
+                .and(inCategories(filter.getCategory()))
+                .and(priceBetween(filter.getMinPrice(), filter.getMaxPrice()))
+                .and(stockBetween(filter.getMinStock(), filter.getMaxStock()))
+                .and(filter.isInStock() ? inStock() : null);
+    }
+
+    public static Specification<Product> matchesQuery(String query) {
+        if (query == null || query.isBlank()) {
+            return null;
+        }
+        String pattern = "%" + query.trim().toLowerCase() + "%";
+        return (root, criteriaQuery, cb) -> cb.or(
+                cb.like(cb.lower(root.get("name")), pattern),
+                cb.like(cb.lower(root.get("description")), pattern));
+    }
+
+    public static Specification<Product> inCategories(List<String> categories) {
+        if (categories == null || categories.isEmpty()) {
+            return null;
+        }
+        return (root, criteriaQuery, cb) -> root.get("category").in(categories);
+    }
+
+    public static Specification<Product> priceBetween(Double minPrice, Double maxPrice) {
+        if (minPrice == null && maxPrice == null) {
+            return null;
+        }
+        return (root, criteriaQuery, cb) -> {
+            if (minPrice == null) {
+                return cb.lessThanOrEqualTo(root.get("price"), maxPrice);
+            }
+            if (maxPrice == null) {
+                return cb.greaterThanOrEqualTo(root.get("price"), minPrice);
+            }
+            return cb.between(root.get("price"), minPrice, maxPrice);
+        };
+    }
+
+    public static Specification<Product> stockBetween(Integer minStock, Integer maxStock) {
+        if (minStock == null && maxStock == null) {
+            return null;
+        }
+        return (root, criteriaQuery, cb) -> {
+            if (minStock == null) {
+                return cb.lessThanOrEqualTo(root.get("stockQuantity"), maxStock);
+            }
+            if (maxStock == null) {
+                return cb.greaterThanOrEqualTo(root.get("stockQuantity"), minStock);
+            }
+            return cb.between(root.get("stockQuantity"), minStock, maxStock);
+        };
+    }
+
+    public static Specification<Product> inStock() {
+        return (root, criteriaQuery, cb) -> cb.greaterThan(root.get("stockQuantity"), 0);
+    }
+}
@@ -0,0 +1,20 @@
+package com.enterprise.demo.repository;
+
+import com.enterprise.demo.model.StockMovement;
+import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.data.jpa.repository.Query;
+import org.springframework.data.repository.query.Param;
+import org.springframework.stereotype.Repository;
+
+import java.time.Instant;
+import java.util.List;
+
+@Repository
+public interface StockMovementRepository extends JpaRepository<StockMovement, Long> {
+    List<StockMovement> findByProductIdOrderByCreatedAtAscIdAsc(Long productId);
+
+    // Movements of products that still exist, newest first
+    @Query("SELECT m FROM StockMovement m WHERE m.createdAt > :since "
+            + "AND m.productId IN (SELECT p.id FROM Product p) ORDER BY m.createdAt DESC")
+    List<StockMovement> findCurrentProductMovementsSince(@Param("since") Instant since);
+}
@@ -0,0 +1,130 @@
+package com.enterprise.demo.service;
+
+import com.enterprise.demo.model.Category;
+import com.enterprise.demo.model.CategoryCount;
+import com.enterprise.demo.model.CategorySummary;
+import com.enterprise.demo.repository.CategoryRepository;
+import com.enterprise.demo.repository.ProductRepository;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.http.HttpStatus;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+import org.springframework.web.server.ResponseStatusException;
+
+import java.util.List;
+import java.util.Map;
+import java.util.stream.Collectors;
+
+@Service
+public class CategoryService {
+    
+    private final CategoryRepository categoryRepository;
+    private final ProductRepository productRepository;
+    
+    @Autowired
+    public CategoryService(CategoryRepository categoryRepository, ProductRepository productRepository) {
+        this.categoryRepository = categoryRepository;
+        this.productRepository = productRepository;
+    }
+    
+    public List<CategorySummary> getCategories() {
+        Map<String, Long> counts = productRepository.countByCategory().stream()
+                .collect(Collectors.toMap(CategoryCount::getName, CategoryCount::getProductCount));
+        
+        return categoryRepository.findAllByOrderByNameAsc().stream()
+                .map(category -> toSummary(category, counts.getOrDefault(category.getName(), 0L)))
+                .collect(Collectors.toList());
+    }
+    
+    @Transactional
+    public CategorySummary createCategory(String name) {
+        String trimmed = requireName(name);
+        if (categoryRepository.existsByNameIgnoreCase(trimmed)) {
+            throw new ResponseStatusException(HttpStatus.CONFLICT, "Category '" + trimmed + "' already exists");
+        }
+        return toSummary(categoryRepository.save(new Category(trimmed)), 0L);
+    }
+    
+    // Products store the category by name, so renaming updates every product in it
+    @Transactional
+    public CategorySummary renameCategory(Long id, String name) {
+        Category category = findCategory(id);
+        String trimmed = requireName(name);
+        
+        categoryRepository.findByNameIgnoreCase(trimmed)
+                .filter(existing -> !existing.getId().equals(id))
+                .ifPresent(existing -> {
+                    throw new ResponseStatusException(HttpStatus.CONFLICT,
+                            "Category '" + existing.getName() + "' already exists; merge the categories instead");
+                });
+        
+        int updated = productRepository.renameCategory(category.getName(), trimmed);
+        category.setName(trimmed);
+        return toSummary(categoryRepository.save(category), updated);
+    }
+    
+    // Null clears a default, leaving the products in the category on the global one
+    @Transactional
+    public CategorySummary updateReorderDefaults(Long id, Integer reorderPoint, Integer reorderQuantity) {
+        Category category = findCategory(id);
+        if (reorderPoint != null && reorderPoint < 0) {
+            throw new ResponseStatusException(HttpStatus.BAD_REQUEST, "The reorder point cannot be negative");
+        }
+        if (reorderQuantity != null && reorderQuantity < 1) {
+            throw new ResponseStatusException(HttpStatus.BAD_REQUEST, "The reorder quantity must be at least 1");
+        }
+        
+        category.setReorderPoint(reorderPoint);
+        category.setReorderQuantity(reorderQuantity);
+        return toSummary(categoryRepository.save(category), productRepository.countByCategoryName(category.getName()));
+    }
+    
+    @Transactional
+    public CategorySummary mergeCategories(List<Long> sourceIds, Long targetId) {
+        Category target = findCategory(targetId);
+        if (sourceIds == null || sourceIds.isEmpty()) {
+            throw new ResponseStatusException(HttpStatus.BAD_REQUEST, "At least one source category is required");
+        }
+        
+        for (Long sourceId : sourceIds) {
+            if (sourceId.equals(targetId)) {
+                continue;
+            }
+            Category source = findCategory(sourceId);
+            productRepository.renameCategory(source.getName(), target.getName());
+            categoryRepository.delete(source);
+        }
+        
+        return toSummary(target, productRepository.countByCategoryName(target.getName()));
+    }
+    
+    // Keeps the category list in sync when products are saved: returns the existing
+    // category's spelling, creating the category if it is new
+    @Transactional
+    public String resolveCategoryName(String name) {
+        if (name == null || name.isBlank()) {
+            return name;
+        }
+        String trimmed = name.trim();
+        return categoryRepository.findByNameIgnoreCase(trimmed)
+                .orElseGet(() -> categoryRepository.save(new Category(trimmed)))
+                .getName();
+    }
+    
+    private Category findCategory(Long id) {
+        return categoryRepository.findById(id)
+                .orElseThrow(() -> new ResponseStatusException(HttpStatus.NOT_FOUND, "Category not found with id: " + id));
+    }
+    
+    private String requireName(String name) {
+        if (name == null || name.isBlank()) {
+            throw new ResponseStatusException(HttpStatus.BAD_REQUEST, "Category name is required");
+        }
+        return name.trim();
+    }
+    
+    private CategorySummary toSummary(Category category, long productCount) {
+        return new CategorySummary(category.getId(), category.getName(), productCount,
+                category.getReorderPoint(), category.getReorderQuantity());
+    }
+}
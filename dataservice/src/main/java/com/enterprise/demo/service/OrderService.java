@@ -0,0 +1,178 @@
+package com.enterprise.demo.service;
+
+import com.enterprise.demo.model.Order;
+import com.enterprise.demo.model.OrderItem;
+import com.enterprise.demo.model.OrderLine;
+import com.enterprise.demo.model.OrderRequest;
+import com.enterprise.demo.model.OrderStatus;
+import com.enterprise.demo.model.OrderStatusChange;
+import com.enterprise.demo.model.OrderStatusUpdate;
+import com.enterprise.demo.model.Product;
+import com.enterprise.demo.model.ProductVariant;
+import com.enterprise.demo.model.StockMovement;
+import com.enterprise.demo.model.StockMovementReason;
+import com.enterprise.demo.repository.OrderRepository;
+import com.enterprise.demo.repository.ProductRepository;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.http.HttpStatus;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+import org.springframework.web.server.ResponseStatusException;
+
+import java.time.Instant;
+import java.util.ArrayList;
+import java.util.Comparator;
+import java.util.List;
+import java.util.Optional;
+
+@Service
+public class OrderService {
+    
+    // Prices are compared with a tolerance so float rounding is not reported as a change
+    private static final double PRICE_TOLERANCE = 0.005;
+    
+    private final OrderRepository orderRepository;
+    private final ProductRepository productRepository;
+    private final StockService stockService;
+    
+    @Autowired
+    public OrderService(OrderRepository orderRepository, ProductRepository productRepository, StockService stockService) {
+        this.orderRepository = orderRepository;
+        this.productRepository = productRepository;
+        this.stockService = stockService;
+    }
+    
+    // All orders when username is null
+    public List<Order> getOrders(String username) {
+        return username == null
+                ? orderRepository.findAllByOrderByCreatedAtDesc()
+                : orderRepository.findByUsernameOrderByCreatedAtDesc(username);
+    }
+    
+    public Order getOrder(Long id) {
+        return orderRepository.findById(id)
+                .orElseThrow(() -> new ResponseStatusException(HttpStatus.NOT_FOUND, "Order not found with id: " + id));
+    }
+    
+    // Reserves the stock of every line or, if any line cannot be fulfilled, none of them
+    @Transactional
+    public Order placeOrder(OrderRequest request) {
+        List<OrderLine> lines = Optional.ofNullable(request.getItems()).orElse(List.of());
+        if (lines.isEmpty()) {
+            throw new ResponseStatusException(HttpStatus.BAD_REQUEST, "An order needs at least one item");
+        }
+        
+        Order order = new Order();
+        order.setUsername(request.getUsername());
+        order.setCustomerName(request.getCustomerName());
+        order.setEmail(request.getEmail());
+        order.setPhone(request.getPhone());
+        order.setAddressLine1(request.getAddressLine1());
+        order.setAddressLine2(request.getAddressLine2());
+        order.setCity(request.getCity());
+        order.setPostalCode(request.getPostalCode());
+        order.setCountry(request.getCountry());
+        order.setCreatedAt(Instant.now());
+        
+        // Rows are locked in id order so concurrent orders cannot deadlock
+        List<OrderLine> sortedLines = new ArrayList<>(lines);
+        sortedLines.sort(Comparator.comparing(OrderLine::getProductId));
+        
+        List<String> problems = new ArrayList<>();
+        List<StockMovement> movements = new ArrayList<>();
+        double total = 0;
+        for (OrderLine line : sortedLines) {
+            if (line.getQuantity() == null || line.getQuantity() < 1) {
+                throw new ResponseStatusException(HttpStatus.BAD_REQUEST, "Quantities must be at least 1");
+            }
+            Optional<Product> found = productRepository.findByIdForUpdate(line.getProductId());
+            if (found.isEmpty()) {
+                problems.add("Product " + line.getProductId() + " is no longer available");
+                continue;
+            }
+            
+            Product product = found.get();
+            ProductVariant variant = null;
+            if (!product.getVariants().isEmpty()) {
+                Optional<ProductVariant> chosen = product.findVariant(line.getVariantId());
+                if (chosen.isEmpty()) {
+                    problems.add(line.getVariantId() == null
+                            ? "Choose the options of '" + product.getName() + "'"
+                            : "The chosen options of '" + product.getName() + "' are no longer available");
+                    continue;
+                }
+                variant = chosen.get();
+            }
+            
+            OrderItem item = variant == null
+                    ? new OrderItem(product.getId(), product.getName(), product.getPrice(), line.getQuantity())
+                    : new OrderItem(product, variant, line.getQuantity());
+            int stock = variant == null ? product.getStockQuantity() : variant.getStockQuantity();
+            if (line.getUnitPrice() != null && Math.abs(item.getUnitPrice() - line.getUnitPrice()) > PRICE_TOLERANCE) {
+                problems.add(String.format("The price of '%s' changed from $%.2f to $%.2f",
+                        item.getProductName(), line.getUnitPrice(), item.getUnitPrice()));
+            }
+            if (stock < line.getQuantity()) {
+                problems.add(stock == 0
+                        ? "'" + item.getProductName() + "' is out of stock"
+                        : "Only " + stock + " of '" + item.getProductName() + "' left in stock");
+                continue;
+            }
+            
+            movements.add(stockService.record(product, variant, StockMovementReason.SOLD, -line.getQuantity(),
+                    request.getUsername(), null));
+            order.addItem(item);
+            total += item.getUnitPrice() * line.getQuantity();
+        }
+        
+        // Throwing rolls back the stock already taken for earlier lines
+        if (!problems.isEmpty()) {
+            throw new ResponseStatusException(HttpStatus.CONFLICT, String.join("; ", problems));
+        }
+        
+        order.setTotal(Math.round(total * 100) / 100.0);
+        order.addStatusChange(new OrderStatusChange(OrderStatus.PENDING, request.getUsername(), "Order placed"));
+        Order saved = orderRepository.save(order);
+        // Ledger entries name the order once it has an id
+        movements.forEach(movement -> movement.setNote("Order #" + saved.getId()));
+        return saved;
+    }
+    
+    // Cancelling puts the reserved stock back
+    @Transactional
+    public Order updateStatus(Long id, OrderStatusUpdate update) {
+        Order order = getOrder(id);
+        OrderStatus next = update.getStatus();
+        if (next == null) {
+            throw new ResponseStatusException(HttpStatus.BAD_REQUEST, "A status is required");
+        }
+        if (!order.getStatus().canTransitionTo(next)) {
+            throw new ResponseStatusException(HttpStatus.CONFLICT, "Cannot change a "
+                    + order.getStatus().name().toLowerCase() + " order to " + next.name().toLowerCase());
+        }
+        
+        if (next == OrderStatus.CANCELLED) {
+            for (OrderItem item : order.getItems()) {
+                productRepository.findByIdForUpdate(item.getProductId())
+                        .ifPresent(product -> putBack(product, item, update.getChangedBy(), order.getId()));
+            }
+        }
+        
+        order.addStatusChange(new OrderStatusChange(next, update.getChangedBy(), update.getNote()));
+        return orderRepository.save(order);
+    }
+    
+    // Stock goes back to the variant it was taken from; if that variant has been removed,
+    // or the product has gained variants since, there is nowhere to put it back
+    private void putBack(Product product, OrderItem item, String username, Long orderId) {
+        String note = "Order #" + orderId + " cancelled";
+        if (item.getVariantId() == null) {
+            if (product.getVariants().isEmpty()) {
+                stockService.record(product, StockMovementReason.CORRECTION, item.getQuantity(), username, note);
+            }
+            return;
+        }
+        product.findVariant(item.getVariantId()).ifPresent(variant ->
+                stockService.record(product, variant, StockMovementReason.CORRECTION, item.getQuantity(), username, note));
+    }
+}
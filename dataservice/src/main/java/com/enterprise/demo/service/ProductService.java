@@ -1,21 +1,45 @@
 package com.enterprise.demo.service;
 
 import com.enterprise.demo.model.Product;
+import com.enterprise.demo.model.ProductBounds;
+import com.enterprise.demo.model.ProductFilter;
+import com.enterprise.demo.model.ProductVariant;
+import com.enterprise.demo.model.StockMovementReason;
 import com.enterprise.demo.repository.ProductRepository;
+import com.enterprise.demo.repository.ProductSpecifications;
 import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.data.domain.Page;
+import org.springframework.data.domain.PageImpl;
+import org.springframework.data.domain.PageRequest;
+import org.springframework.data.domain.Sort;
+import org.springframework.data.jpa.domain.Specification;
+import org.springframework.http.HttpStatus;
 import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+import org.springframework.web.server.ResponseStatusException;
 
+import java.time.Instant;
+import java.util.ArrayList;
+import java.util.HashMap;
+import java.util.HashSet;
 import java.util.List;
+import java.util.Locale;
+import java.util.Map;
 import java.util.Optional;
+import java.util.Set;
 
 @Service
 public class ProductService {
     
     private final ProductRepository productRepository;
+    private final CategoryService categoryService;
+    private final StockService stockService;
     
     @Autowired
-    public ProductService(ProductRepository productRepository) {
+    public ProductService(ProductRepository productRepository, CategoryService categoryService, StockService stockService) {
         this.productRepository = productRepository;
+        this.categoryService = categoryService;
+        this.stockService = stockService;
     }
     
     public List<Product> getAllProducts() {
@@ -34,24 +58,233 @@ public class ProductService {
         return productRepository.findByPriceLessThan(price);
     }
     
-    public Product saveProduct(Product product) {
-        return productRepository.save(product);
+    public Page<Product> searchProducts(ProductFilter filter, int page, Integer size, Sort sort) {
+        Specification<Product> spec = ProductSpecifications.fromFilter(filter);
+        
+        // Without a page size the whole matching set is returned as a single page
+        if (size == null) {
+            List<Product> products = productRepository.findAll(spec, sort);
+            return new PageImpl<>(products);
+        }
+        return productRepository.findAll(spec, PageRequest.of(page, size, sort));
+    }
+    
+    public ProductBounds getBounds() {
+        return productRepository.findBounds();
     }
     
-    public void deleteProduct(Long id) {
-        productRepository.deleteById(id);
+    // Stock is only ever changed through the ledger, so the opening stock is recorded as received
+    @Transactional
+    public Product saveProduct(Product product, String username) {
+        normalizeSkus(product.getVariants());
+        checkSkus(product.getVariants(), null);
+        int openingStock = product.getStockQuantity() == null ? 0 : product.getStockQuantity();
+        List<Integer> openingVariantStock = new ArrayList<>();
+        for (ProductVariant variant : product.getVariants()) {
+            openingVariantStock.add(variant.getStockQuantity() == null ? 0 : variant.getStockQuantity());
+            variant.setId(null);
+            variant.setStockQuantity(0);
+        }
+        product.setCategory(categoryService.resolveCategoryName(product.getCategory()));
+        product.setStockQuantity(0);
+        applyLowestVariantPrice(product);
+        Product saved = productRepository.save(product);
+        
+        if (saved.getVariants().isEmpty()) {
+            if (openingStock > 0) {
+                stockService.record(saved, StockMovementReason.RECEIVED, openingStock, username, "Opening stock");
+            }
+            return saved;
+        }
+        for (int i = 0; i < saved.getVariants().size(); i++) {
+            if (openingVariantStock.get(i) > 0) {
+                stockService.record(saved, saved.getVariants().get(i), StockMovementReason.RECEIVED,
+                        openingVariantStock.get(i), username, "Opening stock");
+            }
+        }
+        return saved;
     }
     
-    public Product updateProduct(Long id, Product productDetails) {
+    // Moves the product to the trash; it can be restored until it is purged
+    @Transactional
+    public void deleteProduct(Long id, String username) {
         Product product = productRepository.findById(id)
-                .orElseThrow(() -> new RuntimeException("Product not found with id: " + id));
+                .orElseThrow(() -> new ResponseStatusException(HttpStatus.NOT_FOUND, "Product not found with id: " + id));
+        product.setDeletedAt(Instant.now());
+        product.setDeletedBy(username);
+        productRepository.save(product);
+    }
+    
+    public List<Product> getTrashedProducts() {
+        return productRepository.findTrashed();
+    }
+    
+    @Transactional
+    public Product restoreProduct(Long id) {
+        if (productRepository.restoreTrashed(id) == 0) {
+            throw new ResponseStatusException(HttpStatus.NOT_FOUND, "No product with id " + id + " in the trash");
+        }
+        Product product = productRepository.findById(id).orElseThrow();
+        List<String> inUse = findSkusInUse(product.getVariants(), id);
+        if (!inUse.isEmpty()) {
+            throw new ResponseStatusException(HttpStatus.CONFLICT,
+                    "Cannot restore: SKU " + String.join(", ", inUse) + " is now used by another product");
+        }
+        // The category may have been renamed or removed while the product was in the trash
+        product.setCategory(categoryService.resolveCategoryName(product.getCategory()));
+        return productRepository.save(product);
+    }
+    
+    // Permanently removes a trashed product; its stock ledger is kept for the records
+    @Transactional
+    public void purgeProduct(Long id) {
+        productRepository.purgeTrashedImages(id);
+        productRepository.purgeTrashedVariantOptions(id);
+        productRepository.purgeTrashedVariants(id);
+        productRepository.purgeTrashedOptionValues(id);
+        productRepository.purgeTrashedOptions(id);
+        if (productRepository.purgeTrashed(id) == 0) {
+            throw new ResponseStatusException(HttpStatus.NOT_FOUND, "No product with id " + id + " in the trash");
+        }
+    }
+    
+    // A stock quantity typed into the product form is recorded as a correction
+    @Transactional
+    public Product updateProduct(Long id, Product productDetails, String username) {
+        Product product = productRepository.findByIdForUpdate(id)
+                .orElseThrow(() -> new ResponseStatusException(HttpStatus.NOT_FOUND, "Product not found with id: " + id));
+        
+        // Without a version the caller overwrites whatever is stored, as before
+        if (productDetails.getVersion() != null && !productDetails.getVersion().equals(product.getVersion())) {
+            throw new ResponseStatusException(HttpStatus.CONFLICT,
+                    "The product was changed by someone else since it was loaded");
+        }
         
         product.setName(productDetails.getName());
         product.setDescription(productDetails.getDescription());
         product.setPrice(productDetails.getPrice());
-        product.setStockQuantity(productDetails.getStockQuantity());
-        product.setCategory(productDetails.getCategory());
+        product.setCategory(categoryService.resolveCategoryName(productDetails.getCategory()));
+        product.setReorderPoint(productDetails.getReorderPoint());
+        product.setReorderQuantity(productDetails.getReorderQuantity());
+        product.setImages(productDetails.getImages());
+        updateVariants(product, productDetails, username);
         
+        // With variants the product's stock is their total, set per variant above
+        Integer stock = productDetails.getStockQuantity();
+        if (product.getVariants().isEmpty() && stock != null && !stock.equals(product.getStockQuantity())) {
+            stockService.record(product, StockMovementReason.CORRECTION, stock - product.getStockQuantity(),
+                    username, "Set on the product form");
+        }
+        
+        applyLowestVariantPrice(product);
         return productRepository.save(product);
     }
+    
+    // Variants are matched by id, so orders and ledger entries keep pointing at the same
+    // variant when it is edited. Stock typed in for a variant is recorded as a correction;
+    // a removed variant's stock is written off, and a product's own stock is written off
+    // when it gets its first variants, as its stock is theirs from then on
+    private void updateVariants(Product product, Product productDetails, String username) {
+        List<ProductVariant> requested = productDetails.getVariants();
+        normalizeSkus(requested);
+        checkSkus(requested, product.getId());
+        if (product.getVariants().isEmpty() && !requested.isEmpty() && product.getStockQuantity() != 0) {
+            stockService.record(product, StockMovementReason.CORRECTION, -product.getStockQuantity(),
+                    username, "Moved to the new variants");
+        }
+        
+        Map<Long, ProductVariant> existing = new HashMap<>();
+        product.getVariants().forEach(variant -> existing.put(variant.getId(), variant));
+        clearChangingSkus(existing, requested);
+        List<ProductVariant> variants = new ArrayList<>();
+        List<Integer> requestedStock = new ArrayList<>();
+        for (ProductVariant details : requested) {
+            ProductVariant variant = details.getId() == null ? null : existing.remove(details.getId());
+            if (variant == null) {
+                variant = new ProductVariant();
+                variant.setStockQuantity(0);
+            }
+            variant.setSku(details.getSku());
+            variant.setPrice(details.getPrice());
+            variant.setOptionValues(details.getOptionValues());
+            variants.add(variant);
+            requestedStock.add(details.getStockQuantity() == null ? variant.getStockQuantity() : details.getStockQuantity());
+        }
+        for (ProductVariant removed : existing.values()) {
+            if (removed.getStockQuantity() != 0) {
+                stockService.record(product, removed, StockMovementReason.CORRECTION, -removed.getStockQuantity(),
+                        username, "Variant " + removed.getSku() + " removed");
+            }
+        }
+        
+        product.setOptions(productDetails.getOptions());
+        product.setVariants(variants);
+        // Gives new variants their ids before the ledger refers to them
+        productRepository.flush();
+        for (int i = 0; i < variants.size(); i++) {
+            ProductVariant variant = variants.get(i);
+            int change = requestedStock.get(i) - variant.getStockQuantity();
+            if (change != 0) {
+                stockService.record(product, variant, StockMovementReason.CORRECTION, change,
+                        username, "Set on the product form");
+            }
+        }
+    }
+    
+    // SKUs are unique, and new variants are inserted before existing ones are updated, so
+    // kept variants whose SKU changes let go of the old one first. That lets SKUs move
+    // between the product's variants, e.g. when two are swapped
+    private void clearChangingSkus(Map<Long, ProductVariant> existing, List<ProductVariant> requested) {
+        boolean cleared = false;
+        for (ProductVariant details : requested) {
+            ProductVariant variant = details.getId() == null ? null : existing.get(details.getId());
+            if (variant != null && !variant.getSku().equals(details.getSku())) {
+                variant.setSku(null);
+                cleared = true;
+            }
+        }
+        if (cleared) {
+            productRepository.flush();
+        }
+    }
+    
+    private void applyLowestVariantPrice(Product product) {
+        product.getVariants().stream()
+                .map(ProductVariant::getPrice)
+                .min(Double::compare)
+                .ifPresent(product::setPrice);
+    }
+    
+    // SKUs are stored trimmed and in capitals, so the unique column and the lookups below
+    // treat "abc" and "ABC" as the same SKU, as the backend's validation does
+    private void normalizeSkus(List<ProductVariant> variants) {
+        for (ProductVariant variant : variants) {
+            if (variant.getSku() != null) {
+                variant.setSku(variant.getSku().trim().toUpperCase(Locale.ROOT));
+            }
+        }
+    }
+    
+    private List<String> findSkusInUse(List<ProductVariant> variants, Long productId) {
+        List<String> skus = variants.stream().map(ProductVariant::getSku).toList();
+        if (skus.isEmpty()) {
+            return List.of();
+        }
+        return productRepository.findSkusInUse(skus, productId == null ? 0L : productId);
+    }
+    
+    private void checkSkus(List<ProductVariant> variants, Long productId) {
+        Set<String> seen = new HashSet<>();
+        for (ProductVariant variant : variants) {
+            if (!seen.add(variant.getSku())) {
+                throw new ResponseStatusException(HttpStatus.BAD_REQUEST,
+                        "More than one variant has the SKU " + variant.getSku());
+            }
+        }
+        List<String> inUse = findSkusInUse(variants, productId);
+        if (!inUse.isEmpty()) {
+            throw new ResponseStatusException(HttpStatus.BAD_REQUEST,
+                    "SKU " + String.join(", ", inUse) + " is already used by another product");
+        }
+    }
 }
@@ -0,0 +1,125 @@
+package com.enterprise.demo.service;
+
+import com.enterprise.demo.model.PriceBucket;
+import com.enterprise.demo.model.ProductStats;
+import com.enterprise.demo.model.StockMovement;
+import com.enterprise.demo.model.StockTrendPoint;
+import com.enterprise.demo.repository.ProductRepository;
+import com.enterprise.demo.repository.StockMovementRepository;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.http.HttpStatus;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+import org.springframework.web.server.ResponseStatusException;
+
+import java.time.Instant;
+import java.time.LocalDate;
+import java.time.ZoneOffset;
+import java.time.temporal.ChronoUnit;
+import java.util.ArrayList;
+import java.util.Collections;
+import java.util.List;
+
+@Service
+public class ProductStatsService {
+    
+    // Same fallback as the frontend uses for products and categories without a reorder point
+    private static final int DEFAULT_REORDER_POINT = 10;
+    private static final int MAX_HISTOGRAM_BUCKETS = 10;
+    private static final long MAX_TREND_DAYS = 366;
+    
+    private final ProductRepository productRepository;
+    private final StockMovementRepository stockMovementRepository;
+    
+    @Autowired
+    public ProductStatsService(ProductRepository productRepository, StockMovementRepository stockMovementRepository) {
+        this.productRepository = productRepository;
+        this.stockMovementRepository = stockMovementRepository;
+    }
+    
+    // Dates are UTC days; the trend covers from through to, inclusive
+    @Transactional(readOnly = true)
+    public ProductStats getStats(LocalDate from, LocalDate to) {
+        if (from.isAfter(to)) {
+            throw new ResponseStatusException(HttpStatus.BAD_REQUEST, "The start date must not be after the end date");
+        }
+        if (ChronoUnit.DAYS.between(from, to) >= MAX_TREND_DAYS) {
+            throw new ResponseStatusException(HttpStatus.BAD_REQUEST,
+                    "The date range cannot be longer than " + MAX_TREND_DAYS + " days");
+        }
+        
+        return new ProductStats(
+                productRepository.findTotals(),
+                productRepository.findCategoryTotals(),
+                priceHistogram(productRepository.findAllPrices()),
+                stockTrend(from, to),
+                productRepository.findAtOrBelowReorderPoint(DEFAULT_REORDER_POINT),
+                productRepository.findTop8ByOrderByUpdatedAtDescIdDesc());
+    }
+    
+    // Equal-width buckets with a round width (1, 2 or 5 × a power of ten)
+    private List<PriceBucket> priceHistogram(List<Double> prices) {
+        if (prices.isEmpty()) {
+            return Collections.emptyList();
+        }
+        
+        double min = Collections.min(prices);
+        double max = Collections.max(prices);
+        int targetBuckets = (int) Math.min(MAX_HISTOGRAM_BUCKETS, Math.max(1, Math.ceil(Math.sqrt(prices.size()))));
+        double width = roundWidth(Math.max((max - min) / targetBuckets, 0.01));
+        double start = Math.floor(min / width) * width;
+        int bucketCount = (int) Math.floor((max - start) / width) + 1;
+        
+        long[] counts = new long[bucketCount];
+        for (double price : prices) {
+            counts[Math.min((int) Math.floor((price - start) / width), bucketCount - 1)]++;
+        }
+        
+        List<PriceBucket> buckets = new ArrayList<>();
+        for (int i = 0; i < bucketCount; i++) {
+            buckets.add(new PriceBucket(start + i * width, start + (i + 1) * width, counts[i]));
+        }
+        return buckets;
+    }
+    
+    private double roundWidth(double rawWidth) {
+        double magnitude = Math.pow(10, Math.floor(Math.log10(rawWidth)));
+        for (double step : new double[] {1, 2, 5}) {
+            if (step * magnitude >= rawWidth) {
+                return step * magnitude;
+            }
+        }
+        return 10 * magnitude;
+    }
+    
+    // Replays the stock ledger backwards from today's totals; days before the ledger
+    // has entries keep the earliest known total
+    private List<StockTrendPoint> stockTrend(LocalDate from, LocalDate to) {
+        LocalDate today = LocalDate.now(ZoneOffset.UTC);
+        LocalDate last = to.isAfter(today) ? today : to;
+        if (from.isAfter(last)) {
+            return Collections.emptyList();
+        }
+        
+        Long currentStock = productRepository.findTotals().getStock();
+        long stock = currentStock == null ? 0 : currentStock;
+        List<StockMovement> movements = stockMovementRepository.findCurrentProductMovementsSince(endOfDay(from.minusDays(1)));
+        
+        List<StockTrendPoint> points = new ArrayList<>();
+        int next = 0;
+        for (LocalDate day = last; !day.isBefore(from); day = day.minusDays(1)) {
+            Instant dayEnd = endOfDay(day);
+            while (next < movements.size() && movements.get(next).getCreatedAt().isAfter(dayEnd)) {
+                stock -= movements.get(next).getQuantityChange();
+                next++;
+            }
+            points.add(new StockTrendPoint(day, stock));
+        }
+        Collections.reverse(points);
+        return points;
+    }
+    
+    private Instant endOfDay(LocalDate day) {
+        return day.plusDays(1).atStartOfDay(ZoneOffset.UTC).toInstant();
+    }
+}
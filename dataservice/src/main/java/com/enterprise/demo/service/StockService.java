@@ -0,0 +1,107 @@
+package com.enterprise.demo.service;
+
+import com.enterprise.demo.model.Product;
+import com.enterprise.demo.model.ProductVariant;
+import com.enterprise.demo.model.StockAdjustment;
+import com.enterprise.demo.model.StockMovement;
+import com.enterprise.demo.model.StockMovementReason;
+import com.enterprise.demo.repository.ProductRepository;
+import com.enterprise.demo.repository.StockMovementRepository;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.http.HttpStatus;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+import org.springframework.web.server.ResponseStatusException;
+
+import java.util.List;
+
+@Service
+public class StockService {
+    
+    private final StockMovementRepository stockMovementRepository;
+    private final ProductRepository productRepository;
+    
+    @Autowired
+    public StockService(StockMovementRepository stockMovementRepository, ProductRepository productRepository) {
+        this.stockMovementRepository = stockMovementRepository;
+        this.productRepository = productRepository;
+    }
+    
+    public List<StockMovement> getMovements(Long productId) {
+        if (!productRepository.existsById(productId)) {
+            throw new ResponseStatusException(HttpStatus.NOT_FOUND, "Product not found with id: " + productId);
+        }
+        return stockMovementRepository.findByProductIdOrderByCreatedAtAscIdAsc(productId);
+    }
+    
+    @Transactional
+    public StockMovement adjust(Long productId, StockAdjustment adjustment) {
+        StockMovementReason reason = adjustment.getReason();
+        Integer quantity = adjustment.getQuantity();
+        if (reason == null) {
+            throw new ResponseStatusException(HttpStatus.BAD_REQUEST, "A reason is required");
+        }
+        if (quantity == null || quantity < 0 || (quantity == 0 && reason != StockMovementReason.CORRECTION)) {
+            throw new ResponseStatusException(HttpStatus.BAD_REQUEST,
+                    reason == StockMovementReason.CORRECTION
+                            ? "The counted quantity cannot be negative"
+                            : "The quantity must be at least 1");
+        }
+        
+        Product product = productRepository.findByIdForUpdate(productId)
+                .orElseThrow(() -> new ResponseStatusException(HttpStatus.NOT_FOUND, "Product not found with id: " + productId));
+        ProductVariant variant = null;
+        if (!product.getVariants().isEmpty()) {
+            if (adjustment.getVariantId() == null) {
+                throw new ResponseStatusException(HttpStatus.BAD_REQUEST, "Choose the variant whose stock changed");
+            }
+            variant = product.findVariant(adjustment.getVariantId())
+                    .orElseThrow(() -> new ResponseStatusException(HttpStatus.NOT_FOUND,
+                            "Variant not found with id: " + adjustment.getVariantId()));
+        }
+        int current = variant == null ? product.getStockQuantity() : variant.getStockQuantity();
+        int change;
+        switch (reason) {
+            case RECEIVED:
+                change = quantity;
+                break;
+            case CORRECTION:
+                change = quantity - current;
+                break;
+            default:
+                change = -quantity;
+        }
+        if (reason == StockMovementReason.CORRECTION && change == 0) {
+            throw new ResponseStatusException(HttpStatus.CONFLICT, "The stock is already " + current);
+        }
+        if (current + change < 0) {
+            String name = variant == null ? product.getName() : product.getName() + " (" + variant.label() + ")";
+            throw new ResponseStatusException(HttpStatus.CONFLICT,
+                    "Only " + current + " of '" + name + "' in stock");
+        }
+        
+        return record(product, variant, reason, change, adjustment.getUsername(), adjustment.getNote());
+    }
+    
+    // Applies the change to a product the caller already holds and writes the ledger entry
+    public StockMovement record(Product product, StockMovementReason reason, int change, String username, String note) {
+        return record(product, null, reason, change, username, note);
+    }
+    
+    // A variant's stock counts towards the product's, so both change together
+    public StockMovement record(Product product, ProductVariant variant, StockMovementReason reason, int change,
+                                String username, String note) {
+        if (variant != null) {
+            variant.setStockQuantity(variant.getStockQuantity() + change);
+        }
+        product.setStockQuantity(product.getStockQuantity() + change);
+        productRepository.save(product);
+        StockMovement movement = new StockMovement(product.getId(), reason, change, product.getStockQuantity(),
+                username, note);
+        if (variant != null) {
+            movement.setVariantId(variant.getId());
+            movement.setSku(variant.getSku());
+        }
+        return stockMovementRepository.save(movement);
+    }
+}
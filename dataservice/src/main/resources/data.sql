@@ -1,11 +1,14 @@
-INSERT INTO product (name, description, price, stock_quantity, category) VALUES
-('Laptop Pro', 'High-performance laptop for professionals', 1299.99, 50, 'Electronics'),
-('Smartphone X', 'Latest smartphone with advanced features', 899.99, 100, 'Electronics'),
-('Wireless Headphones', 'Noise-cancelling wireless headphones', 199.99, 75, 'Audio'),
-('Smart Watch', 'Fitness and health tracking smartwatch', 249.99, 60, 'Wearables'),
-('Tablet Ultra', 'Lightweight tablet with high-resolution display', 499.99, 40, 'Electronics'),
-('Bluetooth Speaker', 'Portable waterproof bluetooth speaker', 89.99, 120, 'Audio'),
-('Wireless Mouse', 'Ergonomic wireless mouse', 39.99, 200, 'Accessories'),
-('Mechanical Keyboard', 'RGB mechanical gaming keyboard', 129.99, 80, 'Accessories'),
-('External SSD', '1TB high-speed external solid state drive', 159.99, 65, 'Storage'),
-('Wireless Charger', 'Fast wireless charging pad', 49.99, 150, 'Accessories');
+INSERT INTO product (name, description, price, stock_quantity, category, created_at, updated_at, version) VALUES
+('Laptop Pro', 'High-performance laptop for professionals', 1299.99, 50, 'Electronics', DATEADD('DAY', -60, CURRENT_TIMESTAMP), DATEADD('DAY', -60, CURRENT_TIMESTAMP), 0),
+('Smartphone X', 'Latest smartphone with advanced features', 899.99, 100, 'Electronics', DATEADD('DAY', -55, CURRENT_TIMESTAMP), DATEADD('DAY', -55, CURRENT_TIMESTAMP), 0),
+('Wireless Headphones', 'Noise-cancelling wireless headphones', 199.99, 75, 'Audio', DATEADD('DAY', -50, CURRENT_TIMESTAMP), DATEADD('DAY', -50, CURRENT_TIMESTAMP), 0),
+('Smart Watch', 'Fitness and health tracking smartwatch', 249.99, 60, 'Wearables', DATEADD('DAY', -45, CURRENT_TIMESTAMP), DATEADD('DAY', -45, CURRENT_TIMESTAMP), 0),
+('Tablet Ultra', 'Lightweight tablet with high-resolution display', 499.99, 40, 'Electronics', DATEADD('DAY', -40, CURRENT_TIMESTAMP), DATEADD('DAY', -40, CURRENT_TIMESTAMP), 0),
+('Bluetooth Speaker', 'Portable waterproof bluetooth speaker', 89.99, 120, 'Audio', DATEADD('DAY', -35, CURRENT_TIMESTAMP), DATEADD('DAY', -35, CURRENT_TIMESTAMP), 0),
+('Wireless Mouse', 'Ergonomic wireless mouse', 39.99, 200, 'Accessories', DATEADD('DAY', -30, CURRENT_TIMESTAMP), DATEADD('DAY', -30, CURRENT_TIMESTAMP), 0),
+('Mechanical Keyboard', 'RGB mechanical gaming keyboard', 129.99, 80, 'Accessories', DATEADD('DAY', -25, CURRENT_TIMESTAMP), DATEADD('DAY', -25, CURRENT_TIMESTAMP), 0),
+('External SSD', '1TB high-speed external solid state drive', 159.99, 65, 'Storage', DATEADD('DAY', -20, CURRENT_TIMESTAMP), DATEADD('DAY', -20, CURRENT_TIMESTAMP), 0),
+('Wireless Charger', 'Fast wireless charging pad', 49.99, 150, 'Accessories', DATEADD('DAY', -15, CURRENT_TIMESTAMP), DATEADD('DAY', -15, CURRENT_TIMESTAMP), 0);
+
+INSERT INTO category (name)
+SELECT DISTINCT category FROM product ORDER BY category;
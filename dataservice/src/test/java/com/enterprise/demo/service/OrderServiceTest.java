@@ -0,0 +1,97 @@
+package com.enterprise.demo.service;
+
+import com.enterprise.demo.model.Order;
+import com.enterprise.demo.model.OrderLine;
+import com.enterprise.demo.model.OrderRequest;
+import com.enterprise.demo.model.OrderStatus;
+import com.enterprise.demo.model.OrderStatusUpdate;
+import com.enterprise.demo.model.Product;
+import org.junit.jupiter.api.Test;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.boot.test.context.SpringBootTest;
+import org.springframework.http.HttpStatus;
+import org.springframework.web.server.ResponseStatusException;
+
+import java.util.List;
+
+import static org.assertj.core.api.Assertions.assertThat;
+import static org.assertj.core.api.Assertions.assertThatThrownBy;
+
+// Not transactional itself, so placeOrder commits or rolls back as it does in production
+@SpringBootTest
+class OrderServiceTest {
+    
+    @Autowired
+    private OrderService orderService;
+    
+    @Autowired
+    private ProductService productService;
+    
+    @Test
+    void placingAnOrderTakesTheStock() {
+        Product lamp = productService.saveProduct(product("Order Lamp", 5), "admin");
+        
+        Order order = orderService.placeOrder(request("buyer1", line(lamp, 2)));
+        
+        assertThat(order.getStatus()).isEqualTo(OrderStatus.PENDING);
+        assertThat(order.getTotal()).isEqualTo(40.0);
+        assertThat(stockOf(lamp)).isEqualTo(3);
+    }
+    
+    @Test
+    void aLineThatCannotBeFulfilledRollsBackTheWholeOrder() {
+        Product lamp = productService.saveProduct(product("Rollback Lamp", 5), "admin");
+        Product desk = productService.saveProduct(product("Rollback Desk", 1), "admin");
+        
+        assertThatThrownBy(() -> orderService.placeOrder(request("buyer2", line(lamp, 2), line(desk, 3))))
+                .isInstanceOfSatisfying(ResponseStatusException.class, e -> {
+                    assertThat(e.getStatusCode()).isEqualTo(HttpStatus.CONFLICT);
+                    assertThat(e.getReason()).isEqualTo("Only 1 of 'Rollback Desk' left in stock");
+                });
+        // The lamp's line was reserved before the desk's failed
+        assertThat(stockOf(lamp)).isEqualTo(5);
+        assertThat(stockOf(desk)).isEqualTo(1);
+        assertThat(orderService.getOrders("buyer2")).isEmpty();
+    }
+    
+    @Test
+    void cancellingPutsTheStockBack() {
+        Product lamp = productService.saveProduct(product("Cancel Lamp", 5), "admin");
+        Order order = orderService.placeOrder(request("buyer3", line(lamp, 2)));
+        
+        OrderStatusUpdate update = new OrderStatusUpdate();
+        update.setStatus(OrderStatus.CANCELLED);
+        update.setChangedBy("buyer3");
+        orderService.updateStatus(order.getId(), update);
+        
+        assertThat(stockOf(lamp)).isEqualTo(5);
+    }
+    
+    private int stockOf(Product product) {
+        return productService.getProductById(product.getId()).orElseThrow().getStockQuantity();
+    }
+    
+    private static Product product(String name, int stock) {
+        return new Product(null, name, name, 20.0, stock, "Test");
+    }
+    
+    private static OrderLine line(Product product, int quantity) {
+        OrderLine line = new OrderLine();
+        line.setProductId(product.getId());
+        line.setQuantity(quantity);
+        return line;
+    }
+    
+    private static OrderRequest request(String username, OrderLine... lines) {
+        OrderRequest request = new OrderRequest();
+        request.setUsername(username);
+        request.setCustomerName("Test Buyer");
+        request.setEmail(username + "@example.com");
+        request.setAddressLine1("1 Test Street");
+        request.setCity("Testville");
+        request.setPostalCode("12345");
+        request.setCountry("Testland");
+        request.setItems(List.of(lines));
+        return request;
+    }
+}
@@ -0,0 +1,146 @@
+package com.enterprise.demo.service;
+
+import com.enterprise.demo.model.Product;
+import com.enterprise.demo.model.ProductVariant;
+import org.junit.jupiter.api.Test;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.boot.test.context.SpringBootTest;
+import org.springframework.http.HttpStatus;
+import org.springframework.web.server.ResponseStatusException;
+
+import java.util.ArrayList;
+import java.util.List;
+
+import static org.assertj.core.api.Assertions.assertThat;
+import static org.assertj.core.api.Assertions.assertThatThrownBy;
+
+// Runs against the in-memory database; every test saves its own products
+@SpringBootTest
+class ProductServiceTest {
+    
+    private static final String USERNAME = "tester";
+    
+    @Autowired
+    private ProductService productService;
+    
+    @Test
+    void updateWithTheLoadedVersionSavesAndBumpsIt() {
+        Product saved = productService.saveProduct(product("Version Lamp"), USERNAME);
+        
+        Product edit = product("Version Lamp");
+        edit.setDescription("Brighter");
+        edit.setVersion(saved.getVersion());
+        Product updated = productService.updateProduct(saved.getId(), edit, USERNAME);
+        
+        assertThat(updated.getDescription()).isEqualTo("Brighter");
+        assertThat(updated.getVersion()).isGreaterThan(saved.getVersion());
+    }
+    
+    @Test
+    void updateWithAnOutdatedVersionIsAConflict() {
+        Product saved = productService.saveProduct(product("Conflict Lamp"), USERNAME);
+        Product first = product("Conflict Lamp");
+        first.setDescription("First");
+        first.setVersion(saved.getVersion());
+        productService.updateProduct(saved.getId(), first, USERNAME);
+        
+        Product second = product("Conflict Lamp");
+        second.setDescription("Second");
+        second.setVersion(saved.getVersion());
+        
+        assertThatThrownBy(() -> productService.updateProduct(saved.getId(), second, USERNAME))
+                .isInstanceOfSatisfying(ResponseStatusException.class,
+                        e -> assertThat(e.getStatusCode()).isEqualTo(HttpStatus.CONFLICT));
+        assertThat(productService.getProductById(saved.getId()).orElseThrow().getDescription()).isEqualTo("First");
+    }
+    
+    @Test
+    void updateWithoutAVersionOverwrites() {
+        Product saved = productService.saveProduct(product("Unversioned Lamp"), USERNAME);
+        
+        Product edit = product("Unversioned Lamp");
+        edit.setDescription("Overwritten");
+        
+        assertThat(productService.updateProduct(saved.getId(), edit, USERNAME).getDescription()).isEqualTo("Overwritten");
+    }
+    
+    @Test
+    void updatingAMissingProductIsNotFound() {
+        assertThatThrownBy(() -> productService.updateProduct(999_999L, product("Missing Lamp"), USERNAME))
+                .isInstanceOfSatisfying(ResponseStatusException.class,
+                        e -> assertThat(e.getStatusCode()).isEqualTo(HttpStatus.NOT_FOUND));
+    }
+    
+    @Test
+    void aSkuUsedByAnotherProductIsRefused() {
+        productService.saveProduct(withVariants("Taken Tee", "TAKEN-S"), USERNAME);
+        
+        assertThatThrownBy(() -> productService.saveProduct(withVariants("Copy Tee", "TAKEN-S"), USERNAME))
+                .isInstanceOfSatisfying(ResponseStatusException.class, e -> {
+                    assertThat(e.getStatusCode()).isEqualTo(HttpStatus.BAD_REQUEST);
+                    assertThat(e.getReason()).isEqualTo("SKU TAKEN-S is already used by another product");
+                });
+    }
+    
+    @Test
+    void skusAreComparedWhateverTheirCase() {
+        Product saved = productService.saveProduct(withVariants("Mixed Tee", " mixed-s "), USERNAME);
+        
+        assertThat(saved.getVariants()).extracting(ProductVariant::getSku).containsExactly("MIXED-S");
+        assertThatThrownBy(() -> productService.saveProduct(withVariants("Upper Tee", "MIXED-S"), USERNAME))
+                .isInstanceOfSatisfying(ResponseStatusException.class, e -> {
+                    assertThat(e.getStatusCode()).isEqualTo(HttpStatus.BAD_REQUEST);
+                    assertThat(e.getReason()).isEqualTo("SKU MIXED-S is already used by another product");
+                });
+        assertThatThrownBy(() -> productService.saveProduct(withVariants("Twin Tee", "TWIN-S", "twin-s"), USERNAME))
+                .isInstanceOfSatisfying(ResponseStatusException.class,
+                        e -> assertThat(e.getReason()).isEqualTo("More than one variant has the SKU TWIN-S"));
+    }
+    
+    @Test
+    void aTrashedProductKeepsItsSkus() {
+        Product trashed = productService.saveProduct(withVariants("Trashed Tee", "TRASHED-S"), USERNAME);
+        productService.deleteProduct(trashed.getId(), USERNAME);
+        
+        assertThatThrownBy(() -> productService.saveProduct(withVariants("New Tee", "TRASHED-S"), USERNAME))
+                .isInstanceOfSatisfying(ResponseStatusException.class,
+                        e -> assertThat(e.getStatusCode()).isEqualTo(HttpStatus.BAD_REQUEST));
+        assertThat(productService.restoreProduct(trashed.getId()).getVariants())
+                .extracting(ProductVariant::getSku).containsExactly("TRASHED-S");
+    }
+    
+    @Test
+    void variantsOfOneProductCanSwapSkus() {
+        Product saved = productService.saveProduct(withVariants("Swap Tee", "SWAP-S", "SWAP-M"), USERNAME);
+        
+        Product edit = withVariants("Swap Tee", "SWAP-M", "SWAP-S");
+        for (int i = 0; i < edit.getVariants().size(); i++) {
+            edit.getVariants().get(i).setId(saved.getVariants().get(i).getId());
+        }
+        Product updated = productService.updateProduct(saved.getId(), edit, USERNAME);
+        
+        assertThat(updated.getVariants()).extracting(ProductVariant::getId)
+                .containsExactly(saved.getVariants().get(0).getId(), saved.getVariants().get(1).getId());
+        assertThat(updated.getVariants()).extracting(ProductVariant::getSku).containsExactly("SWAP-M", "SWAP-S");
+    }
+    
+    private static Product product(String name) {
+        return new Product(null, name, "Desk lamp", 20.0, 5, "Lighting");
+    }
+    
+    // One variant per SKU, each with the SKU as its only option value
+    private static Product withVariants(String name, String... skus) {
+        Product product = product(name);
+        List<ProductVariant> variants = new ArrayList<>();
+        for (String sku : skus) {
+            ProductVariant variant = new ProductVariant();
+            variant.setSku(sku);
+            variant.setPrice(20.0);
+            variant.setStockQuantity(1);
+            variant.setOptionValues(List.of(sku));
+            variants.add(variant);
+        }
+        product.setVariants(variants);
+        return product;
+    }
+}
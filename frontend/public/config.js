@@ -0,0 +1,4 @@
+// Runtime configuration, loaded before the app bundle.
+// Replace this file at deploy time to point the app at a different backend:
+//   window.__APP_CONFIG__ = { apiUrl: 'https://api.staging.example.com' };
+window.__APP_CONFIG__ = window.__APP_CONFIG__ || {};
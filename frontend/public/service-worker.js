@@ -0,0 +1,89 @@
+// Keeps the app shell available offline. Pages and the files they load come from
+// the network when it answers and from this cache when it does not. API data is
+// cached by the app itself in IndexedDB, so requests to other origins pass through
+const CACHE_NAME = 'enterprise-demo-shell-v2';
+const INDEX_URL = new URL('index.html', self.registration.scope).href;
+const SHELL_URLS = [INDEX_URL, new URL('config.js', self.registration.scope).href];
+const MANIFEST_URL = new URL('asset-manifest.json', self.registration.scope).href;
+const STATIC_PREFIX = new URL('static/', self.registration.scope).href;
+
+// The shell plus the files of the build currently deployed, as listed in the manifest
+// the build writes next to index.html
+const currentBuildUrls = async () => {
+  const response = await fetch(MANIFEST_URL, { cache: 'no-cache' });
+  if (!response.ok) {
+    throw new Error(`Asset manifest returned HTTP ${response.status}`);
+  }
+  const { files } = await response.json();
+  const assets = Object.values(files)
+    .filter(path => !path.endsWith('.map'))
+    .map(path => new URL(path, self.registration.scope).href);
+  return new Set([...SHELL_URLS, ...assets]);
+};
+
+// Caches the current build and drops the files of earlier ones, so each deployment's
+// hashed bundles replace the last instead of piling up
+const cacheCurrentBuild = async () => {
+  const urls = await currentBuildUrls();
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.keys();
+  await Promise.all(cached.filter(request => !urls.has(request.url)).map(request => cache.delete(request)));
+  await Promise.all([...urls].map(url =>
+    cache.match(url).then(hit => hit || cache.add(url)).catch(() => undefined)));
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    cacheCurrentBuild()
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Network first, so a new deployment is picked up as soon as it is reachable
+const fromNetwork = async (request, cacheKey) => {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(cacheKey, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(cacheKey);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+// API calls carry the user's token and the live updates stream never ends; neither belongs in here
+const bypassesCache = (request) => request.method !== 'GET'
+  || new URL(request.url).origin !== self.location.origin
+  || request.headers.has('Authorization')
+  || request.headers.get('Accept') === 'text/event-stream';
+
+// Only the shell and the build's own files are kept; anything else is fetched as usual
+const isBuildFile = (url) => SHELL_URLS.includes(url) || url.startsWith(STATIC_PREFIX);
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (bypassesCache(request)) return;
+
+  // Every client-side route renders index.html, which may come from a new deployment;
+  // offline the manifest cannot be fetched and the cache is left as it is
+  if (request.mode === 'navigate') {
+    event.respondWith(fromNetwork(request, INDEX_URL));
+    event.waitUntil(cacheCurrentBuild().catch(() => undefined));
+    return;
+  }
+  if (isBuildFile(request.url)) {
+    event.respondWith(fromNetwork(request, request));
+  }
+});
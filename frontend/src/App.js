@@ -5,28 +5,32 @@ import { Box } from '@mui/material';
 // Layouts
 import MainLayout from './layouts/MainLayout';
 
+// Components
+import ProtectedRoute from './components/ProtectedRoute';
+import { PERMISSIONS } from './utils/permissions';
+
 // Pages
 import Dashboard from './pages/Dashboard';
 import ProductList from './pages/ProductList';
 import ProductDetail from './pages/ProductDetail';
+import ProductEdit from './pages/ProductEdit';
+import ProductImport from './pages/ProductImport';
+import ProductTrash from './pages/ProductTrash';
+import CategoryManagement from './pages/CategoryManagement';
+import PendingChanges from './pages/PendingChanges';
+import Cart from './pages/Cart';
+import Checkout from './pages/Checkout';
+import OrderConfirmation from './pages/OrderConfirmation';
+import Orders from './pages/Orders';
+import OrderDetail from './pages/OrderDetail';
+import AdminConsole from './pages/AdminConsole';
+import UserManagement from './pages/UserManagement';
+import SystemHealth from './pages/SystemHealth';
+import AuditLog from './pages/AuditLog';
 import Login from './pages/Login';
 import Register from './pages/Register';
 import NotFound from './pages/NotFound';
 
-// Context
-import { useAuth } from './contexts/AuthContext';
-
-// Protected Route Component
-const ProtectedRoute = ({ children }) => {
-  const { isAuthenticated } = useAuth();
-  
-  if (!isAuthenticated) {
-    return <Navigate to="/login" />;
-  }
-  
-  return children;
-};
-
 function App() {
   return (
     <Box sx={{ display: 'flex', flexDirection: 'column', minHeight: '100vh' }}>
@@ -37,15 +41,71 @@ function App() {
         <Route path="/" element={<MainLayout />}>
           <Route index element={<Dashboard />} />
           <Route path="products" element={<ProductList />} />
+          <Route path="products/new" element={
+            <ProtectedRoute permissions={PERMISSIONS.CATALOG_WRITE}>
+              <ProductEdit />
+            </ProtectedRoute>
+          } />
+          <Route path="products/import" element={
+            <ProtectedRoute permissions={PERMISSIONS.CATALOG_WRITE}>
+              <ProductImport />
+            </ProtectedRoute>
+          } />
+          <Route path="products/trash" element={
+            <ProtectedRoute permissions={PERMISSIONS.CATALOG_DELETE}>
+              <ProductTrash />
+            </ProtectedRoute>
+          } />
           <Route path="products/:id" element={<ProductDetail />} />
-          
-          {/* Protected routes */}
-          <Route path="admin" element={
+          <Route path="products/:id/edit" element={
+            <ProtectedRoute permissions={PERMISSIONS.CATALOG_WRITE}>
+              <ProductEdit />
+            </ProtectedRoute>
+          } />
+          <Route path="categories" element={
+            <ProtectedRoute permissions={PERMISSIONS.CATALOG_WRITE}>
+              <CategoryManagement />
+            </ProtectedRoute>
+          } />
+          <Route path="pending-changes" element={
+            <ProtectedRoute permissions={PERMISSIONS.CATALOG_WRITE}>
+              <PendingChanges />
+            </ProtectedRoute>
+          } />
+          <Route path="cart" element={<Cart />} />
+          <Route path="checkout" element={
+            <ProtectedRoute>
+              <Checkout />
+            </ProtectedRoute>
+          } />
+          <Route path="checkout/confirmation/:id" element={
+            <ProtectedRoute>
+              <OrderConfirmation />
+            </ProtectedRoute>
+          } />
+          <Route path="orders" element={
+            <ProtectedRoute>
+              <Orders />
+            </ProtectedRoute>
+          } />
+          <Route path="orders/:id" element={
             <ProtectedRoute>
-              <Dashboard isAdmin={true} />
+              <OrderDetail />
             </ProtectedRoute>
           } />
           
+          {/* Admin console */}
+          <Route path="admin" element={
+            <ProtectedRoute permissions={PERMISSIONS.ADMIN_ACCESS}>
+              <AdminConsole />
+            </ProtectedRoute>
+          }>
+            <Route index element={<Navigate to="users" replace />} />
+            <Route path="users" element={<UserManagement />} />
+            <Route path="health" element={<SystemHealth />} />
+            <Route path="audit" element={<AuditLog />} />
+          </Route>
+          
           {/* 404 route */}
           <Route path="*" element={<NotFound />} />
         </Route>
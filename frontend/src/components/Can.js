@@ -0,0 +1,17 @@
+import usePermissions from '../hooks/usePermissions';
+
+// Renders children only when the current user holds the permission.
+// Pass a function as children to render a disabled state instead of hiding:
+//   <Can permission="catalog:delete">{allowed => <Button disabled={!allowed} />}</Can>
+const Can = ({ permission, children, fallback = null }) => {
+  const { can } = usePermissions();
+  const allowed = can(permission);
+
+  if (typeof children === 'function') {
+    return children(allowed);
+  }
+
+  return allowed ? children : fallback;
+};
+
+export default Can;
@@ -0,0 +1,65 @@
+import React from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import { Badge, Chip, IconButton, Tooltip } from '@mui/material';
+import {
+  CloudDone as CloudDoneIcon,
+  CloudOff as CloudOffIcon,
+  CloudSync as CloudSyncIcon,
+  SyncProblem as SyncProblemIcon
+} from '@mui/icons-material';
+import { useOffline } from '../contexts/OfflineContext';
+
+const describe = ({ online, syncing, pendingCount, attentionCount }) => {
+  const parts = [online ? (syncing ? 'Online, sending queued changes' : 'Online') : 'Offline'];
+  if (pendingCount > 0) {
+    parts.push(`${pendingCount} change${pendingCount === 1 ? '' : 's'} waiting to be sent`);
+  }
+  if (attentionCount > 0) {
+    parts.push(`${attentionCount} need${attentionCount === 1 ? 's' : ''} your attention`);
+  }
+  return parts.join(' — ');
+};
+
+// AppBar indicator for the connection and the changes queued while offline.
+// Links to the pending changes page for users who can make changes
+const ConnectionStatus = ({ canViewChanges, compact }) => {
+  const status = useOffline();
+  const { online, syncing, changes, attentionCount } = status;
+
+  let icon = <CloudDoneIcon />;
+  if (attentionCount > 0) {
+    icon = <SyncProblemIcon />;
+  } else if (!online) {
+    icon = <CloudOffIcon />;
+  } else if (syncing) {
+    icon = <CloudSyncIcon />;
+  }
+
+  const badge = (
+    <Badge badgeContent={changes.length} color={attentionCount > 0 ? 'error' : 'secondary'} max={99}>
+      {icon}
+    </Badge>
+  );
+  const label = describe(status);
+
+  return (
+    <>
+      {!online && !compact && (
+        <Chip label="Offline" size="small" color="warning" sx={{ mr: 1 }} />
+      )}
+      <Tooltip title={label}>
+        {canViewChanges ? (
+          <IconButton color="inherit" component={RouterLink} to="/pending-changes" aria-label={label}>
+            {badge}
+          </IconButton>
+        ) : (
+          <IconButton color="inherit" component="span" aria-label={label} disableRipple>
+            {badge}
+          </IconButton>
+        )}
+      </Tooltip>
+    </>
+  );
+};
+
+export default ConnectionStatus;
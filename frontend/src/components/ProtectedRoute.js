@@ -0,0 +1,25 @@
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { isAuthorized } from '../utils/permissions';
+import { buildLoginPath } from '../utils/redirect';
+import NotAuthorized from '../pages/NotAuthorized';
+
+// Guards a route: anonymous users are sent to login and brought back afterwards,
+// signed-in users without the required roles/permissions get a 403 page
+const ProtectedRoute = ({ children, roles, permissions }) => {
+  const { isAuthenticated, currentUser } = useAuth();
+  const location = useLocation();
+
+  if (!isAuthenticated) {
+    return <Navigate to={buildLoginPath(location.pathname + location.search)} replace />;
+  }
+
+  if (!isAuthorized(currentUser, { roles, permissions })) {
+    return <NotAuthorized />;
+  }
+
+  return children;
+};
+
+export default ProtectedRoute;
@@ -0,0 +1,63 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Button
+} from '@mui/material';
+
+const formatRemaining = (ms) => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  if (minutes === 0) {
+    return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  }
+  return `${minutes}:${String(seconds).padStart(2, '0')} minutes`;
+};
+
+const SessionTimeoutDialog = ({ open, expiresAt, onStaySignedIn, onSignOut }) => {
+  const [now, setNow] = useState(Date.now());
+  const [refreshing, setRefreshing] = useState(false);
+
+  useEffect(() => {
+    if (!open) return undefined;
+
+    setNow(Date.now());
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [open]);
+
+  const handleStaySignedIn = async () => {
+    setRefreshing(true);
+    try {
+      await onStaySignedIn();
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} maxWidth="xs" fullWidth>
+      <DialogTitle>Your session is about to expire</DialogTitle>
+      <DialogContent>
+        <DialogContentText>
+          For your security you will be signed out in {formatRemaining((expiresAt || now) - now)}.
+          Any unsaved changes will be lost.
+        </DialogContentText>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onSignOut} disabled={refreshing}>
+          Sign out
+        </Button>
+        <Button onClick={handleStaySignedIn} variant="contained" disabled={refreshing}>
+          Stay signed in
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SessionTimeoutDialog;
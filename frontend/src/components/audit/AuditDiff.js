@@ -0,0 +1,39 @@
+import React from 'react';
+import { Table, TableHead, TableBody, TableRow, TableCell, Typography } from '@mui/material';
+import { diffFields, formatAuditValue } from '../../utils/audit';
+
+// Before/after table of the fields an audit event changed
+const AuditDiff = ({ before, after, fields }) => {
+  const changes = diffFields(before, after, fields);
+
+  if (changes.length === 0) {
+    return <Typography variant="body2" color="text.secondary">No field changes</Typography>;
+  }
+
+  return (
+    <Table size="small">
+      <TableHead>
+        <TableRow>
+          <TableCell sx={{ width: '20%' }}>Field</TableCell>
+          <TableCell sx={{ width: '40%' }}>Before</TableCell>
+          <TableCell sx={{ width: '40%' }}>After</TableCell>
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        {changes.map(change => (
+          <TableRow key={change.field}>
+            <TableCell>{change.label}</TableCell>
+            <TableCell sx={{ color: before ? 'error.main' : 'text.disabled', textDecoration: before && after ? 'line-through' : 'none' }}>
+              {before ? formatAuditValue(change.field, change.before) : '—'}
+            </TableCell>
+            <TableCell sx={{ color: after ? 'success.main' : 'text.disabled' }}>
+              {after ? formatAuditValue(change.field, change.after) : '—'}
+            </TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  );
+};
+
+export default AuditDiff;
@@ -0,0 +1,60 @@
+import React, { useState, useEffect } from 'react';
+import { Box, IconButton, TextField } from '@mui/material';
+import { Add as AddIcon, Remove as RemoveIcon } from '@mui/icons-material';
+
+// Stepper-style quantity input clamped to [min, max]; typing is committed on blur
+const QuantitySelector = ({ value, onChange, min = 1, max, disabled, size = 'small' }) => {
+  const [input, setInput] = useState(String(value));
+
+  useEffect(() => {
+    setInput(String(value));
+  }, [value]);
+
+  const clamp = (quantity) => {
+    const upper = max === undefined || max === null ? quantity : Math.min(quantity, max);
+    return Math.max(min, upper);
+  };
+
+  const commit = () => {
+    const quantity = parseInt(input, 10);
+    if (Number.isFinite(quantity)) {
+      const clamped = clamp(quantity);
+      setInput(String(clamped));
+      if (clamped !== value) onChange(clamped);
+    } else {
+      setInput(String(value));
+    }
+  };
+
+  return (
+    <Box sx={{ display: 'inline-flex', alignItems: 'center' }}>
+      <IconButton
+        size={size}
+        onClick={() => onChange(clamp(value - 1))}
+        disabled={disabled || value <= min}
+        aria-label="Decrease quantity"
+      >
+        <RemoveIcon fontSize="small" />
+      </IconButton>
+      <TextField
+        size="small"
+        value={input}
+        onChange={event => setInput(event.target.value)}
+        onBlur={commit}
+        onKeyDown={event => event.key === 'Enter' && commit()}
+        disabled={disabled}
+        inputProps={{ inputMode: 'numeric', 'aria-label': 'Quantity', style: { textAlign: 'center', width: 40 } }}
+      />
+      <IconButton
+        size={size}
+        onClick={() => onChange(clamp(value + 1))}
+        disabled={disabled || (max !== undefined && max !== null && value >= max)}
+        aria-label="Increase quantity"
+      >
+        <AddIcon fontSize="small" />
+      </IconButton>
+    </Box>
+  );
+};
+
+export default QuantitySelector;
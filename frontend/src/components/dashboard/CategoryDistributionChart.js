@@ -0,0 +1,47 @@
+import React from 'react';
+import { useTheme } from '@mui/material/styles';
+import { ResponsiveContainer, PieChart, Pie, Cell, Tooltip, Legend } from 'recharts';
+import ChartCard from './ChartCard';
+
+export const chartColors = (theme) => [
+  theme.palette.primary.main,
+  theme.palette.secondary.main,
+  theme.palette.success.main,
+  theme.palette.warning.main,
+  theme.palette.info.main,
+  theme.palette.error.main,
+  theme.palette.primary.light,
+  theme.palette.secondary.light,
+];
+
+// Share of products per category
+const CategoryDistributionChart = ({ categories }) => {
+  const theme = useTheme();
+  const colors = chartColors(theme);
+
+  return (
+    <ChartCard title="Category Distribution" subheader="Products per category" empty={categories.length === 0}>
+      <ResponsiveContainer width="100%" height="100%">
+        <PieChart>
+          <Pie
+            data={categories}
+            dataKey="products"
+            nameKey="category"
+            innerRadius="45%"
+            outerRadius="75%"
+            paddingAngle={2}
+            isAnimationActive={false}
+          >
+            {categories.map((entry, index) => (
+              <Cell key={entry.category} fill={colors[index % colors.length]} />
+            ))}
+          </Pie>
+          <Tooltip formatter={(count, name) => [`${count} products`, name]} />
+          <Legend />
+        </PieChart>
+      </ResponsiveContainer>
+    </ChartCard>
+  );
+};
+
+export default CategoryDistributionChart;
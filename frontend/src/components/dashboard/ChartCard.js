@@ -0,0 +1,21 @@
+import React from 'react';
+import { Card, CardHeader, CardContent, Divider, Box, Typography } from '@mui/material';
+
+// Card with a fixed-height body for a chart; shows emptyText instead when empty is set
+const ChartCard = ({ title, subheader, action, empty, emptyText = 'No data yet', height = 280, children }) => (
+  <Card sx={{ height: '100%' }}>
+    <CardHeader title={title} subheader={subheader} action={action} />
+    <Divider />
+    <CardContent>
+      <Box sx={{ height }}>
+        {empty ? (
+          <Box sx={{ height: '100%', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+            <Typography variant="body2" color="text.secondary">{emptyText}</Typography>
+          </Box>
+        ) : children}
+      </Box>
+    </CardContent>
+  </Card>
+);
+
+export default ChartCard;
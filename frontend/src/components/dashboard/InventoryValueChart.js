@@ -0,0 +1,27 @@
+import React from 'react';
+import { useTheme } from '@mui/material/styles';
+import { ResponsiveContainer, BarChart, Bar, XAxis, YAxis, Tooltip, CartesianGrid } from 'recharts';
+import ChartCard from './ChartCard';
+import { formatCompactCurrency, formatCurrency } from '../../utils/analytics';
+
+// Price × stock summed per category, largest first
+const InventoryValueChart = ({ categories }) => {
+  const theme = useTheme();
+  const data = [...categories].sort((a, b) => b.value - a.value);
+
+  return (
+    <ChartCard title="Inventory Value" subheader="Price × stock per category" empty={data.length === 0}>
+      <ResponsiveContainer width="100%" height="100%">
+        <BarChart data={data} layout="vertical" margin={{ top: 8, right: 16, bottom: 8, left: 16 }}>
+          <CartesianGrid strokeDasharray="3 3" horizontal={false} />
+          <XAxis type="number" tickFormatter={formatCompactCurrency} />
+          <YAxis type="category" dataKey="category" width={100} tick={{ fontSize: 12 }} />
+          <Tooltip formatter={value => [formatCurrency(value), 'Value']} />
+          <Bar dataKey="value" fill={theme.palette.success.main} isAnimationActive={false} />
+        </BarChart>
+      </ResponsiveContainer>
+    </ChartCard>
+  );
+};
+
+export default InventoryValueChart;
@@ -0,0 +1,26 @@
+import React from 'react';
+import { useTheme } from '@mui/material/styles';
+import { ResponsiveContainer, BarChart, Bar, XAxis, YAxis, Tooltip, CartesianGrid } from 'recharts';
+import ChartCard from './ChartCard';
+import { priceBucketLabel } from '../../utils/analytics';
+
+const PriceHistogramChart = ({ buckets }) => {
+  const theme = useTheme();
+  const data = buckets.map(bucket => ({ ...bucket, label: priceBucketLabel(bucket) }));
+
+  return (
+    <ChartCard title="Price Distribution" subheader="Number of products per price band" empty={buckets.length === 0}>
+      <ResponsiveContainer width="100%" height="100%">
+        <BarChart data={data} margin={{ top: 8, right: 8, bottom: 8, left: 0 }}>
+          <CartesianGrid strokeDasharray="3 3" vertical={false} />
+          <XAxis dataKey="label" interval={0} angle={-30} textAnchor="end" height={50} tick={{ fontSize: 11 }} />
+          <YAxis allowDecimals={false} />
+          <Tooltip formatter={count => [count, 'Products']} />
+          <Bar dataKey="count" fill={theme.palette.primary.main} isAnimationActive={false} />
+        </BarChart>
+      </ResponsiveContainer>
+    </ChartCard>
+  );
+};
+
+export default PriceHistogramChart;
@@ -0,0 +1,39 @@
+import React from 'react';
+import { useTheme } from '@mui/material/styles';
+import { ResponsiveContainer, LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid } from 'recharts';
+import ChartCard from './ChartCard';
+import { formatDay } from '../../utils/analytics';
+
+// Total units in stock at the end of each day of the selected range
+const StockTrendChart = ({ points, action, loading }) => {
+  const theme = useTheme();
+
+  return (
+    <ChartCard
+      title="Stock Level Trend"
+      subheader="Total units in stock at the end of each day"
+      action={action}
+      empty={points.length === 0}
+      emptyText={loading ? 'Loading…' : 'No data for this range'}
+    >
+      <ResponsiveContainer width="100%" height="100%">
+        <LineChart data={points} margin={{ top: 8, right: 16, bottom: 8, left: 0 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="date" tickFormatter={formatDay} minTickGap={24} />
+          <YAxis allowDecimals={false} />
+          <Tooltip labelFormatter={formatDay} formatter={stock => [stock, 'Units in stock']} />
+          <Line
+            type="monotone"
+            dataKey="stock"
+            stroke={theme.palette.primary.main}
+            strokeWidth={2}
+            dot={points.length <= 31}
+            isAnimationActive={false}
+          />
+        </LineChart>
+      </ResponsiveContainer>
+    </ChartCard>
+  );
+};
+
+export default StockTrendChart;
@@ -0,0 +1,37 @@
+import React from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import { Table, TableHead, TableBody, TableRow, TableCell, Link } from '@mui/material';
+
+// Line items of a placed order, at the prices they were bought for
+const OrderItemsTable = ({ order }) => (
+  <Table size="small">
+    <TableHead>
+      <TableRow>
+        <TableCell>Product</TableCell>
+        <TableCell align="right">Price</TableCell>
+        <TableCell align="right">Quantity</TableCell>
+        <TableCell align="right">Total</TableCell>
+      </TableRow>
+    </TableHead>
+    <TableBody>
+      {order.items.map(item => (
+        <TableRow key={item.id}>
+          <TableCell>
+            <Link component={RouterLink} to={`/products/${item.product_id}`} underline="hover">
+              {item.product_name}
+            </Link>
+          </TableCell>
+          <TableCell align="right">${item.unit_price.toFixed(2)}</TableCell>
+          <TableCell align="right">{item.quantity}</TableCell>
+          <TableCell align="right">${(item.unit_price * item.quantity).toFixed(2)}</TableCell>
+        </TableRow>
+      ))}
+      <TableRow>
+        <TableCell colSpan={3} align="right"><strong>Total</strong></TableCell>
+        <TableCell align="right"><strong>${order.total.toFixed(2)}</strong></TableCell>
+      </TableRow>
+    </TableBody>
+  </Table>
+);
+
+export default OrderItemsTable;
@@ -0,0 +1,13 @@
+import React from 'react';
+import { Chip } from '@mui/material';
+import { ORDER_STATUSES, orderStatusLabel } from '../../utils/orders';
+
+const OrderStatusChip = ({ status, size = 'small' }) => (
+  <Chip
+    size={size}
+    label={orderStatusLabel(status)}
+    color={ORDER_STATUSES[status]?.color || 'default'}
+  />
+);
+
+export default OrderStatusChip;
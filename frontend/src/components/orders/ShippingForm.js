@@ -0,0 +1,41 @@
+import React from 'react';
+import { Grid, TextField } from '@mui/material';
+import { checkoutSchema } from './checkoutSchema';
+
+const FIELDS = [
+  { name: 'customer_name', label: 'Full Name', sm: 6, autoComplete: 'name' },
+  { name: 'email', label: 'Email', sm: 6, type: 'email', autoComplete: 'email' },
+  { name: 'phone', label: 'Phone', sm: 6, type: 'tel', autoComplete: 'tel' },
+  { name: 'address_line1', label: 'Address', sm: 12, autoComplete: 'address-line1' },
+  { name: 'address_line2', label: 'Apartment, suite, etc.', sm: 12, autoComplete: 'address-line2' },
+  { name: 'city', label: 'City', sm: 4, autoComplete: 'address-level2' },
+  { name: 'postal_code', label: 'Postal Code', sm: 4, autoComplete: 'postal-code' },
+  { name: 'country', label: 'Country', sm: 4, autoComplete: 'country-name' },
+];
+
+// Contact and shipping fields for checkout; validation is left to the page
+const ShippingForm = ({ values, errors, onChange, onBlur, disabled }) => (
+  <Grid container spacing={2}>
+    {FIELDS.map(field => (
+      <Grid item xs={12} sm={field.sm} key={field.name}>
+        <TextField
+          fullWidth
+          name={field.name}
+          label={field.label}
+          type={field.type}
+          autoComplete={field.autoComplete}
+          required={!!checkoutSchema[field.name].required}
+          value={values[field.name]}
+          onChange={onChange}
+          onBlur={onBlur}
+          error={!!errors[field.name]}
+          helperText={errors[field.name] || ' '}
+          disabled={disabled}
+          inputProps={{ maxLength: checkoutSchema[field.name].maxLength }}
+        />
+      </Grid>
+    ))}
+  </Grid>
+);
+
+export default ShippingForm;
@@ -0,0 +1,33 @@
+// Mirrors the contact and shipping constraints of the backend's OrderCreate model
+export const checkoutSchema = {
+  customer_name: { label: 'Full name', required: true, maxLength: 100 },
+  email: {
+    label: 'Email',
+    required: true,
+    pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    patternMessage: 'Enter a valid email address'
+  },
+  phone: { label: 'Phone', maxLength: 30 },
+  address_line1: { label: 'Address', required: true, maxLength: 200 },
+  address_line2: { label: 'Apartment, suite, etc.', maxLength: 200 },
+  city: { label: 'City', required: true, maxLength: 100 },
+  postal_code: { label: 'Postal code', required: true, maxLength: 20 },
+  country: { label: 'Country', required: true, maxLength: 100 },
+};
+
+export const emptyShipping = {
+  customer_name: '',
+  email: '',
+  phone: '',
+  address_line1: '',
+  address_line2: '',
+  city: '',
+  postal_code: '',
+  country: ''
+};
+
+// Optional fields are sent as null rather than empty strings
+export const toShippingPayload = (values) => Object.keys(emptyShipping).reduce((payload, field) => {
+  const value = values[field].trim();
+  return { ...payload, [field]: value || (checkoutSchema[field].required ? value : null) };
+}, {});
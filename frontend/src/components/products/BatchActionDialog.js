@@ -0,0 +1,180 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Button,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+  InputAdornment,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import CategoryAutocomplete from './CategoryAutocomplete';
+
+export const BATCH_ACTIONS = {
+  set_category: { title: 'Change Category', submitLabel: 'Change Category' },
+  adjust_price: { title: 'Adjust Price', submitLabel: 'Adjust Prices' },
+  set_stock: { title: 'Set Stock', submitLabel: 'Set Stock' },
+  delete: { title: 'Delete Products', submitLabel: 'Delete' },
+};
+
+const initialValues = {
+  category: '',
+  priceMode: 'percent',
+  priceChange: '',
+  stockQuantity: '',
+};
+
+// Returns [changes for the batch request, error message]
+const toChanges = (action, values) => {
+  if (action === 'set_category') {
+    return values.category ? [{ category: values.category }, ''] : [null, 'Choose a category'];
+  }
+  if (action === 'adjust_price') {
+    const change = parseFloat(values.priceChange);
+    if (!Number.isFinite(change) || change === 0) {
+      return [null, 'Enter a non-zero adjustment'];
+    }
+    if (values.priceMode === 'percent' && change <= -100) {
+      return [null, 'A price cannot be reduced by 100% or more'];
+    }
+    return [{ price_mode: values.priceMode, price_change: change }, ''];
+  }
+  if (action === 'set_stock') {
+    const stock = Number(values.stockQuantity);
+    if (values.stockQuantity === '' || !Number.isInteger(stock) || stock < 0) {
+      return [null, 'Enter a whole number of 0 or more'];
+    }
+    return [{ stock_quantity: stock }, ''];
+  }
+  return [{}, ''];
+};
+
+// Collects the value for a batch action. onSubmit(changes) runs the batch and may throw.
+const BatchActionDialog = ({ action, count, categories = [], onCreateCategory, onSubmit, onClose }) => {
+  const [values, setValues] = useState(initialValues);
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (action) {
+      setValues(initialValues);
+      setError('');
+    }
+  }, [action]);
+
+  const setValue = (name, value) => {
+    setValues(prev => ({ ...prev, [name]: value }));
+    setError('');
+  };
+
+  const handleSubmit = async () => {
+    const [changes, validationError] = toChanges(action, values);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      await onSubmit(changes);
+    } catch (submitError) {
+      setError(submitError.message || 'Failed to apply changes');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const config = BATCH_ACTIONS[action] || BATCH_ACTIONS.delete;
+  const noun = count === 1 ? 'product' : 'products';
+
+  return (
+    <Dialog open={!!action} onClose={submitting ? undefined : onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>{config.title}</DialogTitle>
+      <DialogContent>
+        <DialogContentText>
+          {action === 'delete'
+            ? `Move ${count} ${noun} to the trash? They can be restored from there.`
+            : `The change applies to ${count} selected ${noun}.`}
+        </DialogContentText>
+
+        {action === 'set_category' && (
+          <CategoryAutocomplete
+            value={values.category}
+            options={categories}
+            onChange={category => setValue('category', category)}
+            onCreate={onCreateCategory}
+            helperText=" "
+            disabled={submitting}
+          />
+        )}
+
+        {action === 'adjust_price' && (
+          <>
+            <ToggleButtonGroup
+              exclusive
+              size="small"
+              value={values.priceMode}
+              onChange={(event, mode) => mode && setValue('priceMode', mode)}
+              sx={{ mt: 2 }}
+              disabled={submitting}
+            >
+              <ToggleButton value="percent">Percentage</ToggleButton>
+              <ToggleButton value="amount">Fixed amount</ToggleButton>
+            </ToggleButtonGroup>
+            <TextField
+              autoFocus
+              fullWidth
+              margin="normal"
+              type="number"
+              label="Adjustment"
+              value={values.priceChange}
+              onChange={event => setValue('priceChange', event.target.value)}
+              helperText="Use a negative value to lower prices"
+              inputProps={{ step: values.priceMode === 'percent' ? 1 : 0.01 }}
+              InputProps={values.priceMode === 'percent'
+                ? { endAdornment: <InputAdornment position="end">%</InputAdornment> }
+                : { startAdornment: <InputAdornment position="start">$</InputAdornment> }}
+              disabled={submitting}
+            />
+          </>
+        )}
+
+        {action === 'set_stock' && (
+          <TextField
+            autoFocus
+            fullWidth
+            margin="normal"
+            type="number"
+            label="Stock Quantity"
+            value={values.stockQuantity}
+            onChange={event => setValue('stockQuantity', event.target.value)}
+            inputProps={{ min: 0, step: 1 }}
+            disabled={submitting}
+          />
+        )}
+
+        {error && (
+          <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={submitting}>Cancel</Button>
+        <Button
+          onClick={handleSubmit}
+          variant="contained"
+          color={action === 'delete' ? 'error' : 'primary'}
+          disabled={submitting}
+        >
+          {submitting ? <CircularProgress size={24} /> : config.submitLabel}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default BatchActionDialog;
@@ -0,0 +1,67 @@
+import React from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Alert,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Chip
+} from '@mui/material';
+
+// Per-product outcome of a batch action, failures listed first
+const BatchResultsDialog = ({ result, onClose }) => {
+  if (!result) return null;
+
+  const rows = [...result.results].sort((a, b) => Number(a.success) - Number(b.success));
+  const severity = result.failed === 0 ? 'success' : result.succeeded === 0 ? 'error' : 'warning';
+
+  return (
+    <Dialog open onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Batch Results</DialogTitle>
+      <DialogContent dividers>
+        <Alert severity={severity} sx={{ mb: 2 }}>
+          {result.succeeded} succeeded, {result.failed} failed
+          {result.failed > 0 && ' — failed products stay selected so you can retry'}
+        </Alert>
+        {rows.length > 0 && (
+          <Table size="small" stickyHeader>
+            <TableHead>
+              <TableRow>
+                <TableCell>Product</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell>Reason</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {rows.map(row => (
+                <TableRow key={row.id}>
+                  <TableCell>{row.name || `#${row.id}`}</TableCell>
+                  <TableCell>
+                    <Chip
+                      size="small"
+                      label={row.success ? 'Succeeded' : 'Failed'}
+                      color={row.success ? 'success' : 'error'}
+                      variant="outlined"
+                    />
+                  </TableCell>
+                  <TableCell>{row.error || '—'}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default BatchResultsDialog;
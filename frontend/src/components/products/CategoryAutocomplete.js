@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import { Autocomplete, TextField, createFilterOptions } from '@mui/material';
+
+const filter = createFilterOptions();
+
+// Category picker that offers to create the typed category when it does not exist yet.
+// onCreate(name) should create it and resolve to the stored name.
+const CategoryAutocomplete = ({
+  value,
+  options,
+  onChange,
+  onCreate,
+  onBlur,
+  error,
+  helperText,
+  disabled,
+  required
+}) => {
+  const [creating, setCreating] = useState(false);
+  const [createError, setCreateError] = useState('');
+
+  const handleChange = async (event, newValue) => {
+    setCreateError('');
+    if (newValue && newValue.inputValue) {
+      setCreating(true);
+      try {
+        onChange(await onCreate(newValue.inputValue.trim()));
+      } catch (error) {
+        setCreateError(error.message || 'Failed to create category');
+      } finally {
+        setCreating(false);
+      }
+      return;
+    }
+    onChange(newValue || '');
+  };
+
+  return (
+    <Autocomplete
+      value={value || null}
+      options={options}
+      onChange={handleChange}
+      onBlur={onBlur}
+      disabled={disabled || creating}
+      selectOnFocus
+      clearOnBlur
+      handleHomeEndKeys
+      filterOptions={(opts, params) => {
+        const filtered = filter(opts, params);
+        const input = params.inputValue.trim();
+        const exists = opts.some(option => option.toLowerCase() === input.toLowerCase());
+        if (input && !exists && onCreate) {
+          filtered.push({ inputValue: input, label: `Add "${input}"` });
+        }
+        return filtered;
+      }}
+      getOptionLabel={option => (typeof option === 'string' ? option : option.label)}
+      isOptionEqualToValue={(option, selected) => option === selected}
+      renderInput={params => (
+        <TextField
+          {...params}
+          name="category"
+          label="Category"
+          margin="normal"
+          required={required}
+          error={error || !!createError}
+          helperText={createError || helperText}
+        />
+      )}
+    />
+  );
+};
+
+export default CategoryAutocomplete;
@@ -0,0 +1,196 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Box,
+  Button,
+  Slider,
+  ToggleButton,
+  ToggleButtonGroup,
+  Typography,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import {
+  CROP_ASPECTS,
+  IMAGE_MAX_SIZE,
+  THUMBNAIL_SIZE,
+  loadImage,
+  cropRect,
+  renderCrop
+} from '../../utils/images';
+
+const PREVIEW_WIDTH = 520;
+const PREVIEW_MAX_HEIGHT = 390;
+const MAX_ZOOM = 4;
+const INITIAL_CROP = { aspect: null, zoom: 1, centerX: 0.5, centerY: 0.5 };
+
+// Crops and scales down one image before upload. The preview shows exactly what is kept;
+// drag it to move the crop. onCrop receives { image, thumbnail } as JPEG Blobs
+const ImageCropDialog = ({ file, onCrop, onCancel }) => {
+  const [image, setImage] = useState(null);
+  const [crop, setCrop] = useState(INITIAL_CROP);
+  const [error, setError] = useState('');
+  const [processing, setProcessing] = useState(false);
+  const canvasRef = useRef(null);
+  const dragRef = useRef(null);
+
+  useEffect(() => {
+    if (!file) return undefined;
+    let cancelled = false;
+    setImage(null);
+    setCrop(INITIAL_CROP);
+    setError('');
+    loadImage(file)
+      .then(loaded => !cancelled && setImage(loaded))
+      .catch(loadError => !cancelled && setError(loadError.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [file]);
+
+  const rect = useMemo(
+    () => (image ? cropRect(image.naturalWidth, image.naturalHeight, crop) : null),
+    [image, crop]
+  );
+
+  const previewSize = useMemo(() => {
+    if (!rect) return null;
+    const ratio = rect.width / rect.height;
+    const width = Math.min(PREVIEW_WIDTH, PREVIEW_MAX_HEIGHT * ratio);
+    return { width: Math.round(width), height: Math.round(width / ratio) };
+  }, [rect]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !rect) return;
+    const context = canvas.getContext('2d');
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, rect.x, rect.y, rect.width, rect.height, 0, 0, canvas.width, canvas.height);
+  }, [image, rect, previewSize]);
+
+  // Keeps the stored centre where the crop actually is, so dragging past an edge does not build up
+  const updateCrop = (changes) => {
+    setCrop(prev => {
+      const next = { ...prev, ...changes };
+      const clamped = cropRect(image.naturalWidth, image.naturalHeight, next);
+      return {
+        ...next,
+        centerX: (clamped.x + clamped.width / 2) / image.naturalWidth,
+        centerY: (clamped.y + clamped.height / 2) / image.naturalHeight
+      };
+    });
+  };
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    dragRef.current = { x: event.clientX, y: event.clientY, centerX: crop.centerX, centerY: crop.centerY };
+  };
+
+  const handlePointerMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    // Preview pixels to image pixels, then to fractions of the image
+    const scale = rect.width / event.currentTarget.clientWidth;
+    updateCrop({
+      centerX: drag.centerX - ((event.clientX - drag.x) * scale) / image.naturalWidth,
+      centerY: drag.centerY - ((event.clientY - drag.y) * scale) / image.naturalHeight
+    });
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const handleConfirm = async () => {
+    setProcessing(true);
+    setError('');
+    try {
+      const [cropped, thumbnail] = await Promise.all([
+        renderCrop(image, rect, IMAGE_MAX_SIZE),
+        renderCrop(image, rect, THUMBNAIL_SIZE)
+      ]);
+      onCrop({ image: cropped, thumbnail });
+    } catch (renderError) {
+      setError(renderError.message);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  return (
+    <Dialog open={!!file} onClose={processing ? undefined : onCancel} maxWidth="sm" fullWidth>
+      <DialogTitle>Crop Image</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        {file && (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }} noWrap>
+            {file.name}
+          </Typography>
+        )}
+        {!image && !error && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 6 }}>
+            <CircularProgress />
+          </Box>
+        )}
+        {image && (
+          <>
+            <Box sx={{ display: 'flex', justifyContent: 'center', bgcolor: 'grey.100', py: 1, mb: 2 }}>
+              <canvas
+                ref={canvasRef}
+                width={previewSize.width}
+                height={previewSize.height}
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={handlePointerUp}
+                style={{ maxWidth: '100%', cursor: 'move', touchAction: 'none' }}
+                aria-label="Crop preview; drag to move the crop"
+              />
+            </Box>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 3, flexWrap: 'wrap' }}>
+              <ToggleButtonGroup
+                size="small"
+                exclusive
+                value={CROP_ASPECTS.find(option => option.value === crop.aspect).label}
+                onChange={(event, label) => label && updateCrop({
+                  aspect: CROP_ASPECTS.find(option => option.label === label).value
+                })}
+                aria-label="Aspect ratio"
+              >
+                {CROP_ASPECTS.map(option => (
+                  <ToggleButton key={option.label} value={option.label}>{option.label}</ToggleButton>
+                ))}
+              </ToggleButtonGroup>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexGrow: 1, minWidth: 180 }}>
+                <Typography variant="body2">Zoom</Typography>
+                <Slider
+                  size="small"
+                  min={1}
+                  max={MAX_ZOOM}
+                  step={0.05}
+                  value={crop.zoom}
+                  onChange={(event, zoom) => updateCrop({ zoom })}
+                  aria-label="Zoom"
+                />
+              </Box>
+            </Box>
+            <Typography variant="caption" color="text.secondary">
+              Images are scaled down to at most {IMAGE_MAX_SIZE} pixels on the longest side.
+            </Typography>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onCancel} disabled={processing}>Skip Image</Button>
+        <Button variant="contained" onClick={handleConfirm} disabled={!image || processing}>
+          {processing ? <CircularProgress size={24} /> : 'Use Image'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ImageCropDialog;
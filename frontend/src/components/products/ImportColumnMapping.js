@@ -0,0 +1,57 @@
+import React from 'react';
+import {
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Select,
+  MenuItem,
+  Typography
+} from '@mui/material';
+import { productSchema } from './productSchema';
+import { IMPORT_FIELDS } from '../../utils/productImport';
+
+// Lets the user pick the file column for each product field, showing a sample value
+const ImportColumnMapping = ({ headers, mapping, sampleRow, onChange }) => (
+  <Table size="small">
+    <TableHead>
+      <TableRow>
+        <TableCell>Product field</TableCell>
+        <TableCell>File column</TableCell>
+        <TableCell>Sample value</TableCell>
+      </TableRow>
+    </TableHead>
+    <TableBody>
+      {IMPORT_FIELDS.map(field => (
+        <TableRow key={field}>
+          <TableCell>{productSchema[field].label}</TableCell>
+          <TableCell sx={{ minWidth: 220 }}>
+            <Select
+              fullWidth
+              size="small"
+              displayEmpty
+              value={mapping[field]}
+              onChange={event => onChange({ ...mapping, [field]: event.target.value })}
+              error={!mapping[field] && productSchema[field].required}
+            >
+              <MenuItem value="">
+                <em>Not mapped</em>
+              </MenuItem>
+              {headers.map(header => (
+                <MenuItem key={header} value={header}>{header}</MenuItem>
+              ))}
+            </Select>
+          </TableCell>
+          <TableCell>
+            <Typography variant="body2" color="text.secondary" noWrap sx={{ maxWidth: 240 }}>
+              {mapping[field] && sampleRow ? String(sampleRow[mapping[field]]) : '—'}
+            </Typography>
+          </TableCell>
+        </TableRow>
+      ))}
+    </TableBody>
+  </Table>
+);
+
+export default ImportColumnMapping;
@@ -0,0 +1,69 @@
+import React from 'react';
+import {
+  Box,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Typography,
+  alpha
+} from '@mui/material';
+import { productSchema } from './productSchema';
+import { IMPORT_FIELDS, formatRowErrors } from '../../utils/productImport';
+
+// Rendering thousands of rows would freeze the page; the rest are still imported
+const MAX_PREVIEW_ROWS = 200;
+
+// Validated rows with invalid cells highlighted and their errors listed
+const ImportPreviewTable = ({ rows }) => {
+  const visibleRows = rows.slice(0, MAX_PREVIEW_ROWS);
+
+  return (
+    <Box sx={{ overflowX: 'auto', maxHeight: 480 }}>
+      <Table size="small" stickyHeader>
+        <TableHead>
+          <TableRow>
+            <TableCell>Row</TableCell>
+            {IMPORT_FIELDS.map(field => (
+              <TableCell key={field}>{productSchema[field].label}</TableCell>
+            ))}
+            <TableCell>Errors</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {visibleRows.map(row => (
+            <TableRow key={row.rowNumber} sx={row.payload ? undefined : { bgcolor: theme => alpha(theme.palette.error.main, 0.06) }}>
+              <TableCell>{row.rowNumber}</TableCell>
+              {IMPORT_FIELDS.map(field => (
+                <TableCell
+                  key={field}
+                  sx={{
+                    maxWidth: 200,
+                    overflow: 'hidden',
+                    textOverflow: 'ellipsis',
+                    whiteSpace: 'nowrap',
+                    color: row.errors[field] ? 'error.main' : undefined
+                  }}
+                  title={row.values[field]}
+                >
+                  {row.values[field] || '—'}
+                </TableCell>
+              ))}
+              <TableCell sx={{ color: 'error.main', minWidth: 200 }}>
+                {formatRowErrors(row.errors)}
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+      {rows.length > MAX_PREVIEW_ROWS && (
+        <Typography variant="body2" color="text.secondary" sx={{ p: 1 }}>
+          Showing the first {MAX_PREVIEW_ROWS} of {rows.length} rows.
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default ImportPreviewTable;
@@ -0,0 +1,99 @@
+import React from 'react';
+import { Paper, Box, Typography, Button, Checkbox, Tooltip } from '@mui/material';
+import {
+  Category as CategoryIcon,
+  PriceChange as PriceChangeIcon,
+  Inventory as InventoryIcon,
+  Delete as DeleteIcon
+} from '@mui/icons-material';
+import Can from '../Can';
+import { PERMISSIONS } from '../../utils/permissions';
+
+// Selection summary and batch actions above the product grid
+const ProductBulkToolbar = ({
+  selectedCount,
+  total,
+  allMatching,
+  pageSelected,
+  pageIndeterminate,
+  onTogglePage,
+  onSelectAllMatching,
+  onClearSelection,
+  onAction
+}) => (
+  <Paper
+    variant="outlined"
+    sx={{
+      display: 'flex',
+      flexWrap: 'wrap',
+      alignItems: 'center',
+      gap: 1,
+      px: 1,
+      py: 0.5,
+      mb: 2,
+      bgcolor: selectedCount > 0 ? 'action.selected' : 'transparent'
+    }}
+  >
+    <Tooltip title={pageSelected ? 'Deselect this page' : 'Select this page'}>
+      <Checkbox
+        checked={pageSelected}
+        indeterminate={pageIndeterminate}
+        onChange={onTogglePage}
+        inputProps={{ 'aria-label': 'Select all products on this page' }}
+      />
+    </Tooltip>
+    <Typography variant="body2" sx={{ mr: 1 }}>
+      {selectedCount > 0 ? `${selectedCount} selected` : 'Select products for batch actions'}
+    </Typography>
+    {selectedCount > 0 && !allMatching && selectedCount < total && (
+      <Button size="small" onClick={onSelectAllMatching}>
+        Select all {total} matching
+      </Button>
+    )}
+    {selectedCount > 0 && (
+      <Button size="small" onClick={onClearSelection}>
+        Clear selection
+      </Button>
+    )}
+
+    <Box sx={{ flexGrow: 1 }} />
+
+    <Button
+      size="small"
+      startIcon={<CategoryIcon />}
+      disabled={selectedCount === 0}
+      onClick={() => onAction('set_category')}
+    >
+      Category
+    </Button>
+    <Button
+      size="small"
+      startIcon={<PriceChangeIcon />}
+      disabled={selectedCount === 0}
+      onClick={() => onAction('adjust_price')}
+    >
+      Price
+    </Button>
+    <Button
+      size="small"
+      startIcon={<InventoryIcon />}
+      disabled={selectedCount === 0}
+      onClick={() => onAction('set_stock')}
+    >
+      Stock
+    </Button>
+    <Can permission={PERMISSIONS.CATALOG_DELETE}>
+      <Button
+        size="small"
+        color="error"
+        startIcon={<DeleteIcon />}
+        disabled={selectedCount === 0}
+        onClick={() => onAction('delete')}
+      >
+        Delete
+      </Button>
+    </Can>
+  </Paper>
+);
+
+export default ProductBulkToolbar;
@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Button,
+  FormControl,
+  FormLabel,
+  RadioGroup,
+  Radio,
+  FormControlLabel,
+  FormGroup,
+  FormHelperText,
+  Checkbox,
+  Switch,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { EXPORT_FORMATS, EXPORT_COLUMNS } from '../../utils/productExport';
+
+// Export options; onExport({ format, columnKeys, includeSummary }) does the work and may throw
+const ProductExportDialog = ({ open, total, onExport, onClose }) => {
+  const [format, setFormat] = useState('csv');
+  const [columnKeys, setColumnKeys] = useState(EXPORT_COLUMNS.map(column => column.key));
+  const [includeSummary, setIncludeSummary] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState('');
+
+  const supportsSummary = EXPORT_FORMATS.find(option => option.value === format).supportsSummary;
+
+  const handleToggleColumn = (key) => {
+    setColumnKeys(prev => (prev.includes(key) ? prev.filter(item => item !== key) : [...prev, key]));
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    setError('');
+    try {
+      await onExport({ format, columnKeys, includeSummary: supportsSummary && includeSummary });
+      onClose();
+    } catch (exportError) {
+      console.error('Error exporting products:', exportError);
+      setError(exportError.message || 'Export failed');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={exporting ? undefined : onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>Export Products</DialogTitle>
+      <DialogContent>
+        <DialogContentText sx={{ mb: 2 }}>
+          Exports all {total} products matching the current filters, in the current sort order.
+        </DialogContentText>
+
+        <FormControl sx={{ mb: 2 }}>
+          <FormLabel>Format</FormLabel>
+          <RadioGroup value={format} onChange={event => setFormat(event.target.value)}>
+            {EXPORT_FORMATS.map(option => (
+              <FormControlLabel key={option.value} value={option.value} control={<Radio />} label={option.label} />
+            ))}
+          </RadioGroup>
+        </FormControl>
+
+        <FormControl component="fieldset" error={columnKeys.length === 0} sx={{ mb: 2, display: 'block' }}>
+          <FormLabel component="legend">Columns</FormLabel>
+          <FormGroup row>
+            {EXPORT_COLUMNS.map(column => (
+              <FormControlLabel
+                key={column.key}
+                control={
+                  <Checkbox
+                    checked={columnKeys.includes(column.key)}
+                    onChange={() => handleToggleColumn(column.key)}
+                  />
+                }
+                label={column.label}
+              />
+            ))}
+          </FormGroup>
+          {columnKeys.length === 0 && <FormHelperText>Choose at least one column</FormHelperText>}
+        </FormControl>
+
+        <FormControlLabel
+          control={
+            <Switch
+              checked={supportsSummary && includeSummary}
+              onChange={event => setIncludeSummary(event.target.checked)}
+              disabled={!supportsSummary}
+            />
+          }
+          label="Include category and low-stock summary"
+        />
+        {!supportsSummary && (
+          <FormHelperText>CSV holds a single table; choose XLSX, JSON or PDF for the summary.</FormHelperText>
+        )}
+
+        {error && <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={exporting}>Cancel</Button>
+        <Button
+          onClick={handleExport}
+          variant="contained"
+          disabled={exporting || columnKeys.length === 0 || total === 0}
+        >
+          {exporting ? <CircularProgress size={24} /> : 'Export'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ProductExportDialog;
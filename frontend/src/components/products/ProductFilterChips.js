@@ -0,0 +1,34 @@
+import React from 'react';
+import { Box, Chip, Button } from '@mui/material';
+import { describeFilters } from '../../utils/productQuery';
+
+// One removable chip per active filter criterion
+const ProductFilterChips = ({ query, onChange, onClear }) => {
+  const chips = describeFilters(query);
+
+  if (chips.length === 0) {
+    return null;
+  }
+
+  return (
+    <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 1, mb: 2 }}>
+      {chips.map(chip => (
+        <Chip
+          key={chip.key}
+          label={chip.label}
+          onDelete={() => onChange(chip.changes)}
+          color="primary"
+          variant="outlined"
+          size="small"
+        />
+      ))}
+      {chips.length > 1 && (
+        <Button size="small" onClick={onClear}>
+          Clear all
+        </Button>
+      )}
+    </Box>
+  );
+};
+
+export default ProductFilterChips;
@@ -0,0 +1,138 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Paper,
+  Typography,
+  FormGroup,
+  FormControlLabel,
+  Checkbox,
+  Slider,
+  Switch,
+  Divider,
+  Box,
+  Button
+} from '@mui/material';
+
+const SliderFilter = ({ label, min, max, step, valueMin, valueMax, formatValue, onCommit }) => {
+  const [value, setValue] = useState([valueMin ?? min, valueMax ?? max]);
+
+  useEffect(() => {
+    setValue([valueMin ?? min, valueMax ?? max]);
+  }, [valueMin, valueMax, min, max]);
+
+  // Values at the ends of the range mean "no limit", so they are not sent to the server
+  const handleCommit = (event, [low, high]) => {
+    onCommit(low <= min ? null : low, high >= max ? null : high);
+  };
+
+  return (
+    <Box sx={{ px: 1 }}>
+      <Typography variant="subtitle2" gutterBottom>
+        {label}
+      </Typography>
+      <Slider
+        value={value}
+        min={min}
+        max={max}
+        step={step}
+        onChange={(event, newValue) => setValue(newValue)}
+        onChangeCommitted={handleCommit}
+        valueLabelDisplay="auto"
+        valueLabelFormat={formatValue}
+        disabled={min >= max}
+        disableSwap
+      />
+      <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+        <Typography variant="caption" color="text.secondary">{formatValue(value[0])}</Typography>
+        <Typography variant="caption" color="text.secondary">{formatValue(value[1])}</Typography>
+      </Box>
+    </Box>
+  );
+};
+
+const ProductFilterPanel = ({ query, categories, bounds, onChange, onClear }) => {
+  const priceMin = Math.floor(bounds?.min_price ?? 0);
+  const priceMax = Math.ceil(bounds?.max_price ?? 0);
+  const stockMax = bounds?.max_stock ?? 0;
+
+  const handleCategoryToggle = (category) => {
+    const selected = query.categories.includes(category)
+      ? query.categories.filter(item => item !== category)
+      : [...query.categories, category];
+    onChange({ categories: selected });
+  };
+
+  return (
+    <Paper sx={{ p: 2 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+        <Typography variant="h6">Filters</Typography>
+        <Button size="small" onClick={onClear}>
+          Clear
+        </Button>
+      </Box>
+
+      <Typography variant="subtitle2" gutterBottom>
+        Categories
+      </Typography>
+      <FormGroup sx={{ maxHeight: 240, overflowY: 'auto', flexWrap: 'nowrap' }}>
+        {categories.map(category => (
+          <FormControlLabel
+            key={category}
+            control={
+              <Checkbox
+                size="small"
+                checked={query.categories.includes(category)}
+                onChange={() => handleCategoryToggle(category)}
+              />
+            }
+            label={category}
+          />
+        ))}
+        {categories.length === 0 && (
+          <Typography variant="body2" color="text.secondary">
+            No categories yet
+          </Typography>
+        )}
+      </FormGroup>
+
+      <Divider sx={{ my: 2 }} />
+
+      <SliderFilter
+        label="Price"
+        min={priceMin}
+        max={priceMax}
+        step={1}
+        valueMin={query.minPrice}
+        valueMax={query.maxPrice}
+        formatValue={value => `$${value}`}
+        onCommit={(minPrice, maxPrice) => onChange({ minPrice, maxPrice })}
+      />
+
+      <Divider sx={{ my: 2 }} />
+
+      <FormControlLabel
+        control={
+          <Switch
+            checked={query.inStock}
+            onChange={event => onChange({ inStock: event.target.checked })}
+          />
+        }
+        label="In stock only"
+      />
+
+      <Box sx={{ mt: 2 }}>
+        <SliderFilter
+          label="Stock level"
+          min={0}
+          max={stockMax}
+          step={1}
+          valueMin={query.minStock}
+          valueMax={query.maxStock}
+          formatValue={value => `${value} units`}
+          onCommit={(minStock, maxStock) => onChange({ minStock, maxStock })}
+        />
+      </Box>
+    </Paper>
+  );
+};
+
+export default ProductFilterPanel;
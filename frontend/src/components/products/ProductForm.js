@@ -0,0 +1,260 @@
+import React, { useState, useMemo } from 'react';
+import {
+  Box,
+  Grid,
+  TextField,
+  Button,
+  Alert,
+  CircularProgress,
+  InputAdornment
+} from '@mui/material';
+import { ValidationError } from '../../services/api';
+import useUnsavedChangesPrompt from '../../hooks/useUnsavedChangesPrompt';
+import { validate, validateValue } from '../../utils/validation';
+import CategoryAutocomplete from './CategoryAutocomplete';
+import ProductImagesField from './ProductImagesField';
+import ProductVariantsField from './ProductVariantsField';
+import { productSchema, formSchema, emptyProduct, toProductPayload, validateVariants } from './productSchema';
+import { reorderSettings } from '../../utils/stockLevel';
+
+// Reusable create/edit form. onSubmit receives the API payload and may throw;
+// 422 responses are mapped back onto the fields they refer to.
+const ProductForm = ({
+  initialValues = emptyProduct,
+  categories = [],
+  categoryDefaults = {},
+  onCreateCategory,
+  submitLabel = 'Save',
+  onSubmit,
+  onCancel
+}) => {
+  const [values, setValues] = useState(initialValues);
+  const [touched, setTouched] = useState({});
+  const [errors, setErrors] = useState({});
+  const [formError, setFormError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [uploading, setUploading] = useState(false);
+
+  // Images, options and variants are lists, compared by content; the other fields as the
+  // strings the inputs hold
+  const isDirty = useMemo(
+    () => Object.keys(values).some(field => (Array.isArray(values[field])
+      ? JSON.stringify(values[field]) !== JSON.stringify(initialValues[field] ?? [])
+      : String(values[field]) !== String(initialValues[field] ?? ''))),
+    [values, initialValues]
+  );
+  const setNavigationAllowed = useUnsavedChangesPrompt(isDirty);
+
+  // Keep the current category selectable even if no other product uses it
+  const categoryOptions = useMemo(() => {
+    const options = [...categories];
+    if (initialValues.category && !options.includes(initialValues.category)) {
+      options.push(initialValues.category);
+    }
+    return options;
+  }, [categories, initialValues.category]);
+
+  // What a blank reorder field falls back to for the chosen category
+  const inherited = reorderSettings({ category: values.category.trim() }, categoryDefaults);
+  const schema = formSchema(values);
+  const hasOptions = values.options.length > 0;
+
+  const setFieldValue = (name, value) => {
+    setValues(prev => ({
+      ...prev,
+      [name]: value
+    }));
+    if (touched[name]) {
+      setErrors(prev => ({ ...prev, [name]: validateValue(schema, name, value) }));
+    }
+  };
+
+  const touchField = (name, value) => {
+    setTouched(prev => ({ ...prev, [name]: true }));
+    setErrors(prev => ({ ...prev, [name]: validateValue(schema, name, value) }));
+  };
+
+  // Variant errors are shown once the form has been submitted, then kept up to date
+  const handleVariantsChange = ({ options, variants }) => {
+    const next = { ...values, options, variants };
+    setValues(next);
+    if (touched.variants) {
+      const { options: optionsError, variants: variantErrors, ...others } = errors;
+      setErrors({ ...others, ...validateVariants(next) });
+    }
+  };
+
+  const handleChange = (event) => {
+    setFieldValue(event.target.name, event.target.value);
+  };
+
+  const handleBlur = (event) => {
+    touchField(event.target.name, event.target.value);
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setFormError('');
+
+    const validationErrors = { ...validate(schema, values), ...validateVariants(values) };
+    setTouched(Object.keys(productSchema).reduce((all, field) => ({ ...all, [field]: true }), { variants: true }));
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) {
+      return;
+    }
+
+    setSubmitting(true);
+    setNavigationAllowed(true);
+    try {
+      await onSubmit(toProductPayload(values));
+    } catch (error) {
+      setNavigationAllowed(false);
+      if (error instanceof ValidationError && Object.keys(error.fieldErrors).length > 0) {
+        setErrors(error.fieldErrors);
+      }
+      setFormError(error.message || 'Failed to save product');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const fieldProps = (name) => ({
+    name,
+    value: values[name],
+    onChange: handleChange,
+    onBlur: handleBlur,
+    error: !!errors[name],
+    helperText: errors[name] || ' ',
+    disabled: submitting
+  });
+
+  return (
+    <Box component="form" noValidate onSubmit={handleSubmit}>
+      {formError && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {formError}
+        </Alert>
+      )}
+
+      <TextField
+        margin="normal"
+        required
+        fullWidth
+        label="Product Name"
+        inputProps={{ maxLength: productSchema.name.maxLength }}
+        {...fieldProps('name')}
+      />
+      <TextField
+        margin="normal"
+        required
+        fullWidth
+        label="Description"
+        multiline
+        rows={3}
+        {...fieldProps('description')}
+        helperText={errors.description || `${values.description.length}/${productSchema.description.maxLength}`}
+      />
+      {hasOptions ? (
+        <Alert severity="info" sx={{ my: 2 }}>
+          Price and stock are set for each variant below.
+        </Alert>
+      ) : (
+        <Grid container spacing={2}>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              margin="normal"
+              required
+              fullWidth
+              label="Price"
+              type="number"
+              inputProps={{ min: 0, step: 0.01 }}
+              InputProps={{
+                startAdornment: <InputAdornment position="start">$</InputAdornment>
+              }}
+              {...fieldProps('price')}
+            />
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              margin="normal"
+              required
+              fullWidth
+              label="Stock Quantity"
+              type="number"
+              inputProps={{ min: 0, step: 1 }}
+              {...fieldProps('stock_quantity')}
+            />
+          </Grid>
+        </Grid>
+      )}
+      <CategoryAutocomplete
+        required
+        value={values.category}
+        options={categoryOptions}
+        onChange={category => setFieldValue('category', category)}
+        onCreate={onCreateCategory}
+        onBlur={() => touchField('category', values.category)}
+        error={!!errors.category}
+        helperText={errors.category || ' '}
+        disabled={submitting}
+      />
+
+      <Grid container spacing={2}>
+        <Grid item xs={12} sm={6}>
+          <TextField
+            margin="normal"
+            fullWidth
+            label="Reorder Point"
+            type="number"
+            inputProps={{ min: 0, step: 1 }}
+            placeholder={String(inherited.reorderPoint)}
+            {...fieldProps('reorder_point')}
+            helperText={errors.reorder_point || `Low stock at or below this; blank uses ${inherited.reorderPoint}`}
+          />
+        </Grid>
+        <Grid item xs={12} sm={6}>
+          <TextField
+            margin="normal"
+            fullWidth
+            label="Reorder Quantity"
+            type="number"
+            inputProps={{ min: 1, step: 1 }}
+            placeholder={inherited.reorderQuantity ? String(inherited.reorderQuantity) : ''}
+            {...fieldProps('reorder_quantity')}
+            helperText={errors.reorder_quantity || (inherited.reorderQuantity
+              ? `Units to order; blank uses ${inherited.reorderQuantity}`
+              : 'Units to order when restocking')}
+          />
+        </Grid>
+      </Grid>
+
+      <ProductVariantsField
+        options={values.options}
+        variants={values.variants}
+        productName={values.name}
+        basePrice={values.price}
+        errors={errors}
+        onChange={handleVariantsChange}
+        disabled={submitting}
+      />
+
+      <ProductImagesField
+        images={values.images}
+        onChange={images => setFieldValue('images', images)}
+        onUploadingChange={setUploading}
+        disabled={submitting}
+      />
+
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1, mt: 2 }}>
+        <Button onClick={onCancel} disabled={submitting}>
+          Cancel
+        </Button>
+        <Button type="submit" variant="contained" disabled={submitting || uploading}>
+          {submitting ? <CircularProgress size={24} /> : (uploading ? 'Uploading…' : submitLabel)}
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+export default ProductForm;
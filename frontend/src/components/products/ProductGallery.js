@@ -0,0 +1,239 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Box, Dialog, IconButton, Tooltip, Typography } from '@mui/material';
+import {
+  ChevronLeft as ChevronLeftIcon,
+  ChevronRight as ChevronRightIcon,
+  Close as CloseIcon,
+  ZoomIn as ZoomInIcon,
+  ZoomOut as ZoomOutIcon
+} from '@mui/icons-material';
+import { imageUrl } from '../../utils/images';
+
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 5;
+const ZOOM_STEP = 0.5;
+const INITIAL_VIEW = { zoom: 1, x: 0, y: 0 };
+
+const clampZoom = (zoom) => Math.min(Math.max(zoom, MIN_ZOOM), MAX_ZOOM);
+
+// Full-screen viewer: zoom with the buttons, the mouse wheel, + and - or a double click,
+// drag to look around a zoomed image, and move between images with the arrow keys
+const ImageViewer = ({ images, index, name, onIndexChange, onClose }) => {
+  const [view, setView] = useState(INITIAL_VIEW);
+  const dragRef = useRef(null);
+  const open = index !== null;
+
+  useEffect(() => {
+    setView(INITIAL_VIEW);
+  }, [index]);
+
+  const zoomTo = (zoom) => {
+    setView(prev => {
+      const next = clampZoom(zoom);
+      // Zooming out pulls the image back towards the centre
+      const scale = next === MIN_ZOOM ? 0 : next / prev.zoom;
+      return { zoom: next, x: prev.x * scale, y: prev.y * scale };
+    });
+  };
+
+  const step = (direction) => {
+    onIndexChange((index + direction + images.length) % images.length);
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'ArrowLeft' && images.length > 1) step(-1);
+    if (event.key === 'ArrowRight' && images.length > 1) step(1);
+    if (event.key === '+' || event.key === '=') zoomTo(view.zoom + ZOOM_STEP);
+    if (event.key === '-') zoomTo(view.zoom - ZOOM_STEP);
+  };
+
+  const handlePointerDown = (event) => {
+    if (view.zoom === MIN_ZOOM) return;
+    event.currentTarget.setPointerCapture(event.pointerId);
+    dragRef.current = { x: event.clientX - view.x, y: event.clientY - view.y };
+  };
+
+  const handlePointerMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    setView(prev => ({ ...prev, x: event.clientX - drag.x, y: event.clientY - drag.y }));
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  if (!open) return null;
+
+  return (
+    <Dialog
+      open
+      fullScreen
+      onClose={onClose}
+      onKeyDown={handleKeyDown}
+      PaperProps={{ sx: { bgcolor: 'grey.900', color: 'common.white' } }}
+    >
+      <Box sx={{ display: 'flex', alignItems: 'center', px: 2, py: 1, gap: 1 }}>
+        <Typography sx={{ flexGrow: 1 }} noWrap>
+          {name} · {index + 1} of {images.length}
+        </Typography>
+        <Tooltip title="Zoom out">
+          <span>
+            <IconButton color="inherit" onClick={() => zoomTo(view.zoom - ZOOM_STEP)} disabled={view.zoom <= MIN_ZOOM}>
+              <ZoomOutIcon />
+            </IconButton>
+          </span>
+        </Tooltip>
+        <Typography variant="body2" sx={{ minWidth: 48, textAlign: 'center' }}>
+          {Math.round(view.zoom * 100)}%
+        </Typography>
+        <Tooltip title="Zoom in">
+          <span>
+            <IconButton color="inherit" onClick={() => zoomTo(view.zoom + ZOOM_STEP)} disabled={view.zoom >= MAX_ZOOM}>
+              <ZoomInIcon />
+            </IconButton>
+          </span>
+        </Tooltip>
+        <Tooltip title="Close">
+          <IconButton color="inherit" onClick={onClose}>
+            <CloseIcon />
+          </IconButton>
+        </Tooltip>
+      </Box>
+
+      <Box
+        onWheel={event => zoomTo(view.zoom - Math.sign(event.deltaY) * ZOOM_STEP)}
+        onDoubleClick={() => zoomTo(view.zoom > MIN_ZOOM ? MIN_ZOOM : 2.5)}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        sx={{
+          position: 'relative',
+          flexGrow: 1,
+          overflow: 'hidden',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          touchAction: 'none',
+          cursor: view.zoom > MIN_ZOOM ? 'grab' : 'zoom-in'
+        }}
+      >
+        <Box
+          component="img"
+          src={imageUrl(images[index].url)}
+          alt={`${name}, image ${index + 1}`}
+          draggable={false}
+          sx={{
+            maxWidth: '100%',
+            maxHeight: '100%',
+            objectFit: 'contain',
+            userSelect: 'none',
+            transform: `translate(${view.x}px, ${view.y}px) scale(${view.zoom})`,
+            transition: dragRef.current ? 'none' : 'transform 0.15s ease-out'
+          }}
+        />
+        {images.length > 1 && (
+          <>
+            <IconButton
+              color="inherit"
+              onClick={() => step(-1)}
+              onPointerDown={event => event.stopPropagation()}
+              aria-label="Previous image"
+              sx={{ position: 'absolute', left: 16, bgcolor: 'rgba(0, 0, 0, 0.4)' }}
+            >
+              <ChevronLeftIcon fontSize="large" />
+            </IconButton>
+            <IconButton
+              color="inherit"
+              onClick={() => step(1)}
+              onPointerDown={event => event.stopPropagation()}
+              aria-label="Next image"
+              sx={{ position: 'absolute', right: 16, bgcolor: 'rgba(0, 0, 0, 0.4)' }}
+            >
+              <ChevronRightIcon fontSize="large" />
+            </IconButton>
+          </>
+        )}
+      </Box>
+    </Dialog>
+  );
+};
+
+// Product images on the detail page: the selected one large, the rest as thumbnails.
+// Clicking the large image opens the zoomable viewer
+const ProductGallery = ({ images, name }) => {
+  const [selected, setSelected] = useState(0);
+  const [viewerIndex, setViewerIndex] = useState(null);
+
+  // The list changes under the gallery when the product is edited elsewhere
+  const index = Math.min(selected, images.length - 1);
+
+  return (
+    <Box sx={{ mb: 3 }}>
+      <Box
+        component="button"
+        type="button"
+        onClick={() => setViewerIndex(index)}
+        aria-label="Open image viewer"
+        sx={{
+          display: 'block',
+          width: '100%',
+          p: 0,
+          border: '1px solid',
+          borderColor: 'divider',
+          borderRadius: 1,
+          bgcolor: 'grey.100',
+          cursor: 'zoom-in',
+          overflow: 'hidden'
+        }}
+      >
+        <Box
+          component="img"
+          src={imageUrl(images[index].url)}
+          alt={`${name}, image ${index + 1}`}
+          sx={{ display: 'block', width: '100%', aspectRatio: '4 / 3', objectFit: 'contain' }}
+        />
+      </Box>
+      {images.length > 1 && (
+        <Box sx={{ display: 'flex', gap: 1, mt: 1, overflowX: 'auto' }}>
+          {images.map((image, imageIndex) => (
+            <Box
+              key={image.url}
+              component="button"
+              type="button"
+              onClick={() => setSelected(imageIndex)}
+              aria-label={`Show image ${imageIndex + 1}`}
+              sx={{
+                flexShrink: 0,
+                p: 0,
+                border: '2px solid',
+                borderColor: imageIndex === index ? 'primary.main' : 'transparent',
+                borderRadius: 1,
+                overflow: 'hidden',
+                cursor: 'pointer',
+                bgcolor: 'transparent'
+              }}
+            >
+              <Box
+                component="img"
+                src={imageUrl(image.thumbnail_url)}
+                alt=""
+                sx={{ display: 'block', width: 72, height: 72, objectFit: 'cover' }}
+              />
+            </Box>
+          ))}
+        </Box>
+      )}
+      <ImageViewer
+        images={images}
+        index={viewerIndex === null ? null : Math.min(viewerIndex, images.length - 1)}
+        name={name}
+        onIndexChange={setViewerIndex}
+        onClose={() => setViewerIndex(null)}
+      />
+    </Box>
+  );
+};
+
+export default ProductGallery;
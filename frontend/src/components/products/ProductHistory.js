@@ -0,0 +1,165 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Chip,
+  Button,
+  Alert,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Divider
+} from '@mui/material';
+import { Restore as RestoreIcon } from '@mui/icons-material';
+import { productApi } from '../../services/api';
+import AuditDiff from '../audit/AuditDiff';
+import {
+  AUDIT_ACTIONS,
+  RESTORABLE_PRODUCT_FIELDS,
+  auditActionLabel,
+  diffFields,
+  formatAuditTime
+} from '../../utils/audit';
+
+// What restoring the event would change on the current product
+const restoreChanges = (product, event) => (event.after
+  ? diffFields(product, event.after, RESTORABLE_PRODUCT_FIELDS.filter(field => field in event.after))
+  : []);
+
+// Field-level change history of one product with restore; reloads when version changes
+const ProductHistory = ({ product, version, canRestore, onRestored }) => {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [restoring, setRestoring] = useState({ event: null, saving: false, error: '' });
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchHistory = async () => {
+      try {
+        const result = await productApi.getHistory(product.id);
+        if (!cancelled) {
+          setEvents(result);
+          setError(null);
+        }
+      } catch (error) {
+        console.error('Error fetching product history:', error);
+        if (!cancelled) setError(error.message || 'Failed to load the change history');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [product.id, version]);
+
+  const handleRestore = async () => {
+    setRestoring(prev => ({ ...prev, saving: true, error: '' }));
+    try {
+      const restored = await productApi.restoreVersion(product.id, restoring.event.id);
+      setRestoring({ event: null, saving: false, error: '' });
+      onRestored(restored);
+    } catch (error) {
+      console.error('Error restoring product version:', error);
+      setRestoring(prev => ({ ...prev, saving: false, error: error.message || 'Failed to restore this version' }));
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (error) {
+    return <Alert severity="error">{error}</Alert>;
+  }
+
+  if (events.length === 0) {
+    return (
+      <Typography color="text.secondary" sx={{ py: 2 }}>
+        No changes have been recorded for this product since the server started.
+      </Typography>
+    );
+  }
+
+  return (
+    <Box>
+      {events.map((event, index) => {
+        const canRestoreEvent = canRestore && restoreChanges(product, event).length > 0;
+        return (
+          <Box key={event.id}>
+            {index > 0 && <Divider sx={{ my: 2 }} />}
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1, flexWrap: 'wrap' }}>
+              <Chip
+                size="small"
+                variant="outlined"
+                label={auditActionLabel(event.action)}
+                color={AUDIT_ACTIONS[event.action]?.color || 'default'}
+              />
+              <Typography variant="body2">{event.summary}</Typography>
+              <Typography variant="body2" color="text.secondary">
+                · {event.username || 'unknown'} · {formatAuditTime(event.timestamp)}
+              </Typography>
+              <Box sx={{ flexGrow: 1 }} />
+              {canRestoreEvent && (
+                <Button
+                  size="small"
+                  startIcon={<RestoreIcon />}
+                  onClick={() => setRestoring({ event, saving: false, error: '' })}
+                >
+                  Restore this version
+                </Button>
+              )}
+            </Box>
+            <AuditDiff before={event.before} after={event.after} />
+          </Box>
+        );
+      })}
+
+      <Dialog
+        open={!!restoring.event}
+        onClose={restoring.saving ? undefined : () => setRestoring({ event: null, saving: false, error: '' })}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle>Restore this version?</DialogTitle>
+        <DialogContent>
+          {restoring.error && <Alert severity="error" sx={{ mb: 2 }}>{restoring.error}</Alert>}
+          <DialogContentText sx={{ mb: 2 }}>
+            These fields go back to how they were on {restoring.event && formatAuditTime(restoring.event.timestamp)}.
+            The stock is not changed; use Adjust Stock for that.
+          </DialogContentText>
+          {restoring.event && (
+            <AuditDiff
+              before={product}
+              after={restoring.event.after}
+              fields={RESTORABLE_PRODUCT_FIELDS.filter(field => field in restoring.event.after)}
+            />
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button
+            onClick={() => setRestoring({ event: null, saving: false, error: '' })}
+            disabled={restoring.saving}
+          >
+            Cancel
+          </Button>
+          <Button variant="contained" onClick={handleRestore} disabled={restoring.saving}>
+            {restoring.saving ? <CircularProgress size={24} /> : 'Restore'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default ProductHistory;
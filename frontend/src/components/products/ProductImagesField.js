@@ -0,0 +1,266 @@
+import React, { useState, useRef, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Typography,
+  IconButton,
+  Tooltip,
+  Chip,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import {
+  AddPhotoAlternate as AddPhotoIcon,
+  Star as StarIcon,
+  StarBorder as StarBorderIcon,
+  ChevronLeft as ChevronLeftIcon,
+  ChevronRight as ChevronRightIcon,
+  Delete as DeleteIcon
+} from '@mui/icons-material';
+import { imageApi, NetworkError } from '../../services/api';
+import { ACCEPTED_IMAGE_TYPES, MAX_PRODUCT_IMAGES, MAX_SOURCE_BYTES, imageUrl } from '../../utils/images';
+import ImageCropDialog from './ImageCropDialog';
+
+const TILE_SIZE = 112;
+
+const moveItem = (items, from, to) => {
+  const next = [...items];
+  const [moved] = next.splice(from, 1);
+  next.splice(to, 0, moved);
+  return next;
+};
+
+// Drag-and-drop upload for a product's images. Each file is cropped, then uploaded
+// while the next one is cropped. Tiles are reordered by dragging or with the arrows;
+// the first image is the primary one. onUploadingChange tells the form to wait
+const ProductImagesField = ({ images, onChange, onUploadingChange, disabled }) => {
+  // Files waiting for the crop dialog, first one showing
+  const [queue, setQueue] = useState([]);
+  const [uploading, setUploading] = useState(0);
+  const [error, setError] = useState('');
+  const [dropActive, setDropActive] = useState(false);
+  const [dragIndex, setDragIndex] = useState(null);
+  const inputRef = useRef(null);
+  // Uploads finish one after another without a render in between, so they append to the latest list
+  const imagesRef = useRef(images);
+  imagesRef.current = images;
+
+  useEffect(() => {
+    onUploadingChange?.(uploading > 0);
+  }, [uploading, onUploadingChange]);
+
+  const change = (next) => {
+    imagesRef.current = next;
+    onChange(next);
+  };
+
+  const addFiles = (fileList) => {
+    const files = Array.from(fileList);
+    const accepted = files.filter(file => ACCEPTED_IMAGE_TYPES.includes(file.type) && file.size <= MAX_SOURCE_BYTES);
+    const room = MAX_PRODUCT_IMAGES - images.length - queue.length - uploading;
+    const added = accepted.slice(0, Math.max(room, 0));
+
+    if (accepted.length < files.length) {
+      setError(`Only JPEG, PNG, WebP and GIF images up to ${MAX_SOURCE_BYTES / (1024 * 1024)} MB can be added`);
+    } else if (added.length < accepted.length) {
+      setError(`A product can have at most ${MAX_PRODUCT_IMAGES} images`);
+    } else {
+      setError('');
+    }
+    setQueue(prev => [...prev, ...added]);
+  };
+
+  const handleCropped = async ({ image, thumbnail }) => {
+    setQueue(prev => prev.slice(1));
+    setUploading(prev => prev + 1);
+    try {
+      const uploaded = await imageApi.upload(image, thumbnail);
+      change([...imagesRef.current, uploaded]);
+    } catch (uploadError) {
+      setError(uploadError instanceof NetworkError
+        ? 'Images can only be uploaded while connected to the server'
+        : uploadError.message || 'Failed to upload image');
+    } finally {
+      setUploading(prev => prev - 1);
+    }
+  };
+
+  const handleFileInput = (event) => {
+    addFiles(event.target.files);
+    // Lets the same file be picked again
+    event.target.value = '';
+  };
+
+  const isFileDrag = (event) => Array.from(event.dataTransfer.types).includes('Files');
+
+  const handleDragOver = (event) => {
+    if (disabled || !isFileDrag(event)) return;
+    event.preventDefault();
+    setDropActive(true);
+  };
+
+  const handleDrop = (event) => {
+    setDropActive(false);
+    if (disabled || !isFileDrag(event)) return;
+    event.preventDefault();
+    addFiles(event.dataTransfer.files);
+  };
+
+  const handleTileDrop = (event, index) => {
+    if (dragIndex === null) return;
+    event.preventDefault();
+    if (dragIndex !== index) {
+      change(moveItem(images, dragIndex, index));
+    }
+    setDragIndex(null);
+  };
+
+  const pending = queue.length + uploading;
+
+  return (
+    <Box sx={{ mt: 2 }}>
+      <Typography variant="subtitle1">Images</Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        The first image is the primary one, shown on product cards. Drag images to reorder them.
+      </Typography>
+      {error && <Alert severity="warning" onClose={() => setError('')} sx={{ mb: 1 }}>{error}</Alert>}
+
+      <Box
+        onDragOver={handleDragOver}
+        onDragLeave={() => setDropActive(false)}
+        onDrop={handleDrop}
+        sx={{
+          border: '2px dashed',
+          borderColor: dropActive ? 'primary.main' : 'divider',
+          bgcolor: dropActive ? 'action.hover' : 'transparent',
+          borderRadius: 1,
+          p: 2
+        }}
+      >
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1.5 }}>
+          {images.map((image, index) => (
+            <Box
+              key={image.url}
+              draggable={!disabled}
+              onDragStart={() => setDragIndex(index)}
+              onDragOver={event => dragIndex !== null && event.preventDefault()}
+              onDrop={event => handleTileDrop(event, index)}
+              onDragEnd={() => setDragIndex(null)}
+              sx={{
+                position: 'relative',
+                width: TILE_SIZE,
+                border: '1px solid',
+                borderColor: index === 0 ? 'primary.main' : 'divider',
+                borderRadius: 1,
+                overflow: 'hidden',
+                opacity: dragIndex === index ? 0.4 : 1,
+                cursor: disabled ? 'default' : 'grab'
+              }}
+            >
+              <Box
+                component="img"
+                src={imageUrl(image.thumbnail_url)}
+                alt={`Product image ${index + 1}`}
+                draggable={false}
+                sx={{ display: 'block', width: TILE_SIZE, height: TILE_SIZE, objectFit: 'cover' }}
+              />
+              {index === 0 && (
+                <Chip label="Primary" size="small" color="primary" sx={{ position: 'absolute', top: 4, left: 4 }} />
+              )}
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', bgcolor: 'background.paper' }}>
+                <Tooltip title={index === 0 ? 'Primary image' : 'Make primary'}>
+                  <span>
+                    <IconButton
+                      size="small"
+                      onClick={() => change(moveItem(images, index, 0))}
+                      disabled={disabled || index === 0}
+                      aria-label="Make primary"
+                    >
+                      {index === 0 ? <StarIcon fontSize="small" color="primary" /> : <StarBorderIcon fontSize="small" />}
+                    </IconButton>
+                  </span>
+                </Tooltip>
+                <IconButton
+                  size="small"
+                  onClick={() => change(moveItem(images, index, index - 1))}
+                  disabled={disabled || index === 0}
+                  aria-label="Move earlier"
+                >
+                  <ChevronLeftIcon fontSize="small" />
+                </IconButton>
+                <IconButton
+                  size="small"
+                  onClick={() => change(moveItem(images, index, index + 1))}
+                  disabled={disabled || index === images.length - 1}
+                  aria-label="Move later"
+                >
+                  <ChevronRightIcon fontSize="small" />
+                </IconButton>
+                <Tooltip title="Remove">
+                  <span>
+                    <IconButton
+                      size="small"
+                      color="error"
+                      onClick={() => change(images.filter((other, otherIndex) => otherIndex !== index))}
+                      disabled={disabled}
+                      aria-label="Remove image"
+                    >
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </span>
+                </Tooltip>
+              </Box>
+            </Box>
+          ))}
+          {Array.from({ length: uploading }, (item, index) => (
+            <Box
+              key={`uploading-${index}`}
+              sx={{
+                width: TILE_SIZE,
+                height: TILE_SIZE,
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                border: '1px solid',
+                borderColor: 'divider',
+                borderRadius: 1
+              }}
+            >
+              <CircularProgress size={28} />
+            </Box>
+          ))}
+        </Box>
+
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mt: images.length + uploading > 0 ? 2 : 0 }}>
+          <Button
+            variant="outlined"
+            startIcon={<AddPhotoIcon />}
+            onClick={() => inputRef.current.click()}
+            disabled={disabled || images.length + pending >= MAX_PRODUCT_IMAGES}
+          >
+            Add Images
+          </Button>
+          <Typography variant="body2" color="text.secondary">
+            or drop files here · {images.length}/{MAX_PRODUCT_IMAGES}
+          </Typography>
+          <input
+            ref={inputRef}
+            type="file"
+            accept={ACCEPTED_IMAGE_TYPES.join(',')}
+            multiple
+            hidden
+            onChange={handleFileInput}
+          />
+        </Box>
+      </Box>
+
+      <ImageCropDialog
+        file={queue[0] || null}
+        onCrop={handleCropped}
+        onCancel={() => setQueue(prev => prev.slice(1))}
+      />
+    </Box>
+  );
+};
+
+export default ProductImagesField;
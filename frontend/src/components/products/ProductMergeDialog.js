@@ -0,0 +1,147 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Box,
+  Button,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Radio,
+  Chip,
+  Link,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { formatAuditValue } from '../../utils/audit';
+import { conflictingFields, defaultChoices, mergeProduct, chooseSide } from '../../utils/productMerge';
+
+const ChoiceCell = ({ field, side, value, changed, choices, onChoose, disabled }) => (
+  <TableCell
+    onClick={disabled ? undefined : () => onChoose(field, side)}
+    sx={{
+      cursor: disabled ? 'default' : 'pointer',
+      bgcolor: choices[field] === side ? 'action.selected' : undefined,
+      color: changed ? 'text.primary' : 'text.secondary'
+    }}
+  >
+    <Box sx={{ display: 'flex', alignItems: 'center' }}>
+      <Radio
+        size="small"
+        checked={choices[field] === side}
+        disabled={disabled}
+        inputProps={{ 'aria-label': `Use ${side === 'mine' ? 'your' : 'their'} ${field}` }}
+      />
+      <Box sx={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>{formatAuditValue(field, value)}</Box>
+    </Box>
+  </TableCell>
+);
+
+// Shown when saving an edit finds the product changed by someone else. Lists the
+// fields where the two versions differ so the user can pick a side per field;
+// onSave receives the merged payload, onDiscard drops the user's edit entirely
+const ProductMergeDialog = ({ conflict, saving, error, onSave, onDiscard, onCancel }) => {
+  const fields = useMemo(
+    () => (conflict ? conflictingFields(conflict.base, conflict.mine, conflict.theirs) : []),
+    [conflict]
+  );
+  const [choices, setChoices] = useState({});
+
+  useEffect(() => {
+    setChoices(defaultChoices(fields));
+  }, [fields]);
+
+  const chooseAll = (side) => {
+    setChoices(fields.reduce((all, { field }) => ({ ...all, [field]: side }), {}));
+  };
+
+  const handleChoose = (field, side) => {
+    setChoices(prev => chooseSide(prev, field, side));
+  };
+
+  const handleSave = () => {
+    onSave(mergeProduct(conflict.mine, conflict.theirs, choices));
+  };
+
+  return (
+    <Dialog open={!!conflict} onClose={saving ? undefined : onCancel} maxWidth="md" fullWidth>
+      <DialogTitle>Someone else changed this product</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        {fields.length === 0 ? (
+          <DialogContentText>
+            The other change does not touch anything you edited, so your changes can be saved as they are.
+          </DialogContentText>
+        ) : (
+          <>
+            <DialogContentText sx={{ mb: 1 }}>
+              Choose which value to keep for each field that differs. Fields that only one of you
+              changed start out with that change selected.
+            </DialogContentText>
+            <Box sx={{ display: 'flex', gap: 2, mb: 1 }}>
+              <Link component="button" variant="body2" onClick={() => chooseAll('mine')} disabled={saving}>
+                Keep all mine
+              </Link>
+              <Link component="button" variant="body2" onClick={() => chooseAll('theirs')} disabled={saving}>
+                Take all theirs
+              </Link>
+            </Box>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Field</TableCell>
+                  <TableCell sx={{ width: '40%' }}>Your change</TableCell>
+                  <TableCell sx={{ width: '40%' }}>Their change</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {fields.map(({ field, label, mine, theirs, mineChanged, theirsChanged }) => (
+                  <TableRow key={field}>
+                    <TableCell>
+                      {label}
+                      {mineChanged && theirsChanged && (
+                        <Chip size="small" color="warning" variant="outlined" label="Both changed" sx={{ ml: 1 }} />
+                      )}
+                    </TableCell>
+                    <ChoiceCell
+                      field={field}
+                      side="mine"
+                      value={mine}
+                      changed={mineChanged}
+                      choices={choices}
+                      onChoose={handleChoose}
+                      disabled={saving}
+                    />
+                    <ChoiceCell
+                      field={field}
+                      side="theirs"
+                      value={theirs}
+                      changed={theirsChanged}
+                      choices={choices}
+                      onChoose={handleChoose}
+                      disabled={saving}
+                    />
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onCancel} disabled={saving}>Back to Editing</Button>
+        <Button color="warning" onClick={onDiscard} disabled={saving}>Discard My Changes</Button>
+        <Button variant="contained" onClick={handleSave} disabled={saving}>
+          {saving ? <CircularProgress size={24} /> : 'Save'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ProductMergeDialog;
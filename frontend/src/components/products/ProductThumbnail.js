@@ -0,0 +1,38 @@
+import React from 'react';
+import { Box, CardMedia } from '@mui/material';
+import { ImageOutlined as ImageIcon } from '@mui/icons-material';
+import { imageUrl, primaryImage } from '../../utils/images';
+
+// The product's primary image for cards, or a placeholder when it has none
+const ProductThumbnail = ({ product, height = 160 }) => {
+  const image = primaryImage(product);
+  if (!image) {
+    return (
+      <Box
+        sx={{
+          height,
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          bgcolor: 'grey.100',
+          color: 'grey.400'
+        }}
+        aria-hidden
+      >
+        <ImageIcon fontSize="large" />
+      </Box>
+    );
+  }
+  return (
+    <CardMedia
+      component="img"
+      height={height}
+      image={imageUrl(image.thumbnail_url)}
+      alt={product.name}
+      loading="lazy"
+      sx={{ objectFit: 'cover' }}
+    />
+  );
+};
+
+export default ProductThumbnail;
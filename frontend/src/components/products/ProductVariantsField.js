@@ -0,0 +1,242 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Typography,
+  TextField,
+  Autocomplete,
+  Chip,
+  IconButton,
+  Tooltip,
+  Alert,
+  Checkbox,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  InputAdornment
+} from '@mui/material';
+import { Add as AddIcon, Delete as DeleteIcon } from '@mui/icons-material';
+import {
+  MAX_PRODUCT_OPTIONS,
+  MAX_OPTION_VALUES,
+  MAX_PRODUCT_VARIANTS,
+  combinationCount
+} from '../../utils/variants';
+import { buildVariantRows, newOptionKey, suggestSku } from './productSchema';
+
+const MAX_OPTION_LENGTH = 30;
+
+// Option axes (Size, Colour, …) and the matrix of variants made from them, each with its
+// own SKU, price and stock. Rows can be switched off for combinations that are not sold.
+// onChange receives { options, variants } in the form's shape; see productSchema
+const ProductVariantsField = ({ options, variants, productName, basePrice, errors = {}, onChange, disabled }) => {
+  const [limitError, setLimitError] = useState('');
+
+  // New rows start from the price of the variants already there, or the product's
+  const defaults = {
+    name: productName,
+    price: variants.find(row => row.enabled)?.price ?? basePrice
+  };
+
+  const changeOptions = (nextOptions) => {
+    if (combinationCount(nextOptions) > MAX_PRODUCT_VARIANTS) {
+      setLimitError(`A product can have at most ${MAX_PRODUCT_VARIANTS} variants`);
+      return;
+    }
+    setLimitError('');
+    onChange({ options: nextOptions, variants: buildVariantRows(nextOptions, options, variants, defaults) });
+  };
+
+  const renameOption = (index, name) => {
+    // Rows follow options by key, so renaming keeps them as they are
+    onChange({
+      options: options.map((option, optionIndex) => (optionIndex === index ? { ...option, name } : option)),
+      variants
+    });
+  };
+
+  const changeValues = (index, values) => {
+    const seen = new Set();
+    const cleaned = values
+      .map(value => value.trim().slice(0, MAX_OPTION_LENGTH))
+      .filter(value => value && !seen.has(value.toLowerCase()) && seen.add(value.toLowerCase()))
+      .slice(0, MAX_OPTION_VALUES);
+    changeOptions(options.map((option, optionIndex) => (optionIndex === index ? { ...option, values: cleaned } : option)));
+  };
+
+  const updateRow = (key, changes) => {
+    onChange({ options, variants: variants.map(row => (row.key === key ? { ...row, ...changes } : row)) });
+  };
+
+  const setAllEnabled = (enabled) => {
+    onChange({ options, variants: variants.map(row => ({ ...row, enabled })) });
+  };
+
+  const regenerateSkus = () => {
+    onChange({
+      options,
+      variants: variants.map(row => (row.id ? row : { ...row, sku: suggestSku(productName, row.option_values) }))
+    });
+  };
+
+  const enabledCount = variants.filter(row => row.enabled).length;
+  const rowErrors = errors.variants || {};
+
+  return (
+    <Box sx={{ mt: 2 }}>
+      <Typography variant="subtitle1">Variants</Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        Add options such as size or colour to sell the product in variants, each with its own SKU,
+        price and stock.
+      </Typography>
+      {(limitError || errors.options) && (
+        <Alert severity="error" sx={{ mb: 1 }}>{limitError || errors.options}</Alert>
+      )}
+
+      {options.map((option, index) => (
+        <Box key={option.key} sx={{ display: 'flex', alignItems: 'flex-start', gap: 1, mb: 1.5 }}>
+          <TextField
+            size="small"
+            label="Option"
+            placeholder="Size"
+            value={option.name}
+            onChange={event => renameOption(index, event.target.value)}
+            inputProps={{ maxLength: MAX_OPTION_LENGTH }}
+            disabled={disabled}
+            sx={{ width: 160, flexShrink: 0 }}
+          />
+          <Autocomplete
+            multiple
+            freeSolo
+            fullWidth
+            size="small"
+            options={[]}
+            value={option.values}
+            onChange={(event, values) => changeValues(index, values)}
+            disabled={disabled}
+            renderTags={(values, getTagProps) => values.map((value, valueIndex) => (
+              <Chip size="small" label={value} {...getTagProps({ index: valueIndex })} />
+            ))}
+            renderInput={params => (
+              <TextField
+                {...params}
+                label="Values"
+                placeholder={option.values.length === 0 ? 'Type a value and press Enter' : ''}
+              />
+            )}
+          />
+          <Tooltip title="Remove option">
+            <span>
+              <IconButton
+                onClick={() => changeOptions(options.filter((other, otherIndex) => otherIndex !== index))}
+                disabled={disabled}
+                aria-label="Remove option"
+              >
+                <DeleteIcon />
+              </IconButton>
+            </span>
+          </Tooltip>
+        </Box>
+      ))}
+      <Button
+        startIcon={<AddIcon />}
+        onClick={() => changeOptions([...options, { key: newOptionKey(), name: '', values: [] }])}
+        disabled={disabled || options.length >= MAX_PRODUCT_OPTIONS}
+      >
+        Add Option
+      </Button>
+
+      {variants.length > 0 && (
+        <>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mt: 2, mb: 1 }}>
+            <Typography variant="body2" color="text.secondary">
+              Selling {enabledCount} of {variants.length} combinations
+            </Typography>
+            <Button size="small" onClick={regenerateSkus} disabled={disabled}>
+              Suggest SKUs for New Variants
+            </Button>
+          </Box>
+          <TableContainer sx={{ border: 1, borderColor: 'divider', borderRadius: 1, maxHeight: 480 }}>
+            <Table size="small" stickyHeader>
+              <TableHead>
+                <TableRow>
+                  <TableCell padding="checkbox">
+                    <Checkbox
+                      checked={enabledCount === variants.length}
+                      indeterminate={enabledCount > 0 && enabledCount < variants.length}
+                      onChange={event => setAllEnabled(event.target.checked)}
+                      disabled={disabled}
+                      inputProps={{ 'aria-label': 'Sell all combinations' }}
+                    />
+                  </TableCell>
+                  {options.map(option => (
+                    <TableCell key={option.key}>{option.name || 'Option'}</TableCell>
+                  ))}
+                  <TableCell sx={{ minWidth: 180 }}>SKU</TableCell>
+                  <TableCell sx={{ minWidth: 120 }}>Price</TableCell>
+                  <TableCell sx={{ minWidth: 100 }}>Stock</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {variants.map(row => {
+                  const rowError = rowErrors[row.key] || {};
+                  const cellProps = (field) => ({
+                    size: 'small',
+                    fullWidth: true,
+                    value: row[field],
+                    onChange: event => updateRow(row.key, { [field]: event.target.value }),
+                    error: !!rowError[field],
+                    helperText: rowError[field],
+                    disabled: disabled || !row.enabled
+                  });
+                  return (
+                    <TableRow key={row.key} sx={{ opacity: row.enabled ? 1 : 0.6 }}>
+                      <TableCell padding="checkbox">
+                        <Checkbox
+                          checked={row.enabled}
+                          onChange={event => updateRow(row.key, { enabled: event.target.checked })}
+                          disabled={disabled}
+                          inputProps={{ 'aria-label': `Sell ${row.option_values.join(' / ')}` }}
+                        />
+                      </TableCell>
+                      {row.option_values.map((value, index) => (
+                        <TableCell key={options[index].key}>{value}</TableCell>
+                      ))}
+                      <TableCell>
+                        <TextField {...cellProps('sku')} inputProps={{ maxLength: 64, 'aria-label': 'SKU' }} />
+                      </TableCell>
+                      <TableCell>
+                        <TextField
+                          {...cellProps('price')}
+                          type="number"
+                          inputProps={{ min: 0, step: 0.01, 'aria-label': 'Price' }}
+                          InputProps={{ startAdornment: <InputAdornment position="start">$</InputAdornment> }}
+                        />
+                      </TableCell>
+                      <TableCell>
+                        <TextField
+                          {...cellProps('stock_quantity')}
+                          type="number"
+                          inputProps={{ min: 0, step: 1, 'aria-label': 'Stock' }}
+                        />
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </TableContainer>
+          <Typography variant="caption" color="text.secondary">
+            Stock typed in here is recorded as a correction. Saving writes off the stock of variants
+            that are switched off or removed.
+          </Typography>
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default ProductVariantsField;
@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  MenuItem,
+  Typography,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { productApi, ValidationError } from '../../services/api';
+import { STOCK_REASONS, adjustmentChange, formatSignedQuantity } from '../../utils/stockLedger';
+import { hasVariants, findVariant, variantLabel } from '../../utils/variants';
+
+const EMPTY_FORM = { variantId: '', reason: 'received', quantity: '', note: '' };
+
+// Records a stock change with a reason; onAdjusted receives the new ledger entry.
+// Products with variants keep stock per variant, so one has to be chosen first
+const StockAdjustmentDialog = ({ open, product, onClose, onAdjusted }) => {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setForm(EMPTY_FORM);
+      setError('');
+    }
+  }, [open]);
+
+  const byVariant = hasVariants(product);
+  const variant = byVariant ? findVariant(product, form.variantId) : null;
+  const currentStock = byVariant ? variant?.stock_quantity ?? 0 : product.stock_quantity;
+  const isCorrection = form.reason === 'correction';
+  const quantity = Number(form.quantity);
+  const quantityValid = form.quantity !== '' && Number.isInteger(quantity) && quantity >= (isCorrection ? 0 : 1);
+  const change = quantityValid ? adjustmentChange(form.reason, quantity, currentStock) : 0;
+  const newStock = currentStock + change;
+  const canSave = (!byVariant || !!variant) && quantityValid && change !== 0 && newStock >= 0;
+
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const movement = await productApi.adjustStock(product.id, {
+        variant_id: variant ? variant.id : null,
+        reason: form.reason,
+        quantity,
+        note: form.note.trim() || null
+      });
+      onAdjusted(movement);
+    } catch (error) {
+      setError(error instanceof ValidationError
+        ? Object.values(error.fieldErrors).join('; ') || error.message
+        : error.message || 'Failed to adjust stock');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={saving ? undefined : onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>Adjust Stock</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        {byVariant && (
+          <TextField
+            select
+            fullWidth
+            margin="dense"
+            name="variantId"
+            label="Variant"
+            value={form.variantId}
+            onChange={handleChange}
+            disabled={saving}
+          >
+            {product.variants.map(option => (
+              <MenuItem key={option.id} value={option.id}>
+                {variantLabel(option)} · {option.sku}
+              </MenuItem>
+            ))}
+          </TextField>
+        )}
+        {(!byVariant || variant) && (
+          <Typography variant="body2" color="text.secondary" gutterBottom>
+            Current stock: {currentStock} units
+          </Typography>
+        )}
+        <TextField
+          select
+          fullWidth
+          margin="dense"
+          name="reason"
+          label="Reason"
+          value={form.reason}
+          onChange={handleChange}
+          disabled={saving}
+        >
+          {Object.entries(STOCK_REASONS).map(([value, reason]) => (
+            <MenuItem key={value} value={value}>{reason.label}</MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          fullWidth
+          margin="dense"
+          name="quantity"
+          type="number"
+          label={isCorrection ? 'Counted quantity' : 'Quantity'}
+          value={form.quantity}
+          onChange={handleChange}
+          inputProps={{ min: isCorrection ? 0 : 1, step: 1 }}
+          error={form.quantity !== '' && (!quantityValid || newStock < 0)}
+          helperText={
+            !quantityValid
+              ? (isCorrection ? 'The stock you actually counted' : 'Number of units')
+              : newStock < 0
+                ? `Only ${currentStock} in stock`
+                : `${formatSignedQuantity(change)} → ${newStock} units`
+          }
+          disabled={saving}
+        />
+        <TextField
+          fullWidth
+          margin="dense"
+          name="note"
+          label="Note (optional)"
+          value={form.note}
+          onChange={handleChange}
+          inputProps={{ maxLength: 500 }}
+          disabled={saving}
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>Cancel</Button>
+        <Button variant="contained" onClick={handleSave} disabled={!canSave || saving}>
+          {saving ? <CircularProgress size={24} /> : 'Record'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default StockAdjustmentDialog;
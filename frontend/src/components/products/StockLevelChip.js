@@ -0,0 +1,28 @@
+import React from 'react';
+import { Chip, Tooltip } from '@mui/material';
+import { STOCK_LEVELS, reorderSettings, stockLevel } from '../../utils/stockLevel';
+
+const SOURCE_LABELS = {
+  product: 'this product',
+  category: 'the category default',
+  default: 'the standard default',
+};
+
+// Colour-coded stock level; the tooltip explains which reorder point applies
+const StockLevelChip = ({ product, categoryDefaults, size = 'small', showStock = false }) => {
+  const level = stockLevel(product, categoryDefaults);
+  const { reorderPoint, source } = reorderSettings(product, categoryDefaults);
+  const label = product.stock_quantity <= 0 ? 'Out of Stock' : STOCK_LEVELS[level].label;
+
+  return (
+    <Tooltip title={`Reorder point ${reorderPoint}, from ${SOURCE_LABELS[source]}`}>
+      <Chip
+        size={size}
+        color={STOCK_LEVELS[level].color}
+        label={showStock ? `${label} · ${product.stock_quantity}` : label}
+      />
+    </Tooltip>
+  );
+};
+
+export default StockLevelChip;
@@ -0,0 +1,157 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Chip,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  Tooltip,
+  CartesianGrid
+} from 'recharts';
+import { productApi } from '../../services/api';
+import { STOCK_REASONS, stockReasonLabel, toBalanceSeries, formatSignedQuantity } from '../../utils/stockLedger';
+
+const formatTime = (time) => new Date(time).toLocaleString();
+
+// Running-balance chart and ledger table for one product; reloads when version changes
+const StockMovementHistory = ({ productId, version }) => {
+  const theme = useTheme();
+  const [movements, setMovements] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchMovements = async () => {
+      try {
+        const result = await productApi.getStockMovements(productId);
+        if (!cancelled) {
+          setMovements(result);
+          setError(null);
+        }
+      } catch (error) {
+        console.error('Error fetching stock movements:', error);
+        if (!cancelled) setError(error.message || 'Failed to load stock history');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchMovements();
+    return () => {
+      cancelled = true;
+    };
+  }, [productId, version]);
+
+  const series = useMemo(() => toBalanceSeries(movements), [movements]);
+  const showSku = movements.some(movement => movement.sku);
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (error) {
+    return <Alert severity="error">{error}</Alert>;
+  }
+
+  if (movements.length === 0) {
+    return (
+      <Typography color="text.secondary" sx={{ py: 2 }}>
+        No stock movements have been recorded for this product yet.
+      </Typography>
+    );
+  }
+
+  return (
+    <Box>
+      <Box sx={{ height: 260, mb: 3 }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={series} margin={{ top: 8, right: 16, bottom: 8, left: 0 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis
+              dataKey="time"
+              type="number"
+              scale="time"
+              domain={['dataMin', 'dataMax']}
+              tickFormatter={time => new Date(time).toLocaleDateString()}
+            />
+            <YAxis allowDecimals={false} />
+            <Tooltip
+              labelFormatter={formatTime}
+              formatter={(balance, name, { payload }) => [
+                balance,
+                payload.reason ? `Balance after ${stockReasonLabel(payload.reason).toLowerCase()}` : 'Opening balance'
+              ]}
+            />
+            <Line
+              type="stepAfter"
+              dataKey="balance"
+              stroke={theme.palette.primary.main}
+              strokeWidth={2}
+              dot={{ r: 3 }}
+              isAnimationActive={false}
+            />
+          </LineChart>
+        </ResponsiveContainer>
+      </Box>
+
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Date</TableCell>
+            <TableCell>Reason</TableCell>
+            {showSku && <TableCell>SKU</TableCell>}
+            <TableCell align="right">Change</TableCell>
+            <TableCell align="right">Balance</TableCell>
+            <TableCell>User</TableCell>
+            <TableCell>Note</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {[...movements].reverse().map(movement => (
+            <TableRow key={movement.id}>
+              <TableCell>{formatTime(movement.created_at)}</TableCell>
+              <TableCell>
+                <Chip
+                  size="small"
+                  label={stockReasonLabel(movement.reason)}
+                  color={STOCK_REASONS[movement.reason]?.color || 'default'}
+                  variant="outlined"
+                />
+              </TableCell>
+              {showSku && <TableCell>{movement.sku || '—'}</TableCell>}
+              <TableCell
+                align="right"
+                sx={{ color: movement.quantity_change < 0 ? 'error.main' : 'success.main' }}
+              >
+                {formatSignedQuantity(movement.quantity_change)}
+              </TableCell>
+              <TableCell align="right">{movement.balance_after}</TableCell>
+              <TableCell>{movement.username || '—'}</TableCell>
+              <TableCell>{movement.note}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </Box>
+  );
+};
+
+export default StockMovementHistory;
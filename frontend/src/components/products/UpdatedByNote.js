@@ -0,0 +1,23 @@
+import React from 'react';
+import { Chip } from '@mui/material';
+import { Update as UpdateIcon } from '@mui/icons-material';
+
+// Background for a product card or row that was just changed by someone else
+export const liveHighlightSx = (username) => ({
+  bgcolor: username ? 'action.selected' : undefined,
+  transition: 'background-color 0.6s ease'
+});
+
+// Marks a product someone else just changed; renders nothing otherwise
+const UpdatedByNote = ({ username, sx }) => (username ? (
+  <Chip
+    size="small"
+    variant="outlined"
+    color="info"
+    icon={<UpdateIcon />}
+    label={`Updated by ${username}`}
+    sx={sx}
+  />
+) : null);
+
+export default UpdatedByNote;
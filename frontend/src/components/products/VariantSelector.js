@@ -0,0 +1,41 @@
+import React from 'react';
+import { Box, Typography, ToggleButtonGroup, ToggleButton } from '@mui/material';
+import { isValueAvailable } from '../../utils/variants';
+
+// One row of choices per option. Values no variant in stock has, given the other choices,
+// are struck through but can still be picked to see the variant. selection maps option
+// names to the chosen values
+const VariantSelector = ({ product, selection, onChange }) => (
+  <Box>
+    {product.options.map((option, optionIndex) => (
+      <Box key={option.name} sx={{ mb: 2 }}>
+        <Typography variant="subtitle2" gutterBottom>
+          {option.name}{selection[option.name] ? `: ${selection[option.name]}` : ''}
+        </Typography>
+        <ToggleButtonGroup
+          exclusive
+          size="small"
+          value={selection[option.name] ?? null}
+          onChange={(event, value) => onChange({ ...selection, [option.name]: value ?? undefined })}
+          aria-label={option.name}
+          sx={{ flexWrap: 'wrap' }}
+        >
+          {option.values.map(value => {
+            const available = isValueAvailable(product, selection, optionIndex, value);
+            return (
+              <ToggleButton
+                key={value}
+                value={value}
+                sx={available ? undefined : { textDecoration: 'line-through', color: 'text.disabled' }}
+              >
+                {value}
+              </ToggleButton>
+            );
+          })}
+        </ToggleButtonGroup>
+      </Box>
+    ))}
+  </Box>
+);
+
+export default VariantSelector;
@@ -0,0 +1,197 @@
+import { validate } from '../../utils/validation';
+import { combinations } from '../../utils/variants';
+
+// Mirrors the constraints of the backend's ProductCreate model
+export const productSchema = {
+  name: { label: 'Product name', required: true, maxLength: 100 },
+  description: { label: 'Description', required: true, maxLength: 1000 },
+  price: { label: 'Price', required: true, type: 'number', greaterThan: 0, max: 1000000 },
+  stock_quantity: { label: 'Stock quantity', required: true, type: 'integer', min: 0 },
+  category: { label: 'Category', required: true, maxLength: 50 },
+  reorder_point: { label: 'Reorder point', type: 'integer', min: 0 },
+  reorder_quantity: { label: 'Reorder quantity', type: 'integer', min: 1 },
+};
+
+// With variants, price and stock are set per variant instead
+const { price, stock_quantity: stockQuantity, ...variantProductSchema } = productSchema;
+
+export const formSchema = (values) => (values.options?.length > 0 ? variantProductSchema : productSchema);
+
+const variantSchema = {
+  sku: { label: 'SKU', required: true, maxLength: 64 },
+  price,
+  stock_quantity: stockQuantity,
+};
+
+export const emptyProduct = {
+  name: '',
+  description: '',
+  price: '',
+  stock_quantity: '',
+  category: '',
+  reorder_point: '',
+  reorder_quantity: '',
+  images: [],
+  options: [],
+  variants: []
+};
+
+// The form keeps a row for every combination of the option values; rows switched off are
+// not sold. Options carry a key so a renamed option keeps its variants
+let lastOptionKey = 0;
+export const newOptionKey = () => {
+  lastOptionKey += 1;
+  return `option-${lastOptionKey}`;
+};
+
+const skuPart = (text) => text.toUpperCase().replace(/[^A-Z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+// A SKU suggestion such as TSHIRT-M-RED
+export const suggestSku = (productName, values) =>
+  [skuPart(productName).slice(0, 20) || 'SKU', ...values.map(skuPart)].filter(Boolean).join('-').slice(0, 64);
+
+const newVariantRow = (values, defaults, enabled) => ({
+  key: JSON.stringify(values),
+  id: null,
+  option_values: values,
+  sku: suggestSku(defaults.name, values),
+  price: defaults.price,
+  stock_quantity: 0,
+  enabled
+});
+
+// Rows for new options, carried over from the previous ones. A combination whose options
+// are all unchanged keeps its row, and with it the saved variant; a new one starts from a
+// row it shares values with, or from defaults ({ name, price })
+export const buildVariantRows = (options, previousOptions, previousRows, defaults) => {
+  if (options.length === 0) return [];
+  const previousIndex = options.map(option => previousOptions.findIndex(previous => previous.key === option.key));
+  const sameOptions = options.length === previousOptions.length && previousIndex.every(index => index !== -1);
+
+  return combinations(options).map(values => {
+    const matches = previousRows.filter(row =>
+      previousIndex.every((from, index) => from === -1 || row.option_values[from] === values[index]));
+    if (sameOptions && matches.length > 0) {
+      return { ...matches[0], key: JSON.stringify(values), option_values: values };
+    }
+    const base = matches.find(row => row.enabled) || matches[0];
+    return {
+      ...newVariantRow(values, defaults, base ? base.enabled : true),
+      ...(base ? { price: base.price } : {})
+    };
+  });
+};
+
+const toFormOptions = (product) => (product.options ?? []).map(option => ({
+  key: newOptionKey(),
+  name: option.name,
+  values: option.values
+}));
+
+const toFormVariants = (product) => {
+  if (!product.options?.length) return [];
+  const saved = new Map((product.variants ?? []).map(variant => [JSON.stringify(variant.option_values), variant]));
+  const defaults = { name: product.name ?? '', price: product.price ?? '' };
+  return combinations(product.options).map(values => {
+    const variant = saved.get(JSON.stringify(values));
+    return variant
+      ? {
+        key: JSON.stringify(values),
+        id: variant.id,
+        option_values: values,
+        sku: variant.sku,
+        price: variant.price,
+        stock_quantity: variant.stock_quantity,
+        enabled: true
+      }
+      : newVariantRow(values, defaults, false);
+  });
+};
+
+export const toFormValues = (product) => ({
+  name: product.name ?? '',
+  description: product.description ?? '',
+  price: product.price ?? '',
+  stock_quantity: product.stock_quantity ?? '',
+  category: product.category ?? '',
+  reorder_point: product.reorder_point ?? '',
+  reorder_quantity: product.reorder_quantity ?? '',
+  images: product.images ?? [],
+  options: toFormOptions(product),
+  variants: toFormVariants(product)
+});
+
+// { options: message, variants: { [row key]: { field: message } } } for the option and
+// variant fields that need fixing
+export const validateVariants = (values) => {
+  const errors = {};
+  if (!values.options?.length) return errors;
+
+  const names = values.options.map(option => option.name.trim().toLowerCase());
+  const enabled = values.variants.filter(row => row.enabled);
+  if (names.some(name => !name)) {
+    errors.options = 'Every option needs a name';
+  } else if (new Set(names).size < names.length) {
+    errors.options = 'Option names must be unique';
+  } else if (values.options.some(option => option.values.length === 0)) {
+    errors.options = 'Every option needs at least one value';
+  } else if (enabled.length === 0) {
+    errors.options = 'Choose at least one variant to sell';
+  }
+
+  const skuCounts = enabled.reduce((counts, row) => {
+    const sku = String(row.sku).trim().toLowerCase();
+    return { ...counts, [sku]: (counts[sku] || 0) + 1 };
+  }, {});
+  const rowErrors = {};
+  enabled.forEach(row => {
+    const rowError = validate(variantSchema, row);
+    if (!rowError.sku && skuCounts[String(row.sku).trim().toLowerCase()] > 1) {
+      rowError.sku = 'SKU is used by another variant';
+    }
+    if (Object.keys(rowError).length > 0) {
+      rowErrors[row.key] = rowError;
+    }
+  });
+  if (Object.keys(rowErrors).length > 0) {
+    errors.variants = rowErrors;
+  }
+  return errors;
+};
+
+// Blank reorder settings are sent as null so the category defaults apply
+const toOptionalInteger = (value) => (String(value).trim() === '' ? null : Number(value));
+
+// Price and stock are sent as the lowest variant price and the total stock, as the
+// server would set them anyway
+const toVariantPayload = (values) => {
+  if (values.options.length === 0) {
+    return { options: [], variants: [] };
+  }
+  const variants = values.variants.filter(row => row.enabled).map(row => ({
+    id: row.id,
+    sku: String(row.sku).trim(),
+    option_values: row.option_values,
+    price: Number(row.price),
+    stock_quantity: Number(row.stock_quantity)
+  }));
+  return {
+    options: values.options.map(option => ({ name: option.name.trim(), values: option.values })),
+    variants,
+    price: Math.min(...variants.map(variant => variant.price)),
+    stock_quantity: variants.reduce((total, variant) => total + variant.stock_quantity, 0)
+  };
+};
+
+export const toProductPayload = (values) => ({
+  name: values.name.trim(),
+  description: values.description.trim(),
+  price: Number(values.price),
+  stock_quantity: Number(values.stock_quantity),
+  category: values.category.trim(),
+  reorder_point: toOptionalInteger(values.reorder_point),
+  reorder_quantity: toOptionalInteger(values.reorder_quantity),
+  // Imported rows have no images or variants, which leaves those of an existing product alone
+  ...(values.images ? { images: values.images } : {}),
+  ...(values.options ? toVariantPayload(values) : {})
+});
@@ -0,0 +1,165 @@
+import {
+  suggestSku,
+  buildVariantRows,
+  toFormValues,
+  validateVariants,
+  toProductPayload
+} from './productSchema';
+
+const size = { key: 'option-a', name: 'Size', values: ['S', 'M'] };
+const colour = { key: 'option-b', name: 'Colour', values: ['Red'] };
+const defaults = { name: 'T-Shirt', price: '15' };
+
+const row = (values, changes = {}) => ({
+  key: JSON.stringify(values),
+  id: null,
+  option_values: values,
+  sku: suggestSku('T-Shirt', values),
+  price: '15',
+  stock_quantity: 0,
+  enabled: true,
+  ...changes
+});
+
+describe('suggestSku', () => {
+  it('joins the product name and option values in capitals', () => {
+    expect(suggestSku('T-Shirt', ['M', 'Light blue'])).toBe('T-SHIRT-M-LIGHT-BLUE');
+  });
+
+  it('falls back to SKU without a usable name and stays within 64 characters', () => {
+    expect(suggestSku('', ['M'])).toBe('SKU-M');
+    expect(suggestSku('Lamp', ['x'.repeat(80)])).toHaveLength(64);
+  });
+});
+
+describe('buildVariantRows', () => {
+  it('has no rows without options', () => {
+    expect(buildVariantRows([], [size], [row(['S'])], defaults)).toEqual([]);
+  });
+
+  it('creates a row for every combination', () => {
+    expect(buildVariantRows([size, colour], [], [], defaults)).toEqual([row(['S', 'Red']), row(['M', 'Red'])]);
+  });
+
+  it('keeps the rows of combinations that are unchanged', () => {
+    const saved = row(['S'], { id: 10, sku: 'TEE-S', price: 12, stock_quantity: 4 });
+    const withLarge = { ...size, values: ['S', 'M', 'L'] };
+
+    const rows = buildVariantRows([withLarge], [size], [saved, row(['M'])], defaults);
+
+    expect(rows[0]).toEqual(saved);
+    expect(rows[2]).toEqual(row(['L']));
+  });
+
+  it('starts rows for a new option from the row they grew out of', () => {
+    const saved = row(['S'], { id: 10, sku: 'TEE-S', price: 12 });
+
+    const rows = buildVariantRows([size, colour], [size], [saved, row(['M'], { enabled: false })], defaults);
+
+    expect(rows).toEqual([row(['S', 'Red'], { price: 12 }), row(['M', 'Red'], { enabled: false })]);
+  });
+});
+
+describe('toFormValues', () => {
+  it('turns saved variants into rows and marks combinations that are not sold', () => {
+    const values = toFormValues({
+      name: 'T-Shirt',
+      price: 15,
+      options: [{ name: 'Size', values: ['S', 'M'] }],
+      variants: [{ id: 10, sku: 'TEE-S', option_values: ['S'], price: 15, stock_quantity: 4 }]
+    });
+
+    expect(values.options).toEqual([{ key: expect.any(String), name: 'Size', values: ['S', 'M'] }]);
+    expect(values.variants).toEqual([
+      row(['S'], { id: 10, sku: 'TEE-S', price: 15, stock_quantity: 4 }),
+      row(['M'], { price: 15, enabled: false })
+    ]);
+  });
+});
+
+describe('validateVariants', () => {
+  const values = (options, variants) => ({ options, variants });
+
+  it('accepts products without options', () => {
+    expect(validateVariants(values([], []))).toEqual({});
+  });
+
+  it('needs named, unique options with values and something to sell', () => {
+    expect(validateVariants(values([{ ...size, name: ' ' }], [row(['S'])])).options).toBe('Every option needs a name');
+    expect(validateVariants(values([size, { ...colour, name: 'size' }], [])).options).toBe('Option names must be unique');
+    expect(validateVariants(values([{ ...size, values: [] }], [])).options).toBe('Every option needs at least one value');
+    expect(validateVariants(values([size], [row(['S'], { enabled: false })])).options)
+      .toBe('Choose at least one variant to sell');
+  });
+
+  it('checks the SKU, price and stock of the rows that are sold', () => {
+    const errors = validateVariants(values([size], [
+      row(['S'], { sku: '', price: '0' }),
+      row(['M'], { stock_quantity: '-1' })
+    ]));
+
+    expect(errors.variants).toEqual({
+      '["S"]': { sku: 'SKU is required', price: 'Price must be greater than 0' },
+      '["M"]': { stock_quantity: 'Stock quantity must be at least 0' }
+    });
+  });
+
+  it('rejects a SKU used by two variants, whatever its case', () => {
+    const errors = validateVariants(values([size], [
+      row(['S'], { sku: 'TEE-1' }),
+      row(['M'], { sku: 'tee-1 ' }),
+      row(['L'], { sku: 'TEE-1', enabled: false })
+    ]));
+
+    expect(errors.variants).toEqual({
+      '["S"]': { sku: 'SKU is used by another variant' },
+      '["M"]': { sku: 'SKU is used by another variant' }
+    });
+  });
+});
+
+describe('toProductPayload', () => {
+  const form = {
+    name: ' T-Shirt ',
+    description: 'Cotton',
+    price: '',
+    stock_quantity: '',
+    category: 'Clothing',
+    reorder_point: '',
+    reorder_quantity: '',
+    images: [],
+    options: [size],
+    variants: [
+      row(['S'], { id: 10, sku: ' TEE-S ', price: '18', stock_quantity: '4' }),
+      row(['M'], { price: '15', stock_quantity: '3' }),
+      row(['L'], { price: '9', stock_quantity: '8', enabled: false })
+    ]
+  };
+
+  it('sends the variants that are sold, with the lowest price and the total stock', () => {
+    const payload = toProductPayload(form);
+
+    expect(payload).toMatchObject({
+      name: 'T-Shirt',
+      price: 15,
+      stock_quantity: 7,
+      options: [{ name: 'Size', values: ['S', 'M'] }],
+      variants: [
+        { id: 10, sku: 'TEE-S', option_values: ['S'], price: 18, stock_quantity: 4 },
+        { id: null, sku: 'T-SHIRT-M', option_values: ['M'], price: 15, stock_quantity: 3 }
+      ]
+    });
+  });
+
+  it('clears the variants when the options are removed', () => {
+    const payload = toProductPayload({ ...form, price: '20', stock_quantity: '5', options: [], variants: [] });
+
+    expect(payload).toMatchObject({ price: 20, stock_quantity: 5, options: [], variants: [] });
+  });
+
+  it('leaves variants alone for rows without them, such as imports', () => {
+    const { options, variants, ...imported } = form;
+
+    expect(toProductPayload({ ...imported, price: '20', stock_quantity: '5' })).not.toHaveProperty('variants');
+  });
+});
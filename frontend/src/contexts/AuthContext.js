@@ -1,74 +1,168 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
-import axios from 'axios';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { authApi, tokenStorage, setUnauthorizedHandler, NetworkError } from '../services/api';
+import { queryCache } from '../services/queryCache';
+import { userStorage } from '../services/userStorage';
+import { getTokenExpiry, isTokenExpired } from '../utils/jwt';
+import { buildLoginPath } from '../utils/redirect';
+import SessionTimeoutDialog from '../components/SessionTimeoutDialog';
+
+// How long before expiry the session is refreshed or the user is warned
+const SESSION_WARNING_LEAD_MS = 2 * 60 * 1000;
+// Users who interacted with the page within this window are refreshed silently
+const ACTIVITY_WINDOW_MS = 5 * 60 * 1000;
+const ACTIVITY_EVENTS = ['mousedown', 'keydown', 'scroll', 'touchstart'];
 
 const AuthContext = createContext();
 
 export const useAuth = () => useContext(AuthContext);
 
+const getStoredToken = () => {
+  const storedToken = tokenStorage.get();
+  if (storedToken && isTokenExpired(storedToken)) {
+    tokenStorage.clear();
+    return null;
+  }
+  return storedToken;
+};
+
 export const AuthProvider = ({ children }) => {
   const [currentUser, setCurrentUser] = useState(null);
-  const [token, setToken] = useState(localStorage.getItem('token'));
+  const [token, setToken] = useState(getStoredToken);
   const [loading, setLoading] = useState(true);
+  const [sessionWarningOpen, setSessionWarningOpen] = useState(false);
+  const navigate = useNavigate();
+  const location = useLocation();
+  const locationRef = useRef(location);
+  const lastActivityRef = useRef(Date.now());
+  // The token whose profile login() already loaded, so the effect below does not fetch it again
+  const profileTokenRef = useRef(null);
+
+  locationRef.current = location;
 
   // Check if user is authenticated
   const isAuthenticated = !!token;
+  const sessionExpiresAt = getTokenExpiry(token);
+
+  // Logout function
+  const logout = useCallback(() => {
+    setCurrentUser(null);
+    setToken(null);
+    setSessionWarningOpen(false);
+    tokenStorage.clear();
+    userStorage.clear();
+    queryCache.clear();
+  }, []);
+
+  // Ends an expired or rejected session and sends the user to login,
+  // remembering where they were so they can pick up from there
+  const endSession = useCallback(() => {
+    const { pathname, search } = locationRef.current;
+    logout();
+    if (pathname !== '/login') {
+      navigate(buildLoginPath(pathname + search), { replace: true });
+    }
+  }, [logout, navigate]);
+
+  const refreshSession = useCallback(async () => {
+    try {
+      const { access_token } = await authApi.refreshToken();
+      tokenStorage.set(access_token);
+      setToken(access_token);
+      setSessionWarningOpen(false);
+      return true;
+    } catch (error) {
+      console.error('Failed to refresh session:', error);
+      return false;
+    }
+  }, []);
 
-  // Set up axios interceptor for authentication
+  // Any 401 from the API means the session is no longer valid
+  useEffect(() => setUnauthorizedHandler(endSession), [endSession]);
+
+  // Track user activity to decide between a silent refresh and a warning
   useEffect(() => {
-    const interceptor = axios.interceptors.request.use(
-      config => {
-        if (token) {
-          config.headers.Authorization = `Bearer ${token}`;
-        }
-        return config;
-      },
-      error => Promise.reject(error)
-    );
+    const markActive = () => {
+      lastActivityRef.current = Date.now();
+    };
 
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, markActive, { passive: true }));
     return () => {
-      axios.interceptors.request.eject(interceptor);
+      ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, markActive));
     };
-  }, [token]);
+  }, []);
+
+  // Schedule the refresh/warning and the hard expiry for the current token
+  useEffect(() => {
+    if (!token || !sessionExpiresAt) return undefined;
+
+    const msUntilExpiry = sessionExpiresAt - Date.now();
+    if (msUntilExpiry <= 0) {
+      endSession();
+      return undefined;
+    }
+
+    const warningTimer = setTimeout(async () => {
+      const recentlyActive = Date.now() - lastActivityRef.current < ACTIVITY_WINDOW_MS;
+      if (recentlyActive && await refreshSession()) {
+        return;
+      }
+      setSessionWarningOpen(true);
+    }, Math.max(msUntilExpiry - SESSION_WARNING_LEAD_MS, 0));
+    const expiryTimer = setTimeout(endSession, msUntilExpiry);
+
+    return () => {
+      clearTimeout(warningTimer);
+      clearTimeout(expiryTimer);
+    };
+  }, [token, sessionExpiresAt, refreshSession, endSession]);
 
   // Fetch user data if token exists
   useEffect(() => {
     const fetchUser = async () => {
-      if (token) {
+      if (token && profileTokenRef.current !== token) {
         try {
-          const response = await axios.get('http://localhost:8000/users/me');
-          setCurrentUser(response.data);
+          const user = await authApi.getCurrentUser();
+          userStorage.set(user);
+          setCurrentUser(user);
         } catch (error) {
-          console.error('Failed to fetch user data:', error);
-          logout();
+          // Offline, the session carries on with the profile saved last time
+          const savedUser = error instanceof NetworkError ? userStorage.get(token) : null;
+          if (savedUser) {
+            setCurrentUser(savedUser);
+          } else {
+            console.error('Failed to fetch user data:', error);
+            logout();
+          }
         }
       }
       setLoading(false);
     };
 
     fetchUser();
-  }, [token]);
+  }, [token, logout]);
 
   // Login function
   const login = async (username, password) => {
     try {
-      const response = await axios.post('http://localhost:8000/token', {
-        username,
-        password
-      });
-      
-      const { access_token } = response.data;
+      const { access_token } = await authApi.login(username, password);
+      // The API client reads the stored token, so it is stored before the profile is fetched
+      tokenStorage.set(access_token);
+      const user = await authApi.getCurrentUser();
+
+      profileTokenRef.current = access_token;
+      userStorage.set(user);
+      setCurrentUser(user);
       setToken(access_token);
-      localStorage.setItem('token', access_token);
-      
-      // Fetch user data
-      const userResponse = await axios.get('http://localhost:8000/users/me', {
-        headers: { Authorization: `Bearer ${access_token}` }
-      });
-      
-      setCurrentUser(userResponse.data);
       return true;
     } catch (error) {
       console.error('Login failed:', error);
+      // Puts back the session there was before, if any
+      if (token) {
+        tokenStorage.set(token);
+      } else {
+        tokenStorage.clear();
+      }
       return false;
     }
   };
@@ -76,12 +170,12 @@ export const AuthProvider = ({ children }) => {
   // Register function
   const register = async (username, email, password) => {
     try {
-      await axios.post('http://localhost:8000/users', {
+      await authApi.register({
         username,
         email,
         password
       });
-      
+
       // Auto login after registration
       return await login(username, password);
     } catch (error) {
@@ -90,25 +184,26 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  // Logout function
-  const logout = () => {
-    setCurrentUser(null);
-    setToken(null);
-    localStorage.removeItem('token');
-  };
-
   const value = {
     currentUser,
     isAuthenticated,
     loading,
+    sessionExpiresAt,
     login,
     register,
-    logout
+    logout,
+    refreshSession
   };
 
   return (
     <AuthContext.Provider value={value}>
       {!loading && children}
+      <SessionTimeoutDialog
+        open={sessionWarningOpen}
+        expiresAt={sessionExpiresAt}
+        onStaySignedIn={refreshSession}
+        onSignOut={endSession}
+      />
     </AuthContext.Provider>
   );
 };
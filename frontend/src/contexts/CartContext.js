@@ -0,0 +1,143 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { cartApi } from '../services/api';
+import { cartStorage } from '../services/cartStorage';
+import { useAuth } from './AuthContext';
+import {
+  toCartItem,
+  cartItemKey,
+  capQuantity,
+  cartItemCount,
+  cartSubtotal,
+  reconcileCartItems
+} from '../utils/cart';
+
+// Changes are saved to the server once the shopper pauses
+const CART_SYNC_DELAY_MS = 500;
+
+const CartContext = createContext();
+
+export const useCart = () => useContext(CartContext);
+
+export const CartProvider = ({ children }) => {
+  const { currentUser } = useAuth();
+  const username = currentUser?.username || null;
+  const [cart, setCart] = useState(cartStorage.get);
+  const cartRef = useRef(cart);
+  const loadedUserRef = useRef(null);
+  const pendingSyncRef = useRef(false);
+
+  cartRef.current = cart;
+
+  useEffect(() => {
+    cartStorage.set(cart);
+  }, [cart]);
+
+  // Switch carts when the signed-in user changes: a cart built while signed out is
+  // merged into the saved one, otherwise the saved cart replaces the local copy
+  useEffect(() => {
+    if (!username) {
+      loadedUserRef.current = null;
+      if (cartRef.current.owner) {
+        // Signing out leaves the cart on the server for next time
+        setCart({ owner: null, items: [] });
+      }
+      return;
+    }
+    if (loadedUserRef.current === username) return;
+    loadedUserRef.current = username;
+
+    const loadCart = async () => {
+      const { owner, items } = cartRef.current;
+      try {
+        const savedCart = owner === null && items.length > 0
+          ? await cartApi.merge(items)
+          : await cartApi.get();
+        if (loadedUserRef.current === username) {
+          pendingSyncRef.current = false;
+          setCart({ owner: username, items: savedCart.items });
+        }
+      } catch (error) {
+        console.error('Failed to load saved cart:', error);
+      }
+    };
+
+    loadCart();
+  }, [username]);
+
+  // Save local changes for signed-in users
+  useEffect(() => {
+    if (!pendingSyncRef.current || !cart.owner) return undefined;
+
+    const timer = setTimeout(async () => {
+      pendingSyncRef.current = false;
+      try {
+        await cartApi.replace(cart.items);
+      } catch (error) {
+        console.error('Failed to save cart:', error);
+      }
+    }, CART_SYNC_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [cart]);
+
+  const updateItems = useCallback((updater) => {
+    pendingSyncRef.current = true;
+    setCart(prev => ({ ...prev, items: updater(prev.items) }));
+  }, []);
+
+  // Products with variants are added by variant. Returns how many units were actually
+  // added once capped at the stock
+  const addItem = useCallback((product, quantity = 1, variant = null) => {
+    const key = cartItemKey(toCartItem(product, 0, variant));
+    const existing = cartRef.current.items.find(item => cartItemKey(item) === key);
+    const current = existing ? existing.quantity : 0;
+    const stock = variant ? variant.stock_quantity : product.stock_quantity;
+    const added = capQuantity(current + quantity, stock) - current;
+    if (added <= 0) return 0;
+
+    updateItems(items => (existing
+      ? items.map(item => (cartItemKey(item) === key ? toCartItem(product, current + added, variant) : item))
+      : [...items, toCartItem(product, added, variant)]));
+    return added;
+  }, [updateItems]);
+
+  // Items are addressed by cartItemKey
+  const removeItem = useCallback((key) => {
+    updateItems(items => items.filter(item => cartItemKey(item) !== key));
+  }, [updateItems]);
+
+  const updateQuantity = useCallback((key, quantity) => {
+    updateItems(items => items.flatMap(item => {
+      if (cartItemKey(item) !== key) return [item];
+      const capped = capQuantity(quantity, item.stock_quantity);
+      return capped > 0 ? [{ ...item, quantity: capped }] : [];
+    }));
+  }, [updateItems]);
+
+  const clearCart = useCallback(() => {
+    updateItems(() => []);
+  }, [updateItems]);
+
+  // Accepts current product data; see reconcileCartItems
+  const reconcile = useCallback((productsById) => {
+    updateItems(items => reconcileCartItems(items, productsById));
+  }, [updateItems]);
+
+  const value = useMemo(() => ({
+    items: cart.items,
+    itemCount: cartItemCount(cart.items),
+    subtotal: cartSubtotal(cart.items),
+    getQuantity: (productId, variantId = null) => cart.items.find(item =>
+      item.product_id === productId && (item.variant_id ?? null) === variantId)?.quantity || 0,
+    addItem,
+    removeItem,
+    updateQuantity,
+    clearCart,
+    reconcile
+  }), [cart.items, addItem, removeItem, updateQuantity, clearCart, reconcile]);
+
+  return (
+    <CartContext.Provider value={value}>
+      {children}
+    </CartContext.Provider>
+  );
+};
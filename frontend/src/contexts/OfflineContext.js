@@ -0,0 +1,67 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo, useSyncExternalStore } from 'react';
+import { offlineQueue } from '../services/offlineQueue';
+import { useAuth } from './AuthContext';
+
+// While changes wait, the queue is retried this often in case the server came back
+// without the browser reporting a change in connectivity
+const RETRY_INTERVAL_MS = 30000;
+
+const OfflineContext = createContext();
+
+export const useOffline = () => useContext(OfflineContext);
+
+export const OfflineProvider = ({ children }) => {
+  const { currentUser } = useAuth();
+  const username = currentUser?.username || null;
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const { items, syncing } = useSyncExternalStore(offlineQueue.subscribe, offlineQueue.getSnapshot);
+
+  // Each user only sees, and sends, the changes they made
+  const changes = useMemo(() => items.filter(item => item.username === username), [items, username]);
+  const pendingCount = changes.filter(item => item.status === 'pending').length;
+  const attentionCount = changes.length - pendingCount;
+
+  useEffect(() => {
+    const updateOnline = () => setOnline(navigator.onLine);
+    window.addEventListener('online', updateOnline);
+    window.addEventListener('offline', updateOnline);
+    return () => {
+      window.removeEventListener('online', updateOnline);
+      window.removeEventListener('offline', updateOnline);
+    };
+  }, []);
+
+  useEffect(() => {
+    offlineQueue.load();
+  }, []);
+
+  const sync = useCallback(() => (username ? offlineQueue.sync(username) : Promise.resolve()), [username]);
+
+  // Sends changes left from an earlier visit on sign-in, and the queue whenever the connection returns
+  useEffect(() => {
+    if (online) {
+      sync();
+    }
+  }, [online, sync]);
+
+  useEffect(() => {
+    if (!online || pendingCount === 0) return undefined;
+    const timer = setInterval(sync, RETRY_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [online, pendingCount, sync]);
+
+  const value = {
+    online,
+    syncing,
+    changes,
+    pendingCount,
+    attentionCount,
+    sync
+  };
+
+  return (
+    <OfflineContext.Provider value={value}>
+      {children}
+    </OfflineContext.Provider>
+  );
+};
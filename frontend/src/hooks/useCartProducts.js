@@ -0,0 +1,44 @@
+import { useState, useEffect, useCallback } from 'react';
+import { productApi, NotFoundError } from '../services/api';
+
+// Looks up the current data of every product in the cart, for findCartIssues.
+// Resolves to { [product_id]: product | null }; products that could not be
+// fetched for other reasons are left out so they are not reported as issues
+const useCartProducts = (items) => {
+  const [productsById, setProductsById] = useState({});
+  const [checking, setChecking] = useState(false);
+  const [version, setVersion] = useState(0);
+  // Variants of one product share a lookup
+  const productIds = [...new Set(items.map(item => item.product_id))].join(',');
+
+  useEffect(() => {
+    if (!productIds) return undefined;
+
+    let cancelled = false;
+    const checkProducts = async () => {
+      setChecking(true);
+      const entries = await Promise.all(productIds.split(',').map(Number).map(async id => {
+        try {
+          return [id, await productApi.getById(id)];
+        } catch (error) {
+          return error instanceof NotFoundError ? [id, null] : null;
+        }
+      }));
+      if (!cancelled) {
+        setProductsById(Object.fromEntries(entries.filter(Boolean)));
+        setChecking(false);
+      }
+    };
+
+    checkProducts();
+    return () => {
+      cancelled = true;
+    };
+  }, [productIds, version]);
+
+  const refresh = useCallback(() => setVersion(prev => prev + 1), []);
+
+  return { productsById, checking, refresh };
+};
+
+export default useCartProducts;
@@ -0,0 +1,30 @@
+import { useState, useEffect } from 'react';
+import { categoryApi } from '../services/api';
+import { toCategoryDefaults } from '../utils/stockLevel';
+
+// Reorder defaults per category name; empty until loaded or if loading fails,
+// in which case stock levels fall back to the global default
+const useCategoryDefaults = () => {
+  const [categoryDefaults, setCategoryDefaults] = useState({});
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchCategories = async () => {
+      try {
+        const categories = await categoryApi.getAll();
+        if (!cancelled) setCategoryDefaults(toCategoryDefaults(categories));
+      } catch (error) {
+        console.error('Error fetching category defaults:', error);
+      }
+    };
+
+    fetchCategories();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return categoryDefaults;
+};
+
+export default useCategoryDefaults;
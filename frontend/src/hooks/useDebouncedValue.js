@@ -0,0 +1,15 @@
+import { useState, useEffect } from 'react';
+
+// Returns value once it has stopped changing for delay milliseconds
+const useDebouncedValue = (value, delay = 400) => {
+  const [debouncedValue, setDebouncedValue] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedValue(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debouncedValue;
+};
+
+export default useDebouncedValue;
@@ -0,0 +1,33 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+const HIGHLIGHT_DURATION_MS = 6000;
+
+// Products someone else changed in the last few seconds, as { [id]: username }.
+// highlight(event) takes a live event and ignores the user's own changes
+const useLiveHighlights = () => {
+  const { currentUser } = useAuth();
+  const [highlights, setHighlights] = useState({});
+  const timersRef = useRef({});
+
+  useEffect(() => {
+    const timers = timersRef.current;
+    return () => Object.values(timers).forEach(clearTimeout);
+  }, []);
+
+  const highlight = useCallback((event) => {
+    const product = event.data?.product;
+    if (!product || !event.username || event.username === currentUser?.username) return;
+
+    clearTimeout(timersRef.current[product.id]);
+    setHighlights(prev => ({ ...prev, [product.id]: event.username }));
+    timersRef.current[product.id] = setTimeout(() => {
+      delete timersRef.current[product.id];
+      setHighlights(({ [product.id]: expired, ...rest }) => rest);
+    }, HIGHLIGHT_DURATION_MS);
+  }, [currentUser]);
+
+  return [highlights, highlight];
+};
+
+export default useLiveHighlights;
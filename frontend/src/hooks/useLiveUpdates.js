@@ -0,0 +1,13 @@
+import { useEffect, useRef } from 'react';
+import { subscribeToLiveUpdates } from '../services/liveUpdates';
+
+// Calls onEvent with every live catalog event, and with RESYNC_EVENT after a
+// dropped connection comes back, for as long as the component is mounted
+const useLiveUpdates = (onEvent) => {
+  const onEventRef = useRef(onEvent);
+  onEventRef.current = onEvent;
+
+  useEffect(() => subscribeToLiveUpdates(event => onEventRef.current(event)), []);
+};
+
+export default useLiveUpdates;
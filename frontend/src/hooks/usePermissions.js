@@ -0,0 +1,33 @@
+import { useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { hasPermission, hasRole, isAuthorized } from '../utils/permissions';
+
+// Permission checks against the user returned by /users/me
+const usePermissions = () => {
+  const { currentUser } = useAuth();
+
+  const can = useCallback(
+    (permission) => hasPermission(currentUser, permission),
+    [currentUser]
+  );
+
+  const is = useCallback(
+    (role) => hasRole(currentUser, role),
+    [currentUser]
+  );
+
+  const authorize = useCallback(
+    (requirements) => isAuthorized(currentUser, requirements),
+    [currentUser]
+  );
+
+  return {
+    roles: currentUser?.roles || [],
+    permissions: currentUser?.permissions || [],
+    can,
+    is,
+    authorize
+  };
+};
+
+export default usePermissions;
@@ -0,0 +1,47 @@
+import { useEffect, useMemo, useRef, useCallback, useSyncExternalStore } from 'react';
+import { queryCache, hashKey, DEFAULT_STALE_TIME_MS } from '../services/queryCache';
+
+// Reads key from the shared query cache, fetching it with fetcher when missing or stale.
+// Cached data renders immediately while a refetch runs in the background. With
+// keepPreviousData the last result stays on screen while a new key loads (e.g. paging)
+const useQuery = (key, fetcher, { enabled = true, staleTime = DEFAULT_STALE_TIME_MS, keepPreviousData = false } = {}) => {
+  // Callers build the key inline, so it is only trusted to change when its content does
+  const hash = hashKey(key);
+  const stableKey = useMemo(() => JSON.parse(hash), [hash]);
+  const fetcherRef = useRef(fetcher);
+  fetcherRef.current = fetcher;
+  const previousDataRef = useRef(undefined);
+
+  const subscribe = useCallback(listener => queryCache.subscribe(stableKey, listener), [stableKey]);
+  const getSnapshot = useCallback(() => queryCache.getState(stableKey), [stableKey]);
+  const state = useSyncExternalStore(subscribe, getSnapshot);
+
+  const refetch = useCallback(
+    () => queryCache.fetch(stableKey, () => fetcherRef.current(), { staleTime, force: true }),
+    [stableKey, staleTime]
+  );
+
+  useEffect(() => {
+    if (!enabled) return;
+    // Errors are kept in the cache state; nothing else awaits this fetch
+    queryCache.fetch(stableKey, () => fetcherRef.current(), { staleTime }).catch(() => {});
+  }, [stableKey, enabled, staleTime]);
+
+  if (state.data !== undefined) {
+    previousDataRef.current = state.data;
+  }
+  const showPrevious = keepPreviousData && state.data === undefined && previousDataRef.current !== undefined;
+  const data = showPrevious ? previousDataRef.current : state.data;
+
+  return {
+    data,
+    error: state.error,
+    // Nothing to show yet; a background refresh of data on screen only sets isFetching
+    isLoading: enabled && data === undefined && !state.error,
+    isFetching: state.isFetching,
+    isPreviousData: showPrevious,
+    refetch
+  };
+};
+
+export default useQuery;
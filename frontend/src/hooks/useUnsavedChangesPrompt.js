@@ -0,0 +1,82 @@
+import { useContext, useEffect, useRef, useCallback } from 'react';
+import { UNSAFE_NavigationContext, useLocation } from 'react-router-dom';
+import { isLoginPath } from '../utils/redirect';
+
+const DEFAULT_MESSAGE = 'You have unsaved changes. Are you sure you want to leave this page?';
+
+// Asks for confirmation before leaving the page while `when` is true: for in-app links,
+// the browser's Back and Forward buttons, and closing or reloading the tab. BrowserRouter
+// has no blocking API, so the router's navigator is wrapped and popstate is caught before
+// the router sees it. Redirects to the login page (an expired session, ProtectedRoute) go
+// through without asking, as the form cannot be saved without a session anyway.
+// Returns a setter that lets navigation through without asking (e.g. after saving).
+const useUnsavedChangesPrompt = (when, message = DEFAULT_MESSAGE) => {
+  const { navigator } = useContext(UNSAFE_NavigationContext);
+  const { key } = useLocation();
+  const allowedRef = useRef(false);
+
+  useEffect(() => {
+    if (!when) return undefined;
+
+    const handleBeforeUnload = (event) => {
+      if (allowedRef.current) return undefined;
+      event.preventDefault();
+      event.returnValue = message;
+      return message;
+    };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+
+    const { push, replace } = navigator;
+    const confirmFirst = (navigate) => (to, ...rest) => {
+      if (allowedRef.current || isLoginPath(to) || window.confirm(message)) {
+        navigate(to, ...rest);
+      }
+    };
+    navigator.push = confirmFirst(push);
+    navigator.replace = confirmFirst(replace);
+
+    // The browser has already moved when popstate fires. A cancelled Back or Forward is
+    // undone by going back to this page's entry (by the router's index in history.state,
+    // else by pushing the entry again); a confirmed one is handed on to the router
+    const here = { state: window.history.state, url: window.location.href };
+    let undoing = false;
+    let passing = false;
+    const handlePopState = (event) => {
+      if (passing || allowedRef.current) return;
+      event.stopImmediatePropagation();
+      if (undoing) {
+        undoing = false;
+        return;
+      }
+      if (window.confirm(message)) {
+        passing = true;
+        window.dispatchEvent(new PopStateEvent('popstate', { state: window.history.state }));
+        passing = false;
+        return;
+      }
+      const delta = window.history.state?.idx - here.state?.idx;
+      if (delta === 0) return;
+      if (Number.isInteger(delta)) {
+        undoing = true;
+        window.history.go(-delta);
+      } else {
+        window.history.pushState(here.state, '', here.url);
+      }
+    };
+    // Capturing listeners on the target run before the router's own
+    window.addEventListener('popstate', handlePopState, true);
+
+    return () => {
+      window.removeEventListener('beforeunload', handleBeforeUnload);
+      window.removeEventListener('popstate', handlePopState, true);
+      navigator.push = push;
+      navigator.replace = replace;
+    };
+  }, [when, message, navigator, key]);
+
+  return useCallback((allowed) => {
+    allowedRef.current = allowed;
+  }, []);
+};
+
+export default useUnsavedChangesPrompt;
@@ -14,6 +14,9 @@ import {
   ListItemText,
   Container,
   Divider,
+  ListSubheader,
+  Badge,
+  Tooltip,
   useMediaQuery,
   useTheme
 } from '@mui/material';
@@ -21,17 +24,33 @@ import {
   Menu as MenuIcon,
   Dashboard as DashboardIcon,
   Inventory as InventoryIcon,
+  Category as CategoryIcon,
   Person as PersonIcon,
   Login as LoginIcon,
-  Logout as LogoutIcon
+  Logout as LogoutIcon,
+  AdminPanelSettings as AdminIcon,
+  ShoppingCart as ShoppingCartIcon,
+  ReceiptLong as ReceiptIcon,
+  People as PeopleIcon,
+  MonitorHeart as HealthIcon,
+  History as HistoryIcon
 } from '@mui/icons-material';
-import { Link as RouterLink, useNavigate } from 'react-router-dom';
+import { Link as RouterLink, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { useCart } from '../contexts/CartContext';
+import usePermissions from '../hooks/usePermissions';
+import ConnectionStatus from '../components/ConnectionStatus';
+import { PERMISSIONS } from '../utils/permissions';
+import { buildLoginPath } from '../utils/redirect';
 
 const MainLayout = () => {
   const [drawerOpen, setDrawerOpen] = useState(false);
   const { isAuthenticated, currentUser, logout } = useAuth();
+  const { can } = usePermissions();
+  const { itemCount } = useCart();
   const navigate = useNavigate();
+  const location = useLocation();
+  const loginPath = buildLoginPath(location.pathname + location.search);
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('md'));
 
@@ -44,10 +63,21 @@ const MainLayout = () => {
     navigate('/login');
   };
 
+  // Items with a permission are only shown to users who hold it,
+  // items that need an account only to signed-in users
   const menuItems = [
     { text: 'Dashboard', icon: <DashboardIcon />, path: '/' },
     { text: 'Products', icon: <InventoryIcon />, path: '/products' },
-  ];
+    { text: 'Orders', icon: <ReceiptIcon />, path: '/orders', requiresAuth: true },
+    { text: 'Categories', icon: <CategoryIcon />, path: '/categories', permission: PERMISSIONS.CATALOG_WRITE },
+  ].filter(item => (!item.permission || can(item.permission)) && (!item.requiresAuth || isAuthenticated));
+
+  // Admin console sections get their own group in the drawer and one Admin button in the AppBar
+  const adminItems = can(PERMISSIONS.ADMIN_ACCESS) ? [
+    { text: 'Users', icon: <PeopleIcon />, path: '/admin/users' },
+    { text: 'System Health', icon: <HealthIcon />, path: '/admin/health' },
+    { text: 'Audit Log', icon: <HistoryIcon />, path: '/admin/audit' },
+  ] : [];
 
   const drawer = (
     <Box sx={{ width: 250 }} role="presentation" onClick={handleDrawerToggle}>
@@ -70,6 +100,24 @@ const MainLayout = () => {
           </ListItem>
         ))}
       </List>
+      {adminItems.length > 0 && (
+        <>
+          <Divider />
+          <List subheader={<ListSubheader>Administration</ListSubheader>}>
+            {adminItems.map((item) => (
+              <ListItem 
+                button 
+                key={item.text} 
+                component={RouterLink} 
+                to={item.path}
+              >
+                <ListItemIcon>{item.icon}</ListItemIcon>
+                <ListItemText primary={item.text} />
+              </ListItem>
+            ))}
+          </List>
+        </>
+      )}
       <Divider />
       <List>
         {isAuthenticated ? (
@@ -84,7 +132,7 @@ const MainLayout = () => {
             </ListItem>
           </>
         ) : (
-          <ListItem button component={RouterLink} to="/login">
+          <ListItem button component={RouterLink} to={loginPath}>
             <ListItemIcon><LoginIcon /></ListItemIcon>
             <ListItemText primary="Login" />
           </ListItem>
@@ -122,9 +170,24 @@ const MainLayout = () => {
                   {item.text}
                 </Button>
               ))}
+              {adminItems.length > 0 && (
+                <Button color="inherit" component={RouterLink} to="/admin" startIcon={<AdminIcon />}>
+                  Admin
+                </Button>
+              )}
             </Box>
           )}
           
+          <ConnectionStatus canViewChanges={can(PERMISSIONS.CATALOG_WRITE)} compact={isMobile} />
+
+          <Tooltip title="Cart">
+            <IconButton color="inherit" component={RouterLink} to="/cart" aria-label={`Cart, ${itemCount} items`}>
+              <Badge badgeContent={itemCount} color="secondary" max={99}>
+                <ShoppingCartIcon />
+              </Badge>
+            </IconButton>
+          </Tooltip>
+          
           {!isMobile && (
             <>
               {isAuthenticated ? (
@@ -140,7 +203,7 @@ const MainLayout = () => {
                 <Button 
                   color="inherit"
                   component={RouterLink}
-                  to="/login"
+                  to={loginPath}
                 >
                   Login
                 </Button>
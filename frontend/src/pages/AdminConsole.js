@@ -0,0 +1,35 @@
+import React from 'react';
+import { Link as RouterLink, Outlet, useLocation } from 'react-router-dom';
+import { Box, Typography, Tabs, Tab } from '@mui/material';
+
+const ADMIN_SECTIONS = [
+  { path: '/admin/users', label: 'Users' },
+  { path: '/admin/health', label: 'System Health' },
+  { path: '/admin/audit', label: 'Audit Log' },
+];
+
+// Frame for the nested admin routes
+const AdminConsole = () => {
+  const location = useLocation();
+  const current = ADMIN_SECTIONS.find(section => location.pathname.startsWith(section.path));
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>Administration</Typography>
+      <Tabs value={current ? current.path : false} sx={{ mb: 3, borderBottom: 1, borderColor: 'divider' }}>
+        {ADMIN_SECTIONS.map(section => (
+          <Tab
+            key={section.path}
+            value={section.path}
+            label={section.label}
+            component={RouterLink}
+            to={section.path}
+          />
+        ))}
+      </Tabs>
+      <Outlet />
+    </Box>
+  );
+};
+
+export default AdminConsole;
@@ -0,0 +1,243 @@
+import React, { useState, useEffect, Fragment } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TextField,
+  MenuItem,
+  Chip,
+  Alert,
+  LinearProgress,
+  IconButton,
+  Collapse,
+  Link,
+  ListSubheader
+} from '@mui/material';
+import { KeyboardArrowDown as ExpandIcon, KeyboardArrowUp as CollapseIcon } from '@mui/icons-material';
+import { adminApi } from '../services/api';
+import useDebouncedValue from '../hooks/useDebouncedValue';
+import AuditDiff from '../components/audit/AuditDiff';
+import { AUDIT_ACTIONS, auditActionLabel, formatAuditTime } from '../utils/audit';
+
+const PAGE_LIMIT = 200;
+
+// The backend matches actions by prefix, so a target type selects all of its actions
+const ACTION_GROUPS = [
+  { value: 'product', label: 'All product changes' },
+  { value: 'user', label: 'All account changes' },
+];
+
+const EMPTY_FILTERS = { username: '', target: '', action: '', start_date: '', end_date: '' };
+
+const AuditTarget = ({ event }) => {
+  const label = event.target_name && event.target_name !== event.target_id
+    ? `${event.target_name} (#${event.target_id})`
+    : event.target_id;
+  // Deleted products have nothing to link to
+  if (event.target_type === 'product' && !['product.deleted', 'product.purged'].includes(event.action)) {
+    return (
+      <Link component={RouterLink} to={`/products/${event.target_id}`} underline="hover">
+        {label}
+      </Link>
+    );
+  }
+  return label;
+};
+
+const AuditLog = () => {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [expanded, setExpanded] = useState(null);
+  // Typed filters wait for a pause; selects and dates apply at once
+  const username = useDebouncedValue(filters.username.trim());
+  const target = useDebouncedValue(filters.target.trim());
+  const { action, start_date: startDate, end_date: endDate } = filters;
+  const datesValid = !startDate || !endDate || startDate <= endDate;
+
+  useEffect(() => {
+    if (!datesValid) return undefined;
+    let cancelled = false;
+    const fetchEvents = async () => {
+      setLoading(true);
+      try {
+        const result = await adminApi.getAuditLog({
+          username: username || undefined,
+          target: target || undefined,
+          action: action || undefined,
+          start_date: startDate || undefined,
+          end_date: endDate || undefined,
+          limit: PAGE_LIMIT
+        });
+        if (!cancelled) {
+          setEvents(result);
+          setError(null);
+        }
+      } catch (error) {
+        console.error('Error fetching audit log:', error);
+        if (!cancelled) setError(error.message || 'Failed to load the audit log');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchEvents();
+    return () => {
+      cancelled = true;
+    };
+  }, [username, target, action, startDate, endDate, datesValid]);
+
+  const handleFilterChange = (event) => {
+    const { name, value } = event.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2, gap: 2, flexWrap: 'wrap' }}>
+        <Typography variant="h5">Audit Log</Typography>
+        {Object.values(filters).some(Boolean) && (
+          <Link component="button" variant="body2" onClick={() => setFilters(EMPTY_FILTERS)}>
+            Clear filters
+          </Link>
+        )}
+      </Box>
+
+      <Box sx={{ display: 'flex', gap: 2, mb: 2, flexWrap: 'wrap' }}>
+        <TextField size="small" name="username" label="User" value={filters.username} onChange={handleFilterChange} />
+        <TextField
+          size="small"
+          name="target"
+          label="Product or account"
+          placeholder="Name or ID"
+          value={filters.target}
+          onChange={handleFilterChange}
+        />
+        <TextField
+          select
+          size="small"
+          name="action"
+          label="Action"
+          value={filters.action}
+          onChange={handleFilterChange}
+          sx={{ minWidth: 200 }}
+        >
+          <MenuItem value="">All actions</MenuItem>
+          {ACTION_GROUPS.map(group => (
+            <MenuItem key={group.value} value={group.value}>{group.label}</MenuItem>
+          ))}
+          <ListSubheader>Single action</ListSubheader>
+          {Object.entries(AUDIT_ACTIONS).map(([value, { label }]) => (
+            <MenuItem key={value} value={value}>{label}</MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          type="date"
+          size="small"
+          name="start_date"
+          label="From"
+          value={filters.start_date}
+          onChange={handleFilterChange}
+          InputLabelProps={{ shrink: true }}
+          error={!datesValid}
+        />
+        <TextField
+          type="date"
+          size="small"
+          name="end_date"
+          label="To"
+          value={filters.end_date}
+          onChange={handleFilterChange}
+          InputLabelProps={{ shrink: true }}
+          error={!datesValid}
+          helperText={datesValid ? '' : 'Must not be before From'}
+        />
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      <Paper>
+        <Box sx={{ height: 4 }}>{loading && <LinearProgress />}</Box>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell padding="checkbox" />
+              <TableCell>Time</TableCell>
+              <TableCell>User</TableCell>
+              <TableCell>Action</TableCell>
+              <TableCell>Target</TableCell>
+              <TableCell>Details</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {events.map(event => {
+              const hasDiff = Boolean(event.before || event.after);
+              const open = expanded === event.id;
+              return (
+                <Fragment key={event.id}>
+                  <TableRow hover sx={{ '& > td': { borderBottom: open ? 'none' : undefined } }}>
+                    <TableCell padding="checkbox">
+                      {hasDiff && (
+                        <IconButton
+                          size="small"
+                          aria-label={open ? 'Hide changes' : 'Show changes'}
+                          onClick={() => setExpanded(open ? null : event.id)}
+                        >
+                          {open ? <CollapseIcon /> : <ExpandIcon />}
+                        </IconButton>
+                      )}
+                    </TableCell>
+                    <TableCell sx={{ whiteSpace: 'nowrap' }}>{formatAuditTime(event.timestamp)}</TableCell>
+                    <TableCell>{event.username || '—'}</TableCell>
+                    <TableCell>
+                      <Chip
+                        size="small"
+                        variant="outlined"
+                        label={auditActionLabel(event.action)}
+                        color={AUDIT_ACTIONS[event.action]?.color || 'default'}
+                      />
+                    </TableCell>
+                    <TableCell><AuditTarget event={event} /></TableCell>
+                    <TableCell>{event.summary}</TableCell>
+                  </TableRow>
+                  {hasDiff && (
+                    <TableRow>
+                      <TableCell colSpan={6} sx={{ py: 0, borderBottom: open ? undefined : 'none' }}>
+                        <Collapse in={open} unmountOnExit>
+                          <Box sx={{ py: 2 }}>
+                            <AuditDiff before={event.before} after={event.after} />
+                          </Box>
+                        </Collapse>
+                      </TableCell>
+                    </TableRow>
+                  )}
+                </Fragment>
+              );
+            })}
+            {!loading && events.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={6} align="center">
+                  <Typography color="text.secondary">No events match these filters</Typography>
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </Paper>
+      {events.length === PAGE_LIMIT && (
+        <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 1 }}>
+          Showing the latest {PAGE_LIMIT} events; narrow the filters to see older ones.
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default AuditLog;
@@ -0,0 +1,157 @@
+import React, { useMemo } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Paper,
+  Grid,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  IconButton,
+  Button,
+  Alert,
+  Divider,
+  Link,
+  LinearProgress,
+  Tooltip
+} from '@mui/material';
+import { Delete as DeleteIcon, ShoppingCart as ShoppingCartIcon } from '@mui/icons-material';
+import { useCart } from '../contexts/CartContext';
+import useCartProducts from '../hooks/useCartProducts';
+import QuantitySelector from '../components/cart/QuantitySelector';
+import { findCartIssues, cartItemKey } from '../utils/cart';
+
+const Cart = () => {
+  const { items, itemCount, subtotal, updateQuantity, removeItem, clearCart, reconcile } = useCart();
+  const { productsById, checking } = useCartProducts(items);
+
+  const issues = useMemo(() => findCartIssues(items, productsById), [items, productsById]);
+  const hasIssues = Object.keys(issues).length > 0;
+
+  if (items.length === 0) {
+    return (
+      <Box sx={{ textAlign: 'center', mt: 6 }}>
+        <ShoppingCartIcon sx={{ fontSize: 64, color: 'text.secondary' }} />
+        <Typography variant="h5" sx={{ mt: 2 }}>Your cart is empty</Typography>
+        <Button variant="contained" sx={{ mt: 3 }} component={RouterLink} to="/products">
+          Browse Products
+        </Button>
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <Typography variant="h4" sx={{ mb: 3 }}>Shopping Cart</Typography>
+
+      {hasIssues && (
+        <Alert
+          severity="warning"
+          sx={{ mb: 2 }}
+          action={
+            <Button color="inherit" size="small" onClick={() => reconcile(productsById)}>
+              Update Cart
+            </Button>
+          }
+        >
+          Some items changed since you added them. Review the notes below, then update your
+          cart to use the current prices and availability.
+        </Alert>
+      )}
+
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={8}>
+          <Paper>
+            <Box sx={{ height: 4 }}>{checking && <LinearProgress />}</Box>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Product</TableCell>
+                  <TableCell align="right">Price</TableCell>
+                  <TableCell align="center">Quantity</TableCell>
+                  <TableCell align="right">Total</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {items.map(item => (
+                  <TableRow key={cartItemKey(item)}>
+                    <TableCell>
+                      <Link component={RouterLink} to={`/products/${item.product_id}`} underline="hover">
+                        {item.name}
+                      </Link>
+                      {(issues[cartItemKey(item)] || []).map(issue => (
+                        <Typography
+                          key={issue.type}
+                          variant="body2"
+                          color={issue.type === 'price_changed' ? 'warning.main' : 'error.main'}
+                        >
+                          {issue.message}
+                        </Typography>
+                      ))}
+                    </TableCell>
+                    <TableCell align="right">${item.price.toFixed(2)}</TableCell>
+                    <TableCell align="center">
+                      <QuantitySelector
+                        value={item.quantity}
+                        max={item.stock_quantity}
+                        onChange={quantity => updateQuantity(cartItemKey(item), quantity)}
+                      />
+                    </TableCell>
+                    <TableCell align="right">${(item.price * item.quantity).toFixed(2)}</TableCell>
+                    <TableCell align="right">
+                      <Tooltip title="Remove">
+                        <IconButton size="small" color="error" onClick={() => removeItem(cartItemKey(item))}>
+                          <DeleteIcon />
+                        </IconButton>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </Paper>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 2 }}>
+            <Button component={RouterLink} to="/products">Continue Shopping</Button>
+            <Button color="error" onClick={clearCart}>Clear Cart</Button>
+          </Box>
+        </Grid>
+
+        <Grid item xs={12} md={4}>
+          <Paper sx={{ p: 3 }}>
+            <Typography variant="h6" gutterBottom>Order Summary</Typography>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 1 }}>
+              <Typography>Items</Typography>
+              <Typography>{itemCount}</Typography>
+            </Box>
+            <Divider sx={{ my: 1 }} />
+            <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+              <Typography variant="h6">Subtotal</Typography>
+              <Typography variant="h6">${subtotal.toFixed(2)}</Typography>
+            </Box>
+            {hasIssues && (
+              <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                The subtotal uses the prices from when items were added.
+              </Typography>
+            )}
+            <Button
+              variant="contained"
+              fullWidth
+              sx={{ mt: 3 }}
+              component={RouterLink}
+              to="/checkout"
+              disabled={checking || hasIssues}
+            >
+              Proceed to Checkout
+            </Button>
+          </Paper>
+        </Grid>
+      </Grid>
+    </Box>
+  );
+};
+
+export default Cart;
@@ -0,0 +1,419 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Checkbox,
+  Button,
+  IconButton,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  CircularProgress,
+  Snackbar,
+  Alert,
+  Tooltip
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  MergeType as MergeIcon,
+  Inventory as InventoryIcon
+} from '@mui/icons-material';
+import { Link as RouterLink } from 'react-router-dom';
+import { categoryApi } from '../services/api';
+import { DEFAULT_REORDER_POINT } from '../utils/stockLevel';
+
+const EMPTY_REORDER_DIALOG = { open: false, category: null, reorderPoint: '', reorderQuantity: '', error: '' };
+
+// Blank clears the default; otherwise a whole number of at least min
+const parseOptionalInteger = (value, min) => {
+  if (String(value).trim() === '') return null;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min ? number : undefined;
+};
+
+const CategoryManagement = () => {
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState([]);
+  const [nameDialog, setNameDialog] = useState({ open: false, category: null, name: '', error: '' });
+  const [mergeDialog, setMergeDialog] = useState({ open: false, targetId: '', error: '' });
+  const [reorderDialog, setReorderDialog] = useState(EMPTY_REORDER_DIALOG);
+  const [saving, setSaving] = useState(false);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+
+  const fetchCategories = useCallback(async () => {
+    try {
+      setCategories(await categoryApi.getAll());
+    } catch (error) {
+      console.error('Error fetching categories:', error);
+      setSnackbar({ open: true, message: error.message || 'Failed to load categories', severity: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCategories();
+  }, [fetchCategories]);
+
+  const showSnackbar = (message, severity = 'success') => {
+    setSnackbar({ open: true, message, severity });
+  };
+
+  const handleCloseSnackbar = () => {
+    setSnackbar({ ...snackbar, open: false });
+  };
+
+  const handleToggle = (id) => {
+    setSelected(prev => (prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id]));
+  };
+
+  const handleToggleAll = (event) => {
+    setSelected(event.target.checked ? categories.map(category => category.id) : []);
+  };
+
+  // Create and rename share one dialog; category is null when creating
+  const handleOpenNameDialog = (category = null) => {
+    setNameDialog({ open: true, category, name: category ? category.name : '', error: '' });
+  };
+
+  const handleCloseNameDialog = () => {
+    setNameDialog({ open: false, category: null, name: '', error: '' });
+  };
+
+  const handleSaveName = async () => {
+    const name = nameDialog.name.trim();
+    if (!name) {
+      setNameDialog(prev => ({ ...prev, error: 'Category name is required' }));
+      return;
+    }
+
+    setSaving(true);
+    try {
+      if (nameDialog.category) {
+        const renamed = await categoryApi.rename(nameDialog.category.id, name);
+        showSnackbar(`Renamed to "${renamed.name}"; ${renamed.product_count} products updated`);
+      } else {
+        await categoryApi.create(name);
+        showSnackbar(`Category "${name}" created`);
+      }
+      handleCloseNameDialog();
+      fetchCategories();
+    } catch (error) {
+      console.error('Error saving category:', error);
+      setNameDialog(prev => ({ ...prev, error: error.message || 'Failed to save category' }));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleOpenMergeDialog = () => {
+    setMergeDialog({ open: true, targetId: selected[0], error: '' });
+  };
+
+  const handleCloseMergeDialog = () => {
+    setMergeDialog({ open: false, targetId: '', error: '' });
+  };
+
+  const handleMerge = async () => {
+    setSaving(true);
+    try {
+      const sourceIds = selected.filter(id => id !== mergeDialog.targetId);
+      const merged = await categoryApi.merge(sourceIds, mergeDialog.targetId);
+      showSnackbar(`Merged into "${merged.name}", which now has ${merged.product_count} products`);
+      handleCloseMergeDialog();
+      setSelected([]);
+      fetchCategories();
+    } catch (error) {
+      console.error('Error merging categories:', error);
+      setMergeDialog(prev => ({ ...prev, error: error.message || 'Failed to merge categories' }));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleOpenReorderDialog = (category) => {
+    setReorderDialog({
+      open: true,
+      category,
+      reorderPoint: category.reorder_point ?? '',
+      reorderQuantity: category.reorder_quantity ?? '',
+      error: ''
+    });
+  };
+
+  const handleCloseReorderDialog = () => {
+    setReorderDialog(EMPTY_REORDER_DIALOG);
+  };
+
+  const handleSaveReorderDefaults = async () => {
+    const reorderPoint = parseOptionalInteger(reorderDialog.reorderPoint, 0);
+    const reorderQuantity = parseOptionalInteger(reorderDialog.reorderQuantity, 1);
+    if (reorderPoint === undefined || reorderQuantity === undefined) {
+      setReorderDialog(prev => ({
+        ...prev,
+        error: 'The reorder point must be a whole number of at least 0 and the quantity at least 1'
+      }));
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const updated = await categoryApi.updateReorderDefaults(reorderDialog.category.id, reorderPoint, reorderQuantity);
+      showSnackbar(`Reorder defaults for "${updated.name}" saved`);
+      handleCloseReorderDialog();
+      fetchCategories();
+    } catch (error) {
+      console.error('Error saving reorder defaults:', error);
+      setReorderDialog(prev => ({ ...prev, error: error.message || 'Failed to save reorder defaults' }));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  const selectedCategories = categories.filter(category => selected.includes(category.id));
+  const mergeTarget = categories.find(category => category.id === mergeDialog.targetId);
+  const movedProducts = selectedCategories
+    .filter(category => category.id !== mergeDialog.targetId)
+    .reduce((total, category) => total + category.product_count, 0);
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4">Categories</Typography>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button
+            variant="outlined"
+            startIcon={<MergeIcon />}
+            disabled={selected.length < 2}
+            onClick={handleOpenMergeDialog}
+          >
+            Merge Selected
+          </Button>
+          <Button
+            variant="contained"
+            startIcon={<AddIcon />}
+            onClick={() => handleOpenNameDialog()}
+          >
+            Add Category
+          </Button>
+        </Box>
+      </Box>
+
+      <Paper>
+        <Table>
+          <TableHead>
+            <TableRow>
+              <TableCell padding="checkbox">
+                <Checkbox
+                  checked={categories.length > 0 && selected.length === categories.length}
+                  indeterminate={selected.length > 0 && selected.length < categories.length}
+                  onChange={handleToggleAll}
+                />
+              </TableCell>
+              <TableCell>Name</TableCell>
+              <TableCell align="right">Products</TableCell>
+              <TableCell align="right">Reorder Point</TableCell>
+              <TableCell align="right">Reorder Qty</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {categories.map(category => (
+              <TableRow key={category.id} hover selected={selected.includes(category.id)}>
+                <TableCell padding="checkbox">
+                  <Checkbox
+                    checked={selected.includes(category.id)}
+                    onChange={() => handleToggle(category.id)}
+                  />
+                </TableCell>
+                <TableCell>{category.name}</TableCell>
+                <TableCell align="right">
+                  <Button
+                    size="small"
+                    component={RouterLink}
+                    to={`/products?category=${encodeURIComponent(category.name)}`}
+                  >
+                    {category.product_count}
+                  </Button>
+                </TableCell>
+                <TableCell align="right">
+                  {category.reorder_point ?? (
+                    <Typography component="span" variant="body2" color="text.secondary">
+                      {DEFAULT_REORDER_POINT} (default)
+                    </Typography>
+                  )}
+                </TableCell>
+                <TableCell align="right">{category.reorder_quantity ?? '—'}</TableCell>
+                <TableCell align="right">
+                  <Tooltip title="Rename">
+                    <IconButton size="small" color="primary" onClick={() => handleOpenNameDialog(category)}>
+                      <EditIcon />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title="Reorder defaults">
+                    <IconButton size="small" color="primary" onClick={() => handleOpenReorderDialog(category)}>
+                      <InventoryIcon />
+                    </IconButton>
+                  </Tooltip>
+                </TableCell>
+              </TableRow>
+            ))}
+            {categories.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={6} align="center">
+                  No categories yet. Add one to get started.
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </Paper>
+
+      {/* Create / Rename Dialog */}
+      <Dialog open={nameDialog.open} onClose={handleCloseNameDialog} maxWidth="xs" fullWidth>
+        <DialogTitle>{nameDialog.category ? 'Rename Category' : 'Add Category'}</DialogTitle>
+        <DialogContent>
+          {nameDialog.category && (
+            <DialogContentText sx={{ mb: 1 }}>
+              All {nameDialog.category.product_count} products in "{nameDialog.category.name}" will be moved
+              to the new name.
+            </DialogContentText>
+          )}
+          <TextField
+            autoFocus
+            margin="normal"
+            fullWidth
+            label="Category Name"
+            value={nameDialog.name}
+            onChange={event => setNameDialog(prev => ({ ...prev, name: event.target.value, error: '' }))}
+            error={!!nameDialog.error}
+            helperText={nameDialog.error || ' '}
+            inputProps={{ maxLength: 50 }}
+            disabled={saving}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCloseNameDialog} disabled={saving}>Cancel</Button>
+          <Button onClick={handleSaveName} variant="contained" disabled={saving}>
+            {nameDialog.category ? 'Rename' : 'Create'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Merge Dialog */}
+      <Dialog open={mergeDialog.open} onClose={handleCloseMergeDialog} maxWidth="xs" fullWidth>
+        <DialogTitle>Merge Categories</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            Choose the category to keep. The other selected categories will be removed and their
+            products moved into it.
+          </DialogContentText>
+          <FormControl fullWidth margin="normal">
+            <InputLabel>Merge into</InputLabel>
+            <Select
+              value={mergeDialog.targetId}
+              onChange={event => setMergeDialog(prev => ({ ...prev, targetId: event.target.value, error: '' }))}
+              label="Merge into"
+              disabled={saving}
+            >
+              {selectedCategories.map(category => (
+                <MenuItem key={category.id} value={category.id}>{category.name}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          {mergeTarget && (
+            <Typography variant="body2" color="text.secondary">
+              {movedProducts} products will move to "{mergeTarget.name}".
+            </Typography>
+          )}
+          {mergeDialog.error && (
+            <Alert severity="error" sx={{ mt: 2 }}>{mergeDialog.error}</Alert>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCloseMergeDialog} disabled={saving}>Cancel</Button>
+          <Button onClick={handleMerge} variant="contained" disabled={saving || !mergeTarget}>
+            Merge
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Reorder Defaults Dialog */}
+      <Dialog open={reorderDialog.open} onClose={handleCloseReorderDialog} maxWidth="xs" fullWidth>
+        <DialogTitle>Reorder Defaults</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 1 }}>
+            Used for products in "{reorderDialog.category?.name}" that have no reorder settings of
+            their own. Leave blank to use the standard reorder point of {DEFAULT_REORDER_POINT}.
+          </DialogContentText>
+          <TextField
+            fullWidth
+            margin="dense"
+            type="number"
+            label="Reorder Point"
+            value={reorderDialog.reorderPoint}
+            onChange={event => setReorderDialog(prev => ({ ...prev, reorderPoint: event.target.value, error: '' }))}
+            inputProps={{ min: 0, step: 1 }}
+            disabled={saving}
+          />
+          <TextField
+            fullWidth
+            margin="dense"
+            type="number"
+            label="Reorder Quantity"
+            value={reorderDialog.reorderQuantity}
+            onChange={event => setReorderDialog(prev => ({ ...prev, reorderQuantity: event.target.value, error: '' }))}
+            inputProps={{ min: 1, step: 1 }}
+            disabled={saving}
+          />
+          {reorderDialog.error && (
+            <Alert severity="error" sx={{ mt: 2 }}>{reorderDialog.error}</Alert>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCloseReorderDialog} disabled={saving}>Cancel</Button>
+          <Button onClick={handleSaveReorderDefaults} variant="contained" disabled={saving}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Snackbar for notifications */}
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={handleCloseSnackbar}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+      >
+        <Alert onClose={handleCloseSnackbar} severity={snackbar.severity} sx={{ width: '100%' }}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+};
+
+export default CategoryManagement;
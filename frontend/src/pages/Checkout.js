@@ -0,0 +1,209 @@
+import React, { useState, useMemo } from 'react';
+import { Link as RouterLink, useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Paper,
+  Stepper,
+  Step,
+  StepLabel,
+  Button,
+  Alert,
+  Divider,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  LinearProgress,
+  CircularProgress
+} from '@mui/material';
+import { orderApi, ConflictError, ValidationError } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import { useCart } from '../contexts/CartContext';
+import useCartProducts from '../hooks/useCartProducts';
+import ShippingForm from '../components/orders/ShippingForm';
+import { checkoutSchema, emptyShipping, toShippingPayload } from '../components/orders/checkoutSchema';
+import { findCartIssues, cartItemKey } from '../utils/cart';
+import { toOrderItems } from '../utils/orders';
+import { validate, validateValue } from '../utils/validation';
+
+const STEPS = ['Shipping & Contact', 'Review Order'];
+
+const Checkout = () => {
+  const navigate = useNavigate();
+  const { currentUser } = useAuth();
+  const { items, itemCount, subtotal, clearCart } = useCart();
+  const { productsById, checking, refresh } = useCartProducts(items);
+  const [activeStep, setActiveStep] = useState(0);
+  const [shipping, setShipping] = useState({ ...emptyShipping, email: currentUser?.email || '' });
+  const [errors, setErrors] = useState({});
+  const [orderError, setOrderError] = useState('');
+  const [placing, setPlacing] = useState(false);
+
+  const issues = useMemo(() => findCartIssues(items, productsById), [items, productsById]);
+  const hasIssues = Object.keys(issues).length > 0;
+
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+    setShipping(prev => ({ ...prev, [name]: value }));
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: validateValue(checkoutSchema, name, value) }));
+    }
+  };
+
+  const handleBlur = (event) => {
+    const { name, value } = event.target;
+    setErrors(prev => ({ ...prev, [name]: validateValue(checkoutSchema, name, value) }));
+  };
+
+  const handleContinue = (event) => {
+    event.preventDefault();
+    const validationErrors = validate(checkoutSchema, shipping);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length === 0) {
+      setOrderError('');
+      setActiveStep(1);
+      // Stock may have moved while the form was being filled in
+      refresh();
+    }
+  };
+
+  const handlePlaceOrder = async () => {
+    setPlacing(true);
+    setOrderError('');
+    try {
+      const order = await orderApi.create({ ...toShippingPayload(shipping), items: toOrderItems(items) });
+      navigate(`/checkout/confirmation/${order.id}`, { replace: true, state: { order } });
+      clearCart();
+    } catch (error) {
+      if (error instanceof ValidationError && Object.keys(error.fieldErrors).length > 0) {
+        setErrors(error.fieldErrors);
+        setActiveStep(0);
+      } else if (error instanceof ConflictError) {
+        // Someone else bought the stock first; show the cart's current state
+        refresh();
+      }
+      setOrderError(error.message || 'Failed to place order');
+    } finally {
+      setPlacing(false);
+    }
+  };
+
+  if (items.length === 0) {
+    return (
+      <Box sx={{ textAlign: 'center', mt: 6 }}>
+        <Typography variant="h5">Your cart is empty</Typography>
+        <Button variant="contained" sx={{ mt: 3 }} component={RouterLink} to="/products">
+          Browse Products
+        </Button>
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <Typography variant="h4" sx={{ mb: 3 }}>Checkout</Typography>
+
+      <Stepper activeStep={activeStep} sx={{ mb: 3 }}>
+        {STEPS.map(label => (
+          <Step key={label}>
+            <StepLabel>{label}</StepLabel>
+          </Step>
+        ))}
+      </Stepper>
+
+      {orderError && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {orderError}
+        </Alert>
+      )}
+
+      {activeStep === 0 ? (
+        <Paper component="form" noValidate onSubmit={handleContinue} sx={{ p: 3 }}>
+          <ShippingForm values={shipping} errors={errors} onChange={handleChange} onBlur={handleBlur} />
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 2 }}>
+            <Button component={RouterLink} to="/cart">Back to Cart</Button>
+            <Button type="submit" variant="contained">Review Order</Button>
+          </Box>
+        </Paper>
+      ) : (
+        <Paper sx={{ p: 3 }}>
+          <Box sx={{ height: 4, mb: 1 }}>{checking && <LinearProgress />}</Box>
+
+          {hasIssues && (
+            <Alert
+              severity="warning"
+              sx={{ mb: 2 }}
+              action={
+                <Button color="inherit" size="small" component={RouterLink} to="/cart">
+                  Review Cart
+                </Button>
+              }
+            >
+              Some items changed since you added them. Update your cart before placing the order.
+            </Alert>
+          )}
+
+          <Typography variant="h6" gutterBottom>Items</Typography>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Product</TableCell>
+                <TableCell align="right">Price</TableCell>
+                <TableCell align="right">Quantity</TableCell>
+                <TableCell align="right">Total</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {items.map(item => (
+                <TableRow key={cartItemKey(item)}>
+                  <TableCell>
+                    {item.name}
+                    {(issues[cartItemKey(item)] || []).map(issue => (
+                      <Typography key={issue.type} variant="body2" color="error.main">
+                        {issue.message}
+                      </Typography>
+                    ))}
+                  </TableCell>
+                  <TableCell align="right">${item.price.toFixed(2)}</TableCell>
+                  <TableCell align="right">{item.quantity}</TableCell>
+                  <TableCell align="right">${(item.price * item.quantity).toFixed(2)}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 2 }}>
+            <Typography variant="h6">Total ({itemCount} items)</Typography>
+            <Typography variant="h6">${subtotal.toFixed(2)}</Typography>
+          </Box>
+
+          <Divider sx={{ my: 2 }} />
+
+          <Typography variant="h6" gutterBottom>Ship To</Typography>
+          <Typography>{shipping.customer_name}</Typography>
+          <Typography>{shipping.address_line1}</Typography>
+          {shipping.address_line2 && <Typography>{shipping.address_line2}</Typography>}
+          <Typography>{shipping.postal_code} {shipping.city}</Typography>
+          <Typography>{shipping.country}</Typography>
+          <Typography color="text.secondary" sx={{ mt: 1 }}>
+            {shipping.email}{shipping.phone && ` · ${shipping.phone}`}
+          </Typography>
+
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 3 }}>
+            <Button onClick={() => setActiveStep(0)} disabled={placing}>Back</Button>
+            <Button
+              variant="contained"
+              onClick={handlePlaceOrder}
+              disabled={placing || checking || hasIssues}
+            >
+              {placing ? <CircularProgress size={24} /> : 'Place Order'}
+            </Button>
+          </Box>
+        </Paper>
+      )}
+    </Box>
+  );
+};
+
+export default Checkout;
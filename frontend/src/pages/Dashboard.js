@@ -1,4 +1,5 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useMemo } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
 import {
   Box,
   Typography,
@@ -6,69 +7,104 @@ import {
   Card,
   CardContent,
   CardHeader,
+  CardActionArea,
   Divider,
   List,
   ListItem,
+  ListItemButton,
   ListItemText,
   CircularProgress,
-  Paper
+  LinearProgress,
+  Paper,
+  Alert,
+  TextField,
+  MenuItem,
+  ToggleButton,
+  ToggleButtonGroup
 } from '@mui/material';
 import { productApi } from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
+import useCategoryDefaults from '../hooks/useCategoryDefaults';
+import StockLevelChip from '../components/products/StockLevelChip';
+import UpdatedByNote, { liveHighlightSx } from '../components/products/UpdatedByNote';
+import useLiveUpdates from '../hooks/useLiveUpdates';
+import useLiveHighlights from '../hooks/useLiveHighlights';
+import useQuery from '../hooks/useQuery';
+import { productKeys } from '../services/queryKeys';
+import { applyLiveEvent } from '../services/productQueries';
+import CategoryDistributionChart from '../components/dashboard/CategoryDistributionChart';
+import PriceHistogramChart from '../components/dashboard/PriceHistogramChart';
+import InventoryValueChart from '../components/dashboard/InventoryValueChart';
+import StockTrendChart from '../components/dashboard/StockTrendChart';
+import { findStockAlerts } from '../utils/productStats';
+import { RANGE_PRESETS, presetRange, formatCurrency } from '../utils/analytics';
+import { formatPriceRange } from '../utils/variants';
 
-const Dashboard = ({ isAdmin = false }) => {
-  const [products, setProducts] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [stats, setStats] = useState({
-    totalProducts: 0,
-    categories: {},
-    averagePrice: 0,
-    lowStock: []
-  });
+// Alerts arrive most urgent first, so 'Most urgent' keeps their order
+const ALERT_SORTS = {
+  urgency: { label: 'Most urgent', compare: () => 0 },
+  shortfall: {
+    label: 'Largest shortfall',
+    compare: (a, b) => (b.reorderPoint - b.product.stock_quantity) - (a.reorderPoint - a.product.stock_quantity)
+  },
+  name: { label: 'Name', compare: (a, b) => a.product.name.localeCompare(b.product.name) },
+  category: {
+    label: 'Category',
+    compare: (a, b) => a.product.category.localeCompare(b.product.category)
+  },
+};
+
+const DEFAULT_PRESET = 30;
+
+const SummaryCard = ({ title, value, caption }) => (
+  <Card sx={{ height: '100%' }}>
+    <CardContent>
+      <Typography variant="body2" color="textSecondary">{title}</Typography>
+      <Typography variant="h4" sx={{ mt: 1 }}>{value}</Typography>
+      {caption && <Typography variant="caption" color="textSecondary">{caption}</Typography>}
+    </CardContent>
+  </Card>
+);
+
+const Dashboard = () => {
+  const [preset, setPreset] = useState(DEFAULT_PRESET);
+  const [range, setRange] = useState(() => presetRange(DEFAULT_PRESET));
+  const [alertSort, setAlertSort] = useState('urgency');
   const { isAuthenticated, currentUser } = useAuth();
+  const categoryDefaults = useCategoryDefaults();
+  const [highlights, highlight] = useLiveHighlights();
+  const rangeValid = Boolean(range.start_date && range.end_date) && range.start_date <= range.end_date;
+  // Cached per range; the stats are aggregated on the server, so any catalog change refetches them
+  const { data: stats, error: statsError, isLoading, isFetching } = useQuery(
+    productKeys.stats(range),
+    () => productApi.getStats(range),
+    { enabled: rangeValid, keepPreviousData: true }
+  );
+  const error = statsError ? statsError.message || 'Failed to load statistics' : null;
+  const stockAlerts = useMemo(
+    () => findStockAlerts(stats?.low_stock || [], categoryDefaults).sort(ALERT_SORTS[alertSort].compare),
+    [stats, categoryDefaults, alertSort]
+  );
 
-  useEffect(() => {
-    const fetchProducts = async () => {
-      try {
-        const data = await productApi.getAll();
-        setProducts(data);
-        
-        // Calculate statistics
-        const categories = {};
-        let totalPrice = 0;
-        const lowStock = [];
-        
-        data.forEach(product => {
-          // Count categories
-          categories[product.category] = (categories[product.category] || 0) + 1;
-          
-          // Sum prices for average
-          totalPrice += product.price;
-          
-          // Check for low stock
-          if (product.stock_quantity < 10) {
-            lowStock.push(product);
-          }
-        });
-        
-        setStats({
-          totalProducts: data.length,
-          categories,
-          averagePrice: data.length ? (totalPrice / data.length).toFixed(2) : 0,
-          lowStock
-        });
-        
-        setLoading(false);
-      } catch (error) {
-        console.error('Error fetching products:', error);
-        setLoading(false);
-      }
-    };
-    
-    fetchProducts();
-  }, []);
+  useLiveUpdates((event) => {
+    applyLiveEvent(event);
+    highlight(event);
+  });
+
+  const handlePresetChange = (event, days) => {
+    if (days === null) return;
+    setPreset(days);
+    setRange(presetRange(days));
+  };
+
+  // Editing either date switches to a custom range
+  const handleDateChange = (event) => {
+    const { name, value } = event.target;
+    setPreset(null);
+    setRange(prev => ({ ...prev, [name]: value }));
+  };
 
-  if (loading) {
+  if (isLoading) {
     return (
       <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
         <CircularProgress />
@@ -76,10 +112,12 @@ const Dashboard = ({ isAdmin = false }) => {
     );
   }
 
+  const totals = stats?.totals || { products: 0 };
+
   return (
     <Box>
       <Typography variant="h4" gutterBottom>
-        {isAdmin ? 'Admin Dashboard' : 'Dashboard'}
+        Dashboard
       </Typography>
       
       {isAuthenticated && (
@@ -88,61 +126,116 @@ const Dashboard = ({ isAdmin = false }) => {
         </Typography>
       )}
       
-      <Grid container spacing={3} sx={{ mt: 1 }}>
+      {error && (
+        <Alert severity="error" sx={{ mt: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      <Box sx={{ height: 4, mt: 1 }}>{isFetching && <LinearProgress />}</Box>
+      
+      <Grid container spacing={3} sx={{ mt: 0 }}>
         {/* Summary Cards */}
+        <Grid item xs={12} sm={6} md={3}>
+          <SummaryCard title="Total Products" value={totals.products} />
+        </Grid>
+        <Grid item xs={12} sm={6} md={3}>
+          <SummaryCard title="Average Price" value={formatCurrency(totals.average_price)} />
+        </Grid>
+        <Grid item xs={12} sm={6} md={3}>
+          <SummaryCard title="Units in Stock" value={(totals.stock || 0).toLocaleString()} />
+        </Grid>
+        <Grid item xs={12} sm={6} md={3}>
+          <SummaryCard title="Inventory Value" value={formatCurrency(totals.value)} caption="Price × stock" />
+        </Grid>
+
+        {/* Charts */}
+        <Grid item xs={12}>
+          <StockTrendChart
+            points={rangeValid ? stats?.stock_trend || [] : []}
+            loading={isFetching}
+            action={
+              <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', justifyContent: 'flex-end' }}>
+                <ToggleButtonGroup size="small" exclusive value={preset} onChange={handlePresetChange}>
+                  {RANGE_PRESETS.map(({ value, label }) => (
+                    <ToggleButton key={value} value={value}>{label}</ToggleButton>
+                  ))}
+                </ToggleButtonGroup>
+                <TextField
+                  type="date"
+                  size="small"
+                  name="start_date"
+                  label="From"
+                  value={range.start_date}
+                  onChange={handleDateChange}
+                  InputLabelProps={{ shrink: true }}
+                  inputProps={{ max: range.end_date }}
+                  error={!rangeValid}
+                />
+                <TextField
+                  type="date"
+                  size="small"
+                  name="end_date"
+                  label="To"
+                  value={range.end_date}
+                  onChange={handleDateChange}
+                  InputLabelProps={{ shrink: true }}
+                  inputProps={{ min: range.start_date }}
+                  error={!rangeValid}
+                />
+              </Box>
+            }
+          />
+        </Grid>
         <Grid item xs={12} md={4}>
-          <Card>
-            <CardHeader title="Product Summary" />
-            <Divider />
-            <CardContent>
-              <Typography variant="h3" align="center">
-                {stats.totalProducts}
-              </Typography>
-              <Typography variant="body2" color="textSecondary" align="center">
-                Total Products
-              </Typography>
-              <Typography variant="h6" sx={{ mt: 2 }}>
-                Average Price: ${stats.averagePrice}
-              </Typography>
-            </CardContent>
-          </Card>
+          <CategoryDistributionChart categories={stats?.categories || []} />
         </Grid>
-        
         <Grid item xs={12} md={4}>
-          <Card>
-            <CardHeader title="Categories" />
-            <Divider />
-            <CardContent>
-              <List dense>
-                {Object.entries(stats.categories).map(([category, count]) => (
-                  <ListItem key={category}>
-                    <ListItemText 
-                      primary={category} 
-                      secondary={`${count} products`} 
-                    />
-                  </ListItem>
-                ))}
-              </List>
-            </CardContent>
-          </Card>
+          <PriceHistogramChart buckets={stats?.price_histogram || []} />
         </Grid>
-        
         <Grid item xs={12} md={4}>
+          <InventoryValueChart categories={stats?.categories || []} />
+        </Grid>
+        
+        <Grid item xs={12}>
           <Card>
             <CardHeader 
               title="Low Stock Alert" 
-              subheader="Products with less than 10 items in stock"
+              subheader="Products at or below their reorder point"
+              action={
+                <TextField
+                  select
+                  size="small"
+                  label="Sort"
+                  value={alertSort}
+                  onChange={event => setAlertSort(event.target.value)}
+                  sx={{ minWidth: 150 }}
+                >
+                  {Object.entries(ALERT_SORTS).map(([value, sort]) => (
+                    <MenuItem key={value} value={value}>{sort.label}</MenuItem>
+                  ))}
+                </TextField>
+              }
             />
             <Divider />
             <CardContent>
-              {stats.lowStock.length > 0 ? (
+              {stockAlerts.length > 0 ? (
                 <List dense>
-                  {stats.lowStock.map(product => (
-                    <ListItem key={product.id}>
-                      <ListItemText 
-                        primary={product.name} 
-                        secondary={`Stock: ${product.stock_quantity}`} 
-                      />
+                  {stockAlerts.map(({ product, reorderPoint, reorderQuantity }) => (
+                    <ListItem key={product.id} disablePadding sx={liveHighlightSx(highlights[product.id])} secondaryAction={
+                      <Box sx={{ display: 'flex', gap: 1 }}>
+                        <UpdatedByNote username={highlights[product.id]} />
+                        <StockLevelChip product={product} categoryDefaults={categoryDefaults} />
+                      </Box>
+                    }>
+                      <ListItemButton component={RouterLink} to={`/products/${product.id}`}>
+                        <ListItemText 
+                          primary={product.name} 
+                          secondary={`Stock: ${product.stock_quantity} · Reorder at ${reorderPoint}${
+                            reorderQuantity ? ` · Order ${reorderQuantity}` : ''
+                          }`} 
+                        />
+                      </ListItemButton>
                     </ListItem>
                   ))}
                 </List>
@@ -157,29 +250,38 @@ const Dashboard = ({ isAdmin = false }) => {
         
         {/* Recent Products */}
         <Grid item xs={12}>
-          <Paper sx={{ p: 2, mt: 2 }}>
+          <Paper sx={{ p: 2 }}>
             <Typography variant="h6" gutterBottom>
               Recent Products
             </Typography>
             <Divider sx={{ mb: 2 }} />
             <Grid container spacing={2}>
-              {products.slice(0, 4).map(product => (
+              {(stats?.recent_products || []).map(product => (
                 <Grid item xs={12} sm={6} md={3} key={product.id}>
-                  <Card>
-                    <CardContent>
-                      <Typography variant="h6" noWrap>
-                        {product.name}
-                      </Typography>
-                      <Typography variant="body2" color="textSecondary" noWrap>
-                        {product.description}
-                      </Typography>
-                      <Typography variant="h6" sx={{ mt: 1 }}>
-                        ${product.price.toFixed(2)}
-                      </Typography>
-                      <Typography variant="caption" display="block">
-                        Category: {product.category}
-                      </Typography>
-                    </CardContent>
+                  <Card sx={{ height: '100%', ...liveHighlightSx(highlights[product.id]) }}>
+                    <CardActionArea component={RouterLink} to={`/products/${product.id}`} sx={{ height: '100%' }}>
+                      <CardContent>
+                        <Typography variant="h6" noWrap>
+                          {product.name}
+                        </Typography>
+                        <Typography variant="body2" color="textSecondary" noWrap>
+                          {product.description}
+                        </Typography>
+                        <Typography variant="h6" sx={{ mt: 1 }}>
+                          {formatPriceRange(product)}
+                        </Typography>
+                        <Typography variant="caption" display="block">
+                          Category: {product.category}
+                        </Typography>
+                        {product.updated_at && (
+                          <Typography variant="caption" display="block" color="textSecondary">
+                            {product.updated_at === product.created_at ? 'Added' : 'Updated'}{' '}
+                            {new Date(product.updated_at).toLocaleDateString()}
+                          </Typography>
+                        )}
+                        <UpdatedByNote username={highlights[product.id]} sx={{ mt: 1 }} />
+                      </CardContent>
+                    </CardActionArea>
                   </Card>
                 </Grid>
               ))}
@@ -10,8 +10,9 @@ import {
   Alert,
   CircularProgress
 } from '@mui/material';
-import { Link as RouterLink, useNavigate } from 'react-router-dom';
+import { Link as RouterLink, useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { getSafeReturnTo } from '../utils/redirect';
 
 const Login = () => {
   const [formData, setFormData] = useState({
@@ -22,6 +23,8 @@ const Login = () => {
   const [loading, setLoading] = useState(false);
   const { login } = useAuth();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const returnTo = getSafeReturnTo(searchParams.get('returnTo'));
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -46,7 +49,7 @@ const Login = () => {
       const success = await login(formData.username, formData.password);
       
       if (success) {
-        navigate('/');
+        navigate(returnTo, { replace: true });
       } else {
         setError('Invalid username or password');
       }
@@ -93,6 +96,12 @@ const Login = () => {
           </Alert>
         )}
         
+        {!error && searchParams.has('returnTo') && (
+          <Alert severity="info" sx={{ mb: 3 }}>
+            Please sign in to continue where you left off.
+          </Alert>
+        )}
+        
         <Box component="form" onSubmit={handleSubmit}>
           <TextField
             margin="normal"
@@ -133,7 +142,7 @@ const Login = () => {
           
           <Grid container justifyContent="center">
             <Grid item>
-              <Link component={RouterLink} to="/register" variant="body2">
+              <Link component={RouterLink} to={{ pathname: '/register', search: searchParams.toString() }} variant="body2">
                 {"Don't have an account? Sign Up"}
               </Link>
             </Grid>
@@ -0,0 +1,48 @@
+import React from 'react';
+import { Box, Typography, Button, Paper } from '@mui/material';
+import { Link as RouterLink } from 'react-router-dom';
+
+const NotAuthorized = () => {
+  return (
+    <Box
+      sx={{
+        display: 'flex',
+        justifyContent: 'center',
+        alignItems: 'center',
+        minHeight: '70vh'
+      }}
+    >
+      <Paper
+        elevation={3}
+        sx={{
+          p: 5,
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'center',
+          maxWidth: 500
+        }}
+      >
+        <Typography variant="h1" color="error" sx={{ fontWeight: 'bold', mb: 2 }}>
+          403
+        </Typography>
+        <Typography variant="h5" sx={{ mb: 3, textAlign: 'center' }}>
+          Not authorized
+        </Typography>
+        <Typography variant="body1" color="text.secondary" sx={{ mb: 4, textAlign: 'center' }}>
+          Your account does not have permission to view this page.
+          Contact an administrator if you believe you should have access.
+        </Typography>
+        <Button
+          variant="contained"
+          component={RouterLink}
+          to="/"
+          size="large"
+        >
+          Go to Homepage
+        </Button>
+      </Paper>
+    </Box>
+  );
+};
+
+export default NotAuthorized;
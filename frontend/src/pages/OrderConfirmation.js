@@ -0,0 +1,66 @@
+import React, { useState, useEffect } from 'react';
+import { Link as RouterLink, useParams, useLocation } from 'react-router-dom';
+import { Box, Typography, Paper, Button, Alert, CircularProgress } from '@mui/material';
+import { CheckCircle as CheckCircleIcon } from '@mui/icons-material';
+import { orderApi } from '../services/api';
+import OrderItemsTable from '../components/orders/OrderItemsTable';
+
+// Checkout hands the placed order over in the location state; a reload fetches it again
+const OrderConfirmation = () => {
+  const { id } = useParams();
+  const location = useLocation();
+  const [order, setOrder] = useState(location.state?.order || null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (order) return;
+
+    const fetchOrder = async () => {
+      try {
+        setOrder(await orderApi.getById(id));
+      } catch (error) {
+        console.error('Error fetching order:', error);
+        setError(error.message || 'Failed to load order');
+      }
+    };
+
+    fetchOrder();
+  }, [id, order]);
+
+  if (error) {
+    return <Alert severity="error">{error}</Alert>;
+  }
+
+  if (!order) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ maxWidth: 720, mx: 'auto' }}>
+      <Box sx={{ textAlign: 'center', mb: 3 }}>
+        <CheckCircleIcon color="success" sx={{ fontSize: 64 }} />
+        <Typography variant="h4" sx={{ mt: 1 }}>Thank you for your order</Typography>
+        <Typography color="text.secondary">
+          Order #{order.id} has been placed. A confirmation will be sent to {order.email}.
+        </Typography>
+      </Box>
+
+      <Paper sx={{ p: 3 }}>
+        <OrderItemsTable order={order} />
+      </Paper>
+
+      <Box sx={{ display: 'flex', justifyContent: 'center', gap: 2, mt: 3 }}>
+        <Button variant="contained" component={RouterLink} to={`/orders/${order.id}`}>
+          View Order
+        </Button>
+        <Button component={RouterLink} to="/products">Continue Shopping</Button>
+      </Box>
+    </Box>
+  );
+};
+
+export default OrderConfirmation;
@@ -0,0 +1,225 @@
+import React, { useState, useEffect } from 'react';
+import { Link as RouterLink, useParams } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Paper,
+  Grid,
+  Button,
+  Alert,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  TextField,
+  List,
+  ListItem,
+  ListItemText,
+  Snackbar
+} from '@mui/material';
+import { ArrowBack as ArrowBackIcon } from '@mui/icons-material';
+import { orderApi } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import usePermissions from '../hooks/usePermissions';
+import { PERMISSIONS } from '../utils/permissions';
+import { canTransition, formatOrderDate, orderStatusLabel } from '../utils/orders';
+import OrderStatusChip from '../components/orders/OrderStatusChip';
+import OrderItemsTable from '../components/orders/OrderItemsTable';
+
+// Status changes offered to managers; customers can only cancel their own orders
+const MANAGER_ACTIONS = [
+  { status: 'paid', label: 'Mark as Paid' },
+  { status: 'shipped', label: 'Mark as Shipped' },
+];
+
+const OrderDetail = () => {
+  const { id } = useParams();
+  const { currentUser } = useAuth();
+  const { can } = usePermissions();
+  const canManage = can(PERMISSIONS.ORDERS_MANAGE);
+  const [order, setOrder] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [statusDialog, setStatusDialog] = useState({ open: false, status: null, note: '', error: '' });
+  const [saving, setSaving] = useState(false);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '' });
+
+  useEffect(() => {
+    const fetchOrder = async () => {
+      try {
+        setOrder(await orderApi.getById(id));
+      } catch (error) {
+        console.error('Error fetching order:', error);
+        setError(error.message || 'Failed to load order');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchOrder();
+  }, [id]);
+
+  const openStatusDialog = (status) => {
+    setStatusDialog({ open: true, status, note: '', error: '' });
+  };
+
+  const closeStatusDialog = () => {
+    setStatusDialog(prev => ({ ...prev, open: false }));
+  };
+
+  const handleStatusChange = async () => {
+    const { status, note } = statusDialog;
+    setSaving(true);
+    try {
+      const updated = status === 'cancelled'
+        ? await orderApi.cancel(order.id, note.trim() || null)
+        : await orderApi.updateStatus(order.id, status, note.trim() || null);
+      setOrder(updated);
+      closeStatusDialog();
+      setSnackbar({ open: true, message: `Order marked as ${orderStatusLabel(status).toLowerCase()}` });
+    } catch (error) {
+      setStatusDialog(prev => ({ ...prev, error: error.message || 'Failed to update order' }));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (error || !order) {
+    return (
+      <Box>
+        <Alert severity="error">{error || 'Order not found'}</Alert>
+        <Button startIcon={<ArrowBackIcon />} sx={{ mt: 2 }} component={RouterLink} to="/orders">
+          Back to Orders
+        </Button>
+      </Box>
+    );
+  }
+
+  const isOwner = order.username === currentUser?.username;
+  const canCancel = (isOwner || canManage) && canTransition(order.status, 'cancelled');
+  const managerActions = canManage
+    ? MANAGER_ACTIONS.filter(action => canTransition(order.status, action.status))
+    : [];
+
+  return (
+    <Box>
+      <Button startIcon={<ArrowBackIcon />} sx={{ mb: 2 }} component={RouterLink} to="/orders">
+        Back to Orders
+      </Button>
+
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 3, flexWrap: 'wrap' }}>
+        <Typography variant="h4">Order #{order.id}</Typography>
+        <OrderStatusChip status={order.status} size="medium" />
+        <Box sx={{ flexGrow: 1 }} />
+        {managerActions.map(action => (
+          <Button key={action.status} variant="contained" onClick={() => openStatusDialog(action.status)}>
+            {action.label}
+          </Button>
+        ))}
+        {canCancel && (
+          <Button variant="outlined" color="error" onClick={() => openStatusDialog('cancelled')}>
+            Cancel Order
+          </Button>
+        )}
+      </Box>
+
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={8}>
+          <Paper sx={{ p: 3 }}>
+            <Typography variant="h6" gutterBottom>Items</Typography>
+            <OrderItemsTable order={order} />
+          </Paper>
+        </Grid>
+
+        <Grid item xs={12} md={4}>
+          <Paper sx={{ p: 3, mb: 3 }}>
+            <Typography variant="h6" gutterBottom>Ship To</Typography>
+            <Typography>{order.customer_name}</Typography>
+            <Typography>{order.address_line1}</Typography>
+            {order.address_line2 && <Typography>{order.address_line2}</Typography>}
+            <Typography>{order.postal_code} {order.city}</Typography>
+            <Typography>{order.country}</Typography>
+            <Typography color="text.secondary" sx={{ mt: 1 }}>{order.email}</Typography>
+            {order.phone && <Typography color="text.secondary">{order.phone}</Typography>}
+          </Paper>
+
+          <Paper sx={{ p: 3 }}>
+            <Typography variant="h6">Status History</Typography>
+            <List dense>
+              {order.status_history.map((change, index) => (
+                <ListItem key={index} disableGutters alignItems="flex-start">
+                  <ListItemText
+                    primary={
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <OrderStatusChip status={change.status} />
+                        <Typography variant="body2" color="text.secondary">
+                          {formatOrderDate(change.changed_at)}
+                        </Typography>
+                      </Box>
+                    }
+                    secondary={[change.changed_by && `by ${change.changed_by}`, change.note]
+                      .filter(Boolean)
+                      .join(' · ')}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          </Paper>
+        </Grid>
+      </Grid>
+
+      <Dialog open={statusDialog.open} onClose={closeStatusDialog} maxWidth="xs" fullWidth>
+        <DialogTitle>
+          {statusDialog.status === 'cancelled' ? 'Cancel Order' : `Mark as ${orderStatusLabel(statusDialog.status)}`}
+        </DialogTitle>
+        <DialogContent>
+          {statusDialog.error && <Alert severity="error" sx={{ mb: 2 }}>{statusDialog.error}</Alert>}
+          {statusDialog.status === 'cancelled' && (
+            <DialogContentText sx={{ mb: 1 }}>
+              The items go back into stock. This cannot be undone.
+            </DialogContentText>
+          )}
+          <TextField
+            fullWidth
+            margin="dense"
+            label="Note (optional)"
+            value={statusDialog.note}
+            onChange={event => setStatusDialog(prev => ({ ...prev, note: event.target.value }))}
+            inputProps={{ maxLength: 500 }}
+            disabled={saving}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={closeStatusDialog} disabled={saving}>Close</Button>
+          <Button
+            variant="contained"
+            color={statusDialog.status === 'cancelled' ? 'error' : 'primary'}
+            onClick={handleStatusChange}
+            disabled={saving}
+          >
+            {saving ? <CircularProgress size={24} /> : 'Confirm'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={4000}
+        onClose={() => setSnackbar(prev => ({ ...prev, open: false }))}
+        message={snackbar.message}
+      />
+    </Box>
+  );
+};
+
+export default OrderDetail;
@@ -0,0 +1,122 @@
+import React, { useState, useEffect } from 'react';
+import { Link as RouterLink, useNavigate, useSearchParams } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  ToggleButtonGroup,
+  ToggleButton,
+  Button,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { orderApi } from '../services/api';
+import usePermissions from '../hooks/usePermissions';
+import { PERMISSIONS } from '../utils/permissions';
+import { formatOrderDate, orderItemCount } from '../utils/orders';
+import OrderStatusChip from '../components/orders/OrderStatusChip';
+
+const Orders = () => {
+  const navigate = useNavigate();
+  const { can } = usePermissions();
+  const canManage = can(PERMISSIONS.ORDERS_MANAGE);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const scope = canManage && searchParams.get('scope') === 'all' ? 'all' : 'mine';
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchOrders = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const result = await orderApi.getAll(scope);
+        if (!cancelled) setOrders(result);
+      } catch (error) {
+        console.error('Error fetching orders:', error);
+        if (!cancelled) setError(error.message || 'Failed to load orders');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchOrders();
+    return () => {
+      cancelled = true;
+    };
+  }, [scope]);
+
+  const handleScopeChange = (event, value) => {
+    if (value) setSearchParams(value === 'all' ? { scope: 'all' } : {});
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4">{scope === 'all' ? 'All Orders' : 'My Orders'}</Typography>
+        {canManage && (
+          <ToggleButtonGroup size="small" exclusive value={scope} onChange={handleScopeChange}>
+            <ToggleButton value="mine">Mine</ToggleButton>
+            <ToggleButton value="all">All customers</ToggleButton>
+          </ToggleButtonGroup>
+        )}
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+          <CircularProgress />
+        </Box>
+      ) : orders.length === 0 && !error ? (
+        <Box sx={{ textAlign: 'center', mt: 6 }}>
+          <Typography variant="h6">No orders yet</Typography>
+          <Button variant="contained" sx={{ mt: 2 }} component={RouterLink} to="/products">
+            Browse Products
+          </Button>
+        </Box>
+      ) : (
+        <Paper>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>Order</TableCell>
+                <TableCell>Placed</TableCell>
+                {scope === 'all' && <TableCell>Customer</TableCell>}
+                <TableCell align="right">Items</TableCell>
+                <TableCell align="right">Total</TableCell>
+                <TableCell>Status</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {orders.map(order => (
+                <TableRow
+                  key={order.id}
+                  hover
+                  sx={{ cursor: 'pointer' }}
+                  onClick={() => navigate(`/orders/${order.id}`)}
+                >
+                  <TableCell>#{order.id}</TableCell>
+                  <TableCell>{formatOrderDate(order.created_at)}</TableCell>
+                  {scope === 'all' && <TableCell>{order.customer_name} ({order.username})</TableCell>}
+                  <TableCell align="right">{orderItemCount(order)}</TableCell>
+                  <TableCell align="right">${order.total.toFixed(2)}</TableCell>
+                  <TableCell><OrderStatusChip status={order.status} /></TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </Paper>
+      )}
+    </Box>
+  );
+};
+
+export default Orders;
@@ -0,0 +1,226 @@
+import React, { useState } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Button,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  CircularProgress,
+  Snackbar,
+  Alert,
+  Link
+} from '@mui/material';
+import { ArrowBack as ArrowBackIcon, Sync as SyncIcon } from '@mui/icons-material';
+import { productApi, ConflictError } from '../services/api';
+import { offlineQueue } from '../services/offlineQueue';
+import { queryCache } from '../services/queryCache';
+import { productKeys } from '../services/queryKeys';
+import { useOffline } from '../contexts/OfflineContext';
+import ProductMergeDialog from '../components/products/ProductMergeDialog';
+
+const CHANGE_LABELS = { create: 'Create', update: 'Edit', delete: 'Delete' };
+
+const STATUS_CHIPS = {
+  pending: { label: 'Waiting', color: 'default' },
+  conflict: { label: 'Conflict', color: 'warning' },
+  failed: { label: 'Failed', color: 'error' },
+};
+
+// Product changes made while offline that the server does not have yet, oldest first.
+// Conflicting edits are merged here; failed changes can be retried or dropped
+const PendingChanges = () => {
+  const { online, syncing, changes, pendingCount, sync } = useOffline();
+  // { item, base, mine, theirs } while a conflicting edit is being merged
+  const [conflict, setConflict] = useState(null);
+  const [merging, setMerging] = useState({ saving: false, error: '' });
+  const [discardItem, setDiscardItem] = useState(null);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+
+  const showSnackbar = (message, severity = 'success') => {
+    setSnackbar({ open: true, message, severity });
+  };
+
+  const handleResolve = (item) => {
+    setMerging({ saving: false, error: '' });
+    setConflict({ item, base: item.base, mine: item.payload, theirs: item.current });
+  };
+
+  const handleMergeSave = async (merged) => {
+    if (!online) {
+      setMerging({ saving: false, error: 'You are offline. Reconnect to save the merged product.' });
+      return;
+    }
+    setMerging({ saving: true, error: '' });
+    try {
+      const saved = await productApi.update(conflict.item.product_id, { ...merged, version: conflict.theirs.version });
+      queryCache.setData(productKeys.detail(saved.id), saved);
+      await offlineQueue.remove(conflict.item.id);
+      setConflict(null);
+      setMerging({ saving: false, error: '' });
+      showSnackbar(`"${saved.name}" updated`);
+    } catch (error) {
+      if (error instanceof ConflictError && error.detail?.current) {
+        const current = error.detail.current;
+        await offlineQueue.update(conflict.item, { current });
+        setConflict(prev => ({ ...prev, base: prev.theirs, theirs: current }));
+        setMerging({ saving: false, error: 'The product changed again while you were merging. Review the differences once more.' });
+      } else {
+        setMerging({ saving: false, error: error.message || 'Failed to save product' });
+      }
+    }
+  };
+
+  const handleMergeDiscard = async () => {
+    queryCache.setData(productKeys.detail(conflict.theirs.id), conflict.theirs);
+    await offlineQueue.remove(conflict.item.id);
+    setConflict(null);
+    showSnackbar('Your change was discarded in favour of the latest version');
+  };
+
+  const handleRetry = async (item) => {
+    await offlineQueue.update(item, { status: 'pending', error: null });
+    sync();
+  };
+
+  // Cached views may still show the dropped change, so they are refetched
+  const handleDiscard = async () => {
+    const item = discardItem;
+    setDiscardItem(null);
+    try {
+      await offlineQueue.remove(item.id);
+      queryCache.invalidate(productKeys.all);
+      showSnackbar('Change discarded');
+    } catch (error) {
+      console.error('Error discarding change:', error);
+      showSnackbar('Failed to discard the change', 'error');
+    }
+  };
+
+  return (
+    <Box>
+      <Button startIcon={<ArrowBackIcon />} sx={{ mb: 2 }} component={RouterLink} to="/products">
+        Back to Products
+      </Button>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+        <Typography variant="h4">Pending Changes</Typography>
+        <Button
+          variant="contained"
+          startIcon={syncing ? <CircularProgress size={18} color="inherit" /> : <SyncIcon />}
+          onClick={sync}
+          disabled={!online || syncing || pendingCount === 0}
+        >
+          Sync Now
+        </Button>
+      </Box>
+      <Typography color="text.secondary" sx={{ mb: 3 }}>
+        Changes made while offline are kept on this device and sent in order once the connection is back.
+      </Typography>
+
+      {!online && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          You are offline. Changes will be sent when the connection returns.
+        </Alert>
+      )}
+
+      {changes.length === 0 ? (
+        <Paper sx={{ p: 4, textAlign: 'center' }}>
+          <Typography color="text.secondary">All your changes have been saved</Typography>
+        </Paper>
+      ) : (
+        <Paper>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>Change</TableCell>
+                <TableCell>Product</TableCell>
+                <TableCell>Made</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {changes.map(item => (
+                <TableRow key={item.id}>
+                  <TableCell>{CHANGE_LABELS[item.type]}</TableCell>
+                  <TableCell>
+                    {item.product_id ? (
+                      <Link component={RouterLink} to={`/products/${item.product_id}`}>{item.name}</Link>
+                    ) : item.name}
+                  </TableCell>
+                  <TableCell>{new Date(item.queued_at).toLocaleString()}</TableCell>
+                  <TableCell>
+                    <Chip size="small" {...STATUS_CHIPS[item.status]} />
+                    {item.error && (
+                      <Typography variant="body2" color="text.secondary" sx={{ mt: 0.5 }}>{item.error}</Typography>
+                    )}
+                  </TableCell>
+                  <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                    {item.status === 'conflict' && (
+                      <Button size="small" onClick={() => handleResolve(item)}>Resolve</Button>
+                    )}
+                    {item.status === 'failed' && (
+                      <Button size="small" onClick={() => handleRetry(item)} disabled={!online}>Retry</Button>
+                    )}
+                    <Button size="small" color="error" onClick={() => setDiscardItem(item)} disabled={syncing}>
+                      Discard
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </Paper>
+      )}
+
+      <ProductMergeDialog
+        conflict={conflict}
+        saving={merging.saving}
+        error={merging.error}
+        onSave={handleMergeSave}
+        onDiscard={handleMergeDiscard}
+        onCancel={() => setConflict(null)}
+      />
+
+      <Dialog open={!!discardItem} onClose={() => setDiscardItem(null)}>
+        <DialogTitle>Discard this change?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            The {CHANGE_LABELS[discardItem?.type]?.toLowerCase()} of "{discardItem?.name}" will not be sent to the server.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDiscardItem(null)}>Cancel</Button>
+          <Button variant="contained" color="error" onClick={handleDiscard}>Discard</Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={() => setSnackbar(prev => ({ ...prev, open: false }))}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+      >
+        <Alert
+          onClose={() => setSnackbar(prev => ({ ...prev, open: false }))}
+          severity={snackbar.severity}
+          sx={{ width: '100%' }}
+        >
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+};
+
+export default PendingChanges;
@@ -1,5 +1,5 @@
-import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import React, { useState, lazy, Suspense } from 'react';
+import { useParams, useNavigate, useLocation, Link as RouterLink } from 'react-router-dom';
 import {
   Box,
   Typography,
@@ -11,64 +11,142 @@ import {
   Divider,
   CircularProgress,
   Paper,
-  IconButton
+  IconButton,
+  Tooltip,
+  Snackbar,
+  Alert,
+  Tabs,
+  Tab
 } from '@mui/material';
 import {
   ArrowBack as ArrowBackIcon,
   Edit as EditIcon,
-  Delete as DeleteIcon
+  Delete as DeleteIcon,
+  AddShoppingCart as AddShoppingCartIcon,
+  Inventory as InventoryIcon
 } from '@mui/icons-material';
-import { productApi } from '../services/api';
+import { productApi, NotFoundError } from '../services/api';
+import usePermissions from '../hooks/usePermissions';
+import { useCart } from '../contexts/CartContext';
 import { useAuth } from '../contexts/AuthContext';
+import QuantitySelector from '../components/cart/QuantitySelector';
+import StockAdjustmentDialog from '../components/products/StockAdjustmentDialog';
+import StockLevelChip from '../components/products/StockLevelChip';
+import ProductGallery from '../components/products/ProductGallery';
+import VariantSelector from '../components/products/VariantSelector';
+import ProductHistory from '../components/products/ProductHistory';
+import UpdatedByNote, { liveHighlightSx } from '../components/products/UpdatedByNote';
+import useCategoryDefaults from '../hooks/useCategoryDefaults';
+import useLiveUpdates from '../hooks/useLiveUpdates';
+import useLiveHighlights from '../hooks/useLiveHighlights';
+import useQuery from '../hooks/useQuery';
+import { queryCache } from '../services/queryCache';
+import { productKeys } from '../services/queryKeys';
+import { applyLiveEvent } from '../services/productQueries';
+import { sendOrQueue, QUEUED_CHANGE_MESSAGE } from '../services/offlineQueue';
+import { reorderSettings } from '../utils/stockLevel';
+import { hasVariants, formatPriceRange, findVariantBySelection } from '../utils/variants';
+import { PERMISSIONS } from '../utils/permissions';
+
+// The chart library is only loaded when the history tab is opened
+const StockMovementHistory = lazy(() => import('../components/products/StockMovementHistory'));
 
 const ProductDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
-  const [product, setProduct] = useState(null);
-  const [loading, setLoading] = useState(true);
+  const location = useLocation();
+  const [message, setMessage] = useState(location.state?.message || '');
+  // Products already loaded by the list render at once and are refreshed in the background
+  const { data: product, error: loadError, isLoading } = useQuery(productKeys.detail(id), () => productApi.getById(id));
   const [error, setError] = useState(null);
-  const { isAuthenticated } = useAuth();
-
-  useEffect(() => {
-    const fetchProduct = async () => {
-      try {
-        const data = await productApi.getById(id);
-        setProduct(data);
-        setLoading(false);
-      } catch (error) {
-        console.error('Error fetching product:', error);
-        setError('Failed to load product details');
-        setLoading(false);
-      }
-    };
-
-    fetchProduct();
-  }, [id]);
+  const { can } = usePermissions();
+  const canEdit = can(PERMISSIONS.CATALOG_WRITE);
+  const canDelete = can(PERMISSIONS.CATALOG_DELETE);
+  const canViewHistory = can(PERMISSIONS.CATALOG_READ);
+  const { addItem, getQuantity } = useCart();
+  const { currentUser } = useAuth();
+  const [quantity, setQuantity] = useState(1);
+  // Chosen option values of a product with variants, by option name
+  const [selection, setSelection] = useState({});
+  const [tab, setTab] = useState('overview');
+  const [adjustOpen, setAdjustOpen] = useState(false);
+  const [historyVersion, setHistoryVersion] = useState(0);
+  const categoryDefaults = useCategoryDefaults();
+  const [highlights, highlight] = useLiveHighlights();
+  // Who moved the product to the trash while it was open
+  const [deletedBy, setDeletedBy] = useState(null);
+
+  // A missing product falls through to the "not found" view; one deleted while open stays on screen
+  const failure = error || (!product && loadError && !(loadError instanceof NotFoundError)
+    ? loadError.message || 'Failed to load product details'
+    : null);
+
+  useLiveUpdates((event) => {
+    applyLiveEvent(event);
+    if (String(event.data?.product.id) !== id) return;
+    if (event.type === 'product.deleted') {
+      setDeletedBy(event.username || 'someone');
+    } else {
+      setDeletedBy(null);
+      setHistoryVersion(prev => prev + 1);
+    }
+    highlight(event);
+  });
 
   const handleEdit = () => {
-    // Navigate to edit page or open edit modal
-    // For this demo, we'll just go back to the product list
-    // where the edit functionality is implemented
-    navigate('/products');
+    navigate(`/products/${id}/edit`);
   };
 
+  // The product list offers to undo the delete
   const handleDelete = async () => {
-    if (window.confirm('Are you sure you want to delete this product?')) {
-      try {
-        await productApi.delete(id);
-        navigate('/products');
-      } catch (error) {
-        console.error('Error deleting product:', error);
-        setError('Failed to delete product');
-      }
+    try {
+      const { queued } = await sendOrQueue({
+        type: 'delete',
+        product_id: product.id,
+        name: product.name,
+        username: currentUser?.username
+      });
+      navigate('/products', {
+        state: queued ? { message: QUEUED_CHANGE_MESSAGE } : { deleted: { id: product.id, name: product.name } }
+      });
+    } catch (error) {
+      console.error('Error deleting product:', error);
+      setError(error.message || 'Failed to delete product');
     }
   };
 
+  const handleAddToCart = () => {
+    const added = addItem(product, quantity, variant);
+    setQuantity(1);
+    setMessage(added < quantity
+      ? `Added ${added} — that is all the stock available`
+      : `Added ${added} to your cart`);
+  };
+
+  const handleStockAdjusted = (movement) => {
+    queryCache.setData(productKeys.detail(id), prev => ({
+      ...prev,
+      stock_quantity: movement.balance_after,
+      variants: prev.variants?.map(other => (other.id === movement.variant_id
+        ? { ...other, stock_quantity: other.stock_quantity + movement.quantity_change }
+        : other))
+    }));
+    setHistoryVersion(prev => prev + 1);
+    setAdjustOpen(false);
+    setMessage('Stock adjustment recorded');
+  };
+
+  const handleRestored = (restored) => {
+    queryCache.setData(productKeys.detail(id), restored);
+    setHistoryVersion(prev => prev + 1);
+    setMessage('Version restored');
+  };
+
   const handleBack = () => {
     navigate('/products');
   };
 
-  if (loading) {
+  if (isLoading) {
     return (
       <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
         <CircularProgress />
@@ -76,11 +154,11 @@ const ProductDetail = () => {
     );
   }
 
-  if (error) {
+  if (failure) {
     return (
       <Box sx={{ mt: 4 }}>
         <Paper sx={{ p: 3, bgcolor: 'error.light', color: 'error.contrastText' }}>
-          <Typography variant="h6">{error}</Typography>
+          <Typography variant="h6">{failure}</Typography>
           <Button 
             variant="contained" 
             sx={{ mt: 2 }}
@@ -110,6 +188,21 @@ const ProductDetail = () => {
     );
   }
 
+  const byVariant = hasVariants(product);
+  // Options with a single value need no choosing
+  const effectiveSelection = byVariant
+    ? Object.fromEntries(product.options.map(option => [
+      option.name,
+      option.values.length === 1 ? option.values[0] : selection[option.name]
+    ]))
+    : {};
+  const variant = byVariant ? findVariantBySelection(product, effectiveSelection) : null;
+  const mustChoose = byVariant && !variant;
+  const stock = variant ? variant.stock_quantity : product.stock_quantity;
+  const inCart = getQuantity(product.id, variant ? variant.id : null);
+  const reorder = reorderSettings(product, categoryDefaults);
+  const available = mustChoose ? 0 : Math.max(stock - inCart, 0);
+
   return (
     <Box>
       <Box sx={{ display: 'flex', alignItems: 'center', mb: 3 }}>
@@ -117,117 +210,242 @@ const ProductDetail = () => {
           <ArrowBackIcon />
         </IconButton>
         <Typography variant="h4">Product Details</Typography>
+        <UpdatedByNote username={highlights[product.id]} sx={{ ml: 2 }} />
       </Box>
 
-      <Card>
-        <CardContent>
-          <Grid container spacing={3}>
-            <Grid item xs={12} md={8}>
-              <Box sx={{ mb: 3 }}>
-                <Typography variant="h5" gutterBottom>
-                  {product.name}
-                </Typography>
-                <Chip 
-                  label={product.category} 
-                  color="primary" 
-                  size="small" 
-                  sx={{ mb: 2 }}
-                />
-                <Typography variant="body1" paragraph>
-                  {product.description}
-                </Typography>
-              </Box>
+      {deletedBy && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          {deletedBy} moved this product to the trash. It is shown as it was last saved.
+        </Alert>
+      )}
 
-              <Divider sx={{ my: 2 }} />
+      {canViewHistory && (
+        <Tabs value={tab} onChange={(event, value) => setTab(value)} sx={{ mb: 2 }}>
+          <Tab label="Overview" value="overview" />
+          <Tab label="Stock History" value="history" />
+          {canEdit && <Tab label="Change History" value="changes" />}
+        </Tabs>
+      )}
 
-              <Typography variant="h6" gutterBottom>
-                Product Information
-              </Typography>
-              
-              <Grid container spacing={2}>
-                <Grid item xs={6}>
-                  <Typography variant="subtitle2">ID</Typography>
-                  <Typography variant="body2" color="text.secondary">
-                    {product.id}
-                  </Typography>
-                </Grid>
-                <Grid item xs={6}>
-                  <Typography variant="subtitle2">Category</Typography>
-                  <Typography variant="body2" color="text.secondary">
-                    {product.category}
-                  </Typography>
-                </Grid>
-                <Grid item xs={6}>
-                  <Typography variant="subtitle2">Stock Quantity</Typography>
-                  <Typography variant="body2" color="text.secondary">
-                    {product.stock_quantity} units
+      {tab === 'history' ? (
+        <Paper sx={{ p: 3 }}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+            <Typography variant="h6">
+              Stock Movements · {product.stock_quantity} units on hand
+            </Typography>
+            {canEdit && (
+              <Button variant="outlined" startIcon={<InventoryIcon />} onClick={() => setAdjustOpen(true)}>
+                Adjust Stock
+              </Button>
+            )}
+          </Box>
+          <Suspense fallback={<Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}><CircularProgress /></Box>}>
+            <StockMovementHistory productId={product.id} version={historyVersion} />
+          </Suspense>
+        </Paper>
+      ) : tab === 'changes' ? (
+        <Paper sx={{ p: 3 }}>
+          <Typography variant="h6" sx={{ mb: 2 }}>Change History</Typography>
+          <ProductHistory
+            product={product}
+            version={historyVersion}
+            canRestore={canEdit}
+            onRestored={handleRestored}
+          />
+        </Paper>
+      ) : (
+        <Card sx={liveHighlightSx(highlights[product.id])}>
+          <CardContent>
+            <Grid container spacing={3}>
+              <Grid item xs={12} md={8}>
+                {product.images?.length > 0 && <ProductGallery images={product.images} name={product.name} />}
+                <Box sx={{ mb: 3 }}>
+                  <Typography variant="h5" gutterBottom>
+                    {product.name}
                   </Typography>
-                </Grid>
-                <Grid item xs={6}>
-                  <Typography variant="subtitle2">Stock Status</Typography>
                   <Chip 
-                    label={product.stock_quantity > 0 ? 'In Stock' : 'Out of Stock'} 
-                    color={product.stock_quantity > 0 ? 'success' : 'error'} 
+                    label={product.category} 
+                    color="primary" 
                     size="small" 
+                    sx={{ mb: 2 }}
                   />
+                  <Typography variant="body1" paragraph>
+                    {product.description}
+                  </Typography>
+                </Box>
+
+                <Divider sx={{ my: 2 }} />
+
+                <Typography variant="h6" gutterBottom>
+                  Product Information
+                </Typography>
+              
+                <Grid container spacing={2}>
+                  <Grid item xs={6}>
+                    <Typography variant="subtitle2">ID</Typography>
+                    <Typography variant="body2" color="text.secondary">
+                      {product.id}
+                    </Typography>
+                  </Grid>
+                  <Grid item xs={6}>
+                    <Typography variant="subtitle2">Category</Typography>
+                    <Typography variant="body2" color="text.secondary">
+                      {product.category}
+                    </Typography>
+                  </Grid>
+                  <Grid item xs={6}>
+                    <Typography variant="subtitle2">Stock Quantity</Typography>
+                    <Typography variant="body2" color="text.secondary">
+                      {product.stock_quantity} units
+                      {byVariant && ` across ${product.variants.length} variants`}
+                    </Typography>
+                  </Grid>
+                  <Grid item xs={6}>
+                    <Typography variant="subtitle2">Stock Status</Typography>
+                    <StockLevelChip product={product} categoryDefaults={categoryDefaults} />
+                  </Grid>
+                  <Grid item xs={6}>
+                    <Typography variant="subtitle2">Reorder Point</Typography>
+                    <Typography variant="body2" color="text.secondary">
+                      {reorder.reorderPoint} units
+                      {reorder.source === 'category' && ' (category default)'}
+                      {reorder.source === 'default' && ' (standard default)'}
+                    </Typography>
+                  </Grid>
+                  <Grid item xs={6}>
+                    <Typography variant="subtitle2">Reorder Quantity</Typography>
+                    <Typography variant="body2" color="text.secondary">
+                      {reorder.reorderQuantity ? `${reorder.reorderQuantity} units` : 'Not set'}
+                    </Typography>
+                  </Grid>
                 </Grid>
               </Grid>
-            </Grid>
 
-            <Grid item xs={12} md={4}>
-              <Paper elevation={3} sx={{ p: 3, bgcolor: 'background.default' }}>
-                <Typography variant="h4" color="primary" gutterBottom>
-                  ${product.price.toFixed(2)}
-                </Typography>
-                
-                <Box sx={{ mt: 2 }}>
-                  <Typography variant="subtitle2" gutterBottom>
-                    Availability:
+              <Grid item xs={12} md={4}>
+                <Paper elevation={3} sx={{ p: 3, bgcolor: 'background.default' }}>
+                  <Typography variant="h4" color="primary" gutterBottom>
+                    {variant ? `$${variant.price.toFixed(2)}` : formatPriceRange(product)}
                   </Typography>
-                  <Typography 
-                    variant="body1" 
-                    color={product.stock_quantity > 0 ? 'success.main' : 'error.main'}
-                  >
-                    {product.stock_quantity > 0 
-                      ? `${product.stock_quantity} in stock` 
-                      : 'Out of stock'}
-                  </Typography>
-                </Box>
+                  {variant && (
+                    <Typography variant="body2" color="text.secondary">
+                      SKU: {variant.sku}
+                    </Typography>
+                  )}
+
+                  {byVariant && (
+                    <Box sx={{ mt: 2 }}>
+                      <VariantSelector product={product} selection={effectiveSelection} onChange={setSelection} />
+                    </Box>
+                  )}
                 
-                <Box sx={{ mt: 3 }}>
-                  <Button 
-                    variant="contained" 
-                    fullWidth
-                    disabled={product.stock_quantity <= 0}
-                  >
-                    Add to Cart
-                  </Button>
+                  <Box sx={{ mt: 2 }}>
+                    <Typography variant="subtitle2" gutterBottom>
+                      Availability:
+                    </Typography>
+                    <Typography 
+                      variant="body1" 
+                      color={stock > 0 ? 'success.main' : 'error.main'}
+                    >
+                      {stock > 0 
+                        ? `${stock} in stock${mustChoose ? ` across ${product.variants.length} variants` : ''}` 
+                        : 'Out of stock'}
+                    </Typography>
+                  </Box>
+                
+                  <Box sx={{ mt: 3 }}>
+                    {inCart > 0 && (
+                      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                        {inCart} in your cart
+                      </Typography>
+                    )}
+                    {available > 0 && (
+                      <Box sx={{ display: 'flex', justifyContent: 'center', mb: 1 }}>
+                        <QuantitySelector value={Math.min(quantity, available)} max={available} onChange={setQuantity} />
+                      </Box>
+                    )}
+                    <Button 
+                      variant="contained" 
+                      fullWidth
+                      startIcon={<AddShoppingCartIcon />}
+                      onClick={handleAddToCart}
+                      disabled={available <= 0}
+                    >
+                      {mustChoose ? 'Choose Options' : stock > 0 && available <= 0 ? 'All Stock in Cart' : 'Add to Cart'}
+                    </Button>
                   
-                  {isAuthenticated && (
-                    <Box sx={{ mt: 2, display: 'flex', justifyContent: 'space-between' }}>
-                      <Button 
-                        startIcon={<EditIcon />}
-                        onClick={handleEdit}
-                        sx={{ flex: 1, mr: 1 }}
-                      >
-                        Edit
-                      </Button>
-                      <Button 
-                        color="error"
-                        startIcon={<DeleteIcon />}
-                        onClick={handleDelete}
-                        sx={{ flex: 1 }}
+                    {canEdit && (
+                      <Button
+                        fullWidth
+                        variant="outlined"
+                        startIcon={<InventoryIcon />}
+                        onClick={() => setAdjustOpen(true)}
+                        sx={{ mt: 2 }}
                       >
-                        Delete
+                        Adjust Stock
                       </Button>
-                    </Box>
-                  )}
-                </Box>
-              </Paper>
+                    )}
+                  
+                    {canEdit && (
+                      <Box sx={{ mt: 2, display: 'flex', justifyContent: 'space-between' }}>
+                        <Button 
+                          startIcon={<EditIcon />}
+                          onClick={handleEdit}
+                          sx={{ flex: 1, mr: 1 }}
+                        >
+                          Edit
+                        </Button>
+                        {/* Editors see why delete is unavailable instead of a missing button */}
+                        <Tooltip title={canDelete ? '' : 'Only administrators can delete products'}>
+                          <Box component="span" sx={{ flex: 1, display: 'flex' }}>
+                            <Button 
+                              color="error"
+                              startIcon={<DeleteIcon />}
+                              onClick={handleDelete}
+                              disabled={!canDelete}
+                              sx={{ flex: 1 }}
+                            >
+                              Delete
+                            </Button>
+                          </Box>
+                        </Tooltip>
+                      </Box>
+                    )}
+                  </Box>
+                </Paper>
+              </Grid>
             </Grid>
-          </Grid>
-        </CardContent>
-      </Card>
+          </CardContent>
+        </Card>
+      )}
+
+      {canEdit && (
+        <StockAdjustmentDialog
+          open={adjustOpen}
+          product={product}
+          onClose={() => setAdjustOpen(false)}
+          onAdjusted={handleStockAdjusted}
+        />
+      )}
+      
+      <Snackbar
+        open={!!message}
+        autoHideDuration={4000}
+        onClose={() => setMessage('')}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+      >
+        <Alert
+          onClose={() => setMessage('')}
+          severity="success"
+          sx={{ width: '100%' }}
+          action={inCart > 0 ? (
+            <Button color="inherit" size="small" component={RouterLink} to="/cart">
+              View Cart
+            </Button>
+          ) : null}
+        >
+          {message}
+        </Alert>
+      </Snackbar>
     </Box>
   );
 };
@@ -0,0 +1,217 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Paper,
+  IconButton,
+  CircularProgress,
+  Alert,
+  Button
+} from '@mui/material';
+import { ArrowBack as ArrowBackIcon } from '@mui/icons-material';
+import { productApi, categoryApi, ConflictError, NetworkError } from '../services/api';
+import ProductForm from '../components/products/ProductForm';
+import ProductMergeDialog from '../components/products/ProductMergeDialog';
+import { queryCache } from '../services/queryCache';
+import { productKeys } from '../services/queryKeys';
+import { sendOrQueue, QUEUED_CHANGE_MESSAGE } from '../services/offlineQueue';
+import { useAuth } from '../contexts/AuthContext';
+import { emptyProduct, toFormValues } from '../components/products/productSchema';
+import { toCategoryDefaults } from '../utils/stockLevel';
+
+// Serves both /products/new and /products/:id/edit
+const ProductEdit = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { currentUser } = useAuth();
+  const isNew = !id;
+  const [initialValues, setInitialValues] = useState(isNew ? emptyProduct : null);
+  // The product as loaded; its version is sent with the update to detect concurrent edits
+  const [loaded, setLoaded] = useState(null);
+  // { base, mine, theirs, resolve, reject } while the user merges a conflicting edit
+  const [conflict, setConflict] = useState(null);
+  const [merging, setMerging] = useState({ saving: false, error: '' });
+  const [categories, setCategories] = useState([]);
+  const [categoryDefaults, setCategoryDefaults] = useState({});
+  const [loading, setLoading] = useState(!isNew);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchCategories = async () => {
+      try {
+        const categoryList = await categoryApi.getAll();
+        setCategories(categoryList.map(category => category.name));
+        setCategoryDefaults(toCategoryDefaults(categoryList));
+      } catch (error) {
+        console.error('Error fetching categories:', error);
+      }
+    };
+
+    fetchCategories();
+  }, []);
+
+  useEffect(() => {
+    if (isNew) return;
+
+    // Edits start from the latest version; offline, from the copy the catalog last showed
+    const fetchProduct = async () => {
+      const key = productKeys.detail(id);
+      try {
+        let product;
+        try {
+          product = await queryCache.fetch(key, () => productApi.getById(id), { force: true });
+        } catch (error) {
+          product = error instanceof NetworkError ? queryCache.getState(key).data : undefined;
+          if (!product) throw error;
+        }
+        setLoaded(product);
+        setInitialValues(toFormValues(product));
+      } catch (error) {
+        console.error('Error fetching product:', error);
+        setError(error.message || 'Failed to load product');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchProduct();
+  }, [id, isNew]);
+
+  const handleBack = () => {
+    navigate(isNew ? '/products' : `/products/${id}`);
+  };
+
+  const handleCreateCategory = async (name) => {
+    const created = await categoryApi.create(name);
+    setCategories(prev => [...prev, created.name].sort());
+    return created.name;
+  };
+
+  // Keeps the form submitting until the merge dialog is closed: resolves with the
+  // navigation state once settled, rejects with the conflict to return to the form
+  const waitForMerge = (error, base, mine) => new Promise((resolve, reject) => {
+    setMerging({ saving: false, error: '' });
+    setConflict({ base, mine, theirs: error.detail.current, resolve, reject: () => reject(error) });
+  });
+
+  // The product page opens with the saved product instead of a stale cached copy
+  const showSaved = (saved) => {
+    queryCache.setData(productKeys.detail(saved.id), saved);
+  };
+
+  // Without a connection the change is queued, and the app moves on as if it was saved
+  const handleSubmit = async (productData) => {
+    const change = { name: productData.name, payload: productData, username: currentUser?.username };
+    if (isNew) {
+      const { queued, result: created } = await sendOrQueue({ ...change, type: 'create', product_id: null });
+      if (queued) {
+        navigate('/products', { state: { message: QUEUED_CHANGE_MESSAGE } });
+        return;
+      }
+      showSaved(created);
+      navigate(`/products/${created.id}`, { state: { message: 'Product created' } });
+      return;
+    }
+
+    let state;
+    try {
+      const { queued, result } = await sendOrQueue({
+        ...change,
+        type: 'update',
+        product_id: loaded.id,
+        version: loaded.version,
+        base: loaded
+      });
+      if (queued) {
+        state = { message: QUEUED_CHANGE_MESSAGE };
+      } else {
+        showSaved(result);
+        state = { message: 'Product updated' };
+      }
+    } catch (error) {
+      if (!(error instanceof ConflictError) || !error.detail?.current) throw error;
+      state = await waitForMerge(error, loaded, productData);
+    }
+    navigate(`/products/${id}`, { state });
+  };
+
+  const handleMergeSave = async (merged) => {
+    setMerging({ saving: true, error: '' });
+    try {
+      showSaved(await productApi.update(id, { ...merged, version: conflict.theirs.version }));
+      setConflict(null);
+      conflict.resolve({ message: 'Product updated' });
+    } catch (error) {
+      if (error instanceof ConflictError && error.detail?.current) {
+        // Another save landed while merging; merge again against the newest version
+        setConflict(prev => ({ ...prev, base: prev.theirs, theirs: error.detail.current }));
+        setMerging({ saving: false, error: 'The product changed again while you were merging. Review the differences once more.' });
+      } else {
+        setMerging({ saving: false, error: error.message || 'Failed to save product' });
+      }
+    }
+  };
+
+  const handleMergeDiscard = () => {
+    showSaved(conflict.theirs);
+    setConflict(null);
+    conflict.resolve({ message: 'Your changes were discarded in favour of the latest version' });
+  };
+
+  const handleMergeCancel = () => {
+    setConflict(null);
+    conflict.reject();
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 3 }}>
+        <IconButton onClick={handleBack} sx={{ mr: 1 }}>
+          <ArrowBackIcon />
+        </IconButton>
+        <Typography variant="h4">{isNew ? 'Add New Product' : 'Edit Product'}</Typography>
+      </Box>
+
+      <Paper sx={{ p: 3, maxWidth: 720 }}>
+        {error ? (
+          <>
+            <Alert severity="error">{error}</Alert>
+            <Button variant="contained" sx={{ mt: 2 }} onClick={() => navigate('/products')}>
+              Back to Products
+            </Button>
+          </>
+        ) : (
+          <ProductForm
+            initialValues={initialValues}
+            categories={categories}
+            categoryDefaults={categoryDefaults}
+            onCreateCategory={handleCreateCategory}
+            submitLabel={isNew ? 'Create' : 'Update'}
+            onSubmit={handleSubmit}
+            onCancel={handleBack}
+          />
+        )}
+      </Paper>
+
+      <ProductMergeDialog
+        conflict={conflict}
+        saving={merging.saving}
+        error={merging.error}
+        onSave={handleMergeSave}
+        onDiscard={handleMergeDiscard}
+        onCancel={handleMergeCancel}
+      />
+    </Box>
+  );
+};
+
+export default ProductEdit;
@@ -0,0 +1,315 @@
+import React, { useState, useMemo, useRef, useEffect } from 'react';
+import { Link as RouterLink, useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Paper,
+  IconButton,
+  Stepper,
+  Step,
+  StepLabel,
+  Button,
+  Alert,
+  LinearProgress,
+  RadioGroup,
+  Radio,
+  FormControlLabel,
+  FormControl,
+  FormLabel,
+  Switch,
+  Stack
+} from '@mui/material';
+import {
+  ArrowBack as ArrowBackIcon,
+  UploadFile as UploadFileIcon,
+  Download as DownloadIcon
+} from '@mui/icons-material';
+import { productApi } from '../services/api';
+import ImportColumnMapping from '../components/products/ImportColumnMapping';
+import ImportPreviewTable from '../components/products/ImportPreviewTable';
+import { SPREADSHEET_ACCEPT, readSpreadsheet, downloadCsv } from '../utils/spreadsheet';
+import {
+  IMPORT_CHUNK_SIZE,
+  autoMapColumns,
+  isMappingComplete,
+  validateImportRows,
+  chunk,
+  toErrorReport,
+  formatRowErrors
+} from '../utils/productImport';
+
+const STEPS = ['Upload file', 'Map columns', 'Review', 'Import'];
+
+const ProductImport = () => {
+  const navigate = useNavigate();
+  const [activeStep, setActiveStep] = useState(0);
+  const [file, setFile] = useState(null);
+  const [sheet, setSheet] = useState({ headers: [], rows: [] });
+  const [fileError, setFileError] = useState('');
+  const [mapping, setMapping] = useState({});
+  const [mode, setMode] = useState('create');
+  const [errorsOnly, setErrorsOnly] = useState(false);
+  const [progress, setProgress] = useState({ processed: 0, total: 0, running: false });
+  const [outcome, setOutcome] = useState(null);
+  const cancelledRef = useRef(false);
+
+  // Stop sending chunks if the user leaves mid-import
+  useEffect(() => () => {
+    cancelledRef.current = true;
+  }, []);
+
+  const validatedRows = useMemo(
+    () => (isMappingComplete(mapping) ? validateImportRows(sheet.rows, mapping) : []),
+    [sheet.rows, mapping]
+  );
+  const validRows = validatedRows.filter(row => row.payload);
+  const invalidRows = validatedRows.filter(row => !row.payload);
+
+  const handleFileChange = async (event) => {
+    const selectedFile = event.target.files[0];
+    event.target.value = '';
+    if (!selectedFile) return;
+
+    setFileError('');
+    try {
+      const parsed = await readSpreadsheet(selectedFile);
+      if (parsed.rows.length === 0) {
+        setFileError('The file has no data rows below the header row.');
+        return;
+      }
+      setFile(selectedFile);
+      setSheet(parsed);
+      setMapping(autoMapColumns(parsed.headers));
+    } catch (error) {
+      console.error('Error reading import file:', error);
+      setFileError('The file could not be read. Upload a CSV or Excel (.xlsx) file.');
+    }
+  };
+
+  const handleImport = async () => {
+    setActiveStep(3);
+    cancelledRef.current = false;
+    setProgress({ processed: 0, total: validRows.length, running: true });
+
+    const totals = { created: 0, updated: 0 };
+    const failures = invalidRows.map(row => ({
+      rowNumber: row.rowNumber,
+      values: row.values,
+      error: formatRowErrors(row.errors)
+    }));
+
+    let processed = 0;
+    for (const rows of chunk(validRows, IMPORT_CHUNK_SIZE)) {
+      if (cancelledRef.current) break;
+      try {
+        const result = await productApi.import(rows.map(row => row.payload), mode);
+        totals.created += result.created;
+        totals.updated += result.updated;
+        result.results
+          .filter(item => !item.success)
+          .forEach(item => {
+            const row = rows[item.index];
+            failures.push({ rowNumber: row.rowNumber, values: row.values, error: item.error });
+          });
+      } catch (error) {
+        // A rejected chunk fails all of its rows; later chunks are still sent
+        console.error('Error importing products:', error);
+        rows.forEach(row => {
+          failures.push({ rowNumber: row.rowNumber, values: row.values, error: error.message || 'Import failed' });
+        });
+      }
+      processed += rows.length;
+      setProgress(prev => ({ ...prev, processed: prev.processed + rows.length }));
+    }
+
+    setProgress(prev => ({ ...prev, running: false }));
+    setOutcome({
+      ...totals,
+      skipped: validRows.length - processed,
+      stopped: cancelledRef.current,
+      failures
+    });
+  };
+
+  const handleDownloadErrors = (failures) => {
+    const baseName = file ? file.name.replace(/\.[^.]+$/, '') : 'products';
+    downloadCsv(toErrorReport(failures), `${baseName}-errors.csv`);
+  };
+
+  const handleReset = () => {
+    setActiveStep(0);
+    setFile(null);
+    setSheet({ headers: [], rows: [] });
+    setMapping({});
+    setOutcome(null);
+    setErrorsOnly(false);
+    setProgress({ processed: 0, total: 0, running: false });
+  };
+
+  const renderUpload = () => (
+    <Box>
+      <Typography variant="body1" sx={{ mb: 2 }}>
+        Upload a CSV or Excel file with a header row. Columns for name, description, price,
+        stock quantity, category and the optional reorder settings are matched automatically
+        where possible.
+      </Typography>
+      <Button variant="outlined" component="label" startIcon={<UploadFileIcon />}>
+        Choose File
+        <input hidden type="file" accept={SPREADSHEET_ACCEPT} onChange={handleFileChange} />
+      </Button>
+      {file && (
+        <Typography variant="body2" sx={{ mt: 2 }}>
+          {file.name}: {sheet.rows.length} rows, {sheet.headers.length} columns
+        </Typography>
+      )}
+      {fileError && <Alert severity="error" sx={{ mt: 2 }}>{fileError}</Alert>}
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', mt: 3 }}>
+        <Button variant="contained" disabled={!file} onClick={() => setActiveStep(1)}>
+          Next
+        </Button>
+      </Box>
+    </Box>
+  );
+
+  const renderMapping = () => (
+    <Box>
+      {isMappingComplete(mapping) ? (
+        <Alert severity="success" sx={{ mb: 2 }}>
+          Every required field is mapped. Check the sample values and adjust if needed.
+        </Alert>
+      ) : (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          Some required fields could not be matched automatically. Choose a column for each of them.
+        </Alert>
+      )}
+      <ImportColumnMapping
+        headers={sheet.headers}
+        mapping={mapping}
+        sampleRow={sheet.rows[0]}
+        onChange={setMapping}
+      />
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 3 }}>
+        <Button onClick={() => setActiveStep(0)}>Back</Button>
+        <Button variant="contained" disabled={!isMappingComplete(mapping)} onClick={() => setActiveStep(2)}>
+          Next
+        </Button>
+      </Box>
+    </Box>
+  );
+
+  const renderReview = () => (
+    <Box>
+      <Alert severity={invalidRows.length > 0 ? 'warning' : 'success'} sx={{ mb: 2 }}>
+        {validRows.length} of {validatedRows.length} rows are ready to import.
+        {invalidRows.length > 0 && ` ${invalidRows.length} rows have errors and will be skipped.`}
+      </Alert>
+
+      <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} sx={{ mb: 2 }} alignItems={{ sm: 'center' }}>
+        <FormControl>
+          <FormLabel>Existing products</FormLabel>
+          <RadioGroup row value={mode} onChange={event => setMode(event.target.value)}>
+            <FormControlLabel value="create" control={<Radio />} label="Create only (skip names that exist)" />
+            <FormControlLabel value="upsert" control={<Radio />} label="Update products with the same name" />
+          </RadioGroup>
+        </FormControl>
+        <Box sx={{ flexGrow: 1 }} />
+        <FormControlLabel
+          control={<Switch checked={errorsOnly} onChange={event => setErrorsOnly(event.target.checked)} />}
+          label="Only rows with errors"
+          disabled={invalidRows.length === 0}
+        />
+        {invalidRows.length > 0 && (
+          <Button
+            startIcon={<DownloadIcon />}
+            onClick={() => handleDownloadErrors(invalidRows.map(row => ({
+              rowNumber: row.rowNumber,
+              values: row.values,
+              error: formatRowErrors(row.errors)
+            })))}
+          >
+            Error Report
+          </Button>
+        )}
+      </Stack>
+
+      <ImportPreviewTable rows={errorsOnly ? invalidRows : validatedRows} />
+
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 3 }}>
+        <Button onClick={() => setActiveStep(1)}>Back</Button>
+        <Button variant="contained" disabled={validRows.length === 0} onClick={handleImport}>
+          Import {validRows.length} Products
+        </Button>
+      </Box>
+    </Box>
+  );
+
+  const renderImport = () => {
+    const percent = progress.total > 0 ? Math.round((progress.processed / progress.total) * 100) : 100;
+
+    return (
+      <Box>
+        <Typography variant="body1" sx={{ mb: 1 }}>
+          {progress.running
+            ? `Importing ${progress.processed} of ${progress.total} products…`
+            : `Processed ${progress.processed} of ${progress.total} products`}
+        </Typography>
+        <LinearProgress variant="determinate" value={percent} sx={{ mb: 2 }} />
+
+        {progress.running && (
+          <Button color="inherit" onClick={() => { cancelledRef.current = true; }}>
+            Stop After This Chunk
+          </Button>
+        )}
+
+        {outcome && (
+          <>
+            <Alert severity={outcome.failures.length > 0 || outcome.stopped ? 'warning' : 'success'} sx={{ mb: 2 }}>
+              {outcome.created} created, {outcome.updated} updated, {outcome.failures.length} failed
+              {outcome.stopped && `, ${outcome.skipped} not sent because the import was stopped`}.
+            </Alert>
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+              {outcome.failures.length > 0 && (
+                <Button startIcon={<DownloadIcon />} onClick={() => handleDownloadErrors(outcome.failures)}>
+                  Download Error Report
+                </Button>
+              )}
+              <Box sx={{ flexGrow: 1 }} />
+              <Button onClick={handleReset}>Import Another File</Button>
+              <Button variant="contained" component={RouterLink} to="/products">
+                View Products
+              </Button>
+            </Box>
+          </>
+        )}
+      </Box>
+    );
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 3 }}>
+        <IconButton onClick={() => navigate('/products')} sx={{ mr: 1 }} disabled={progress.running}>
+          <ArrowBackIcon />
+        </IconButton>
+        <Typography variant="h4">Import Products</Typography>
+      </Box>
+
+      <Paper sx={{ p: 3 }}>
+        <Stepper activeStep={activeStep} sx={{ mb: 4 }}>
+          {STEPS.map(label => (
+            <Step key={label}>
+              <StepLabel>{label}</StepLabel>
+            </Step>
+          ))}
+        </Stepper>
+
+        {activeStep === 0 && renderUpload()}
+        {activeStep === 1 && renderMapping()}
+        {activeStep === 2 && renderReview()}
+        {activeStep === 3 && renderImport()}
+      </Paper>
+    </Box>
+  );
+};
+
+export default ProductImport;
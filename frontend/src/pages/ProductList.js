@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import {
   Box,
   Typography,
@@ -13,166 +13,303 @@ import {
   Select,
   MenuItem,
   CircularProgress,
-  Dialog,
-  DialogTitle,
-  DialogContent,
-  DialogActions,
   IconButton,
   Snackbar,
-  Alert
+  Alert,
+  Pagination,
+  LinearProgress,
+  Tooltip,
+  InputAdornment,
+  Checkbox
 } from '@mui/material';
-import { Add as AddIcon, Edit as EditIcon, Delete as DeleteIcon } from '@mui/icons-material';
-import { Link as RouterLink } from 'react-router-dom';
-import { productApi } from '../services/api';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  ArrowUpward as ArrowUpwardIcon,
+  ArrowDownward as ArrowDownwardIcon,
+  Search as SearchIcon,
+  UploadFile as UploadFileIcon,
+  Download as DownloadIcon,
+  DeleteSweep as TrashIcon
+} from '@mui/icons-material';
+import { Link as RouterLink, useSearchParams, useLocation } from 'react-router-dom';
+import { productApi, categoryApi, ServiceUnavailableError, NetworkError } from '../services/api';
+import Can from '../components/Can';
+import ProductFilterPanel from '../components/products/ProductFilterPanel';
+import ProductFilterChips from '../components/products/ProductFilterChips';
+import ProductBulkToolbar from '../components/products/ProductBulkToolbar';
+import BatchActionDialog from '../components/products/BatchActionDialog';
+import BatchResultsDialog from '../components/products/BatchResultsDialog';
+import ProductExportDialog from '../components/products/ProductExportDialog';
+import StockLevelChip from '../components/products/StockLevelChip';
+import ProductThumbnail from '../components/products/ProductThumbnail';
+import UpdatedByNote, { liveHighlightSx } from '../components/products/UpdatedByNote';
+import useDebouncedValue from '../hooks/useDebouncedValue';
+import usePermissions from '../hooks/usePermissions';
+import useLiveUpdates from '../hooks/useLiveUpdates';
+import useLiveHighlights from '../hooks/useLiveHighlights';
+import useQuery from '../hooks/useQuery';
+import { productKeys } from '../services/queryKeys';
+import { fetchProductPage, applyLiveEvent } from '../services/productQueries';
+import { sendOrQueue } from '../services/offlineQueue';
 import { useAuth } from '../contexts/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
+import {
+  PAGE_SIZE_OPTIONS,
+  SORT_OPTIONS,
+  parseProductQuery,
+  toSearchParams,
+  toApiParams,
+  toFilterParams,
+  clearFilters,
+  describeFilters
+} from '../utils/productQuery';
+import { exportProducts } from '../utils/productExport';
+import { toCategoryDefaults } from '../utils/stockLevel';
+import { hasVariants, formatPriceRange } from '../utils/variants';
+
+// Either explicit product ids (kept across pages) or every product matching the filters
+const EMPTY_SELECTION = { ids: [], allMatching: false };
+
+const UNDO_DURATION_MS = 8000;
 
 const ProductList = () => {
-  const [products, setProducts] = useState([]);
-  const [filteredProducts, setFilteredProducts] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [categoryFilter, setCategoryFilter] = useState('');
+  const location = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = useMemo(() => parseProductQuery(searchParams), [searchParams]);
+  const [searchInput, setSearchInput] = useState(query.q);
+  const debouncedSearch = useDebouncedValue(searchInput);
+  const lastSearchRef = useRef(query.q);
   const [categories, setCategories] = useState([]);
-  const [openDialog, setOpenDialog] = useState(false);
-  const [currentProduct, setCurrentProduct] = useState(null);
-  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
-  const { isAuthenticated } = useAuth();
-
-  // Form state
-  const [formData, setFormData] = useState({
-    name: '',
-    description: '',
-    price: '',
-    stock_quantity: '',
-    category: ''
+  const [categoryDefaults, setCategoryDefaults] = useState({});
+  // undoIds lists products the snackbar can bring back from the trash; ProductDetail
+  // hands over the product it just deleted, other pages a message to show
+  const [snackbar, setSnackbar] = useState(() => {
+    const { deleted, message } = location.state || {};
+    if (deleted) {
+      return { open: true, message: `"${deleted.name}" moved to the trash`, severity: 'success', undoIds: [deleted.id] };
+    }
+    return { open: !!message, message: message || '', severity: 'success', undoIds: null };
   });
+  const { currentUser } = useAuth();
+  const [selection, setSelection] = useState(EMPTY_SELECTION);
+  const [batchAction, setBatchAction] = useState(null);
+  const [batchResult, setBatchResult] = useState(null);
+  const [exportOpen, setExportOpen] = useState(false);
+  const { can } = usePermissions();
+  const canBatchEdit = can(PERMISSIONS.CATALOG_WRITE);
+  const [highlights, highlight] = useLiveHighlights();
 
-  useEffect(() => {
-    fetchProducts();
-  }, []);
+  const updateQuery = useCallback((changes, { resetPage = true } = {}) => {
+    const nextQuery = { ...parseProductQuery(searchParams), ...changes };
+    if (resetPage) {
+      nextQuery.page = 1;
+    }
+    setSearchParams(toSearchParams(nextQuery));
+  }, [searchParams, setSearchParams]);
+
+  const apiParams = JSON.stringify(toApiParams(query));
+  const filterParams = JSON.stringify(toFilterParams(query));
+
+  // Pages come from the query cache, so returning to the list shows it at once; the
+  // previous page stays up while another one loads. Writes made anywhere mark it stale
+  const { data: page, error: productsError, isLoading, isFetching } = useQuery(
+    productKeys.list(JSON.parse(apiParams)),
+    () => fetchProductPage(JSON.parse(apiParams)),
+    { keepPreviousData: true }
+  );
+  const hasPage = !!page;
+  const products = page?.items || [];
+  const pageInfo = { total: page?.total || 0, pages: page?.pages || 0 };
 
-  const fetchProducts = async () => {
+  // Filter options (category list and price/stock ranges) span the whole catalog
+  const { data: bounds = null } = useQuery(productKeys.bounds, productApi.getBounds);
+
+  const fetchCategories = useCallback(async () => {
     try {
-      const data = await productApi.getAll();
-      setProducts(data);
-      setFilteredProducts(data);
-      
-      // Extract unique categories
-      const uniqueCategories = [...new Set(data.map(product => product.category))];
-      setCategories(uniqueCategories);
-      
-      setLoading(false);
+      const categoryList = await categoryApi.getAll();
+      setCategories(categoryList.map(category => category.name));
+      setCategoryDefaults(toCategoryDefaults(categoryList));
     } catch (error) {
-      console.error('Error fetching products:', error);
-      setLoading(false);
-      showSnackbar('Failed to load products', 'error');
+      console.error('Error fetching categories:', error);
     }
-  };
+  }, []);
 
   useEffect(() => {
-    // Filter products based on search term and category
-    const filtered = products.filter(product => {
-      const matchesSearch = product.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                           product.description.toLowerCase().includes(searchTerm.toLowerCase());
-      const matchesCategory = categoryFilter === '' || product.category === categoryFilter;
-      return matchesSearch && matchesCategory;
+    // Offline, the cached page stays up and the AppBar shows the connection is gone
+    if (!productsError || (productsError instanceof NetworkError && hasPage)) return;
+    console.error('Error fetching products:', productsError);
+    setSnackbar({
+      open: true,
+      message: productsError instanceof ServiceUnavailableError ? productsError.message : 'Failed to load products',
+      severity: 'error'
     });
-    
-    setFilteredProducts(filtered);
-  }, [searchTerm, categoryFilter, products]);
+  }, [productsError, hasPage]);
+
+  useLiveUpdates((event) => {
+    applyLiveEvent(event);
+    highlight(event);
+  });
+
+  useEffect(() => {
+    fetchCategories();
+  }, [fetchCategories]);
+
+  // A selection only makes sense for the filters it was made under
+  useEffect(() => {
+    setSelection(EMPTY_SELECTION);
+  }, [filterParams]);
+
+  // Keep the search box in sync when the URL changes (e.g. browser back)
+  useEffect(() => {
+    if (query.q !== lastSearchRef.current) {
+      lastSearchRef.current = query.q;
+      setSearchInput(query.q);
+    }
+  }, [query.q]);
+
+  // Push the debounced search term to the URL, which triggers the server-side search
+  useEffect(() => {
+    if (debouncedSearch !== lastSearchRef.current) {
+      lastSearchRef.current = debouncedSearch;
+      updateQuery({ q: debouncedSearch });
+    }
+  }, [debouncedSearch, updateQuery]);
 
   const handleSearchChange = (event) => {
-    setSearchTerm(event.target.value);
+    setSearchInput(event.target.value);
+  };
+
+  const handleClearFilters = () => {
+    updateQuery(clearFilters(query));
+  };
+
+  const handleSortChange = (event) => {
+    updateQuery({ sort: event.target.value });
+  };
+
+  const handleOrderToggle = () => {
+    updateQuery({ order: query.order === 'asc' ? 'desc' : 'asc' });
   };
 
-  const handleCategoryChange = (event) => {
-    setCategoryFilter(event.target.value);
+  const handlePageSizeChange = (event) => {
+    updateQuery({ size: event.target.value });
   };
 
-  const handleOpenDialog = (product = null) => {
-    if (product) {
-      setCurrentProduct(product);
-      setFormData({
+  const handlePageChange = (event, page) => {
+    updateQuery({ page }, { resetPage: false });
+  };
+
+  // Deletes only move products to the trash, so they are undone rather than confirmed
+  const handleDelete = async (product) => {
+    try {
+      const { queued } = await sendOrQueue({
+        type: 'delete',
+        product_id: product.id,
         name: product.name,
-        description: product.description,
-        price: product.price,
-        stock_quantity: product.stock_quantity,
-        category: product.category
-      });
-    } else {
-      setCurrentProduct(null);
-      setFormData({
-        name: '',
-        description: '',
-        price: '',
-        stock_quantity: '',
-        category: ''
+        username: currentUser?.username
       });
+      if (queued) {
+        showSnackbar(`Deletion of "${product.name}" queued. It will be sent as soon as the server can be reached.`);
+        return;
+      }
+      showSnackbar(`"${product.name}" moved to the trash`, 'success', [product.id]);
+    } catch (error) {
+      console.error('Error deleting product:', error);
+      showSnackbar(error.message || 'Failed to delete product', 'error');
     }
-    setOpenDialog(true);
   };
 
-  const handleCloseDialog = () => {
-    setOpenDialog(false);
+  const handleUndoDelete = async () => {
+    const ids = snackbar.undoIds;
+    setSnackbar(prev => ({ ...prev, open: false }));
+    try {
+      await Promise.all(ids.map(id => productApi.restoreFromTrash(id)));
+      showSnackbar(ids.length === 1 ? 'Product restored' : `${ids.length} products restored`);
+      fetchCategories();
+    } catch (error) {
+      console.error('Error restoring products:', error);
+      showSnackbar(error.message || 'Failed to restore products', 'error');
+    }
   };
 
-  const handleFormChange = (event) => {
-    const { name, value } = event.target;
-    setFormData(prev => ({
-      ...prev,
-      [name]: value
+  const isSelected = (id) => selection.allMatching || selection.ids.includes(id);
+  const pageIds = products.map(product => product.id);
+  const pageSelectedCount = pageIds.filter(isSelected).length;
+  const selectedCount = selection.allMatching ? pageInfo.total : selection.ids.length;
+
+  const handleToggleProduct = (id) => {
+    setSelection(prev => ({
+      ids: prev.ids.includes(id) ? prev.ids.filter(item => item !== id) : [...prev.ids, id],
+      allMatching: false
     }));
   };
 
-  const handleSubmit = async () => {
-    try {
-      // Convert numeric fields
-      const productData = {
-        ...formData,
-        price: parseFloat(formData.price),
-        stock_quantity: parseInt(formData.stock_quantity, 10)
-      };
-      
-      if (currentProduct) {
-        // Update existing product
-        await productApi.update(currentProduct.id, productData);
-        showSnackbar('Product updated successfully');
-      } else {
-        // Create new product
-        await productApi.create(productData);
-        showSnackbar('Product created successfully');
-      }
-      
-      handleCloseDialog();
-      fetchProducts();
-    } catch (error) {
-      console.error('Error saving product:', error);
-      showSnackbar('Failed to save product', 'error');
+  const handleTogglePage = () => {
+    if (selection.allMatching || pageSelectedCount === pageIds.length) {
+      setSelection(prev => ({
+        ids: prev.allMatching ? [] : prev.ids.filter(id => !pageIds.includes(id)),
+        allMatching: false
+      }));
+    } else {
+      setSelection(prev => ({
+        ids: [...prev.ids, ...pageIds.filter(id => !prev.ids.includes(id))],
+        allMatching: false
+      }));
     }
   };
 
-  const handleDelete = async (id) => {
-    if (window.confirm('Are you sure you want to delete this product?')) {
-      try {
-        await productApi.delete(id);
-        showSnackbar('Product deleted successfully');
-        fetchProducts();
-      } catch (error) {
-        console.error('Error deleting product:', error);
-        showSnackbar('Failed to delete product', 'error');
-      }
+  const handleCreateCategory = async (name) => {
+    const created = await categoryApi.create(name);
+    setCategories(prev => [...prev, created.name].sort());
+    return created.name;
+  };
+
+  const handleBatchSubmit = async (changes) => {
+    const target = selection.allMatching
+      ? { filter: JSON.parse(filterParams) }
+      : { ids: selection.ids };
+    const result = await productApi.batch({ action: batchAction, ...target, ...changes });
+
+    // Failed products stay selected so the action can be retried on them
+    setSelection({
+      ids: result.results.filter(item => !item.success).map(item => item.id),
+      allMatching: false
+    });
+    setBatchAction(null);
+    setBatchResult(result);
+    const deletedIds = result.results.filter(item => item.success).map(item => item.id);
+    if (batchAction === 'delete' && deletedIds.length > 0) {
+      showSnackbar(`${deletedIds.length} products moved to the trash`, 'success', deletedIds);
     }
+    fetchCategories();
   };
 
-  const showSnackbar = (message, severity = 'success') => {
-    setSnackbar({ open: true, message, severity });
+  // Exports every product matching the view, not just the current page
+  const handleExport = async (options) => {
+    const { page, size, ...params } = JSON.parse(apiParams);
+    const { items } = await productApi.getAll(params);
+    await exportProducts({
+      ...options,
+      products: items,
+      filters: describeFilters(query).map(filter => filter.label),
+      categoryDefaults
+    });
+    showSnackbar(`Exported ${items.length} products`);
   };
 
-  const handleCloseSnackbar = () => {
+  const showSnackbar = (message, severity = 'success', undoIds = null) => {
+    setSnackbar({ open: true, message, severity, undoIds });
+  };
+
+  const handleCloseSnackbar = (event, reason) => {
+    // A stray click elsewhere should not take away the chance to undo
+    if (reason === 'clickaway' && snackbar.undoIds) return;
     setSnackbar({ ...snackbar, open: false });
   };
 
-  if (loading) {
+  if (isLoading) {
     return (
       <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
         <CircularProgress />
@@ -184,192 +321,277 @@ const ProductList = () => {
     <Box>
       <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
         <Typography variant="h4">Products</Typography>
-        {isAuthenticated && (
+        <Box sx={{ display: 'flex', gap: 1 }}>
           <Button
-            variant="contained"
-            startIcon={<AddIcon />}
-            onClick={() => handleOpenDialog()}
+            variant="outlined"
+            startIcon={<DownloadIcon />}
+            onClick={() => setExportOpen(true)}
+            disabled={pageInfo.total === 0}
           >
-            Add Product
+            Export
           </Button>
-        )}
+          <Can permission={PERMISSIONS.CATALOG_DELETE}>
+            <Button
+              variant="outlined"
+              startIcon={<TrashIcon />}
+              component={RouterLink}
+              to="/products/trash"
+            >
+              Trash
+            </Button>
+          </Can>
+          <Can permission={PERMISSIONS.CATALOG_WRITE}>
+            <Button
+              variant="outlined"
+              startIcon={<UploadFileIcon />}
+              component={RouterLink}
+              to="/products/import"
+            >
+              Import
+            </Button>
+            <Button
+              variant="contained"
+              startIcon={<AddIcon />}
+              component={RouterLink}
+              to="/products/new"
+            >
+              Add Product
+            </Button>
+          </Can>
+        </Box>
       </Box>
       
-      <Grid container spacing={2} sx={{ mb: 3 }}>
-        <Grid item xs={12} md={6}>
-          <TextField
-            fullWidth
-            label="Search Products"
-            variant="outlined"
-            value={searchTerm}
-            onChange={handleSearchChange}
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={3}>
+          <ProductFilterPanel
+            query={query}
+            categories={categories}
+            bounds={bounds}
+            onChange={updateQuery}
+            onClear={handleClearFilters}
           />
         </Grid>
-        <Grid item xs={12} md={6}>
-          <FormControl fullWidth variant="outlined">
-            <InputLabel>Filter by Category</InputLabel>
-            <Select
-              value={categoryFilter}
-              onChange={handleCategoryChange}
-              label="Filter by Category"
-            >
-              <MenuItem value="">All Categories</MenuItem>
-              {categories.map(category => (
-                <MenuItem key={category} value={category}>{category}</MenuItem>
-              ))}
-            </Select>
-          </FormControl>
-        </Grid>
-      </Grid>
+        
+        <Grid item xs={12} md={9}>
+          <Grid container spacing={2} sx={{ mb: 3 }}>
+            <Grid item xs={12} md={7}>
+              <TextField
+                fullWidth
+                label="Search Products"
+                variant="outlined"
+                value={searchInput}
+                onChange={handleSearchChange}
+                InputProps={{
+                  startAdornment: (
+                    <InputAdornment position="start">
+                      <SearchIcon />
+                    </InputAdornment>
+                  )
+                }}
+              />
+            </Grid>
+            <Grid item xs={9} sm={10} md={4}>
+              <FormControl fullWidth variant="outlined">
+                <InputLabel>Sort by</InputLabel>
+                <Select
+                  value={query.sort}
+                  onChange={handleSortChange}
+                  label="Sort by"
+                >
+                  {SORT_OPTIONS.map(option => (
+                    <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={3} sm={2} md={1} sx={{ display: 'flex', alignItems: 'center' }}>
+              <Tooltip title={query.order === 'asc' ? 'Ascending' : 'Descending'}>
+                <IconButton onClick={handleOrderToggle} aria-label="Toggle sort order">
+                  {query.order === 'asc' ? <ArrowUpwardIcon /> : <ArrowDownwardIcon />}
+                </IconButton>
+              </Tooltip>
+            </Grid>
+          </Grid>
       
-      <Grid container spacing={3}>
-        {filteredProducts.map(product => (
-          <Grid item xs={12} sm={6} md={4} key={product.id}>
-            <Card sx={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
-              <CardContent sx={{ flexGrow: 1 }}>
-                <Typography variant="h6" component="div">
-                  {product.name}
-                </Typography>
-                <Typography variant="body2" color="text.secondary" sx={{ mb: 1.5 }}>
-                  {product.description}
-                </Typography>
-                <Typography variant="h6" color="primary">
-                  ${product.price.toFixed(2)}
-                </Typography>
-                <Typography variant="body2">
-                  Stock: {product.stock_quantity}
-                </Typography>
-                <Typography variant="body2" color="text.secondary">
-                  Category: {product.category}
-                </Typography>
-              </CardContent>
-              <CardActions>
-                <Button 
-                  size="small" 
-                  component={RouterLink} 
-                  to={`/products/${product.id}`}
+          <ProductFilterChips query={query} onChange={updateQuery} onClear={handleClearFilters} />
+
+          {canBatchEdit && products.length > 0 && (
+            <ProductBulkToolbar
+              selectedCount={selectedCount}
+              total={pageInfo.total}
+              allMatching={selection.allMatching}
+              pageSelected={pageSelectedCount > 0 && pageSelectedCount === pageIds.length}
+              pageIndeterminate={pageSelectedCount > 0 && pageSelectedCount < pageIds.length}
+              onTogglePage={handleTogglePage}
+              onSelectAllMatching={() => setSelection({ ids: [], allMatching: true })}
+              onClearSelection={() => setSelection(EMPTY_SELECTION)}
+              onAction={setBatchAction}
+            />
+          )}
+      
+          <Box sx={{ height: 4, mb: 1 }}>
+            {isFetching && <LinearProgress />}
+          </Box>
+      
+          <Grid container spacing={3}>
+            {products.map(product => (
+              <Grid item xs={12} sm={6} lg={4} key={product.id}>
+                <Card
+                  sx={{
+                    height: '100%',
+                    display: 'flex',
+                    flexDirection: 'column',
+                    position: 'relative',
+                    outline: isSelected(product.id) ? '2px solid' : 'none',
+                    outlineColor: 'primary.main',
+                    ...liveHighlightSx(highlights[product.id])
+                  }}
                 >
-                  View Details
-                </Button>
-                {isAuthenticated && (
-                  <>
-                    <IconButton 
-                      size="small" 
-                      color="primary"
-                      onClick={() => handleOpenDialog(product)}
-                    >
-                      <EditIcon />
-                    </IconButton>
-                    <IconButton 
+                  <ProductThumbnail product={product} />
+                  {canBatchEdit && (
+                    <Checkbox
+                      checked={isSelected(product.id)}
+                      onChange={() => handleToggleProduct(product.id)}
+                      disabled={selection.allMatching}
+                      inputProps={{ 'aria-label': `Select ${product.name}` }}
+                      sx={{ position: 'absolute', top: 4, right: 4 }}
+                    />
+                  )}
+                  <CardContent sx={{ flexGrow: 1, pr: canBatchEdit ? 6 : 2 }}>
+                    <Typography variant="h6" component="div">
+                      {product.name}
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary" sx={{ mb: 1.5 }}>
+                      {product.description}
+                    </Typography>
+                    <Typography variant="h6" color="primary">
+                      {formatPriceRange(product)}
+                    </Typography>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, my: 0.5 }}>
+                      <Typography variant="body2">
+                        Stock: {product.stock_quantity}
+                        {hasVariants(product) && ` across ${product.variants.length} variants`}
+                      </Typography>
+                      <StockLevelChip product={product} categoryDefaults={categoryDefaults} />
+                    </Box>
+                    <Typography variant="body2" color="text.secondary">
+                      Category: {product.category}
+                    </Typography>
+                    <UpdatedByNote username={highlights[product.id]} sx={{ mt: 1 }} />
+                  </CardContent>
+                  <CardActions>
+                    <Button 
                       size="small" 
-                      color="error"
-                      onClick={() => handleDelete(product.id)}
+                      component={RouterLink} 
+                      to={`/products/${product.id}`}
                     >
-                      <DeleteIcon />
-                    </IconButton>
-                  </>
-                )}
-              </CardActions>
-            </Card>
-          </Grid>
-        ))}
+                      View Details
+                    </Button>
+                    <Can permission={PERMISSIONS.CATALOG_WRITE}>
+                      <IconButton 
+                        size="small" 
+                        color="primary"
+                        component={RouterLink}
+                        to={`/products/${product.id}/edit`}
+                      >
+                        <EditIcon />
+                      </IconButton>
+                    </Can>
+                    <Can permission={PERMISSIONS.CATALOG_DELETE}>
+                      <IconButton 
+                        size="small" 
+                        color="error"
+                        onClick={() => handleDelete(product)}
+                      >
+                        <DeleteIcon />
+                      </IconButton>
+                    </Can>
+                  </CardActions>
+                </Card>
+              </Grid>
+            ))}
         
-        {filteredProducts.length === 0 && (
-          <Grid item xs={12}>
-            <Typography variant="body1" align="center" sx={{ mt: 4 }}>
-              No products found matching your criteria.
-            </Typography>
+            {products.length === 0 && !isFetching && (
+              <Grid item xs={12}>
+                <Typography variant="body1" align="center" sx={{ mt: 4 }}>
+                  No products found matching your criteria.
+                </Typography>
+              </Grid>
+            )}
           </Grid>
-        )}
-      </Grid>
       
-      {/* Product Form Dialog */}
-      <Dialog open={openDialog} onClose={handleCloseDialog} maxWidth="sm" fullWidth>
-        <DialogTitle>
-          {currentProduct ? 'Edit Product' : 'Add New Product'}
-        </DialogTitle>
-        <DialogContent>
-          <Box component="form" sx={{ mt: 1 }}>
-            <TextField
-              margin="normal"
-              required
-              fullWidth
-              label="Product Name"
-              name="name"
-              value={formData.name}
-              onChange={handleFormChange}
-            />
-            <TextField
-              margin="normal"
-              required
-              fullWidth
-              label="Description"
-              name="description"
-              multiline
-              rows={3}
-              value={formData.description}
-              onChange={handleFormChange}
-            />
-            <Grid container spacing={2}>
-              <Grid item xs={6}>
-                <TextField
-                  margin="normal"
-                  required
-                  fullWidth
-                  label="Price"
-                  name="price"
-                  type="number"
-                  inputProps={{ min: 0, step: 0.01 }}
-                  value={formData.price}
-                  onChange={handleFormChange}
-                />
-              </Grid>
-              <Grid item xs={6}>
-                <TextField
-                  margin="normal"
-                  required
-                  fullWidth
-                  label="Stock Quantity"
-                  name="stock_quantity"
-                  type="number"
-                  inputProps={{ min: 0 }}
-                  value={formData.stock_quantity}
-                  onChange={handleFormChange}
-                />
-              </Grid>
-            </Grid>
-            <FormControl fullWidth margin="normal">
-              <InputLabel>Category</InputLabel>
-              <Select
-                name="category"
-                value={formData.category}
-                onChange={handleFormChange}
-                label="Category"
-              >
-                {categories.map(category => (
-                  <MenuItem key={category} value={category}>{category}</MenuItem>
-                ))}
-                <MenuItem value="Other">Other</MenuItem>
-              </Select>
-            </FormControl>
-          </Box>
-        </DialogContent>
-        <DialogActions>
-          <Button onClick={handleCloseDialog}>Cancel</Button>
-          <Button onClick={handleSubmit} variant="contained">
-            {currentProduct ? 'Update' : 'Create'}
-          </Button>
-        </DialogActions>
-      </Dialog>
+          {pageInfo.total > 0 && (
+            <Box
+              sx={{
+                display: 'flex',
+                flexWrap: 'wrap',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                gap: 2,
+                mt: 4
+              }}
+            >
+              <Typography variant="body2" color="text.secondary">
+                Showing {(query.page - 1) * query.size + 1}–{Math.min(query.page * query.size, pageInfo.total)} of {pageInfo.total} products
+              </Typography>
+              <Pagination
+                count={pageInfo.pages}
+                page={Math.min(query.page, pageInfo.pages)}
+                onChange={handlePageChange}
+                color="primary"
+              />
+              <FormControl size="small" sx={{ minWidth: 120 }}>
+                <InputLabel>Per page</InputLabel>
+                <Select
+                  value={query.size}
+                  onChange={handlePageSizeChange}
+                  label="Per page"
+                >
+                  {PAGE_SIZE_OPTIONS.map(size => (
+                    <MenuItem key={size} value={size}>{size}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Box>
+          )}
+        </Grid>
+      </Grid>
       
+      <BatchActionDialog
+        action={batchAction}
+        count={selectedCount}
+        categories={categories}
+        onCreateCategory={handleCreateCategory}
+        onSubmit={handleBatchSubmit}
+        onClose={() => setBatchAction(null)}
+      />
+
+      <BatchResultsDialog result={batchResult} onClose={() => setBatchResult(null)} />
+
+      <ProductExportDialog
+        open={exportOpen}
+        total={pageInfo.total}
+        onExport={handleExport}
+        onClose={() => setExportOpen(false)}
+      />
+
       {/* Snackbar for notifications */}
       <Snackbar
         open={snackbar.open}
-        autoHideDuration={6000}
+        autoHideDuration={snackbar.undoIds ? UNDO_DURATION_MS : 6000}
         onClose={handleCloseSnackbar}
         anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
       >
-        <Alert onClose={handleCloseSnackbar} severity={snackbar.severity} sx={{ width: '100%' }}>
+        <Alert
+          onClose={handleCloseSnackbar}
+          severity={snackbar.severity}
+          sx={{ width: '100%' }}
+          action={snackbar.undoIds ? (
+            <Button color="inherit" size="small" onClick={handleUndoDelete}>
+              Undo
+            </Button>
+          ) : undefined}
+        >
           {snackbar.message}
         </Alert>
       </Snackbar>
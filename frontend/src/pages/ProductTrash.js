@@ -0,0 +1,211 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Button,
+  IconButton,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  CircularProgress,
+  Snackbar,
+  Alert,
+  Link,
+  Tooltip
+} from '@mui/material';
+import {
+  ArrowBack as ArrowBackIcon,
+  RestoreFromTrash as RestoreIcon,
+  DeleteForever as DeleteForeverIcon
+} from '@mui/icons-material';
+import { productApi } from '../services/api';
+import { formatPriceRange } from '../utils/variants';
+
+// Recycle bin for deleted products; admins restore them or purge them for good
+const ProductTrash = () => {
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [purgeDialog, setPurgeDialog] = useState({ open: false, product: null });
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success', productId: null });
+
+  const fetchTrash = useCallback(async () => {
+    try {
+      setProducts(await productApi.getTrash());
+      setError(null);
+    } catch (error) {
+      console.error('Error fetching trash:', error);
+      setError(error.message || 'Failed to load the trash');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  const showSnackbar = (message, severity = 'success', productId = null) => {
+    setSnackbar({ open: true, message, severity, productId });
+  };
+
+  const handleRestore = async (product) => {
+    setBusyId(product.id);
+    try {
+      await productApi.restoreFromTrash(product.id);
+      setProducts(prev => prev.filter(item => item.id !== product.id));
+      showSnackbar(`"${product.name}" restored`, 'success', product.id);
+    } catch (error) {
+      console.error('Error restoring product:', error);
+      showSnackbar(error.message || 'Failed to restore product', 'error');
+      fetchTrash();
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handlePurge = async () => {
+    const { product } = purgeDialog;
+    setPurgeDialog({ open: false, product: null });
+    setBusyId(product.id);
+    try {
+      await productApi.purge(product.id);
+      setProducts(prev => prev.filter(item => item.id !== product.id));
+      showSnackbar(`"${product.name}" permanently deleted`);
+    } catch (error) {
+      console.error('Error purging product:', error);
+      showSnackbar(error.message || 'Failed to delete product', 'error');
+      fetchTrash();
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <Button startIcon={<ArrowBackIcon />} sx={{ mb: 2 }} component={RouterLink} to="/products">
+        Back to Products
+      </Button>
+      <Typography variant="h4" gutterBottom>Trash</Typography>
+      <Typography color="text.secondary" sx={{ mb: 3 }}>
+        Deleted products stay here until they are restored or permanently deleted.
+      </Typography>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      {products.length === 0 && !error ? (
+        <Paper sx={{ p: 4, textAlign: 'center' }}>
+          <Typography color="text.secondary">The trash is empty</Typography>
+        </Paper>
+      ) : (
+        <Paper>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>Product</TableCell>
+                <TableCell>Category</TableCell>
+                <TableCell align="right">Price</TableCell>
+                <TableCell align="right">Stock</TableCell>
+                <TableCell>Deleted</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {products.map(product => (
+                <TableRow key={product.id}>
+                  <TableCell>{product.name}</TableCell>
+                  <TableCell>{product.category}</TableCell>
+                  <TableCell align="right">{formatPriceRange(product)}</TableCell>
+                  <TableCell align="right">{product.stock_quantity}</TableCell>
+                  <TableCell>
+                    {new Date(product.deleted_at).toLocaleString()}
+                    {product.deleted_by && (
+                      <Typography variant="body2" color="text.secondary">by {product.deleted_by}</Typography>
+                    )}
+                  </TableCell>
+                  <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                    <Tooltip title="Restore">
+                      <span>
+                        <IconButton
+                          color="primary"
+                          onClick={() => handleRestore(product)}
+                          disabled={busyId === product.id}
+                        >
+                          <RestoreIcon />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                    <Tooltip title="Delete permanently">
+                      <span>
+                        <IconButton
+                          color="error"
+                          onClick={() => setPurgeDialog({ open: true, product })}
+                          disabled={busyId === product.id}
+                        >
+                          <DeleteForeverIcon />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </Paper>
+      )}
+
+      <Dialog open={purgeDialog.open} onClose={() => setPurgeDialog({ open: false, product: null })}>
+        <DialogTitle>Delete permanently?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            "{purgeDialog.product?.name}" will be removed for good. This cannot be undone.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPurgeDialog({ open: false, product: null })}>Cancel</Button>
+          <Button variant="contained" color="error" onClick={handlePurge}>Delete Permanently</Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={() => setSnackbar(prev => ({ ...prev, open: false }))}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+      >
+        <Alert
+          onClose={() => setSnackbar(prev => ({ ...prev, open: false }))}
+          severity={snackbar.severity}
+          sx={{ width: '100%' }}
+          action={snackbar.productId ? (
+            <Link component={RouterLink} to={`/products/${snackbar.productId}`} color="inherit" sx={{ alignSelf: 'center', mr: 1 }}>
+              View
+            </Link>
+          ) : undefined}
+        >
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+};
+
+export default ProductTrash;
@@ -10,8 +10,9 @@ import {
   Alert,
   CircularProgress
 } from '@mui/material';
-import { Link as RouterLink, useNavigate } from 'react-router-dom';
+import { Link as RouterLink, useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { getSafeReturnTo } from '../utils/redirect';
 
 const Register = () => {
   const [formData, setFormData] = useState({
@@ -24,6 +25,8 @@ const Register = () => {
   const [loading, setLoading] = useState(false);
   const { register } = useAuth();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const returnTo = getSafeReturnTo(searchParams.get('returnTo'));
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -73,7 +76,7 @@ const Register = () => {
       const success = await register(formData.username, formData.email, formData.password);
       
       if (success) {
-        navigate('/');
+        navigate(returnTo, { replace: true });
       } else {
         setError('Registration failed. Username may already be taken.');
       }
@@ -184,7 +187,7 @@ const Register = () => {
           
           <Grid container justifyContent="center">
             <Grid item>
-              <Link component={RouterLink} to="/login" variant="body2">
+              <Link component={RouterLink} to={{ pathname: '/login', search: searchParams.toString() }} variant="body2">
                 {"Already have an account? Sign In"}
               </Link>
             </Grid>
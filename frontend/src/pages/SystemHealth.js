@@ -0,0 +1,102 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Grid,
+  Chip,
+  Button,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { Refresh as RefreshIcon } from '@mui/icons-material';
+import { adminApi } from '../services/api';
+
+const REFRESH_INTERVAL_MS = 30000;
+
+const HealthItem = ({ label, children }) => (
+  <Grid item xs={12} sm={6} md={3}>
+    <Typography variant="body2" color="text.secondary">{label}</Typography>
+    <Box sx={{ mt: 0.5 }}>{children}</Box>
+  </Grid>
+);
+
+// Backend /admin/health with the data service's status and open live-update streams; polls while the page is open
+const SystemHealth = () => {
+  const [health, setHealth] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchHealth = useCallback(async () => {
+    setLoading(true);
+    try {
+      setHealth(await adminApi.getHealth());
+      setError(null);
+    } catch (error) {
+      console.error('Error fetching health:', error);
+      setError(error.message || 'The backend is not responding');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchHealth();
+    const timer = setInterval(fetchHealth, REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [fetchHealth]);
+
+  const healthy = health?.status === 'healthy';
+  const connected = health?.data_service === 'connected';
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Typography variant="h5">System Health</Typography>
+        <Button startIcon={<RefreshIcon />} onClick={fetchHealth} disabled={loading}>
+          Refresh
+        </Button>
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      {!health && loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+          <CircularProgress />
+        </Box>
+      ) : health && (
+        <Paper sx={{ p: 3 }}>
+          <Grid container spacing={3}>
+            <HealthItem label="Backend">
+              <Chip label={error ? 'Unreachable' : 'Running'} color={error ? 'error' : 'success'} size="small" />
+            </HealthItem>
+            <HealthItem label="Overall status">
+              <Chip label={healthy ? 'Healthy' : 'Degraded'} color={healthy ? 'success' : 'warning'} size="small" />
+            </HealthItem>
+            <HealthItem label="Data service">
+              <Chip label={connected ? 'Connected' : 'Unavailable'} color={connected ? 'success' : 'error'} size="small" />
+            </HealthItem>
+            <HealthItem label="Data service response time">
+              <Typography>
+                {health.data_service_latency_ms != null ? `${health.data_service_latency_ms} ms` : '—'}
+              </Typography>
+            </HealthItem>
+            <HealthItem label="Live update connections">
+              <Typography>{health.live_clients ?? '—'}</Typography>
+            </HealthItem>
+          </Grid>
+          {health.error && (
+            <Alert severity="warning" sx={{ mt: 3 }}>{health.error}</Alert>
+          )}
+          {health.checked_at && (
+            <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 2 }}>
+              Last checked {new Date(health.checked_at).toLocaleString()}
+            </Typography>
+          )}
+        </Paper>
+      )}
+    </Box>
+  );
+};
+
+export default SystemHealth;
@@ -0,0 +1,383 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Chip,
+  Button,
+  IconButton,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  TextField,
+  FormGroup,
+  FormControlLabel,
+  Checkbox,
+  InputAdornment,
+  CircularProgress,
+  Snackbar,
+  Alert,
+  Tooltip
+} from '@mui/material';
+import {
+  Search as SearchIcon,
+  ManageAccounts as RolesIcon,
+  LockReset as LockResetIcon,
+  Block as BlockIcon,
+  CheckCircle as EnableIcon
+} from '@mui/icons-material';
+import { adminApi, ValidationError } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import { ROLES } from '../utils/permissions';
+
+const MIN_PASSWORD_LENGTH = 6;
+
+const EMPTY_ROLES_DIALOG = { open: false, user: null, roles: [], error: '' };
+const EMPTY_PASSWORD_DIALOG = { open: false, user: null, password: '', confirmPassword: '', error: '' };
+const EMPTY_STATUS_DIALOG = { open: false, user: null, error: '' };
+
+const roleLabel = (role) => ROLES.find(item => item.value === role)?.label || role;
+
+const UserManagement = () => {
+  const { currentUser } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [rolesDialog, setRolesDialog] = useState(EMPTY_ROLES_DIALOG);
+  const [passwordDialog, setPasswordDialog] = useState(EMPTY_PASSWORD_DIALOG);
+  const [statusDialog, setStatusDialog] = useState(EMPTY_STATUS_DIALOG);
+  const [saving, setSaving] = useState(false);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      setUsers(await adminApi.getUsers());
+    } catch (error) {
+      console.error('Error fetching users:', error);
+      setSnackbar({ open: true, message: error.message || 'Failed to load users', severity: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  const visibleUsers = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    if (!term) return users;
+    return users.filter(user =>
+      user.username.toLowerCase().includes(term) || user.email.toLowerCase().includes(term));
+  }, [users, search]);
+
+  const showSnackbar = (message, severity = 'success') => {
+    setSnackbar({ open: true, message, severity });
+  };
+
+  const replaceUser = (updated) => {
+    setUsers(prev => prev.map(user => (user.username === updated.username ? updated : user)));
+  };
+
+  const handleOpenRolesDialog = (user) => {
+    setRolesDialog({ open: true, user, roles: user.roles, error: '' });
+  };
+
+  const handleToggleRole = (role) => {
+    setRolesDialog(prev => ({
+      ...prev,
+      roles: prev.roles.includes(role) ? prev.roles.filter(item => item !== role) : [...prev.roles, role]
+    }));
+  };
+
+  const handleSaveRoles = async () => {
+    const { user, roles } = rolesDialog;
+    setSaving(true);
+    try {
+      // Keep the order of ROLES so role lists read the same everywhere
+      const ordered = ROLES.map(role => role.value).filter(role => roles.includes(role));
+      replaceUser(await adminApi.setUserRoles(user.username, ordered));
+      setRolesDialog(EMPTY_ROLES_DIALOG);
+      showSnackbar(`Roles of ${user.username} updated`);
+    } catch (error) {
+      console.error('Error updating roles:', error);
+      setRolesDialog(prev => ({ ...prev, error: error.message || 'Failed to update roles' }));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleOpenPasswordDialog = (user) => {
+    setPasswordDialog({ ...EMPTY_PASSWORD_DIALOG, open: true, user });
+  };
+
+  const handlePasswordChange = (event) => {
+    const { name, value } = event.target;
+    setPasswordDialog(prev => ({ ...prev, [name]: value, error: '' }));
+  };
+
+  const handleResetPassword = async () => {
+    const { user, password, confirmPassword } = passwordDialog;
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      setPasswordDialog(prev => ({
+        ...prev,
+        error: `The password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      }));
+      return;
+    }
+    if (password !== confirmPassword) {
+      setPasswordDialog(prev => ({ ...prev, error: 'Passwords do not match' }));
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await adminApi.resetPassword(user.username, password);
+      setPasswordDialog(EMPTY_PASSWORD_DIALOG);
+      showSnackbar(`Password of ${user.username} reset`);
+    } catch (error) {
+      console.error('Error resetting password:', error);
+      setPasswordDialog(prev => ({
+        ...prev,
+        error: error instanceof ValidationError
+          ? Object.values(error.fieldErrors).join('; ') || error.message
+          : error.message || 'Failed to reset password'
+      }));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleDisabled = async () => {
+    const { user } = statusDialog;
+    setSaving(true);
+    try {
+      const updated = await adminApi.setUserDisabled(user.username, !user.disabled);
+      replaceUser(updated);
+      setStatusDialog(EMPTY_STATUS_DIALOG);
+      showSnackbar(`${user.username} ${updated.disabled ? 'disabled' : 'enabled'}`);
+    } catch (error) {
+      console.error('Error updating user status:', error);
+      setStatusDialog(prev => ({ ...prev, error: error.message || 'Failed to update user' }));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  const isSelf = (user) => user.username === currentUser?.username;
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2, gap: 2 }}>
+        <Typography variant="h5">Users</Typography>
+        <TextField
+          size="small"
+          placeholder="Search users"
+          value={search}
+          onChange={event => setSearch(event.target.value)}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <SearchIcon fontSize="small" />
+              </InputAdornment>
+            )
+          }}
+        />
+      </Box>
+
+      <Paper>
+        <Table>
+          <TableHead>
+            <TableRow>
+              <TableCell>Username</TableCell>
+              <TableCell>Email</TableCell>
+              <TableCell>Roles</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {visibleUsers.map(user => (
+              <TableRow key={user.username} hover>
+                <TableCell>
+                  {user.username}
+                  {isSelf(user) && (
+                    <Typography component="span" variant="body2" color="text.secondary"> (you)</Typography>
+                  )}
+                </TableCell>
+                <TableCell>{user.email}</TableCell>
+                <TableCell>
+                  <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+                    {user.roles.map(role => (
+                      <Chip key={role} label={roleLabel(role)} size="small" variant="outlined" />
+                    ))}
+                  </Box>
+                </TableCell>
+                <TableCell>
+                  <Chip
+                    label={user.disabled ? 'Disabled' : 'Active'}
+                    color={user.disabled ? 'default' : 'success'}
+                    size="small"
+                  />
+                </TableCell>
+                <TableCell align="right">
+                  <Tooltip title="Assign roles">
+                    <IconButton size="small" onClick={() => handleOpenRolesDialog(user)}>
+                      <RolesIcon />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title="Reset password">
+                    <IconButton size="small" onClick={() => handleOpenPasswordDialog(user)}>
+                      <LockResetIcon />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title={isSelf(user) ? 'You cannot disable yourself' : user.disabled ? 'Enable' : 'Disable'}>
+                    <span>
+                      <IconButton
+                        size="small"
+                        color={user.disabled ? 'success' : 'error'}
+                        disabled={isSelf(user)}
+                        onClick={() => setStatusDialog({ open: true, user, error: '' })}
+                      >
+                        {user.disabled ? <EnableIcon /> : <BlockIcon />}
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                </TableCell>
+              </TableRow>
+            ))}
+            {visibleUsers.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={5} align="center">
+                  <Typography color="text.secondary">No users match "{search}"</Typography>
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </Paper>
+
+      <Dialog open={rolesDialog.open} onClose={() => setRolesDialog(EMPTY_ROLES_DIALOG)} maxWidth="xs" fullWidth>
+        <DialogTitle>Roles of {rolesDialog.user?.username}</DialogTitle>
+        <DialogContent>
+          {rolesDialog.error && <Alert severity="error" sx={{ mb: 2 }}>{rolesDialog.error}</Alert>}
+          <FormGroup>
+            {ROLES.map(role => (
+              <FormControlLabel
+                key={role.value}
+                control={
+                  <Checkbox
+                    checked={rolesDialog.roles.includes(role.value)}
+                    onChange={() => handleToggleRole(role.value)}
+                    disabled={saving || (role.value === 'admin' && rolesDialog.user && isSelf(rolesDialog.user))}
+                  />
+                }
+                label={
+                  <Box>
+                    <Typography>{role.label}</Typography>
+                    <Typography variant="body2" color="text.secondary">{role.description}</Typography>
+                  </Box>
+                }
+                sx={{ mb: 1 }}
+              />
+            ))}
+          </FormGroup>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setRolesDialog(EMPTY_ROLES_DIALOG)} disabled={saving}>Cancel</Button>
+          <Button variant="contained" onClick={handleSaveRoles} disabled={saving || rolesDialog.roles.length === 0}>
+            {saving ? <CircularProgress size={24} /> : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={passwordDialog.open} onClose={() => setPasswordDialog(EMPTY_PASSWORD_DIALOG)} maxWidth="xs" fullWidth>
+        <DialogTitle>Reset Password</DialogTitle>
+        <DialogContent>
+          {passwordDialog.error && <Alert severity="error" sx={{ mb: 2 }}>{passwordDialog.error}</Alert>}
+          <DialogContentText sx={{ mb: 1 }}>
+            Set a new password for {passwordDialog.user?.username} and share it with them.
+          </DialogContentText>
+          <TextField
+            fullWidth
+            margin="dense"
+            type="password"
+            name="password"
+            label="New password"
+            autoComplete="new-password"
+            value={passwordDialog.password}
+            onChange={handlePasswordChange}
+            disabled={saving}
+          />
+          <TextField
+            fullWidth
+            margin="dense"
+            type="password"
+            name="confirmPassword"
+            label="Confirm password"
+            autoComplete="new-password"
+            value={passwordDialog.confirmPassword}
+            onChange={handlePasswordChange}
+            disabled={saving}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPasswordDialog(EMPTY_PASSWORD_DIALOG)} disabled={saving}>Cancel</Button>
+          <Button variant="contained" onClick={handleResetPassword} disabled={saving || !passwordDialog.password}>
+            {saving ? <CircularProgress size={24} /> : 'Reset'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={statusDialog.open} onClose={() => setStatusDialog(EMPTY_STATUS_DIALOG)} maxWidth="xs" fullWidth>
+        <DialogTitle>{statusDialog.user?.disabled ? 'Enable' : 'Disable'} {statusDialog.user?.username}?</DialogTitle>
+        <DialogContent>
+          {statusDialog.error && <Alert severity="error" sx={{ mb: 2 }}>{statusDialog.error}</Alert>}
+          <DialogContentText>
+            {statusDialog.user?.disabled
+              ? 'They will be able to sign in again.'
+              : 'They will be signed out and cannot sign in until the account is enabled again.'}
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setStatusDialog(EMPTY_STATUS_DIALOG)} disabled={saving}>Cancel</Button>
+          <Button
+            variant="contained"
+            color={statusDialog.user?.disabled ? 'primary' : 'error'}
+            onClick={handleToggleDisabled}
+            disabled={saving}
+          >
+            {saving ? <CircularProgress size={24} /> : statusDialog.user?.disabled ? 'Enable' : 'Disable'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={() => setSnackbar(prev => ({ ...prev, open: false }))}
+      >
+        <Alert onClose={() => setSnackbar(prev => ({ ...prev, open: false }))} severity={snackbar.severity}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+};
+
+export default UserManagement;
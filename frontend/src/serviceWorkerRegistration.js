@@ -0,0 +1,10 @@
+// Registers public/service-worker.js, which lets the app open without a connection.
+// Only production builds use it: a cached shell would get in the way of the dev server
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch(error => console.error('Service worker registration failed:', error));
+  });
+};
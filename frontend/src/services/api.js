@@ -1,25 +1,91 @@
 import axios from 'axios';
+import { getApiUrl } from './config';
+import { toApiError, UnauthorizedError } from './errors';
+import { tokenStorage } from './tokenStorage';
+import { queryCache } from './queryCache';
+import { productKeys } from './queryKeys';
 
-const API_URL = 'http://localhost:8000';
+export * from './errors';
+export { tokenStorage } from './tokenStorage';
 
 // Create axios instance
 const api = axios.create({
-  baseURL: API_URL,
+  baseURL: getApiUrl(),
   headers: {
     'Content-Type': 'application/json',
   },
+  // Repeat array params (category=a&category=b) the way FastAPI expects them
+  paramsSerializer: {
+    indexes: null,
+  },
+});
+
+// Attach the current access token to every request
+api.interceptors.request.use(config => {
+  const token = tokenStorage.get();
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// Called whenever a request is rejected with 401, so the session can be ended in one place
+let unauthorizedHandler = null;
+
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler;
+  return () => {
+    if (unauthorizedHandler === handler) {
+      unauthorizedHandler = null;
+    }
+  };
+};
+
+// Reject with typed errors instead of raw axios errors
+api.interceptors.response.use(
+  response => response,
+  error => {
+    const apiError = toApiError(error);
+    // Auth endpoints use 401 for bad credentials, which is not an expired session
+    if (apiError instanceof UnauthorizedError && !error.config?.skipAuthRedirect && unauthorizedHandler) {
+      unauthorizedHandler(apiError);
+    }
+    return Promise.reject(apiError);
+  }
+);
+
+// Writes to products and categories, and orders (which move stock), make every cached
+// product query stale; the ones on screen refetch in the background
+const PRODUCT_WRITE_PATH = /^\/(products|categories|orders)(\/|$)/;
+
+api.interceptors.response.use(response => {
+  const { method, url } = response.config;
+  if (method !== 'get' && PRODUCT_WRITE_PATH.test(url)) {
+    queryCache.invalidate(productKeys.all);
+  }
+  return response;
 });
 
 // Products API
 export const productApi = {
-  getAll: async (category = null, maxPrice = null) => {
-    let url = '/products';
-    const params = {};
-    
-    if (category) params.category = category;
-    if (maxPrice) params.max_price = maxPrice;
-    
-    const response = await api.get(url, { params });
+  // Accepts { q, category: [], min_price, max_price, in_stock, min_stock, max_stock,
+  // page, size, sort, order } and resolves to { items, total, page, size, pages };
+  // without a size the whole match is returned
+  getAll: async (params = {}) => {
+    const response = await api.get('/products', { params });
+    return response.data;
+  },
+  
+  // Price and stock extremes across the catalog, for sizing range filters
+  getBounds: async () => {
+    const response = await api.get('/products/bounds');
+    return response.data;
+  },
+  
+  // Catalog aggregates for the dashboard; { start_date, end_date } (YYYY-MM-DD) select
+  // the days of the stock trend and default to the last 30
+  getStats: async (params = {}) => {
+    const response = await api.get('/products/stats', { params });
     return response.data;
   },
   
@@ -33,21 +99,230 @@ export const productApi = {
     return response.data;
   },
   
+  // Include the version the edit started from to get a ConflictError, whose
+  // detail.current is the stored product, if someone else saved in between
   update: async (id, productData) => {
     const response = await api.put(`/products/${id}`, productData);
     return response.data;
   },
   
+  // Moves the product to the trash; restoreFromTrash undoes it
   delete: async (id) => {
     await api.delete(`/products/${id}`);
     return true;
   },
+  
+  // Deleted products, most recent first, with deleted_at and deleted_by
+  getTrash: async () => {
+    const response = await api.get('/products/trash');
+    return response.data;
+  },
+  
+  restoreFromTrash: async (id) => {
+    const response = await api.post(`/products/trash/${id}/restore`);
+    return response.data;
+  },
+  
+  // Permanently removes a product that is in the trash
+  purge: async (id) => {
+    await api.delete(`/products/trash/${id}`);
+    return true;
+  },
+  
+  // Applies one action to many products, selected by { ids } or by { filter }.
+  // Resolves to { action, succeeded, failed, results: [{ id, name, success, error }] }
+  batch: async (request) => {
+    const response = await api.post('/products/batch', request);
+    return response.data;
+  },
+  
+  // The stock ledger, oldest first: [{ id, variant_id, sku, reason, quantity_change,
+  // balance_after, username, note, created_at }]; balance_after is the product's total
+  getStockMovements: async (id) => {
+    const response = await api.get(`/products/${id}/stock-movements`);
+    return response.data;
+  },
+  
+  // reason is received, damaged, sold or correction; quantity is the number of units
+  // moved, or the counted stock for a correction. Products with variants need the
+  // variant_id of the one whose stock changed. Resolves to the new ledger entry
+  adjustStock: async (id, { variant_id: variantId = null, reason, quantity, note }) => {
+    const response = await api.post(`/products/${id}/stock-movements`, { variant_id: variantId, reason, quantity, note });
+    return response.data;
+  },
+  
+  // Audit events of one product, newest first:
+  // [{ id, timestamp, username, action, summary, before, after }]
+  getHistory: async (id) => {
+    const response = await api.get(`/products/${id}/history`);
+    return response.data;
+  },
+  
+  // Puts back the product as it was after the given history event; resolves to the product
+  restoreVersion: async (id, eventId) => {
+    const response = await api.post(`/products/${id}/history/${eventId}/restore`);
+    return response.data;
+  },
+  
+  // Imports up to 200 products per call; mode is 'create' or 'upsert' (matched by name).
+  // Resolves to { created, updated, failed, results: [{ index, success, action, id, error }] }
+  import: async (products, mode = 'create') => {
+    const response = await api.post('/products/import', { products, mode });
+    return response.data;
+  },
+};
+
+// Product images API
+export const imageApi = {
+  // Uploads an image and its thumbnail, both Blobs already resized by the client, and
+  // resolves to { url, thumbnail_url } to add to a product's images. URLs are relative
+  // to the API; use imageUrl from utils/images to display them
+  upload: async (image, thumbnail) => {
+    const formData = new FormData();
+    formData.append('file', image, 'image');
+    formData.append('thumbnail', thumbnail, 'thumbnail');
+    const response = await api.post('/images', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+    return response.data;
+  },
+};
+
+// Categories API
+export const categoryApi = {
+  // Resolves to [{ id, name, product_count, reorder_point, reorder_quantity }]
+  getAll: async () => {
+    const response = await api.get('/categories');
+    return response.data;
+  },
+  
+  create: async (name) => {
+    const response = await api.post('/categories', { name });
+    return response.data;
+  },
+  
+  // Every product in the category moves to the new name
+  rename: async (id, name) => {
+    const response = await api.put(`/categories/${id}`, { name });
+    return response.data;
+  },
+  
+  merge: async (sourceIds, targetId) => {
+    const response = await api.post('/categories/merge', { source_ids: sourceIds, target_id: targetId });
+    return response.data;
+  },
+  
+  // Reorder settings for products in the category without their own; null clears them
+  updateReorderDefaults: async (id, reorderPoint, reorderQuantity) => {
+    const response = await api.put(`/categories/${id}/reorder-defaults`, {
+      reorder_point: reorderPoint,
+      reorder_quantity: reorderQuantity
+    });
+    return response.data;
+  },
+};
+
+// Cart API; the saved cart of the signed-in user
+export const cartApi = {
+  // Resolves to { items: [{ product_id, variant_id, sku, option_values, name, price,
+  // stock_quantity, quantity }] }; the variant fields are null for products without variants
+  get: async () => {
+    const response = await api.get('/cart');
+    return response.data;
+  },
+  
+  replace: async (items) => {
+    const response = await api.put('/cart', { items });
+    return response.data;
+  },
+  
+  // Adds items collected before signing in to the saved cart
+  merge: async (items) => {
+    const response = await api.post('/cart/merge', { items });
+    return response.data;
+  },
+};
+
+// Orders API
+export const orderApi = {
+  // Accepts { customer_name, email, phone, address_line1, address_line2, city, postal_code,
+  // country, items: [{ product_id, variant_id, quantity, unit_price }] }. Stock is reserved when the
+  // order is placed; a ConflictError means an item ran out or its price changed
+  create: async (order) => {
+    const response = await api.post('/orders', order);
+    return response.data;
+  },
+  
+  // scope 'all' lists every customer's orders and needs orders:manage
+  getAll: async (scope = 'mine') => {
+    const response = await api.get('/orders', { params: { scope } });
+    return response.data;
+  },
+  
+  getById: async (id) => {
+    const response = await api.get(`/orders/${id}`);
+    return response.data;
+  },
+  
+  // Cancelling puts the reserved stock back
+  cancel: async (id, note) => {
+    const response = await api.post(`/orders/${id}/cancel`, { note });
+    return response.data;
+  },
+  
+  updateStatus: async (id, status, note) => {
+    const response = await api.put(`/orders/${id}/status`, { status, note });
+    return response.data;
+  },
+};
+
+// Admin API; every call needs admin:access
+export const adminApi = {
+  // Resolves to [{ username, email, disabled, roles, permissions }]
+  getUsers: async () => {
+    const response = await api.get('/admin/users');
+    return response.data;
+  },
+  
+  // Disabling also signs the user out of existing sessions
+  setUserDisabled: async (username, disabled) => {
+    const response = await api.put(`/admin/users/${encodeURIComponent(username)}/status`, { disabled });
+    return response.data;
+  },
+  
+  setUserRoles: async (username, roles) => {
+    const response = await api.put(`/admin/users/${encodeURIComponent(username)}/roles`, { roles });
+    return response.data;
+  },
+  
+  resetPassword: async (username, password) => {
+    await api.post(`/admin/users/${encodeURIComponent(username)}/password`, { password });
+  },
+  
+  // Accepts { username, action, target_type, target, start_date, end_date, limit }, where target
+  // is an ID or part of a name and dates are YYYY-MM-DD. Resolves newest first to
+  // [{ id, timestamp, username, action, target_type, target_id, target_name, summary, before, after }]
+  getAuditLog: async (params = {}) => {
+    const response = await api.get('/admin/audit', { params });
+    return response.data;
+  },
+  
+  // Resolves to { status, data_service, data_service_latency_ms, error, live_clients, checked_at }
+  getHealth: async () => {
+    const response = await api.get('/admin/health');
+    return response.data;
+  },
 };
 
 // Auth API
 export const authApi = {
   login: async (username, password) => {
-    const response = await api.post('/token', { username, password });
+    const response = await api.post('/token', { username, password }, { skipAuthRedirect: true });
+    return response.data;
+  },
+  
+  refreshToken: async () => {
+    const response = await api.post('/token/refresh', null, { skipAuthRedirect: true });
     return response.data;
   },
   
@@ -60,6 +335,13 @@ export const authApi = {
     const response = await api.get('/users/me');
     return response.data;
   },
+  
+  // Resolves to { ticket, expires_in }; the ticket opens the /events stream once.
+  // A failure here only delays live updates, so it does not sign the user out
+  createStreamTicket: async () => {
+    const response = await api.post('/events/ticket', null, { skipAuthRedirect: true });
+    return response.data;
+  },
 };
 
 export default api;
@@ -0,0 +1,24 @@
+const CART_KEY = 'cart';
+
+const EMPTY_CART = { owner: null, items: [] };
+
+// The cart survives reloads in localStorage. owner is the username the cart belongs
+// to, or null for a cart built before signing in.
+export const cartStorage = {
+  get: () => {
+    try {
+      const stored = JSON.parse(localStorage.getItem(CART_KEY));
+      return stored && Array.isArray(stored.items) ? stored : EMPTY_CART;
+    } catch (error) {
+      return EMPTY_CART;
+    }
+  },
+
+  set: (cart) => {
+    localStorage.setItem(CART_KEY, JSON.stringify(cart));
+  },
+
+  clear: () => {
+    localStorage.removeItem(CART_KEY);
+  },
+};
@@ -0,0 +1,8 @@
+const DEFAULT_API_URL = 'http://localhost:8000';
+
+// Runtime config comes from public/config.js so a deployment can point the
+// app at another backend without rebuilding; the build-time env is the fallback.
+const getRuntimeConfig = () => (typeof window !== 'undefined' && window.__APP_CONFIG__) || {};
+
+export const getApiUrl = () =>
+  getRuntimeConfig().apiUrl || process.env.REACT_APP_API_URL || DEFAULT_API_URL;
@@ -0,0 +1,120 @@
+// Typed errors thrown by the API client so pages can branch on what went wrong
+
+export class ApiError extends Error {
+  constructor(message, status = null, detail = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+export class NetworkError extends ApiError {
+  constructor(message = 'Unable to reach the server. Check your connection and try again.') {
+    super(message);
+    this.name = 'NetworkError';
+  }
+}
+
+export class UnauthorizedError extends ApiError {
+  constructor(message = 'Your session has expired. Please sign in again.', detail = null) {
+    super(message, 401, detail);
+    this.name = 'UnauthorizedError';
+  }
+}
+
+export class ForbiddenError extends ApiError {
+  constructor(message = 'You are not allowed to perform this action.', detail = null) {
+    super(message, 403, detail);
+    this.name = 'ForbiddenError';
+  }
+}
+
+export class NotFoundError extends ApiError {
+  constructor(message = 'The requested resource was not found.', detail = null) {
+    super(message, 404, detail);
+    this.name = 'NotFoundError';
+  }
+}
+
+// The request clashed with the current state, e.g. stock ran out before an order was placed
+// or the product was edited by someone else since it was loaded
+export class ConflictError extends ApiError {
+  constructor(message = 'The request conflicts with recent changes. Refresh and try again.', detail = null) {
+    super(message, 409, detail);
+    this.name = 'ConflictError';
+  }
+}
+
+// FastAPI 422 responses list errors with a loc such as ['body', 'price'];
+// they are collected into { price: 'message' } so forms can show them per field
+const fieldErrorsFromDetail = (detail) => {
+  const fieldErrors = {};
+  if (!Array.isArray(detail)) return fieldErrors;
+
+  detail.forEach(item => {
+    const field = [...(item.loc || [])].reverse().find(part => typeof part === 'string' && part !== 'body');
+    if (field && !fieldErrors[field]) {
+      fieldErrors[field] = item.msg;
+    }
+  });
+  return fieldErrors;
+};
+
+export class ValidationError extends ApiError {
+  constructor(message = 'Some fields are invalid. Please review them and try again.', detail = null) {
+    super(message, 422, detail);
+    this.name = 'ValidationError';
+    this.fieldErrors = fieldErrorsFromDetail(detail);
+  }
+}
+
+export class ServiceUnavailableError extends ApiError {
+  constructor(message = 'The data service is currently unavailable. Please try again later.', detail = null) {
+    super(message, 503, detail);
+    this.name = 'ServiceUnavailableError';
+  }
+}
+
+// FastAPI reports errors as { detail }, where detail is a string for
+// HTTPException and a list of field errors for request validation. Some
+// endpoints send an object with a message and extra data (e.g. the current
+// product on an edit conflict), which stays available on error.detail
+const messageFromDetail = (detail) => {
+  if (typeof detail === 'string') return detail;
+  if (Array.isArray(detail) && detail.length > 0) {
+    return detail.map(item => item.msg).filter(Boolean).join('; ');
+  }
+  if (detail && typeof detail.message === 'string') return detail.message;
+  return null;
+};
+
+export const toApiError = (error) => {
+  if (error instanceof ApiError) return error;
+
+  if (!error.response) {
+    return new NetworkError();
+  }
+
+  const { status, data } = error.response;
+  const detail = data?.detail ?? null;
+  const message = messageFromDetail(detail);
+
+  switch (status) {
+    case 401:
+      return new UnauthorizedError(message || undefined, detail);
+    case 403:
+      return new ForbiddenError(message || undefined, detail);
+    case 404:
+      return new NotFoundError(message || undefined, detail);
+    case 409:
+      return new ConflictError(message || undefined, detail);
+    case 422:
+      return new ValidationError(undefined, detail);
+    case 503:
+      // The backend's message embeds the raw exception, so keep it in detail only
+      return new ServiceUnavailableError(undefined, detail);
+    default:
+      return new ApiError(message || error.message, status, detail);
+  }
+};
@@ -0,0 +1,101 @@
+import { getApiUrl } from './config';
+import { tokenStorage } from './tokenStorage';
+import { authApi } from './api';
+
+// Catalog events pushed by the backend's /events stream. Each carries
+// { id, type, timestamp, username, data: { product, changed } }
+export const LIVE_EVENT_TYPES = ['product.created', 'product.updated', 'product.stock_changed', 'product.deleted'];
+
+// Sent to listeners when the stream comes back after a drop; events may
+// have been missed in between, so views should refetch
+export const RESYNC_EVENT = 'live.resync';
+
+const INITIAL_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30000;
+
+const listeners = new Set();
+let source = null;
+let retryTimer = null;
+let attempt = 0;
+let dropped = false;
+// Bumped by disconnect, so a ticket that arrives afterwards is not used
+let generation = 0;
+
+const notify = (event) => {
+  listeners.forEach(listener => listener(event));
+};
+
+// Exponential backoff with jitter, so clients do not all return at once after a restart
+const retryDelay = () => Math.min(MAX_RETRY_MS, INITIAL_RETRY_MS * 2 ** attempt) * (0.5 + Math.random() / 2);
+
+const scheduleReconnect = () => {
+  clearTimeout(retryTimer);
+  retryTimer = setTimeout(connect, retryDelay());
+  attempt += 1;
+};
+
+// EventSource cannot send an Authorization header, so every attempt first trades the
+// current token for a one-time ticket. The server ends the stream when the session
+// expires, and the next attempt picks up the refreshed token
+const connect = async () => {
+  const current = generation;
+  if (!tokenStorage.get()) {
+    scheduleReconnect();
+    return;
+  }
+
+  let ticket;
+  try {
+    ({ ticket } = await authApi.createStreamTicket());
+  } catch (error) {
+    if (current === generation) scheduleReconnect();
+    return;
+  }
+  if (current !== generation) return;
+
+  source = new EventSource(`${getApiUrl()}/events?ticket=${encodeURIComponent(ticket)}`);
+  source.onopen = () => {
+    attempt = 0;
+    if (dropped) {
+      dropped = false;
+      notify({ type: RESYNC_EVENT });
+    }
+  };
+  // The browser's own retry would reuse the spent ticket; reconnect by hand instead
+  source.onerror = () => {
+    source.close();
+    source = null;
+    dropped = true;
+    scheduleReconnect();
+  };
+  LIVE_EVENT_TYPES.forEach(type => {
+    source.addEventListener(type, (message) => {
+      notify(JSON.parse(message.data));
+    });
+  });
+};
+
+const disconnect = () => {
+  generation += 1;
+  clearTimeout(retryTimer);
+  if (source) {
+    source.close();
+    source = null;
+  }
+  attempt = 0;
+  dropped = false;
+};
+
+// One stream is shared by every listener; it opens with the first and closes with the last
+export const subscribeToLiveUpdates = (listener) => {
+  listeners.add(listener);
+  if (listeners.size === 1) {
+    connect();
+  }
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      disconnect();
+    }
+  };
+};
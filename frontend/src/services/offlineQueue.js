@@ -0,0 +1,171 @@
+import { productApi, NetworkError, ConflictError, NotFoundError, UnauthorizedError } from './api';
+import { offlineStore } from './offlineStore';
+import { applyQueuedMutation } from './productQueries';
+
+// Product writes made without a connection. They are kept in IndexedDB and sent in
+// the order they were made once the server is reachable again. Each item is
+// { id, type: 'create' | 'update' | 'delete', product_id, name, payload, version,
+//   base, username, queued_at, status, error, current }, where status is 'pending',
+// 'conflict' (current holds the product as stored on the server) or 'failed'
+
+export const QUEUED_CHANGE_MESSAGE = 'The change was saved on this device and will be sent as soon as the server can be reached.';
+
+// Held by the tab that is sending the queue, which every open tab shares
+const SYNC_LOCK = 'enterprise-demo-offline-sync';
+
+const listeners = new Set();
+let snapshot = { items: [], syncing: false };
+let loadPromise = null;
+
+const setSnapshot = (changes) => {
+  snapshot = { ...snapshot, ...changes };
+  listeners.forEach(listener => listener());
+};
+
+const replaceItem = async (item) => {
+  await offlineStore.putMutation(item);
+  setSnapshot({ items: snapshot.items.map(existing => (existing.id === item.id ? item : existing)) });
+};
+
+const removeItem = async (id) => {
+  await offlineStore.deleteMutation(id);
+  setSnapshot({ items: snapshot.items.filter(item => item.id !== id) });
+};
+
+const send = ({ type, product_id: productId, payload, version }) => {
+  switch (type) {
+    case 'create':
+      return productApi.create(payload);
+    case 'update':
+      return productApi.update(productId, { ...payload, version });
+    default:
+      return productApi.delete(productId);
+  }
+};
+
+// Edits queued after this one were made against the same version, since the cached
+// product keeps it until the server has the change. They follow on from the version
+// just saved instead, or they would conflict with the user's own earlier edit
+const chainVersion = async (sent, saved) => {
+  const followers = snapshot.items.filter(queued => queued.type === 'update'
+    && queued.status === 'pending'
+    && queued.product_id === sent.product_id
+    && queued.version === sent.version);
+  for (const follower of followers) {
+    await replaceItem({ ...follower, version: saved.version });
+  }
+};
+
+// Sends one queued item; resolves to false when the server cannot be reached,
+// so the rest of the queue waits for the connection to come back
+const replay = async (item) => {
+  try {
+    const saved = await send(item);
+    await removeItem(item.id);
+    if (item.type === 'update') {
+      await chainVersion(item, saved);
+    }
+  } catch (error) {
+    if (error instanceof NetworkError || error instanceof UnauthorizedError) {
+      return false;
+    }
+    if (error instanceof ConflictError && error.detail?.current) {
+      await replaceItem({ ...item, status: 'conflict', error: error.message, current: error.detail.current });
+    } else if (error instanceof NotFoundError && item.type === 'delete') {
+      // Someone else deleted it first, which is what this change wanted
+      await removeItem(item.id);
+    } else {
+      await replaceItem({ ...item, status: 'failed', error: error.message || 'The change could not be saved' });
+    }
+  }
+  return true;
+};
+
+// Runs callback once no other tab is syncing; browsers without the Web Locks API
+// only guard against syncing twice within the tab
+const withSyncLock = (callback) => (navigator.locks
+  ? navigator.locks.request(SYNC_LOCK, callback)
+  : callback());
+
+export const offlineQueue = {
+  // { items, syncing }; replaced on every change so React can compare snapshots by identity
+  getSnapshot: () => snapshot,
+
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  // Reads the queue left over from earlier visits
+  load: () => {
+    if (!loadPromise) {
+      loadPromise = offlineStore.getMutations()
+        .then(items => setSnapshot({ items }))
+        .catch(error => console.error('Error loading queued changes:', error));
+    }
+    return loadPromise;
+  },
+
+  enqueue: async (mutation) => {
+    await offlineQueue.load();
+    const item = {
+      ...mutation,
+      queued_at: new Date().toISOString(),
+      status: 'pending',
+      error: null,
+      current: null
+    };
+    item.id = await offlineStore.addMutation(item);
+    setSnapshot({ items: [...snapshot.items, item] });
+    applyQueuedMutation(item);
+    return item;
+  },
+
+  remove: removeItem,
+
+  update: (item, changes) => replaceItem({ ...item, ...changes }),
+
+  // Sends the pending changes made by username, oldest first, stopping at the first
+  // that cannot reach the server. Conflicts and failures are kept for the user
+  sync: async (username) => {
+    await offlineQueue.load();
+    if (snapshot.syncing || !navigator.onLine) return;
+
+    setSnapshot({ syncing: true });
+    try {
+      await withSyncLock(async () => {
+        // Another tab may have sent some of the changes while this one waited
+        setSnapshot({ items: await offlineStore.getMutations() });
+        // Picks the oldest pending item each time, so changes queued mid-sync are sent too
+        for (;;) {
+          const item = snapshot.items.find(queued => queued.username === username && queued.status === 'pending');
+          if (!item || !(await replay(item))) break;
+        }
+      });
+    } catch (error) {
+      console.error('Error syncing queued changes:', error);
+    } finally {
+      setSnapshot({ syncing: false });
+    }
+  },
+};
+
+// Sends a product write now, or queues it when the server cannot be reached. Writes
+// also queue behind the user's unsent ones, so the server sees them in order.
+// Resolves to { queued: false, result } or { queued: true, item }; other errors reject
+export const sendOrQueue = async (mutation) => {
+  await offlineQueue.load();
+  const waiting = snapshot.items.some(item => item.username === mutation.username && item.status === 'pending');
+  if (navigator.onLine && !waiting) {
+    try {
+      return { queued: false, result: await send(mutation) };
+    } catch (error) {
+      if (!(error instanceof NetworkError)) throw error;
+    }
+  }
+  const item = await offlineQueue.enqueue(mutation);
+  if (waiting) {
+    offlineQueue.sync(mutation.username);
+  }
+  return { queued: true, item };
+};
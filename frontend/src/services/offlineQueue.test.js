@@ -0,0 +1,192 @@
+jest.mock('./api', () => ({
+  ...jest.requireActual('./errors'),
+  productApi: { create: jest.fn(), update: jest.fn(), delete: jest.fn() }
+}));
+
+// Stands in for IndexedDB, which every tab shares
+jest.mock('./offlineStore', () => {
+  const mutations = new Map();
+  let nextId = 1;
+  return {
+    offlineStore: {
+      getMutations: jest.fn(async () => [...mutations.values()]),
+      addMutation: jest.fn(async item => {
+        const id = nextId++;
+        mutations.set(id, { ...item, id });
+        return id;
+      }),
+      putMutation: jest.fn(async item => {
+        mutations.set(item.id, item);
+      }),
+      deleteMutation: jest.fn(async id => {
+        mutations.delete(id);
+      })
+    }
+  };
+});
+
+jest.mock('./productQueries', () => ({ applyQueuedMutation: jest.fn() }));
+
+// The queue keeps its state at module level, so every test starts from a fresh copy.
+// The error classes are loaded with it, or the queue's instanceof checks would not match
+let offlineQueue;
+let sendOrQueue;
+let offlineStore;
+let productApi;
+let ConflictError;
+let NetworkError;
+let NotFoundError;
+
+beforeEach(() => {
+  jest.resetModules();
+  ({ offlineQueue, sendOrQueue } = require('./offlineQueue'));
+  ({ offlineStore } = require('./offlineStore'));
+  ({ productApi, ConflictError, NetworkError, NotFoundError } = require('./api'));
+});
+
+const update = (payload, version) => ({
+  type: 'update',
+  product_id: 7,
+  name: 'Lamp',
+  payload,
+  version,
+  username: 'demo'
+});
+
+describe('offlineQueue', () => {
+  it('sends queued changes in the order they were made', async () => {
+    const sent = [];
+    productApi.create.mockImplementation(async payload => sent.push(['create', payload.name]));
+    productApi.delete.mockImplementation(async id => sent.push(['delete', id]));
+    await offlineQueue.enqueue({ type: 'create', product_id: null, payload: { name: 'Desk' }, username: 'demo' });
+    await offlineQueue.enqueue({ type: 'delete', product_id: 3, username: 'demo' });
+
+    await offlineQueue.sync('demo');
+
+    expect(sent).toEqual([['create', 'Desk'], ['delete', 3]]);
+    expect(offlineQueue.getSnapshot().items).toEqual([]);
+  });
+
+  it('only sends the changes of the signed-in user', async () => {
+    productApi.delete.mockResolvedValue(undefined);
+    await offlineQueue.enqueue({ type: 'delete', product_id: 3, username: 'someone' });
+
+    await offlineQueue.sync('demo');
+
+    expect(productApi.delete).not.toHaveBeenCalled();
+    expect(offlineQueue.getSnapshot().items).toHaveLength(1);
+  });
+
+  it('chains two queued edits of one product onto the version the first one saved', async () => {
+    productApi.update.mockImplementation(async (id, { version }) => ({ id, version: version + 1 }));
+    await offlineQueue.enqueue(update({ name: 'Lamp' }, 4));
+    await offlineQueue.enqueue(update({ name: 'Desk Lamp' }, 4));
+
+    await offlineQueue.sync('demo');
+
+    expect(productApi.update.mock.calls).toEqual([
+      [7, { name: 'Lamp', version: 4 }],
+      [7, { name: 'Desk Lamp', version: 5 }]
+    ]);
+    expect(offlineQueue.getSnapshot().items).toEqual([]);
+  });
+
+  it('leaves edits queued against another version alone', async () => {
+    productApi.update.mockImplementation(async (id, { version }) => ({ id, version: version + 1 }));
+    await offlineQueue.enqueue(update({ name: 'Lamp' }, 4));
+    await offlineQueue.enqueue({ ...update({ name: 'Shelf' }, 2), product_id: 8 });
+
+    await offlineQueue.sync('demo');
+
+    expect(productApi.update).toHaveBeenLastCalledWith(8, { name: 'Shelf', version: 2 });
+  });
+
+  it('keeps a conflict for the user and goes on with the rest', async () => {
+    const current = { id: 7, name: 'Table Lamp', version: 5 };
+    productApi.update.mockRejectedValue(new ConflictError('Changed by someone else', { current }));
+    productApi.delete.mockResolvedValue(undefined);
+    await offlineQueue.enqueue(update({ name: 'Lamp' }, 4));
+    await offlineQueue.enqueue({ type: 'delete', product_id: 3, username: 'demo' });
+
+    await offlineQueue.sync('demo');
+
+    const { items } = offlineQueue.getSnapshot();
+    expect(items).toHaveLength(1);
+    expect(items[0]).toMatchObject({ status: 'conflict', current });
+    expect(productApi.delete).toHaveBeenCalledWith(3);
+  });
+
+  it('stops at the first change that cannot reach the server', async () => {
+    productApi.update.mockRejectedValue(new NetworkError());
+    await offlineQueue.enqueue(update({ name: 'Lamp' }, 4));
+    await offlineQueue.enqueue({ type: 'delete', product_id: 3, username: 'demo' });
+
+    await offlineQueue.sync('demo');
+
+    expect(productApi.delete).not.toHaveBeenCalled();
+    expect(offlineQueue.getSnapshot().items.map(item => item.status)).toEqual(['pending', 'pending']);
+  });
+
+  it('skips changes another tab sent in the meantime', async () => {
+    productApi.delete.mockResolvedValue(undefined);
+    const item = await offlineQueue.enqueue({ type: 'delete', product_id: 3, username: 'demo' });
+    await offlineStore.deleteMutation(item.id);
+
+    await offlineQueue.sync('demo');
+
+    expect(productApi.delete).not.toHaveBeenCalled();
+    expect(offlineQueue.getSnapshot().items).toEqual([]);
+  });
+
+  it('waits for another tab to finish syncing', async () => {
+    let releaseLock;
+    const held = new Promise(resolve => {
+      releaseLock = resolve;
+    });
+    navigator.locks = {
+      request: jest.fn((name, callback) => held.then(() => callback({ name })))
+    };
+    productApi.delete.mockResolvedValue(undefined);
+    await offlineQueue.enqueue({ type: 'delete', product_id: 3, username: 'demo' });
+
+    try {
+      const syncing = offlineQueue.sync('demo');
+      await Promise.resolve();
+      expect(productApi.delete).not.toHaveBeenCalled();
+
+      releaseLock();
+      await syncing;
+      expect(productApi.delete).toHaveBeenCalledWith(3);
+    } finally {
+      delete navigator.locks;
+    }
+  });
+
+  it('drops a delete of a product someone else already deleted', async () => {
+    productApi.delete.mockRejectedValue(new NotFoundError());
+    await offlineQueue.enqueue({ type: 'delete', product_id: 3, username: 'demo' });
+
+    await offlineQueue.sync('demo');
+
+    expect(offlineQueue.getSnapshot().items).toEqual([]);
+  });
+});
+
+describe('sendOrQueue', () => {
+  it('sends at once when online and nothing is waiting', async () => {
+    productApi.update.mockResolvedValue({ id: 7, version: 5 });
+
+    const outcome = await sendOrQueue(update({ name: 'Lamp' }, 4));
+
+    expect(outcome).toEqual({ queued: false, result: { id: 7, version: 5 } });
+  });
+
+  it('queues the change when the server cannot be reached', async () => {
+    productApi.update.mockRejectedValue(new NetworkError());
+
+    const outcome = await sendOrQueue(update({ name: 'Lamp' }, 4));
+
+    expect(outcome.queued).toBe(true);
+    expect(offlineQueue.getSnapshot().items).toHaveLength(1);
+  });
+});
@@ -0,0 +1,65 @@
+// IndexedDB storage that keeps the catalog usable without a connection: 'queries'
+// holds the last result of each product query and 'mutations' the product writes
+// waiting to be sent. Every method rejects where IndexedDB is unavailable
+const DB_NAME = 'enterprise-demo';
+const DB_VERSION = 1;
+const QUERIES = 'queries';
+const MUTATIONS = 'mutations';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(QUERIES);
+        db.createObjectStore(MUTATIONS, { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again, e.g. after the user leaves private browsing
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+// Runs one request against a store and resolves with its result once the transaction commits
+const run = async (storeName, mode, makeRequest) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = makeRequest(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+export const offlineStore = {
+  // Resolves to { data, updatedAt } or undefined
+  getQuery: (hash) => run(QUERIES, 'readonly', store => store.get(hash)),
+
+  putQuery: (hash, record) => run(QUERIES, 'readwrite', store => store.put(record, hash)),
+
+  // Writes [hash, record] pairs in one transaction; there must be at least one
+  putQueries: (pairs) => run(QUERIES, 'readwrite', store => pairs
+    .map(([hash, record]) => store.put(record, hash))
+    .pop()),
+
+  clearQueries: () => run(QUERIES, 'readwrite', store => store.clear()),
+
+  // Queued writes in the order they were made
+  getMutations: () => run(MUTATIONS, 'readonly', store => store.getAll()),
+
+  // Resolves to the id assigned to the new mutation
+  addMutation: (mutation) => run(MUTATIONS, 'readwrite', store => store.add(mutation)),
+
+  putMutation: (mutation) => run(MUTATIONS, 'readwrite', store => store.put(mutation)),
+
+  deleteMutation: (id) => run(MUTATIONS, 'readwrite', store => store.delete(id)),
+};
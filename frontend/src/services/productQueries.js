@@ -0,0 +1,85 @@
+import { productApi, NetworkError } from './api';
+import { queryCache, hashKey } from './queryCache';
+import { offlineStore } from './offlineStore';
+import { productKeys } from './queryKeys';
+import { RESYNC_EVENT } from './liveUpdates';
+
+// Replaces a changed product in a list, keeping its position; other lists are returned as is
+export const patchProducts = (products, changed) => (products.some(product => product.id === changed.id)
+  ? products.map(product => (product.id === changed.id ? { ...product, ...changed } : product))
+  : products);
+
+// A page of the product list. Its products are cached individually too, so
+// opening one from the list renders without waiting for the server; products
+// already cached at the same version are left alone
+export const fetchProductPage = async (params) => {
+  const page = await productApi.getAll(params);
+  queryCache.seed(page.items.map(product => [productKeys.detail(product.id), product]), {
+    shouldReplace: (cached, product) => cached.version !== product.version
+  });
+  return page;
+};
+
+// Brings cached product queries up to date with a live catalog event
+export const applyLiveEvent = (event) => {
+  if (event.type === RESYNC_EVENT) {
+    queryCache.invalidate(productKeys.all);
+    return;
+  }
+
+  const { product } = event.data;
+  if (event.type === 'product.updated' || event.type === 'product.stock_changed') {
+    queryCache.updateAll(productKeys.detail(product.id), () => product);
+    queryCache.updateAll(productKeys.lists, page => ({ ...page, items: patchProducts(page.items, product) }));
+  } else {
+    // Only the server knows where new or deleted products leave the page boundaries
+    queryCache.invalidate(productKeys.lists);
+    queryCache.invalidate(productKeys.detail(product.id));
+    queryCache.invalidate(productKeys.bounds);
+  }
+  // Aggregates can only be recomputed by the server
+  queryCache.invalidate(productKeys.allStats);
+};
+
+// Shows a write queued while offline in the cached catalog until the server has it.
+// New products only appear once created, since the server assigns their id
+export const applyQueuedMutation = ({ type, product_id: productId, payload }) => {
+  if (type === 'update') {
+    queryCache.updateAll(productKeys.detail(productId), product => ({ ...product, ...payload }));
+    queryCache.updateAll(productKeys.lists, page => ({
+      ...page,
+      items: patchProducts(page.items, { ...payload, id: productId })
+    }));
+  } else if (type === 'delete') {
+    queryCache.updateAll(productKeys.lists, page => (page.items.some(product => product.id === productId)
+      ? { ...page, items: page.items.filter(product => product.id !== productId), total: page.total - 1 }
+      : page));
+  }
+};
+
+// Keeps product query results in IndexedDB, so pages visited while online can be
+// browsed offline. A saved copy stands in only when the server cannot be reached
+export const persistProductQueries = () => {
+  queryCache.setPersister({
+    save: (key, record) => {
+      if (key[0] === productKeys.all[0]) {
+        offlineStore.putQuery(hashKey(key), record).catch(() => {});
+      }
+    },
+    saveMany: (items) => {
+      const pairs = items
+        .filter(({ key }) => key[0] === productKeys.all[0])
+        .map(({ key, record }) => [hashKey(key), record]);
+      if (pairs.length > 0) {
+        offlineStore.putQueries(pairs).catch(() => {});
+      }
+    },
+    restore: async (key, error) => {
+      if (!(error instanceof NetworkError)) return null;
+      return (await offlineStore.getQuery(hashKey(key))) || null;
+    },
+    clear: () => {
+      offlineStore.clearQueries().catch(() => {});
+    },
+  });
+};
@@ -0,0 +1,242 @@
+// Shared cache of query results, keyed by arrays such as ['products', 'detail', '3'].
+// Cached data is served at once and refetched in the background when stale;
+// concurrent fetches of one key share a single request
+
+export const DEFAULT_STALE_TIME_MS = 10000;
+// Results nobody has used for this long are dropped
+const UNUSED_ENTRY_TTL_MS = 5 * 60 * 1000;
+
+export const hashKey = (key) => JSON.stringify(key);
+
+const matchesPrefix = (key, prefix) => prefix.every((part, index) => hashKey(part) === hashKey(key[index]));
+
+const entries = new Map();
+
+// Optional long-lived copy of results, e.g. for browsing offline: { save(key, record),
+// saveMany([{ key, record }]), restore(key, error), clear() }. restore resolves to a
+// saved { data, updatedAt } or null, and decides from the error whether a saved copy
+// may stand in
+let persister = null;
+
+const toRecord = (entry) => ({ data: entry.state.data, updatedAt: entry.state.updatedAt });
+
+const persist = (entry) => {
+  if (persister && entry.state.data !== undefined) {
+    persister.save(entry.key, toRecord(entry));
+  }
+};
+
+const persistMany = (saved) => {
+  if (persister && saved.length > 0) {
+    persister.saveMany(saved.map(entry => ({ key: entry.key, record: toRecord(entry) })));
+  }
+};
+
+// A query that fails before it ever had data may be answered from the persisted copy
+const restore = async (entry, error) => {
+  if (!persister || entry.state.data !== undefined) return null;
+  try {
+    return await persister.restore(entry.key, error);
+  } catch (restoreError) {
+    return null;
+  }
+};
+
+const createEntry = (key) => ({
+  key,
+  // Replaced on every change so React can compare snapshots by identity
+  state: { data: undefined, error: null, updatedAt: 0, isFetching: false },
+  fetcher: null,
+  staleTime: DEFAULT_STALE_TIME_MS,
+  promise: null,
+  // Set when invalidated mid-request, since that response may predate the change
+  refetchAfter: false,
+  // Bumped by clear, so requests started before it cannot write to the entry
+  generation: 0,
+  listeners: new Set(),
+  removeTimer: null,
+});
+
+const getEntry = (key) => {
+  const hash = hashKey(key);
+  if (!entries.has(hash)) {
+    entries.set(hash, createEntry(key));
+  }
+  return entries.get(hash);
+};
+
+const setState = (entry, changes) => {
+  entry.state = { ...entry.state, ...changes };
+  entry.listeners.forEach(listener => listener());
+};
+
+const scheduleRemoval = (entry) => {
+  clearTimeout(entry.removeTimer);
+  entry.removeTimer = setTimeout(() => {
+    if (entry.listeners.size === 0 && !entry.promise) {
+      entries.delete(hashKey(entry.key));
+    }
+  }, UNUSED_ENTRY_TTL_MS);
+};
+
+const isStale = (entry) => Date.now() - entry.state.updatedAt >= entry.staleTime;
+
+const runFetch = (entry) => {
+  if (entry.promise) return entry.promise;
+
+  const { generation } = entry;
+  const current = () => entry.generation === generation;
+  setState(entry, { isFetching: true });
+  entry.promise = entry.fetcher()
+    .then(data => {
+      if (!current()) return data;
+      setState(entry, { data, error: null, updatedAt: Date.now(), isFetching: false });
+      persist(entry);
+      return data;
+    }, async error => {
+      const restored = await restore(entry, error);
+      if (!current()) throw error;
+      if (restored) {
+        setState(entry, { data: restored.data, error: null, updatedAt: restored.updatedAt, isFetching: false });
+        return restored.data;
+      }
+      // Data from an earlier fetch stays visible next to the error
+      setState(entry, { error, isFetching: false });
+      throw error;
+    })
+    .finally(() => {
+      if (!current()) return;
+      entry.promise = null;
+      if (entry.refetchAfter) {
+        entry.refetchAfter = false;
+        runFetch(entry).catch(() => {});
+      }
+    });
+  return entry.promise;
+};
+
+export const queryCache = {
+  setPersister: (nextPersister) => {
+    persister = nextPersister;
+  },
+
+  getState: (key) => getEntry(key).state,
+
+  // Listens for changes to one key; the entry is kept while anyone listens
+  subscribe: (key, listener) => {
+    const entry = getEntry(key);
+    clearTimeout(entry.removeTimer);
+    entry.listeners.add(listener);
+    return () => {
+      entry.listeners.delete(listener);
+      if (entry.listeners.size === 0) {
+        scheduleRemoval(entry);
+      }
+    };
+  },
+
+  // Resolves with the data, fetching only when there is none or it is stale (or force is set)
+  fetch: (key, fetcher, { staleTime = DEFAULT_STALE_TIME_MS, force = false } = {}) => {
+    const entry = getEntry(key);
+    entry.fetcher = fetcher;
+    entry.staleTime = staleTime;
+    if (!force && entry.state.updatedAt > 0 && !isStale(entry)) {
+      return Promise.resolve(entry.state.data);
+    }
+    return runFetch(entry);
+  },
+
+  // Stores data obtained elsewhere, e.g. a product that arrived as part of a list.
+  // updater may be a function of the current data
+  setData: (key, updater, updatedAt = Date.now()) => {
+    const entry = getEntry(key);
+    const data = typeof updater === 'function' ? updater(entry.state.data) : updater;
+    setState(entry, { data, error: null, updatedAt: Math.max(updatedAt, entry.state.updatedAt) });
+    persist(entry);
+    if (entry.listeners.size === 0) {
+      scheduleRemoval(entry);
+    }
+  },
+
+  // Stores many results obtained elsewhere at once, e.g. the products of a list page,
+  // and persists them together. A pair of [key, data] only replaces cached data that is
+  // older and that shouldReplace(cached, data) finds out of date
+  seed: (pairs, { updatedAt = Date.now(), shouldReplace = () => true } = {}) => {
+    const saved = [];
+    pairs.forEach(([key, data]) => {
+      const entry = getEntry(key);
+      const cached = entry.state.data;
+      if (cached !== undefined && (entry.state.updatedAt >= updatedAt || !shouldReplace(cached, data))) return;
+      setState(entry, { data, error: null, updatedAt });
+      if (entry.listeners.size === 0) {
+        scheduleRemoval(entry);
+      }
+      saved.push(entry);
+    });
+    persistMany(saved);
+  },
+
+  // Applies updater to the data of every cached query under prefix that has data
+  updateAll: (prefix, updater) => {
+    entries.forEach(entry => {
+      if (matchesPrefix(entry.key, prefix) && entry.state.data !== undefined) {
+        setState(entry, { data: updater(entry.state.data) });
+        persist(entry);
+      }
+    });
+  },
+
+  // Marks every query under prefix as stale. The ones on screen refetch now,
+  // the rest when they are next used
+  invalidate: (prefix) => {
+    entries.forEach(entry => {
+      if (!matchesPrefix(entry.key, prefix)) return;
+      entry.state = { ...entry.state, updatedAt: 0 };
+      if (entry.promise) {
+        entry.refetchAfter = true;
+      } else if (entry.listeners.size > 0 && entry.fetcher) {
+        runFetch(entry).catch(() => {});
+      }
+    });
+  },
+
+  // Forgets everything, persisted copies included, e.g. on logout, so the next user
+  // does not see this one's data. Queries on screen keep their entry, emptied, and
+  // fetch again; requests still running for the old data are ignored
+  clear: () => {
+    persister?.clear();
+    entries.forEach((entry, hash) => {
+      clearTimeout(entry.removeTimer);
+      if (entry.listeners.size === 0) {
+        entries.delete(hash);
+        return;
+      }
+      entry.generation += 1;
+      entry.promise = null;
+      entry.refetchAfter = false;
+      setState(entry, { data: undefined, error: null, updatedAt: 0, isFetching: false });
+      if (entry.fetcher) {
+        runFetch(entry).catch(() => {});
+      }
+    });
+  },
+
+  // Refetches stale queries that are on screen, e.g. when the user comes back to the tab
+  revalidateActive: () => {
+    entries.forEach(entry => {
+      if (entry.listeners.size > 0 && entry.fetcher && isStale(entry)) {
+        runFetch(entry).catch(() => {});
+      }
+    });
+  },
+};
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('focus', queryCache.revalidateActive);
+  window.addEventListener('online', queryCache.revalidateActive);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') {
+      queryCache.revalidateActive();
+    }
+  });
+}
@@ -0,0 +1,205 @@
+// The cache keeps its entries at module level, so every test starts from a fresh copy
+let queryCache;
+
+const KEY = ['products', 'detail', '3'];
+
+// A fetcher whose requests are settled by the test
+const deferredFetcher = () => {
+  const requests = [];
+  const fetcher = jest.fn(() => new Promise((resolve, reject) => {
+    requests.push({ resolve, reject });
+  }));
+  return { fetcher, requests };
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.resetModules();
+  ({ queryCache } = require('./queryCache'));
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('queryCache', () => {
+  it('shares one request between concurrent fetches of a key', async () => {
+    const { fetcher, requests } = deferredFetcher();
+
+    const first = queryCache.fetch(KEY, fetcher);
+    const second = queryCache.fetch(KEY, fetcher);
+    requests[0].resolve({ id: 3 });
+
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    await expect(first).resolves.toEqual({ id: 3 });
+    await expect(second).resolves.toEqual({ id: 3 });
+  });
+
+  it('serves fresh data without fetching again', async () => {
+    const fetcher = jest.fn().mockResolvedValue({ id: 3 });
+    await queryCache.fetch(KEY, fetcher);
+
+    await expect(queryCache.fetch(KEY, fetcher)).resolves.toEqual({ id: 3 });
+    expect(fetcher).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps stale data on hand while it is refetched', async () => {
+    const fetcher = jest.fn().mockResolvedValueOnce({ id: 3, name: 'Lamp' });
+    await queryCache.fetch(KEY, fetcher, { staleTime: 1000 });
+    jest.advanceTimersByTime(1000);
+
+    const { fetcher: refetcher, requests } = deferredFetcher();
+    const refetch = queryCache.fetch(KEY, refetcher, { staleTime: 1000 });
+
+    expect(queryCache.getState(KEY)).toMatchObject({ data: { id: 3, name: 'Lamp' }, isFetching: true });
+    requests[0].resolve({ id: 3, name: 'Desk Lamp' });
+    await refetch;
+    expect(queryCache.getState(KEY)).toMatchObject({ data: { id: 3, name: 'Desk Lamp' }, isFetching: false });
+  });
+
+  it('keeps the last data next to an error', async () => {
+    await queryCache.fetch(KEY, jest.fn().mockResolvedValue({ id: 3 }));
+    const error = new Error('Server error');
+
+    await expect(queryCache.fetch(KEY, jest.fn().mockRejectedValue(error), { force: true })).rejects.toBe(error);
+    expect(queryCache.getState(KEY)).toMatchObject({ data: { id: 3 }, error });
+  });
+
+  it('refetches invalidated queries that are on screen', async () => {
+    const fetcher = jest.fn().mockResolvedValue({ id: 3 });
+    await queryCache.fetch(KEY, fetcher);
+    const unsubscribe = queryCache.subscribe(KEY, () => {});
+
+    queryCache.invalidate(['products']);
+
+    expect(fetcher).toHaveBeenCalledTimes(2);
+    unsubscribe();
+  });
+
+  it('only marks invalidated queries that are not on screen as stale', async () => {
+    const fetcher = jest.fn().mockResolvedValue({ id: 3 });
+    await queryCache.fetch(KEY, fetcher);
+
+    queryCache.invalidate(['products']);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+
+    await queryCache.fetch(KEY, fetcher);
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  it('drops entries nobody has used for five minutes', () => {
+    queryCache.setData(KEY, { id: 3 });
+
+    jest.advanceTimersByTime(5 * 60 * 1000 - 1);
+    expect(queryCache.getState(KEY).data).toEqual({ id: 3 });
+    jest.advanceTimersByTime(1);
+    expect(queryCache.getState(KEY).data).toBeUndefined();
+  });
+
+  it('keeps entries while someone listens', () => {
+    queryCache.setData(KEY, { id: 3 });
+    const unsubscribe = queryCache.subscribe(KEY, () => {});
+
+    jest.advanceTimersByTime(10 * 60 * 1000);
+
+    expect(queryCache.getState(KEY).data).toEqual({ id: 3 });
+    unsubscribe();
+  });
+
+  it('applies updateAll to every query under the prefix that has data', () => {
+    queryCache.setData(['products', 'detail', '3'], { id: 3, name: 'Lamp' });
+    queryCache.setData(['products', 'detail', '4'], { id: 4, name: 'Desk' });
+    queryCache.setData(['orders'], []);
+
+    queryCache.updateAll(['products', 'detail'], product => ({ ...product, name: product.name.toUpperCase() }));
+
+    expect(queryCache.getState(['products', 'detail', '3']).data.name).toBe('LAMP');
+    expect(queryCache.getState(['products', 'detail', '4']).data.name).toBe('DESK');
+    expect(queryCache.getState(['orders']).data).toEqual([]);
+  });
+
+  describe('seed', () => {
+    const byVersion = { shouldReplace: (cached, product) => cached.version !== product.version };
+
+    it('fills missing entries and persists them in one batch', () => {
+      const persister = { save: jest.fn(), saveMany: jest.fn(), restore: jest.fn(), clear: jest.fn() };
+      queryCache.setPersister(persister);
+
+      queryCache.seed([[['products', 'detail', '3'], { id: 3 }], [['products', 'detail', '4'], { id: 4 }]]);
+
+      expect(queryCache.getState(['products', 'detail', '4']).data).toEqual({ id: 4 });
+      expect(persister.save).not.toHaveBeenCalled();
+      expect(persister.saveMany).toHaveBeenCalledTimes(1);
+      expect(persister.saveMany.mock.calls[0][0].map(({ key }) => key[2])).toEqual(['3', '4']);
+    });
+
+    it('leaves cached data at the same version alone', () => {
+      queryCache.setData(KEY, { id: 3, version: 2, name: 'Lamp' }, 1000);
+      const listener = jest.fn();
+      const unsubscribe = queryCache.subscribe(KEY, listener);
+
+      queryCache.seed([[KEY, { id: 3, version: 2, name: 'Lamp' }]], { ...byVersion, updatedAt: 2000 });
+
+      expect(listener).not.toHaveBeenCalled();
+      unsubscribe();
+    });
+
+    it('replaces older data at another version', () => {
+      queryCache.setData(KEY, { id: 3, version: 2, name: 'Lamp' }, 1000);
+
+      queryCache.seed([[KEY, { id: 3, version: 3, name: 'Desk Lamp' }]], { ...byVersion, updatedAt: 2000 });
+
+      expect(queryCache.getState(KEY).data.name).toBe('Desk Lamp');
+    });
+
+    it('does not overwrite data fetched after the list', () => {
+      queryCache.setData(KEY, { id: 3, version: 4, name: 'Lamp' }, 3000);
+
+      queryCache.seed([[KEY, { id: 3, version: 3, name: 'Desk Lamp' }]], { ...byVersion, updatedAt: 2000 });
+
+      expect(queryCache.getState(KEY).data.version).toBe(4);
+    });
+  });
+
+  describe('clear', () => {
+    it('empties queries on screen, tells their listeners and fetches them again', async () => {
+      const fetcher = jest.fn().mockResolvedValue({ id: 3, owner: 'demo' });
+      await queryCache.fetch(KEY, fetcher);
+      const listener = jest.fn();
+      const unsubscribe = queryCache.subscribe(KEY, listener);
+      fetcher.mockResolvedValue({ id: 3, owner: null });
+
+      queryCache.clear();
+
+      expect(listener).toHaveBeenCalled();
+      expect(queryCache.getState(KEY)).toMatchObject({ data: undefined, isFetching: true });
+      await queryCache.fetch(KEY, fetcher);
+      expect(queryCache.getState(KEY).data).toEqual({ id: 3, owner: null });
+      unsubscribe();
+    });
+
+    it('ignores requests that were running before it', async () => {
+      const { fetcher, requests } = deferredFetcher();
+      const unsubscribe = queryCache.subscribe(KEY, () => {});
+      const before = queryCache.fetch(KEY, fetcher);
+
+      queryCache.clear();
+      requests[0].resolve({ id: 3, owner: 'demo' });
+      await before;
+
+      expect(queryCache.getState(KEY).data).toBeUndefined();
+      requests[1].resolve({ id: 3, owner: null });
+      await queryCache.fetch(KEY, fetcher);
+      expect(queryCache.getState(KEY).data).toEqual({ id: 3, owner: null });
+      unsubscribe();
+    });
+
+    it('forgets queries nobody is watching', () => {
+      queryCache.setData(KEY, { id: 3 });
+
+      queryCache.clear();
+
+      expect(queryCache.getState(KEY).data).toBeUndefined();
+    });
+  });
+});
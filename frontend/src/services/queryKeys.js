@@ -0,0 +1,11 @@
+// Query cache keys for product data. Keys nest, so invalidating productKeys.all
+// covers every product query and productKeys.lists every page of the list
+export const productKeys = {
+  all: ['products'],
+  lists: ['products', 'list'],
+  list: (params) => ['products', 'list', params],
+  detail: (id) => ['products', 'detail', String(id)],
+  allStats: ['products', 'stats'],
+  stats: (range) => ['products', 'stats', range],
+  bounds: ['products', 'bounds'],
+};
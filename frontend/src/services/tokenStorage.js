@@ -0,0 +1,14 @@
+const TOKEN_KEY = 'token';
+
+// Single place the access token is persisted, shared by AuthContext and the API client
+export const tokenStorage = {
+  get: () => localStorage.getItem(TOKEN_KEY),
+
+  set: (token) => {
+    localStorage.setItem(TOKEN_KEY, token);
+  },
+
+  clear: () => {
+    localStorage.removeItem(TOKEN_KEY);
+  },
+};
@@ -0,0 +1,25 @@
+import { decodeToken } from '../utils/jwt';
+
+const USER_KEY = 'user';
+
+// The signed-in user's profile, kept so a session can continue while the server is
+// unreachable. It is only handed out for the token of the same user
+export const userStorage = {
+  get: (token) => {
+    try {
+      const stored = JSON.parse(localStorage.getItem(USER_KEY));
+      const payload = token ? decodeToken(token) : null;
+      return stored && payload && stored.username === payload.sub ? stored : null;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  set: (user) => {
+    localStorage.setItem(USER_KEY, JSON.stringify(user));
+  },
+
+  clear: () => {
+    localStorage.removeItem(USER_KEY);
+  },
+};
@@ -0,0 +1,34 @@
+// Helpers for the analytics dashboard
+
+export const RANGE_PRESETS = [
+  { value: 7, label: '7 days' },
+  { value: 30, label: '30 days' },
+  { value: 90, label: '90 days' },
+  { value: 365, label: '1 year' },
+];
+
+// YYYY-MM-DD in UTC, the day format of the stats endpoint
+export const toIsoDate = (date) => date.toISOString().slice(0, 10);
+
+// The last `days` days, today included
+export const presetRange = (days, today = new Date()) => {
+  const start = new Date(today);
+  start.setUTCDate(start.getUTCDate() - (days - 1));
+  return { start_date: toIsoDate(start), end_date: toIsoDate(today) };
+};
+
+export const formatCurrency = (value) =>
+  `$${(value || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Short axis labels such as $1.2k
+export const formatCompactCurrency = (value) => {
+  if (Math.abs(value) >= 1000000) return `$${(value / 1000000).toFixed(1)}M`;
+  if (Math.abs(value) >= 1000) return `$${(value / 1000).toFixed(1)}k`;
+  return `$${Math.round(value)}`;
+};
+
+export const priceBucketLabel = (bucket) =>
+  `${formatCompactCurrency(bucket.min)}–${formatCompactCurrency(bucket.max)}`;
+
+export const formatDay = (isoDate) =>
+  new Date(`${isoDate}T00:00:00Z`).toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' });
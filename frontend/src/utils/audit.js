@@ -0,0 +1,66 @@
+// Audit event actions recorded by the backend, grouped by the kind of target
+export const AUDIT_ACTIONS = {
+  'product.created': { label: 'Product created', color: 'success' },
+  'product.updated': { label: 'Product updated', color: 'info' },
+  'product.restored': { label: 'Product restored', color: 'secondary' },
+  'product.deleted': { label: 'Moved to trash', color: 'error' },
+  'product.recovered': { label: 'Restored from trash', color: 'success' },
+  'product.purged': { label: 'Permanently deleted', color: 'error' },
+  'user.registered': { label: 'Registered', color: 'default' },
+  'user.roles_changed': { label: 'Roles changed', color: 'info' },
+  'user.password_reset': { label: 'Password reset', color: 'warning' },
+  'user.disabled': { label: 'Disabled', color: 'error' },
+  'user.enabled': { label: 'Enabled', color: 'success' },
+};
+
+export const auditActionLabel = (action) => AUDIT_ACTIONS[action]?.label || action;
+
+export const formatAuditTime = (timestamp) => new Date(timestamp).toLocaleString();
+
+// Product fields kept in audit snapshots, in display order
+export const PRODUCT_FIELD_LABELS = {
+  name: 'Name',
+  description: 'Description',
+  price: 'Price',
+  stock_quantity: 'Stock',
+  category: 'Category',
+  reorder_point: 'Reorder point',
+  reorder_quantity: 'Reorder quantity',
+  images: 'Images',
+  options: 'Options',
+  variants: 'Variants',
+};
+
+// Restoring a version leaves the stock alone; it changes through the stock ledger
+export const RESTORABLE_PRODUCT_FIELDS = Object.keys(PRODUCT_FIELD_LABELS).filter(field => field !== 'stock_quantity');
+
+export const formatAuditValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (field === 'price') return `$${Number(value).toFixed(2)}`;
+  if (field === 'images') return value.length === 0 ? 'None' : `${value.length} image${value.length === 1 ? '' : 's'}`;
+  if (field === 'options') {
+    return value.length === 0 ? 'None' : value.map(option => `${option.name}: ${option.values.join(', ')}`).join('\n');
+  }
+  if (field === 'variants') {
+    return value.length === 0 ? 'None' : value
+      .map(variant => `${variant.sku} · $${Number(variant.price).toFixed(2)} · ${variant.stock_quantity} in stock`)
+      .join('\n');
+  }
+  return String(value);
+};
+
+// Compares by content, since images and variants are lists; blank optional fields come back from the
+// server as null but may be undefined locally
+export const sameAuditValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Field-level changes between two snapshots: [{ field, label, before, after }].
+// A missing snapshot (before a create, after a delete) lists every field of the other
+export const diffFields = (before, after, fields = Object.keys(PRODUCT_FIELD_LABELS)) => fields
+  .filter(field => (before && field in before) || (after && field in after))
+  .filter(field => !before || !after || !sameAuditValue(before[field], after[field]))
+  .map(field => ({
+    field,
+    label: PRODUCT_FIELD_LABELS[field] || field,
+    before: before ? before[field] : undefined,
+    after: after ? after[field] : undefined,
+  }));
@@ -0,0 +1,86 @@
+// Cart items keep a snapshot of the product (name, price, stock) from when they were
+// added, so changes made to the product since then can be pointed out to the shopper.
+// Products with variants are added one variant at a time, with its price and stock.
+import { findVariant, variantLabel } from './variants';
+
+export const toCartItem = (product, quantity, variant = null) => ({
+  product_id: product.id,
+  variant_id: variant ? variant.id : null,
+  sku: variant ? variant.sku : null,
+  option_values: variant ? variant.option_values : null,
+  name: variant ? `${product.name} (${variantLabel(variant)})` : product.name,
+  price: variant ? variant.price : product.price,
+  stock_quantity: variant ? variant.stock_quantity : product.stock_quantity,
+  quantity
+});
+
+// Identifies a line of the cart: the same product can be in it once per variant
+export const cartItemKey = (item) => (item.variant_id ? `${item.product_id}:${item.variant_id}` : String(item.product_id));
+
+// What the item is bought as right now: the product, or its variant; null when it is gone
+const currentSellable = (item, product) => {
+  if (!product) return null;
+  return item.variant_id ? findVariant(product, item.variant_id) : product;
+};
+
+// Quantities never exceed the known stock; an unknown stock leaves them as they are
+export const capQuantity = (quantity, stock) => {
+  const capped = stock === null || stock === undefined ? quantity : Math.min(quantity, stock);
+  return Math.max(0, Math.floor(capped));
+};
+
+export const cartItemCount = (items) => items.reduce((total, item) => total + item.quantity, 0);
+
+export const cartSubtotal = (items) => items.reduce((total, item) => total + item.price * item.quantity, 0);
+
+const formatPrice = (price) => `$${price.toFixed(2)}`;
+
+// productsById maps each product_id to the current product, or null when it no longer
+// exists; ids missing from the map could not be checked and are left alone.
+// Returns { [cartItemKey]: [{ type, message }] } for items that changed.
+export const findCartIssues = (items, productsById) => {
+  const issues = {};
+
+  items.forEach(item => {
+    if (!(item.product_id in productsById)) return;
+    const product = currentSellable(item, productsById[item.product_id]);
+    const itemIssues = [];
+
+    if (!product) {
+      itemIssues.push({ type: 'unavailable', message: 'This item is no longer available' });
+    } else if (product.stock_quantity <= 0) {
+      itemIssues.push({ type: 'out_of_stock', message: 'This item is out of stock' });
+    } else {
+      if (product.price !== item.price) {
+        itemIssues.push({
+          type: 'price_changed',
+          message: `Price changed from ${formatPrice(item.price)} to ${formatPrice(product.price)}`
+        });
+      }
+      if (item.quantity > product.stock_quantity) {
+        itemIssues.push({
+          type: 'quantity_reduced',
+          message: `Only ${product.stock_quantity} left; the quantity will be reduced`
+        });
+      }
+    }
+
+    if (itemIssues.length > 0) {
+      issues[cartItemKey(item)] = itemIssues;
+    }
+  });
+
+  return issues;
+};
+
+// Brings the items in line with the current products: unavailable items are dropped,
+// prices and stock refreshed, and quantities capped at the stock
+export const reconcileCartItems = (items, productsById) =>
+  items.flatMap(item => {
+    if (!(item.product_id in productsById)) return [item];
+    const product = productsById[item.product_id];
+    const sellable = currentSellable(item, product);
+    if (!sellable || sellable.stock_quantity <= 0) return [];
+    const variant = item.variant_id ? sellable : null;
+    return [toCartItem(product, capQuantity(item.quantity, sellable.stock_quantity), variant)];
+  });
@@ -0,0 +1,134 @@
+import {
+  toCartItem,
+  cartItemKey,
+  capQuantity,
+  cartItemCount,
+  cartSubtotal,
+  findCartIssues,
+  reconcileCartItems
+} from './cart';
+
+const lamp = { id: 3, name: 'Lamp', price: 20, stock_quantity: 5 };
+const desk = { id: 4, name: 'Desk', price: 150, stock_quantity: 2 };
+const small = { id: 10, sku: 'TEE-S', option_values: ['S'], price: 15, stock_quantity: 4 };
+const medium = { id: 11, sku: 'TEE-M', option_values: ['M'], price: 18, stock_quantity: 1 };
+const tee = { id: 6, name: 'T-Shirt', price: 15, stock_quantity: 5, variants: [small, medium] };
+
+describe('capQuantity', () => {
+  it('keeps quantities within the stock', () => {
+    expect(capQuantity(3, 5)).toBe(3);
+    expect(capQuantity(8, 5)).toBe(5);
+    expect(capQuantity(2, 0)).toBe(0);
+  });
+
+  it('leaves quantities alone when the stock is unknown', () => {
+    expect(capQuantity(8, null)).toBe(8);
+    expect(capQuantity(8, undefined)).toBe(8);
+  });
+
+  it('rounds down and never goes below zero', () => {
+    expect(capQuantity(2.7, 5)).toBe(2);
+    expect(capQuantity(-1, 5)).toBe(0);
+  });
+});
+
+describe('totals', () => {
+  const items = [toCartItem(lamp, 2), toCartItem(desk, 1)];
+
+  it('counts units and adds up prices', () => {
+    expect(cartItemCount(items)).toBe(3);
+    expect(cartSubtotal(items)).toBe(190);
+  });
+});
+
+describe('findCartIssues', () => {
+  const items = [toCartItem(lamp, 4), toCartItem(desk, 1)];
+
+  it('reports nothing while the products are unchanged', () => {
+    expect(findCartIssues(items, { 3: lamp, 4: desk })).toEqual({});
+  });
+
+  it('points out price changes, shortages and products that are gone', () => {
+    const issues = findCartIssues(items, {
+      3: { ...lamp, price: 18, stock_quantity: 3 },
+      4: null
+    });
+
+    expect(issues).toEqual({
+      3: [
+        { type: 'price_changed', message: 'Price changed from $20.00 to $18.00' },
+        { type: 'quantity_reduced', message: 'Only 3 left; the quantity will be reduced' }
+      ],
+      4: [{ type: 'unavailable', message: 'This item is no longer available' }]
+    });
+  });
+
+  it('reports products that sold out', () => {
+    expect(findCartIssues(items, { 4: { ...desk, stock_quantity: 0 } })).toEqual({
+      4: [{ type: 'out_of_stock', message: 'This item is out of stock' }]
+    });
+  });
+
+  it('leaves products that could not be checked alone', () => {
+    expect(findCartIssues(items, {})).toEqual({});
+  });
+});
+
+describe('reconcileCartItems', () => {
+  it('drops unavailable items, refreshes prices and caps quantities', () => {
+    const items = [toCartItem(lamp, 4), toCartItem(desk, 1), toCartItem({ ...lamp, id: 5 }, 1)];
+
+    expect(reconcileCartItems(items, { 3: { ...lamp, price: 18, stock_quantity: 3 }, 4: null })).toEqual([
+      toCartItem({ ...lamp, price: 18, stock_quantity: 3 }, 3),
+      toCartItem({ ...lamp, id: 5 }, 1)
+    ]);
+  });
+});
+
+describe('variants', () => {
+  it('adds a variant with its own name, price and stock', () => {
+    expect(toCartItem(tee, 2, medium)).toEqual({
+      product_id: 6,
+      variant_id: 11,
+      sku: 'TEE-M',
+      option_values: ['M'],
+      name: 'T-Shirt (M)',
+      price: 18,
+      stock_quantity: 1,
+      quantity: 2
+    });
+  });
+
+  it('keeps one line per variant', () => {
+    expect(cartItemKey(toCartItem(tee, 1, small))).toBe('6:10');
+    expect(cartItemKey(toCartItem(tee, 1, medium))).toBe('6:11');
+    expect(cartItemKey(toCartItem(lamp, 1))).toBe('3');
+  });
+
+  it('checks each variant against its own stock and price', () => {
+    const items = [toCartItem(tee, 3, small), toCartItem(tee, 1, medium)];
+    const changed = { ...tee, variants: [{ ...small, stock_quantity: 2 }, { ...medium, price: 20 }] };
+
+    expect(findCartIssues(items, { 6: changed })).toEqual({
+      '6:10': [{ type: 'quantity_reduced', message: 'Only 2 left; the quantity will be reduced' }],
+      '6:11': [{ type: 'price_changed', message: 'Price changed from $18.00 to $20.00' }]
+    });
+  });
+
+  it('reports a variant that was removed from the product', () => {
+    const items = [toCartItem(tee, 1, small), toCartItem(tee, 1, medium)];
+
+    expect(findCartIssues(items, { 6: { ...tee, variants: [small] } })).toEqual({
+      '6:11': [{ type: 'unavailable', message: 'This item is no longer available' }]
+    });
+  });
+
+  it('caps each variant at its own stock when reconciling', () => {
+    const items = [toCartItem(tee, 3, small), toCartItem(tee, 1, medium)];
+    const changed = { ...tee, variants: [{ ...small, stock_quantity: 2 }, { ...medium, stock_quantity: 0 }] };
+
+    expect(reconcileCartItems(items, { 6: changed })).toEqual([
+      toCartItem(changed, 2, changed.variants[0])
+    ]);
+  });
+});
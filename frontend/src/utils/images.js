@@ -0,0 +1,73 @@
+import { getApiUrl } from '../services/config';
+
+export const MAX_PRODUCT_IMAGES = 10;
+// Longest edge of uploaded images and of their thumbnails, in pixels
+export const IMAGE_MAX_SIZE = 1600;
+export const THUMBNAIL_SIZE = 400;
+// Larger source files are refused before decoding them
+export const MAX_SOURCE_BYTES = 25 * 1024 * 1024;
+export const ACCEPTED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+// Aspect ratios offered when cropping; null keeps the image's own
+export const CROP_ASPECTS = [
+  { label: 'Original', value: null },
+  { label: 'Square', value: 1 },
+  { label: '4:3', value: 4 / 3 },
+];
+
+// Image URLs from the local storage are relative to the API; a cloud bucket's are absolute
+export const imageUrl = (url) => (url && url.startsWith('/') ? `${getApiUrl()}${url}` : url);
+
+// The primary image is the first one
+export const primaryImage = (product) => product?.images?.[0] || null;
+
+export const loadImage = (file) => new Promise((resolve, reject) => {
+  const objectUrl = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => {
+    URL.revokeObjectURL(objectUrl);
+    resolve(image);
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(objectUrl);
+    reject(new Error(`"${file.name}" could not be read as an image`));
+  };
+  image.src = objectUrl;
+});
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// The part of the image a crop keeps, in image pixels: the largest area of the crop's
+// aspect ratio, shrunk by zoom and centred on (centerX, centerY) as far as the edges allow.
+// Centres are fractions of the image size so they survive a change of aspect or zoom
+export const cropRect = (width, height, { aspect, zoom, centerX, centerY }) => {
+  const ratio = aspect || width / height;
+  const fullWidth = Math.min(width, height * ratio);
+  const cropWidth = fullWidth / zoom;
+  const cropHeight = fullWidth / ratio / zoom;
+  return {
+    x: clamp(centerX * width - cropWidth / 2, 0, width - cropWidth),
+    y: clamp(centerY * height - cropHeight / 2, 0, height - cropHeight),
+    width: cropWidth,
+    height: cropHeight,
+  };
+};
+
+// Draws the cropped area scaled down to fit maxSize and encodes it as JPEG.
+// Transparent areas become white, as JPEG has no transparency
+export const renderCrop = (image, rect, maxSize) => new Promise((resolve, reject) => {
+  const scale = Math.min(1, maxSize / Math.max(rect.width, rect.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(rect.width * scale));
+  canvas.height = Math.max(1, Math.round(rect.height * scale));
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#fff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(image, rect.x, rect.y, rect.width, rect.height, 0, 0, canvas.width, canvas.height);
+  canvas.toBlob(
+    blob => (blob ? resolve(blob) : reject(new Error('The image could not be processed'))),
+    'image/jpeg',
+    0.88
+  );
+});
@@ -0,0 +1,23 @@
+// Reads the payload of a JWT without verifying it; the backend remains the
+// authority, this is only used to know when the session will end.
+export const decodeToken = (token) => {
+  try {
+    const payload = token.split('.')[1];
+    const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '=');
+    return JSON.parse(atob(padded));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Expiry time in milliseconds since epoch, or null if the token has no exp claim
+export const getTokenExpiry = (token) => {
+  const payload = token ? decodeToken(token) : null;
+  return payload && typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+};
+
+export const isTokenExpired = (token) => {
+  const expiry = getTokenExpiry(token);
+  return expiry !== null && expiry <= Date.now();
+};
@@ -0,0 +1,31 @@
+// Order statuses as reported by the backend, and the moves allowed between them
+
+export const ORDER_STATUSES = {
+  pending: { label: 'Pending', color: 'warning' },
+  paid: { label: 'Paid', color: 'info' },
+  shipped: { label: 'Shipped', color: 'success' },
+  cancelled: { label: 'Cancelled', color: 'default' },
+};
+
+const TRANSITIONS = {
+  pending: ['paid', 'cancelled'],
+  paid: ['shipped', 'cancelled'],
+  shipped: [],
+  cancelled: [],
+};
+
+export const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+export const orderStatusLabel = (status) => ORDER_STATUSES[status]?.label || status;
+
+export const orderItemCount = (order) => order.items.reduce((total, item) => total + item.quantity, 0);
+
+// Order lines for the cart, carrying the prices the shopper saw
+export const toOrderItems = (cartItems) => cartItems.map(item => ({
+  product_id: item.product_id,
+  variant_id: item.variant_id ?? null,
+  quantity: item.quantity,
+  unit_price: item.price
+}));
+
+export const formatOrderDate = (value) => new Date(value).toLocaleString();
@@ -0,0 +1,37 @@
+// Permission names granted by the backend roles (viewer, editor, admin)
+export const PERMISSIONS = {
+  CATALOG_READ: 'catalog:read',
+  CATALOG_WRITE: 'catalog:write',
+  CATALOG_DELETE: 'catalog:delete',
+  ADMIN_ACCESS: 'admin:access',
+  ORDERS_MANAGE: 'orders:manage',
+};
+
+// Roles an admin can assign, least privileged first
+export const ROLES = [
+  { value: 'viewer', label: 'Viewer', description: 'Browse the catalog' },
+  { value: 'editor', label: 'Editor', description: 'Create and edit products and categories' },
+  { value: 'admin', label: 'Admin', description: 'Delete products, manage orders and users' },
+];
+
+const toList = (value) => {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+export const hasRole = (user, role) => !!user && toList(user.roles).includes(role);
+
+export const hasPermission = (user, permission) =>
+  !!user && toList(user.permissions).includes(permission);
+
+// A user is authorized when they hold at least one of the required roles
+// and every one of the required permissions
+export const isAuthorized = (user, { roles, permissions } = {}) => {
+  const requiredRoles = toList(roles);
+  const requiredPermissions = toList(permissions);
+
+  if (requiredRoles.length > 0 && !requiredRoles.some(role => hasRole(user, role))) {
+    return false;
+  }
+  return requiredPermissions.every(permission => hasPermission(user, permission));
+};
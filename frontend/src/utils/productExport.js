@@ -0,0 +1,167 @@
+import { downloadCsv, downloadXlsx, downloadJson } from './spreadsheet';
+import { computeProductStats } from './productStats';
+import { STOCK_LEVELS } from './stockLevel';
+
+// Writes a list of products, optionally with the Dashboard's summaries, in several formats
+
+export const EXPORT_FORMATS = [
+  { value: 'csv', label: 'CSV', supportsSummary: false },
+  { value: 'xlsx', label: 'Excel (XLSX)', supportsSummary: true },
+  { value: 'json', label: 'JSON', supportsSummary: true },
+  { value: 'pdf', label: 'PDF catalog sheet', supportsSummary: true },
+];
+
+export const EXPORT_COLUMNS = [
+  { key: 'id', label: 'ID' },
+  { key: 'name', label: 'Name' },
+  { key: 'description', label: 'Description' },
+  { key: 'category', label: 'Category' },
+  { key: 'price', label: 'Price' },
+  { key: 'stock_quantity', label: 'Stock' },
+];
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+const formatMoney = value => `$${value.toFixed(2)}`;
+
+const columnsFor = keys => EXPORT_COLUMNS.filter(column => keys.includes(column.key));
+
+// Spreadsheet rows keyed by column label, keeping numbers numeric
+const toRows = (products, columns) =>
+  products.map(product => columns.reduce((row, column) => ({ ...row, [column.label]: product[column.key] }), {}));
+
+const summaryRows = (products, categoryDefaults) => {
+  const stats = computeProductStats(products, categoryDefaults);
+  return {
+    categories: stats.categories.map(entry => ({
+      Category: entry.category,
+      Products: entry.products,
+      'Total Stock': entry.stock,
+      'Stock Value': roundMoney(entry.value)
+    })),
+    lowStock: stats.lowStock.map(({ product, level, reorderPoint, reorderQuantity }) => ({
+      ID: product.id,
+      Name: product.name,
+      Category: product.category,
+      Stock: product.stock_quantity,
+      'Reorder Point': reorderPoint,
+      'Reorder Quantity': reorderQuantity ?? '',
+      Level: STOCK_LEVELS[level].label
+    }))
+  };
+};
+
+const exportPdf = async ({ products, columns, includeSummary, filters, filename, categoryDefaults }) => {
+  // Loaded on demand; the PDF libraries are larger than the rest of the page
+  const [{ jsPDF }, { default: autoTable }] = await Promise.all([
+    import('jspdf'),
+    import('jspdf-autotable')
+  ]);
+
+  const doc = new jsPDF({ orientation: columns.length > 4 ? 'landscape' : 'portrait' });
+  const tableStyles = { styles: { fontSize: 8 }, headStyles: { fillColor: [25, 118, 210] } };
+
+  doc.setFontSize(16);
+  doc.text('Product Catalog', 14, 16);
+  doc.setFontSize(9);
+  doc.text(`Exported ${new Date().toLocaleString()} · ${products.length} products`, 14, 22);
+  if (filters.length > 0) {
+    // The built-in PDF fonts have no ≥/≤ glyphs
+    const filterText = filters.join(', ').replace(/≥/g, '>=').replace(/≤/g, '<=');
+    doc.text(`Filters: ${filterText}`, 14, 27);
+  }
+
+  autoTable(doc, {
+    ...tableStyles,
+    startY: filters.length > 0 ? 31 : 26,
+    head: [columns.map(column => column.label)],
+    body: products.map(product => columns.map(column => (
+      column.key === 'price' ? formatMoney(product.price) : product[column.key]
+    )))
+  });
+
+  if (includeSummary) {
+    const summary = summaryRows(products, categoryDefaults);
+    doc.addPage();
+    doc.setFontSize(14);
+    doc.text('Category Summary', 14, 16);
+    autoTable(doc, {
+      ...tableStyles,
+      startY: 20,
+      head: [['Category', 'Products', 'Total Stock', 'Stock Value']],
+      body: summary.categories.map(row => [row.Category, row.Products, row['Total Stock'], formatMoney(row['Stock Value'])])
+    });
+
+    const lowStockY = doc.lastAutoTable.finalY + 12;
+    doc.text('Low Stock (at or below reorder point)', 14, lowStockY);
+    autoTable(doc, {
+      ...tableStyles,
+      startY: lowStockY + 4,
+      head: [['ID', 'Name', 'Category', 'Stock', 'Reorder Point', 'Reorder Qty', 'Level']],
+      body: summary.lowStock.length > 0
+        ? summary.lowStock.map(row => [
+          row.ID, row.Name, row.Category, row.Stock, row['Reorder Point'], row['Reorder Quantity'], row.Level
+        ])
+        : [['', 'No products with low stock', '', '', '', '', '']]
+    });
+  }
+
+  doc.save(filename);
+};
+
+// Products keep the given order and columns follow EXPORT_COLUMNS; filters are
+// labels describing how the list was narrowed. categoryDefaults (see toCategoryDefaults)
+// set the reorder points used by the low-stock summary
+export const exportProducts = async ({
+  products,
+  format,
+  columnKeys,
+  includeSummary = false,
+  filters = [],
+  categoryDefaults = {}
+}) => {
+  const columns = columnsFor(columnKeys);
+  const filename = `products-${new Date().toISOString().slice(0, 10)}.${format}`;
+  const withSummary = includeSummary && EXPORT_FORMATS.find(option => option.value === format)?.supportsSummary;
+
+  if (format === 'csv') {
+    downloadCsv(toRows(products, columns), filename);
+  } else if (format === 'xlsx') {
+    const sheets = [{ name: 'Products', rows: toRows(products, columns) }];
+    if (withSummary) {
+      const summary = summaryRows(products, categoryDefaults);
+      sheets.push({ name: 'Categories', rows: summary.categories });
+      sheets.push({ name: 'Low Stock', rows: summary.lowStock });
+    }
+    downloadXlsx(sheets, filename);
+  } else if (format === 'json') {
+    const data = {
+      exported_at: new Date().toISOString(),
+      filters,
+      products: products.map(product => columns.reduce((item, column) => ({
+        ...item,
+        [column.key]: product[column.key]
+      }), {}))
+    };
+    if (withSummary) {
+      const stats = computeProductStats(products, categoryDefaults);
+      data.summary = {
+        categories: stats.categories.map(entry => ({ ...entry, value: roundMoney(entry.value) })),
+        low_stock: stats.lowStock.map(({ product, level, reorderPoint, reorderQuantity }) => ({
+          id: product.id,
+          name: product.name,
+          category: product.category,
+          stock_quantity: product.stock_quantity,
+          reorder_point: reorderPoint,
+          reorder_quantity: reorderQuantity,
+          level
+        }))
+      };
+    }
+    downloadJson(data, filename);
+  } else if (format === 'pdf') {
+    await exportPdf({ products, columns, includeSummary: withSummary, filters, filename, categoryDefaults });
+  } else {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+};
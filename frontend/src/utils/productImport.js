@@ -0,0 +1,89 @@
+import { productSchema, toProductPayload } from '../components/products/productSchema';
+import { validate } from './validation';
+
+// Column mapping and row validation for the product import wizard
+
+export const IMPORT_FIELDS = Object.keys(productSchema);
+
+export const IMPORT_CHUNK_SIZE = 100;
+
+// Header spellings recognised for each field, compared after normalizing
+const FIELD_ALIASES = {
+  name: ['name', 'product', 'product name', 'title'],
+  description: ['description', 'desc', 'details', 'product description'],
+  price: ['price', 'unit price', 'price usd', 'cost'],
+  stock_quantity: ['stock quantity', 'stock', 'quantity', 'qty', 'inventory', 'on hand'],
+  category: ['category', 'category name', 'type', 'group'],
+  reorder_point: ['reorder point', 'reorder at', 'reorder level', 'min stock'],
+  reorder_quantity: ['reorder quantity', 'reorder qty', 'reorder amount'],
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Returns { field: header } for every field a header could be matched to; unmatched fields map to ''
+export const autoMapColumns = (headers) => {
+  const used = new Set();
+  return IMPORT_FIELDS.reduce((mapping, field) => {
+    const header = headers.find(candidate =>
+      !used.has(candidate) && FIELD_ALIASES[field].includes(normalizeHeader(candidate))
+    );
+    if (header) {
+      used.add(header);
+    }
+    return { ...mapping, [field]: header || '' };
+  }, {});
+};
+
+// Optional fields such as the reorder settings may stay unmapped
+export const isMappingComplete = (mapping) =>
+  IMPORT_FIELDS.every(field => mapping[field] || !productSchema[field].required);
+
+// Unmapped optional fields are left out, so an existing product keeps its own settings
+const toImportPayload = (values, mapping) => {
+  const payload = toProductPayload(values);
+  IMPORT_FIELDS.filter(field => !mapping[field]).forEach(field => delete payload[field]);
+  return payload;
+};
+
+// Validates every mapped row. Rows are numbered from 2 since row 1 is the header.
+// Returns [{ rowNumber, values, errors, payload }]; payload is null when the row has errors.
+export const validateImportRows = (rows, mapping) => {
+  const seenNames = {};
+
+  return rows.map((row, index) => {
+    const values = IMPORT_FIELDS.reduce((all, field) => ({
+      ...all,
+      [field]: String(row[mapping[field]] ?? '').trim()
+    }), {});
+    const rowNumber = index + 2;
+    const errors = validate(productSchema, values);
+
+    const nameKey = values.name.toLowerCase();
+    if (nameKey && !errors.name) {
+      if (seenNames[nameKey]) {
+        errors.name = `Duplicate of row ${seenNames[nameKey]}`;
+      } else {
+        seenNames[nameKey] = rowNumber;
+      }
+    }
+
+    const valid = Object.keys(errors).length === 0;
+    return { rowNumber, values, errors, payload: valid ? toImportPayload(values, mapping) : null };
+  });
+};
+
+export const chunk = (items, size) => {
+  const chunks = [];
+  for (let start = 0; start < items.length; start += size) {
+    chunks.push(items.slice(start, start + size));
+  }
+  return chunks;
+};
+
+// One line per failed row, in file order, for the downloadable error report
+export const toErrorReport = (failures) =>
+  [...failures]
+    .sort((a, b) => a.rowNumber - b.rowNumber)
+    .map(({ rowNumber, values, error }) => ({ row: rowNumber, ...values, error }));
+
+export const formatRowErrors = (errors) => Object.values(errors).join('; ');
@@ -0,0 +1,126 @@
+import {
+  autoMapColumns,
+  isMappingComplete,
+  validateImportRows,
+  chunk,
+  toErrorReport,
+  formatRowErrors
+} from './productImport';
+import { toCsv } from './spreadsheet';
+
+const mapping = {
+  name: 'Product Name',
+  description: 'Desc',
+  price: 'Unit Price ($)',
+  stock_quantity: 'Qty',
+  category: 'Category',
+  reorder_point: '',
+  reorder_quantity: ''
+};
+
+const row = (changes = {}) => ({
+  'Product Name': 'Lamp',
+  Desc: 'Desk lamp',
+  'Unit Price ($)': '19.99',
+  Qty: '5',
+  Category: 'Lighting',
+  ...changes
+});
+
+describe('autoMapColumns', () => {
+  it('matches headers whatever their case and punctuation', () => {
+    expect(autoMapColumns(['Product Name', 'Desc', 'Unit Price ($)', 'Qty', 'Category', 'Notes'])).toEqual(mapping);
+  });
+
+  it('maps the optional reorder columns when they are there', () => {
+    expect(autoMapColumns(['name', 'Reorder Point', 'reorder_qty'])).toMatchObject({
+      name: 'name',
+      reorder_point: 'Reorder Point',
+      reorder_quantity: 'reorder_qty'
+    });
+  });
+
+  it('uses each header for one field only', () => {
+    const result = autoMapColumns(['Stock', 'Quantity']);
+
+    expect(result.stock_quantity).toBe('Stock');
+    expect(Object.values(result).filter(header => header === 'Quantity')).toHaveLength(0);
+  });
+});
+
+describe('isMappingComplete', () => {
+  it('needs every required field but not the optional ones', () => {
+    expect(isMappingComplete(mapping)).toBe(true);
+    expect(isMappingComplete({ ...mapping, category: '' })).toBe(false);
+  });
+});
+
+describe('validateImportRows', () => {
+  it('builds a payload for valid rows, numbering rows after the header', () => {
+    const [result] = validateImportRows([row({ 'Product Name': '  Lamp ' })], mapping);
+
+    expect(result.rowNumber).toBe(2);
+    expect(result.errors).toEqual({});
+    expect(result.payload).toEqual({
+      name: 'Lamp',
+      description: 'Desk lamp',
+      price: 19.99,
+      stock_quantity: 5,
+      category: 'Lighting'
+    });
+  });
+
+  it('sends the reorder settings only when their columns are mapped', () => {
+    const [result] = validateImportRows([row({ Min: '' })], { ...mapping, reorder_point: 'Min' });
+
+    expect(result.payload).toHaveProperty('reorder_point', null);
+    expect(result.payload).not.toHaveProperty('reorder_quantity');
+  });
+
+  it('reports the errors of each row', () => {
+    const rows = [row({ 'Unit Price ($)': 'free', Qty: '-2' }), row({ 'Product Name': 'Desk', Category: '' })];
+    const results = validateImportRows(rows, mapping);
+
+    expect(results.map(result => result.errors)).toEqual([
+      { price: 'Price must be a number', stock_quantity: 'Stock quantity must be at least 0' },
+      { category: 'Category is required' }
+    ]);
+    expect(results.map(result => result.payload)).toEqual([null, null]);
+    expect(formatRowErrors(results[0].errors)).toBe('Price must be a number; Stock quantity must be at least 0');
+  });
+
+  it('points out names repeated in the file', () => {
+    const results = validateImportRows([row(), row({ 'Product Name': 'Desk' }), row({ 'Product Name': 'LAMP' })], mapping);
+
+    expect(results[2].errors).toEqual({ name: 'Duplicate of row 2' });
+  });
+});
+
+describe('chunk', () => {
+  it('splits items into groups of the given size', () => {
+    expect(chunk([1, 2, 3, 4, 5], 2)).toEqual([[1, 2], [3, 4], [5]]);
+    expect(chunk([], 2)).toEqual([]);
+  });
+});
+
+describe('toErrorReport', () => {
+  const failures = [
+    { rowNumber: 7, values: { name: 'Desk', price: '0' }, error: 'Price must be greater than 0' },
+    { rowNumber: 3, values: { name: 'Lamp, large', price: '12' }, error: 'Category is required' }
+  ];
+
+  it('lists the failed rows in file order with their values and error', () => {
+    expect(toErrorReport(failures)).toEqual([
+      { row: 3, name: 'Lamp, large', price: '12', error: 'Category is required' },
+      { row: 7, name: 'Desk', price: '0', error: 'Price must be greater than 0' }
+    ]);
+  });
+
+  it('becomes a CSV with a header row', () => {
+    expect(toCsv(toErrorReport(failures)).split('\n')).toEqual([
+      'row,name,price,error',
+      '3,"Lamp, large",12,Category is required',
+      '7,Desk,0,Price must be greater than 0'
+    ]);
+  });
+});
@@ -0,0 +1,40 @@
+import { PRODUCT_FIELD_LABELS, sameAuditValue } from './audit';
+
+// Variants are made from the options, so both are always taken from the same side
+const LINKED_FIELDS = { options: 'variants', variants: 'options' };
+
+// Fields where the edit being saved (mine) and the stored product (theirs) disagree,
+// with whether each side changed it since the version the edit started from (base)
+export const conflictingFields = (base, mine, theirs) => Object.keys(PRODUCT_FIELD_LABELS)
+  .filter(field => field in mine && !sameAuditValue(mine[field], theirs[field]))
+  .map(field => ({
+    field,
+    label: PRODUCT_FIELD_LABELS[field],
+    mine: mine[field],
+    theirs: theirs[field],
+    mineChanged: !sameAuditValue(mine[field], base[field]),
+    theirsChanged: !sameAuditValue(theirs[field], base[field]),
+  }));
+
+export const chooseSide = (choices, field, side) => ({
+  ...choices,
+  [field]: side,
+  ...(LINKED_FIELDS[field] ? { [LINKED_FIELDS[field]]: side } : {})
+});
+
+// Keeps the other side's change where only they touched a field, and mine everywhere else
+export const defaultChoices = (fields) => {
+  const choices = fields.reduce((all, { field, mineChanged, theirsChanged }) => ({
+    ...all,
+    [field]: theirsChanged && !mineChanged ? 'theirs' : 'mine'
+  }), {});
+  return choices.options && choices.variants && choices.options !== choices.variants
+    ? chooseSide(choices, 'options', 'mine')
+    : choices;
+};
+
+// The payload to save: mine, with the fields chosen as 'theirs' taken from the stored product
+export const mergeProduct = (mine, theirs, choices) => Object.keys(mine).reduce((merged, field) => ({
+  ...merged,
+  [field]: (choices[field] ?? choices[LINKED_FIELDS[field]]) === 'theirs' ? theirs[field] : mine[field]
+}), {});
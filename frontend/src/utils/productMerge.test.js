@@ -0,0 +1,69 @@
+import { conflictingFields, chooseSide, defaultChoices, mergeProduct } from './productMerge';
+
+const base = { name: 'Lamp', description: 'Desk lamp', price: 20, category: 'Lighting', images: [] };
+
+describe('conflictingFields', () => {
+  it('lists the fields where mine and theirs differ, with who changed them', () => {
+    const mine = { ...base, name: 'Desk Lamp', price: 25 };
+    const theirs = { ...base, price: 22, category: 'Office', version: 3 };
+
+    expect(conflictingFields(base, mine, theirs)).toEqual([
+      { field: 'name', label: 'Name', mine: 'Desk Lamp', theirs: 'Lamp', mineChanged: true, theirsChanged: false },
+      { field: 'price', label: 'Price', mine: 25, theirs: 22, mineChanged: true, theirsChanged: true },
+      { field: 'category', label: 'Category', mine: 'Lighting', theirs: 'Office', mineChanged: false, theirsChanged: true }
+    ]);
+  });
+
+  it('ignores fields the edit does not send and blanks that only differ by null', () => {
+    const mine = { name: 'Lamp', description: undefined };
+    const theirs = { ...base, description: null, price: 30 };
+
+    expect(conflictingFields(base, mine, theirs)).toEqual([]);
+  });
+});
+
+describe('defaultChoices', () => {
+  it('keeps theirs where only they changed a field, and mine everywhere else', () => {
+    const fields = [
+      { field: 'name', mineChanged: true, theirsChanged: false },
+      { field: 'price', mineChanged: true, theirsChanged: true },
+      { field: 'category', mineChanged: false, theirsChanged: true }
+    ];
+
+    expect(defaultChoices(fields)).toEqual({ name: 'mine', price: 'mine', category: 'theirs' });
+  });
+
+  it('takes options and variants from the same side', () => {
+    const fields = [
+      { field: 'options', mineChanged: false, theirsChanged: true },
+      { field: 'variants', mineChanged: true, theirsChanged: true }
+    ];
+
+    expect(defaultChoices(fields)).toEqual({ options: 'mine', variants: 'mine' });
+  });
+});
+
+describe('chooseSide', () => {
+  it('switches linked fields together', () => {
+    expect(chooseSide({ name: 'mine', options: 'mine', variants: 'mine' }, 'variants', 'theirs'))
+      .toEqual({ name: 'mine', options: 'theirs', variants: 'theirs' });
+    expect(chooseSide({ name: 'mine' }, 'name', 'theirs')).toEqual({ name: 'theirs' });
+  });
+});
+
+describe('mergeProduct', () => {
+  it('takes the fields chosen as theirs from the stored product', () => {
+    const mine = { ...base, name: 'Desk Lamp', price: 25 };
+    const theirs = { ...base, price: 22, category: 'Office' };
+
+    expect(mergeProduct(mine, theirs, { name: 'mine', price: 'theirs', category: 'theirs' }))
+      .toEqual({ ...base, name: 'Desk Lamp', price: 22, category: 'Office' });
+  });
+
+  it('follows the choice of a linked field that was not listed', () => {
+    const mine = { options: [{ name: 'Size', values: ['S'] }], variants: [{ sku: 'A' }] };
+    const theirs = { options: [{ name: 'Size', values: ['M'] }], variants: [{ sku: 'B' }] };
+
+    expect(mergeProduct(mine, theirs, { options: 'theirs' })).toEqual(theirs);
+  });
+});
@@ -0,0 +1,146 @@
+// The product list's filters, sorting and page live in the URL query string so a
+// view can be shared; these helpers convert between the URL and API parameters.
+
+export const PAGE_SIZE_OPTIONS = [12, 24, 48, 96];
+
+export const SORT_OPTIONS = [
+  { value: 'name', label: 'Name' },
+  { value: 'price', label: 'Price' },
+  { value: 'stock_quantity', label: 'Stock' },
+  { value: 'updated_at', label: 'Last updated' },
+];
+
+export const DEFAULT_PRODUCT_QUERY = {
+  q: '',
+  categories: [],
+  minPrice: null,
+  maxPrice: null,
+  inStock: false,
+  minStock: null,
+  maxStock: null,
+  page: 1,
+  size: PAGE_SIZE_OPTIONS[0],
+  sort: 'name',
+  order: 'asc',
+};
+
+// Filter criteria (as opposed to paging and sorting), in the order chips are shown
+export const FILTER_KEYS = ['q', 'categories', 'minPrice', 'maxPrice', 'inStock', 'minStock', 'maxStock'];
+
+const parseNumber = (value, parser = parseFloat) => {
+  const number = parser(value, 10);
+  return Number.isFinite(number) && number >= 0 ? number : null;
+};
+
+export const parseProductQuery = (searchParams) => {
+  const page = parseInt(searchParams.get('page'), 10);
+  const size = parseInt(searchParams.get('size'), 10);
+  const sort = searchParams.get('sort');
+
+  return {
+    q: searchParams.get('q') || DEFAULT_PRODUCT_QUERY.q,
+    categories: searchParams.getAll('category'),
+    minPrice: parseNumber(searchParams.get('minPrice')),
+    maxPrice: parseNumber(searchParams.get('maxPrice')),
+    inStock: searchParams.get('inStock') === 'true',
+    minStock: parseNumber(searchParams.get('minStock'), parseInt),
+    maxStock: parseNumber(searchParams.get('maxStock'), parseInt),
+    page: page > 0 ? page : DEFAULT_PRODUCT_QUERY.page,
+    size: PAGE_SIZE_OPTIONS.includes(size) ? size : DEFAULT_PRODUCT_QUERY.size,
+    sort: SORT_OPTIONS.some(option => option.value === sort) ? sort : DEFAULT_PRODUCT_QUERY.sort,
+    order: searchParams.get('order') === 'desc' ? 'desc' : DEFAULT_PRODUCT_QUERY.order,
+  };
+};
+
+const isDefault = (key, value) => {
+  if (Array.isArray(value)) return value.length === 0;
+  return value === DEFAULT_PRODUCT_QUERY[key] || value === '' || value === null || value === undefined;
+};
+
+// Defaults are left out so shared URLs stay short
+export const toSearchParams = (query) => {
+  const searchParams = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (isDefault(key, value)) return;
+    if (key === 'categories') {
+      value.forEach(category => searchParams.append('category', category));
+    } else {
+      searchParams.set(key, String(value));
+    }
+  });
+  return searchParams;
+};
+
+export const hasActiveFilters = (query) => FILTER_KEYS.some(key => !isDefault(key, query[key]));
+
+export const clearFilters = (query) => {
+  const cleared = { ...query };
+  FILTER_KEYS.forEach(key => {
+    cleared[key] = DEFAULT_PRODUCT_QUERY[key];
+  });
+  return cleared;
+};
+
+const formatRange = (min, max, format) => {
+  if (min !== null && max !== null) return `${format(min)} – ${format(max)}`;
+  if (min !== null) return `≥ ${format(min)}`;
+  return `≤ ${format(max)}`;
+};
+
+const formatPrice = value => `$${value}`;
+
+// Human-readable active filters as [{ key, label, changes }], where changes removes the filter
+export const describeFilters = (query) => {
+  const filters = [];
+
+  if (query.q) {
+    filters.push({ key: 'q', label: `Search: "${query.q}"`, changes: { q: '' } });
+  }
+  query.categories.forEach(category => {
+    filters.push({
+      key: `category-${category}`,
+      label: `Category: ${category}`,
+      changes: { categories: query.categories.filter(item => item !== category) }
+    });
+  });
+  if (query.minPrice !== null || query.maxPrice !== null) {
+    filters.push({
+      key: 'price',
+      label: `Price: ${formatRange(query.minPrice, query.maxPrice, formatPrice)}`,
+      changes: { minPrice: null, maxPrice: null }
+    });
+  }
+  if (query.inStock) {
+    filters.push({ key: 'inStock', label: 'In stock only', changes: { inStock: false } });
+  }
+  if (query.minStock !== null || query.maxStock !== null) {
+    filters.push({
+      key: 'stock',
+      label: `Stock: ${formatRange(query.minStock, query.maxStock, String)}`,
+      changes: { minStock: null, maxStock: null }
+    });
+  }
+
+  return filters;
+};
+
+// Filter criteria only, e.g. to select every product matching the current view
+export const toFilterParams = (query) => {
+  const params = {};
+  if (query.q) params.q = query.q;
+  if (query.categories.length > 0) params.category = query.categories;
+  if (query.minPrice !== null) params.min_price = query.minPrice;
+  if (query.maxPrice !== null) params.max_price = query.maxPrice;
+  if (query.inStock) params.in_stock = true;
+  if (query.minStock !== null) params.min_stock = query.minStock;
+  if (query.maxStock !== null) params.max_stock = query.maxStock;
+  return params;
+};
+
+export const toApiParams = (query) => ({
+  page: query.page,
+  size: query.size,
+  sort: query.sort,
+  order: query.order,
+  ...toFilterParams(query),
+});
@@ -0,0 +1,88 @@
+import {
+  DEFAULT_PRODUCT_QUERY,
+  parseProductQuery,
+  toSearchParams,
+  hasActiveFilters,
+  clearFilters,
+  describeFilters,
+  toApiParams
+} from './productQuery';
+
+const parse = (search) => parseProductQuery(new URLSearchParams(search));
+
+describe('parseProductQuery', () => {
+  it('falls back to the defaults for an empty query string', () => {
+    expect(parse('')).toEqual(DEFAULT_PRODUCT_QUERY);
+  });
+
+  it('reads every filter, the page and the sort order', () => {
+    expect(parse('q=lamp&category=Lighting&category=Office&minPrice=5.5&maxPrice=20&inStock=true'
+      + '&minStock=1&maxStock=10&page=3&size=24&sort=price&order=desc')).toEqual({
+      q: 'lamp',
+      categories: ['Lighting', 'Office'],
+      minPrice: 5.5,
+      maxPrice: 20,
+      inStock: true,
+      minStock: 1,
+      maxStock: 10,
+      page: 3,
+      size: 24,
+      sort: 'price',
+      order: 'desc'
+    });
+  });
+
+  it('ignores values that are out of range or not allowed', () => {
+    expect(parse('minPrice=-1&maxStock=abc&page=0&size=13&sort=secret&order=sideways')).toEqual(DEFAULT_PRODUCT_QUERY);
+  });
+});
+
+describe('toSearchParams', () => {
+  it('leaves the defaults out', () => {
+    expect(toSearchParams(DEFAULT_PRODUCT_QUERY).toString()).toBe('');
+  });
+
+  it('round-trips through parseProductQuery', () => {
+    const query = { ...DEFAULT_PRODUCT_QUERY, q: 'desk', categories: ['Office', 'Home'], maxPrice: 50, page: 2 };
+
+    expect(parseProductQuery(toSearchParams(query))).toEqual(query);
+  });
+});
+
+describe('filters', () => {
+  const query = { ...DEFAULT_PRODUCT_QUERY, q: 'desk', categories: ['Office'], minPrice: 10, inStock: true, page: 4 };
+
+  it('tells whether any filter is set', () => {
+    expect(hasActiveFilters(DEFAULT_PRODUCT_QUERY)).toBe(false);
+    expect(hasActiveFilters({ ...DEFAULT_PRODUCT_QUERY, page: 2, sort: 'price' })).toBe(false);
+    expect(hasActiveFilters(query)).toBe(true);
+  });
+
+  it('clears filters but keeps paging and sorting', () => {
+    expect(clearFilters(query)).toEqual({ ...DEFAULT_PRODUCT_QUERY, page: 4 });
+  });
+
+  it('describes each active filter with the changes that remove it', () => {
+    expect(describeFilters({ ...query, maxStock: 5 })).toEqual([
+      { key: 'q', label: 'Search: "desk"', changes: { q: '' } },
+      { key: 'category-Office', label: 'Category: Office', changes: { categories: [] } },
+      { key: 'price', label: 'Price: ≥ $10', changes: { minPrice: null, maxPrice: null } },
+      { key: 'inStock', label: 'In stock only', changes: { inStock: false } },
+      { key: 'stock', label: 'Stock: ≤ 5', changes: { minStock: null, maxStock: null } }
+    ]);
+  });
+});
+
+describe('toApiParams', () => {
+  it('uses the API parameter names and leaves unset filters out', () => {
+    expect(toApiParams({ ...DEFAULT_PRODUCT_QUERY, categories: ['Office'], minPrice: 0, inStock: true })).toEqual({
+      page: 1,
+      size: 12,
+      sort: 'name',
+      order: 'asc',
+      category: ['Office'],
+      min_price: 0,
+      in_stock: true
+    });
+  });
+});
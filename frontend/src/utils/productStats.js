@@ -0,0 +1,38 @@
+import { STOCK_LEVELS, reorderSettings, stockLevel } from './stockLevel';
+
+// Catalog summaries for exported reports; the Dashboard gets its figures from the stats endpoint
+
+// Products at or below their reorder point, most urgent first:
+// [{ product, level, reorderPoint, reorderQuantity }]
+export const findStockAlerts = (products, categoryDefaults = {}) => products
+  .map(product => ({
+    product,
+    level: stockLevel(product, categoryDefaults),
+    ...reorderSettings(product, categoryDefaults)
+  }))
+  .filter(alert => alert.level !== 'healthy')
+  .sort((a, b) => STOCK_LEVELS[a.level].rank - STOCK_LEVELS[b.level].rank
+    || a.product.stock_quantity - b.product.stock_quantity);
+
+// categories: [{ category, products, stock, value }] sorted by name, where value is price × stock.
+// categoryDefaults come from toCategoryDefaults and set the reorder points used for lowStock
+export const computeProductStats = (products, categoryDefaults = {}) => {
+  const byCategory = {};
+  let totalPrice = 0;
+
+  products.forEach(product => {
+    const entry = byCategory[product.category] || { category: product.category, products: 0, stock: 0, value: 0 };
+    entry.products += 1;
+    entry.stock += product.stock_quantity;
+    entry.value += product.price * product.stock_quantity;
+    byCategory[product.category] = entry;
+    totalPrice += product.price;
+  });
+
+  return {
+    totalProducts: products.length,
+    averagePrice: products.length ? totalPrice / products.length : 0,
+    categories: Object.values(byCategory).sort((a, b) => a.category.localeCompare(b.category)),
+    lowStock: findStockAlerts(products, categoryDefaults)
+  };
+};
@@ -0,0 +1,20 @@
+// Only paths inside the app are accepted, so a crafted returnTo cannot send users off-site.
+// Browsers read "/\host" like "//host" and drop tabs and newlines from URLs, so those are refused too
+export const getSafeReturnTo = (value, fallback = '/') => {
+  if (!value || value[0] !== '/' || value[1] === '/' || value[1] === '\\' || /[\t\n\r]/.test(value)) {
+    return fallback;
+  }
+  return value;
+};
+
+const LOGIN_PATH = '/login';
+
+export const buildLoginPath = (returnTo) => {
+  if (!returnTo || returnTo === '/') {
+    return LOGIN_PATH;
+  }
+  return `${LOGIN_PATH}?returnTo=${encodeURIComponent(returnTo)}`;
+};
+
+// `to` as the router hands it to its navigator: a path string or a { pathname, search } object
+export const isLoginPath = (to) => (typeof to === 'string' ? to : to.pathname || '').split('?')[0] === LOGIN_PATH;
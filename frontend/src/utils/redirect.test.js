@@ -0,0 +1,28 @@
+import { getSafeReturnTo, buildLoginPath, isLoginPath } from './redirect';
+
+describe('getSafeReturnTo', () => {
+  it('accepts paths inside the app', () => {
+    expect(getSafeReturnTo('/products/3?tab=stock')).toBe('/products/3?tab=stock');
+  });
+
+  it('falls back for anything that could leave the site', () => {
+    ['', null, 'https://evil.example', '//evil.example', '/\\evil.example', '/\t/evil.example', 'products']
+      .forEach(value => expect(getSafeReturnTo(value, '/home')).toBe('/home'));
+  });
+});
+
+describe('buildLoginPath', () => {
+  it('only adds a return path that is not the home page', () => {
+    expect(buildLoginPath('/')).toBe('/login');
+    expect(buildLoginPath('/cart?step=2')).toBe('/login?returnTo=%2Fcart%3Fstep%3D2');
+  });
+});
+
+describe('isLoginPath', () => {
+  it('recognises the login page as a string or a path object', () => {
+    expect(isLoginPath(buildLoginPath('/cart'))).toBe(true);
+    expect(isLoginPath({ pathname: '/login', search: '?returnTo=%2Fcart' })).toBe(true);
+    expect(isLoginPath('/products/3')).toBe(false);
+    expect(isLoginPath({ pathname: '/login-help' })).toBe(false);
+  });
+});
@@ -0,0 +1,68 @@
+import * as XLSX from 'xlsx';
+
+// Reading and writing CSV/Excel files in the browser
+
+export const SPREADSHEET_ACCEPT = '.csv,.xlsx,.xls';
+
+// Blank or repeated headers would make columns collide once rows are keyed by header
+const uniqueHeaders = (headerRow) => {
+  const seen = {};
+  return headerRow.map((header, index) => {
+    const base = String(header ?? '').trim() || `Column ${index + 1}`;
+    seen[base] = (seen[base] || 0) + 1;
+    return seen[base] > 1 ? `${base} (${seen[base]})` : base;
+  });
+};
+
+// Reads the first sheet into { headers, rows }, each row keyed by header
+export const readSpreadsheet = async (file) => {
+  const isCsv = file.name.toLowerCase().endsWith('.csv');
+  const workbook = isCsv
+    ? XLSX.read(await file.text(), { type: 'string', raw: true })
+    : XLSX.read(await file.arrayBuffer(), { type: 'array' });
+
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) {
+    return { headers: [], rows: [] };
+  }
+
+  const [headerRow = [], ...body] = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', blankrows: false });
+  const headers = uniqueHeaders(headerRow);
+  const rows = body.map(cells => headers.reduce((row, header, index) => ({
+    ...row,
+    [header]: cells[index] ?? ''
+  }), {}));
+
+  return { headers, rows };
+};
+
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// rows is an array of objects; their keys become the header row
+export const toCsv = (rows) => XLSX.utils.sheet_to_csv(XLSX.utils.json_to_sheet(rows));
+
+export const downloadCsv = (rows, filename) => {
+  downloadBlob(new Blob([toCsv(rows)], { type: 'text/csv;charset=utf-8' }), filename);
+};
+
+// sheets is [{ name, rows }]; each becomes a worksheet in the workbook
+export const downloadXlsx = (sheets, filename) => {
+  const workbook = XLSX.utils.book_new();
+  sheets.forEach(({ name, rows }) => {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), name);
+  });
+  XLSX.writeFile(workbook, filename);
+};
+
+export const downloadJson = (data, filename) => {
+  downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), filename);
+};
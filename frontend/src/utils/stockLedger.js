@@ -0,0 +1,36 @@
+// Reasons a product's stock changes, as recorded in its ledger. A correction sets the
+// stock to a counted value; every other reason moves units in one direction.
+
+export const STOCK_REASONS = {
+  received: { label: 'Received', direction: 1, color: 'success' },
+  damaged: { label: 'Damaged', direction: -1, color: 'error' },
+  sold: { label: 'Sold', direction: -1, color: 'info' },
+  correction: { label: 'Correction', direction: 0, color: 'warning' },
+};
+
+export const stockReasonLabel = (reason) => STOCK_REASONS[reason]?.label || reason;
+
+// The change an adjustment makes to the current stock
+export const adjustmentChange = (reason, quantity, currentStock) =>
+  reason === 'correction' ? quantity - currentStock : STOCK_REASONS[reason].direction * quantity;
+
+// Points for a running-balance chart. Stock held before the first entry (e.g. seeded
+// data) becomes the opening point, so the line starts where the ledger does
+export const toBalanceSeries = (movements) => {
+  if (movements.length === 0) return [];
+  const first = movements[0];
+  return [
+    {
+      time: new Date(first.created_at).getTime(),
+      balance: first.balance_after - first.quantity_change,
+      reason: null
+    },
+    ...movements.map(movement => ({
+      time: new Date(movement.created_at).getTime(),
+      balance: movement.balance_after,
+      reason: movement.reason
+    }))
+  ];
+};
+
+export const formatSignedQuantity = (change) => (change > 0 ? `+${change}` : String(change));
@@ -0,0 +1,47 @@
+// Stock levels measured against reorder points. A product's own reorder settings win,
+// then its category's defaults, then DEFAULT_REORDER_POINT.
+
+export const DEFAULT_REORDER_POINT = 10;
+
+// Ordered from most to least urgent
+export const STOCK_LEVELS = {
+  critical: { label: 'Critical', color: 'error', rank: 0 },
+  low: { label: 'Low', color: 'warning', rank: 1 },
+  healthy: { label: 'Healthy', color: 'success', rank: 2 },
+};
+
+// { [category name]: { reorder_point, reorder_quantity } } from categoryApi.getAll()
+export const toCategoryDefaults = (categories) => Object.fromEntries(categories.map(category => [
+  category.name,
+  { reorder_point: category.reorder_point, reorder_quantity: category.reorder_quantity }
+]));
+
+const isSet = (value) => value !== null && value !== undefined;
+
+// source tells where the reorder point came from: 'product', 'category' or 'default'
+export const reorderSettings = (product, categoryDefaults = {}) => {
+  const defaults = categoryDefaults[product.category] || {};
+  let reorderPoint = DEFAULT_REORDER_POINT;
+  let source = 'default';
+  if (isSet(product.reorder_point)) {
+    reorderPoint = product.reorder_point;
+    source = 'product';
+  } else if (isSet(defaults.reorder_point)) {
+    reorderPoint = defaults.reorder_point;
+    source = 'category';
+  }
+  return {
+    reorderPoint,
+    reorderQuantity: product.reorder_quantity ?? defaults.reorder_quantity ?? null,
+    source
+  };
+};
+
+// Critical when out of stock or down to half the reorder point, low at or below it
+export const stockLevel = (product, categoryDefaults) => {
+  const { reorderPoint } = reorderSettings(product, categoryDefaults);
+  const stock = product.stock_quantity;
+  if (stock <= 0 || stock <= Math.floor(reorderPoint / 2)) return 'critical';
+  if (stock <= reorderPoint) return 'low';
+  return 'healthy';
+};
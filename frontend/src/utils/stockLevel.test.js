@@ -0,0 +1,62 @@
+import { DEFAULT_REORDER_POINT, toCategoryDefaults, reorderSettings, stockLevel } from './stockLevel';
+
+const categoryDefaults = toCategoryDefaults([
+  { id: 1, name: 'Lighting', reorder_point: 20, reorder_quantity: 50 },
+  { id: 2, name: 'Office', reorder_point: null, reorder_quantity: null }
+]);
+
+const product = (changes = {}) => ({ id: 3, name: 'Lamp', category: 'Lighting', stock_quantity: 30, ...changes });
+
+describe('reorderSettings', () => {
+  it('takes the settings of the product first', () => {
+    expect(reorderSettings(product({ reorder_point: 4, reorder_quantity: 8 }), categoryDefaults))
+      .toEqual({ reorderPoint: 4, reorderQuantity: 8, source: 'product' });
+  });
+
+  it('keeps a reorder point of zero set on the product', () => {
+    expect(reorderSettings(product({ reorder_point: 0 }), categoryDefaults))
+      .toEqual({ reorderPoint: 0, reorderQuantity: 50, source: 'product' });
+  });
+
+  it('falls back to the defaults of the category', () => {
+    expect(reorderSettings(product(), categoryDefaults))
+      .toEqual({ reorderPoint: 20, reorderQuantity: 50, source: 'category' });
+  });
+
+  it('falls back to the default without category settings', () => {
+    expect(reorderSettings(product({ category: 'Office' }), categoryDefaults))
+      .toEqual({ reorderPoint: DEFAULT_REORDER_POINT, reorderQuantity: null, source: 'default' });
+    expect(reorderSettings(product({ category: 'Unknown' })))
+      .toEqual({ reorderPoint: DEFAULT_REORDER_POINT, reorderQuantity: null, source: 'default' });
+  });
+});
+
+describe('stockLevel', () => {
+  const levelAt = (stock, reorderPoint) => stockLevel(product({ stock_quantity: stock, reorder_point: reorderPoint }));
+
+  it('is critical up to half the reorder point', () => {
+    expect(levelAt(0, 10)).toBe('critical');
+    expect(levelAt(5, 10)).toBe('critical');
+    expect(levelAt(6, 10)).toBe('low');
+  });
+
+  it('rounds half of an odd reorder point down', () => {
+    expect(levelAt(3, 7)).toBe('critical');
+    expect(levelAt(4, 7)).toBe('low');
+  });
+
+  it('is low up to the reorder point and healthy above it', () => {
+    expect(levelAt(10, 10)).toBe('low');
+    expect(levelAt(11, 10)).toBe('healthy');
+  });
+
+  it('is critical when out of stock even with a reorder point of zero', () => {
+    expect(levelAt(0, 0)).toBe('critical');
+    expect(levelAt(1, 0)).toBe('healthy');
+  });
+
+  it('uses the reorder point of the category when the product has none', () => {
+    expect(stockLevel(product({ stock_quantity: 15 }), categoryDefaults)).toBe('low');
+    expect(stockLevel(product({ stock_quantity: 15 }))).toBe('healthy');
+  });
+});
@@ -0,0 +1,61 @@
+// Declarative form validation. A schema maps each field to its rules:
+//   { price: { label: 'Price', required: true, type: 'number', greaterThan: 0 } }
+// Supported rules: required, type ('number' | 'integer'), min, max, greaterThan,
+// minLength, maxLength, pattern (with patternMessage).
+
+const isEmpty = (value) => value === null || value === undefined || String(value).trim() === '';
+
+const validateField = (rules, value) => {
+  const label = rules.label || 'This field';
+
+  if (isEmpty(value)) {
+    return rules.required ? `${label} is required` : null;
+  }
+
+  if (rules.type === 'number' || rules.type === 'integer') {
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+      return `${label} must be a number`;
+    }
+    if (rules.type === 'integer' && !Number.isInteger(number)) {
+      return `${label} must be a whole number`;
+    }
+    if (rules.greaterThan !== undefined && number <= rules.greaterThan) {
+      return `${label} must be greater than ${rules.greaterThan}`;
+    }
+    if (rules.min !== undefined && number < rules.min) {
+      return `${label} must be at least ${rules.min}`;
+    }
+    if (rules.max !== undefined && number > rules.max) {
+      return `${label} must be at most ${rules.max}`;
+    }
+    return null;
+  }
+
+  const text = String(value).trim();
+  if (rules.minLength !== undefined && text.length < rules.minLength) {
+    return `${label} must be at least ${rules.minLength} characters`;
+  }
+  if (rules.maxLength !== undefined && text.length > rules.maxLength) {
+    return `${label} must be at most ${rules.maxLength} characters`;
+  }
+  if (rules.pattern && !rules.pattern.test(text)) {
+    return rules.patternMessage || `${label} is invalid`;
+  }
+  return null;
+};
+
+// Returns { field: message } for every field that fails its rules
+export const validate = (schema, values) => {
+  const errors = {};
+  Object.entries(schema).forEach(([field, rules]) => {
+    const error = validateField(rules, values[field]);
+    if (error) {
+      errors[field] = error;
+    }
+  });
+  return errors;
+};
+
+export const validateValue = (schema, field, value) =>
+  schema[field] ? validateField(schema[field], value) : null;
@@ -0,0 +1,53 @@
+import { validate, validateValue } from './validation';
+
+const schema = {
+  name: { label: 'Name', required: true, minLength: 2, maxLength: 10 },
+  price: { label: 'Price', required: true, type: 'number', greaterThan: 0 },
+  stock: { label: 'Stock', type: 'integer', min: 0, max: 1000 },
+  sku: { label: 'SKU', pattern: /^[A-Z0-9-]+$/, patternMessage: 'Use capitals, digits and dashes' }
+};
+
+describe('validate', () => {
+  it('passes valid values', () => {
+    expect(validate(schema, { name: 'Lamp', price: '19.99', stock: 5, sku: 'LAMP-1' })).toEqual({});
+  });
+
+  it('reports required fields that are missing or blank', () => {
+    expect(validate(schema, { name: '   ' })).toEqual({ name: 'Name is required', price: 'Price is required' });
+  });
+
+  it('skips optional fields that are empty', () => {
+    expect(validate(schema, { name: 'Lamp', price: 1, stock: '', sku: null })).toEqual({});
+  });
+
+  it('checks numbers and their bounds', () => {
+    expect(validate(schema, { name: 'Lamp', price: 'free', stock: 2.5 })).toEqual({
+      price: 'Price must be a number',
+      stock: 'Stock must be a whole number'
+    });
+    expect(validate(schema, { name: 'Lamp', price: 0, stock: -1 })).toEqual({
+      price: 'Price must be greater than 0',
+      stock: 'Stock must be at least 0'
+    });
+    expect(validate(schema, { name: 'Lamp', price: 1, stock: 1001 })).toEqual({ stock: 'Stock must be at most 1000' });
+  });
+
+  it('checks the length and pattern of trimmed text', () => {
+    expect(validate(schema, { name: ' L ', price: 1, sku: 'lamp 1' })).toEqual({
+      name: 'Name must be at least 2 characters',
+      sku: 'Use capitals, digits and dashes'
+    });
+    expect(validate(schema, { name: 'Adjustable Lamp', price: 1 })).toEqual({ name: 'Name must be at most 10 characters' });
+  });
+});
+
+describe('validateValue', () => {
+  it('checks one field', () => {
+    expect(validateValue(schema, 'price', '-3')).toBe('Price must be greater than 0');
+    expect(validateValue(schema, 'price', '3')).toBeNull();
+  });
+
+  it('accepts fields the schema does not know', () => {
+    expect(validateValue(schema, 'colour', 'red')).toBeNull();
+  });
+});
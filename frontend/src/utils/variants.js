@@ -0,0 +1,53 @@
+// Products with variants are sold by variant: each is one combination of the product's
+// option values with its own SKU, price and stock. The product's own price is the lowest
+// variant price and its stock their total, both kept up to date by the server.
+
+export const MAX_PRODUCT_OPTIONS = 3;
+export const MAX_OPTION_VALUES = 20;
+export const MAX_PRODUCT_VARIANTS = 100;
+
+export const hasVariants = (product) => (product?.variants?.length ?? 0) > 0;
+
+// "M / Red"
+export const variantLabel = (variant) => variant.option_values.join(' / ');
+
+// Lowest and highest price a product sells for
+export const priceRange = (product) => {
+  if (!hasVariants(product)) {
+    return { min: product.price, max: product.price };
+  }
+  const prices = product.variants.map(variant => variant.price);
+  return { min: Math.min(...prices), max: Math.max(...prices) };
+};
+
+export const formatPriceRange = (product) => {
+  const { min, max } = priceRange(product);
+  return min === max ? `$${min.toFixed(2)}` : `$${min.toFixed(2)} – $${max.toFixed(2)}`;
+};
+
+export const findVariant = (product, variantId) =>
+  product?.variants?.find(variant => variant.id === variantId) || null;
+
+// The variant with exactly the chosen value of every option, or null while a choice is missing.
+// selection maps option names to values
+export const findVariantBySelection = (product, selection) =>
+  product.variants.find(variant =>
+    product.options.every((option, index) => selection[option.name] === variant.option_values[index])) || null;
+
+// Whether some variant with stock has this value for the option, given the values already
+// chosen for the other options; used to mark choices that cannot be bought
+export const isValueAvailable = (product, selection, optionIndex, value) =>
+  product.variants.some(variant => variant.stock_quantity > 0
+    && variant.option_values[optionIndex] === value
+    && product.options.every((option, index) => index === optionIndex
+      || !selection[option.name]
+      || selection[option.name] === variant.option_values[index]));
+
+// Every combination of the options' values, varying the last option fastest:
+// Size × Colour gives S / Red, S / Blue, M / Red, …
+export const combinations = (options) => options.reduce(
+  (combos, option) => combos.flatMap(combo => option.values.map(value => [...combo, value])),
+  [[]]
+);
+
+export const combinationCount = (options) => options.reduce((count, option) => count * option.values.length, 1);
@@ -0,0 +1,105 @@
+import {
+  hasVariants,
+  variantLabel,
+  priceRange,
+  formatPriceRange,
+  findVariant,
+  findVariantBySelection,
+  isValueAvailable,
+  combinations,
+  combinationCount
+} from './variants';
+
+const options = [
+  { name: 'Size', values: ['S', 'M'] },
+  { name: 'Colour', values: ['Red', 'Blue'] }
+];
+
+const variant = (id, values, price, stock) => ({
+  id,
+  sku: `TEE-${values.join('-')}`,
+  option_values: values,
+  price,
+  stock_quantity: stock
+});
+
+// M / Blue is not sold and S / Blue is sold out
+const tee = {
+  id: 3,
+  name: 'T-Shirt',
+  price: 15,
+  stock_quantity: 7,
+  options,
+  variants: [
+    variant(10, ['S', 'Red'], 15, 4),
+    variant(11, ['S', 'Blue'], 15, 0),
+    variant(12, ['M', 'Red'], 18, 3)
+  ]
+};
+
+const mug = { id: 4, name: 'Mug', price: 8, stock_quantity: 2, options: [], variants: [] };
+
+describe('variants', () => {
+  it('tells products with variants apart', () => {
+    expect(hasVariants(tee)).toBe(true);
+    expect(hasVariants(mug)).toBe(false);
+    expect(hasVariants({ id: 5 })).toBe(false);
+  });
+
+  it('labels a variant by its option values', () => {
+    expect(variantLabel(tee.variants[2])).toBe('M / Red');
+  });
+
+  it('gives the range of prices a product sells for', () => {
+    expect(priceRange(tee)).toEqual({ min: 15, max: 18 });
+    expect(formatPriceRange(tee)).toBe('$15.00 – $18.00');
+    expect(formatPriceRange(mug)).toBe('$8.00');
+    expect(formatPriceRange({ ...tee, variants: tee.variants.slice(0, 2) })).toBe('$15.00');
+  });
+
+  it('finds variants by id', () => {
+    expect(findVariant(tee, 12)).toBe(tee.variants[2]);
+    expect(findVariant(tee, 99)).toBeNull();
+    expect(findVariant(mug, 12)).toBeNull();
+  });
+});
+
+describe('findVariantBySelection', () => {
+  it('finds the variant with every chosen value', () => {
+    expect(findVariantBySelection(tee, { Size: 'M', Colour: 'Red' })).toBe(tee.variants[2]);
+  });
+
+  it('finds nothing while a choice is missing or the combination is not sold', () => {
+    expect(findVariantBySelection(tee, { Size: 'M' })).toBeNull();
+    expect(findVariantBySelection(tee, { Size: 'M', Colour: 'Blue' })).toBeNull();
+  });
+});
+
+describe('isValueAvailable', () => {
+  it('looks for a variant in stock with the value', () => {
+    expect(isValueAvailable(tee, {}, 1, 'Blue')).toBe(false);
+    expect(isValueAvailable(tee, {}, 1, 'Red')).toBe(true);
+  });
+
+  it('takes the values chosen for the other options into account', () => {
+    expect(isValueAvailable(tee, { Colour: 'Red' }, 0, 'M')).toBe(true);
+    expect(isValueAvailable(tee, { Colour: 'Blue' }, 0, 'M')).toBe(false);
+    expect(isValueAvailable(tee, { Colour: 'Blue' }, 0, 'S')).toBe(false);
+  });
+
+  it('ignores the current choice of the option itself', () => {
+    expect(isValueAvailable(tee, { Size: 'S' }, 0, 'M')).toBe(true);
+  });
+});
+
+describe('combinations', () => {
+  it('varies the last option fastest', () => {
+    expect(combinations(options)).toEqual([['S', 'Red'], ['S', 'Blue'], ['M', 'Red'], ['M', 'Blue']]);
+    expect(combinationCount(options)).toBe(4);
+  });
+
+  it('is empty when an option has no values', () => {
+    expect(combinations([...options, { name: 'Fit', values: [] }])).toEqual([]);
+    expect(combinationCount([...options, { name: 'Fit', values: [] }])).toBe(0);
+  });
+});